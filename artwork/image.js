@@ -0,0 +1,135 @@
+// Reads the format and pixel size of an uploaded image from its header, without decoding
+// it. Handles JPEG, PNG and WEBP; anything else is reported as unknown. JPEGs also report
+// their EXIF orientation (1-8, 1 being upright): phones store photos sideways and say so there.
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function readPngInfo(buffer) {
+  // IHDR is always the first chunk
+  if (buffer.length < 33 || buffer.toString('latin1', 12, 16) !== 'IHDR') {
+    return null;
+  }
+  return {
+    format: 'png',
+    width: buffer.readUInt32BE(16),
+    height: buffer.readUInt32BE(20),
+    bit_depth: buffer[24],
+    color_type: buffer[25],
+    interlaced: buffer[28] === 1,
+  };
+}
+
+// Orientation tag of an EXIF APP1 body ('Exif\0\0' and a TIFF header), or 1
+function exifOrientation(body) {
+  if (body.length < 14 || body.toString('latin1', 0, 6) !== 'Exif\0\0') {
+    return 1;
+  }
+  const tiff = body.subarray(6);
+  const little = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = (at) => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = (at) => (little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+  const ifd = u32(4);
+  if (ifd + 2 > tiff.length) {
+    return 1;
+  }
+  for (let i = 0, count = u16(ifd); i < count; i += 1) {
+    const entry = ifd + 2 + i * 12;
+    if (entry + 12 > tiff.length) {
+      break;
+    }
+    if (u16(entry) === 0x0112) {
+      const value = u16(entry + 8);
+      return value >= 1 && value <= 8 ? value : 1;
+    }
+  }
+  return 1;
+}
+
+function readJpegInfo(buffer) {
+  let pos = 2;
+  let adobeTransform = null;
+  // Only the first EXIF block counts; later APP1 segments are leftovers from editors
+  let orientation = null;
+  while (pos + 4 <= buffer.length) {
+    if (buffer[pos] !== 0xff) {
+      return null;
+    }
+    const marker = buffer[pos + 1];
+    if (marker === 0xff) {
+      pos += 1;
+      continue;
+    }
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) {
+      pos += 2;
+      continue;
+    }
+    const length = buffer.readUInt16BE(pos + 2);
+    if (marker === 0xee && buffer.toString('latin1', pos + 4, pos + 9) === 'Adobe') {
+      adobeTransform = buffer[pos + 15];
+    }
+    const isExif = buffer.toString('latin1', pos + 4, pos + 10) === 'Exif\0\0';
+    if (marker === 0xe1 && orientation === null && isExif) {
+      orientation = exifOrientation(buffer.subarray(pos + 4, pos + 2 + length));
+    }
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return {
+        format: 'jpeg',
+        width: buffer.readUInt16BE(pos + 7),
+        height: buffer.readUInt16BE(pos + 5),
+        components: buffer[pos + 9],
+        progressive: marker === 0xc2 || marker === 0xc6 || marker === 0xca || marker === 0xce,
+        baseline: marker === 0xc0 || marker === 0xc1,
+        adobe_transform: adobeTransform,
+        orientation: orientation || 1,
+      };
+    }
+    if (marker === 0xd9 || marker === 0xda) {
+      return null;
+    }
+    pos += 2 + length;
+  }
+  return null;
+}
+
+function readWebpInfo(buffer) {
+  const chunk = buffer.toString('latin1', 12, 16);
+  if (chunk === 'VP8 ' && buffer.length >= 30) {
+    return {
+      format: 'webp',
+      width: buffer.readUInt16LE(26) & 0x3fff,
+      height: buffer.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === 'VP8L' && buffer.length >= 25) {
+    const bits = buffer.readUInt32LE(21);
+    return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X' && buffer.length >= 30) {
+    return {
+      format: 'webp',
+      width: buffer.readUIntLE(24, 3) + 1,
+      height: buffer.readUIntLE(27, 3) + 1,
+    };
+  }
+  return null;
+}
+
+// -> { format: 'jpeg' | 'png' | 'webp', width, height, ... } or null
+function readImageInfo(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 16) {
+    return null;
+  }
+  if (buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return readPngInfo(buffer);
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return readJpegInfo(buffer);
+  }
+  if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') {
+    return readWebpInfo(buffer);
+  }
+  return null;
+}
+
+module.exports = { readImageInfo };
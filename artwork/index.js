@@ -0,0 +1,45 @@
+const { readImageInfo } = require('./image');
+const { stripMetadata } = require('./metadata');
+const {
+  uprightSize,
+  parsePrintSize,
+  assessArtwork,
+  renderThumbnail,
+  renderCropPreview,
+  renderPrintPdf,
+} = require('./print');
+const { createRenderer } = require('./renderer');
+
+// Customer artwork for custom posters:
+//
+//   readImageInfo(buffer)   { format, width, height, orientation, ... } from the file
+//                           header, or null when it isn't a JPEG, PNG or WEBP
+//   uprightSize(info)       { width, height } once turned by its EXIF orientation
+//   stripMetadata(buffer, info)
+//                           copy without EXIF/XMP/IPTC/comments (JPEGs keep orientation)
+//   assessArtwork(info, dimensions, { minDpi, warnDpi })
+//                           effective DPI, crop and ok | warn | block for each poster size
+//   renderThumbnail(buffer, info, { maxSize, maxPixels })
+//   renderCropPreview(buffer, info, printSize, { maxSize, maxPixels })
+//                           PNG Buffers; the preview shows only what the poster will show
+//   renderPrintPdf(buffer, info, printSize, { bleed, title, maxPixels })
+//                           Buffer holding the print-ready PDF
+//   createRenderer({ log }) -> { render(kind, file, info, ...args), close() }
+//                           the three renders above ('thumbnail', 'preview', 'print') on a
+//                           worker thread, reading the upload at `file`; render resolves
+//                           with the Buffer
+//
+// JPEG and PNG are decoded here; WEBP can be measured but not printed. Decoding errors carry
+// code 'unsupported_image'. Where files are kept and when they are made lives in server.js.
+
+module.exports = {
+  readImageInfo,
+  uprightSize,
+  stripMetadata,
+  parsePrintSize,
+  assessArtwork,
+  renderThumbnail,
+  renderCropPreview,
+  renderPrintPdf,
+  createRenderer,
+};
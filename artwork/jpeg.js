@@ -0,0 +1,517 @@
+// JPEG decoder for customer artwork, written against ITU T.81. Handles baseline and
+// progressive Huffman-coded files with any chroma subsampling, grayscale, and Adobe
+// RGB/CMYK/YCCK files. Arithmetic coding and lossless JPEG are rejected.
+//
+// All scans are decoded into DCT coefficients first and turned into pixels at the end. With
+// `scale: 8` only the DC coefficient of each block is used, giving a 1/8 size image without
+// running the IDCT: plenty for thumbnails of photos straight off a phone.
+
+// Position of the n-th zigzag coefficient in an 8x8 block stored row by row
+const ZIGZAG = [
+  0, 1, 8, 16, 9, 2, 3, 10, 17, 24, 32, 25, 18, 11, 4, 5, 12, 19, 26, 33, 40, 48, 41, 34, 27,
+  20, 13, 6, 7, 14, 21, 28, 35, 42, 49, 56, 57, 50, 43, 36, 29, 22, 15, 23, 30, 37, 44, 51, 58,
+  59, 52, 45, 38, 31, 39, 46, 53, 60, 61, 54, 47, 55, 62, 63,
+];
+
+// IDCT_BASIS[x * 8 + u] = C(u) / 2 * cos((2x + 1) u pi / 16)
+const IDCT_BASIS = new Float32Array(64);
+for (let x = 0; x < 8; x += 1) {
+  for (let u = 0; u < 8; u += 1) {
+    const scale = u === 0 ? Math.SQRT1_2 / 2 : 0.5;
+    IDCT_BASIS[x * 8 + u] = scale * Math.cos(((2 * x + 1) * u * Math.PI) / 16);
+  }
+}
+
+function jpegError(message) {
+  return Object.assign(new Error(message), { code: 'unsupported_image' });
+}
+
+// Canonical Huffman table in the form T.81 F.2.2.3 decodes with
+function buildHuffmanTable(counts, symbols) {
+  const maxcode = new Int32Array(18).fill(-1);
+  const valptr = new Int32Array(17);
+  const mincode = new Int32Array(17);
+  let code = 0;
+  let k = 0;
+  for (let length = 1; length <= 16; length += 1) {
+    valptr[length] = k;
+    mincode[length] = code;
+    code += counts[length - 1];
+    k += counts[length - 1];
+    maxcode[length] = counts[length - 1] ? code - 1 : -1;
+    code <<= 1;
+  }
+  return { maxcode, valptr, mincode, symbols };
+}
+
+// Position of the first marker at or after `pos` (0xFF 0x00 is an escaped data byte)
+function nextMarker(data, pos) {
+  let at = pos;
+  while (at < data.length - 1) {
+    if (data[at] === 0xff && data[at + 1] !== 0 && data[at + 1] !== 0xff) {
+      break;
+    }
+    at += 1;
+  }
+  return at;
+}
+
+function decodeScan(data, start, frame, components, scan) {
+  const { restartInterval, spectralStart, spectralEnd, approxHigh, approxLow } = scan;
+  let pos = start;
+  let bitsData = 0;
+  let bitsCount = 0;
+  let eobrun = 0;
+
+  // Past a marker the entropy-coded data has ended; pad with zeros rather than run into it
+  function readBit() {
+    if (bitsCount === 0) {
+      bitsData = data[pos];
+      if (bitsData === 0xff) {
+        if (data[pos + 1] === 0) {
+          pos += 2;
+        } else {
+          bitsData = 0;
+        }
+      } else if (pos < data.length) {
+        pos += 1;
+      } else {
+        bitsData = 0;
+      }
+      bitsCount = 8;
+    }
+    bitsCount -= 1;
+    return (bitsData >> bitsCount) & 1;
+  }
+
+  function receive(length) {
+    let value = 0;
+    for (let i = 0; i < length; i += 1) {
+      value = (value << 1) | readBit();
+    }
+    return value;
+  }
+
+  function receiveAndExtend(length) {
+    if (length === 0) {
+      return 0;
+    }
+    const value = receive(length);
+    return value >= 1 << (length - 1) ? value : value - (1 << length) + 1;
+  }
+
+  function decodeHuffman(table) {
+    if (!table) {
+      throw jpegError('JPEG uses a Huffman table it never defines');
+    }
+    let code = 0;
+    for (let length = 1; length <= 16; length += 1) {
+      code = (code << 1) | readBit();
+      if (code <= table.maxcode[length]) {
+        return table.symbols[table.valptr[length] + code - table.mincode[length]];
+      }
+    }
+    throw jpegError('Corrupt JPEG data');
+  }
+
+  function decodeBaseline(component, offset) {
+    const coeffs = component.coeffs;
+    const t = decodeHuffman(component.dcTable);
+    component.pred += receiveAndExtend(t);
+    coeffs[offset] = component.pred;
+    let k = 1;
+    while (k < 64) {
+      const rs = decodeHuffman(component.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) {
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) {
+        break;
+      }
+      coeffs[offset + ZIGZAG[k]] = receiveAndExtend(s);
+      k += 1;
+    }
+  }
+
+  function decodeDcFirst(component, offset) {
+    const t = decodeHuffman(component.dcTable);
+    component.pred += receiveAndExtend(t) * (1 << approxLow);
+    component.coeffs[offset] = component.pred;
+  }
+
+  function decodeDcRefine(component, offset) {
+    if (readBit()) {
+      component.coeffs[offset] |= 1 << approxLow;
+    }
+  }
+
+  function decodeAcFirst(component, offset) {
+    if (eobrun > 0) {
+      eobrun -= 1;
+      return;
+    }
+    const coeffs = component.coeffs;
+    let k = spectralStart;
+    while (k <= spectralEnd) {
+      const rs = decodeHuffman(component.acTable);
+      const s = rs & 15;
+      const r = rs >> 4;
+      if (s === 0) {
+        if (r < 15) {
+          eobrun = receive(r) + (1 << r) - 1;
+          break;
+        }
+        k += 16;
+        continue;
+      }
+      k += r;
+      if (k > 63) {
+        break;
+      }
+      coeffs[offset + ZIGZAG[k]] = receiveAndExtend(s) * (1 << approxLow);
+      k += 1;
+    }
+  }
+
+  // Successive approximation of AC coefficients, as in T.81 G.1.2.3
+  function decodeAcRefine(component, offset) {
+    const coeffs = component.coeffs;
+    const plus = 1 << approxLow;
+    const minus = -1 << approxLow;
+    const refine = (index) => {
+      if (readBit() && (coeffs[index] & plus) === 0) {
+        coeffs[index] += coeffs[index] >= 0 ? plus : minus;
+      }
+    };
+    let k = spectralStart;
+    if (eobrun === 0) {
+      for (; k <= spectralEnd; k += 1) {
+        const rs = decodeHuffman(component.acTable);
+        let r = rs >> 4;
+        let value = 0;
+        if (rs & 15) {
+          value = readBit() ? plus : minus;
+        } else if (r !== 15) {
+          eobrun = (1 << r) + receive(r);
+          break;
+        }
+        // Skip r zero coefficients, refining the non-zero ones passed on the way
+        for (; k <= spectralEnd; k += 1) {
+          const index = offset + ZIGZAG[k];
+          if (coeffs[index] !== 0) {
+            refine(index);
+          } else if (r === 0) {
+            if (value) {
+              coeffs[index] = value;
+            }
+            break;
+          } else {
+            r -= 1;
+          }
+        }
+      }
+    }
+    if (eobrun > 0) {
+      for (; k <= spectralEnd; k += 1) {
+        const index = offset + ZIGZAG[k];
+        if (coeffs[index] !== 0) {
+          refine(index);
+        }
+      }
+      eobrun -= 1;
+    }
+  }
+
+  let decodeBlock = decodeBaseline;
+  if (frame.progressive) {
+    if (spectralStart === 0) {
+      decodeBlock = approxHigh === 0 ? decodeDcFirst : decodeDcRefine;
+    } else {
+      decodeBlock = approxHigh === 0 ? decodeAcFirst : decodeAcRefine;
+    }
+  }
+
+  const single = components.length === 1;
+  const total = single
+    ? components[0].blocksPerLine * components[0].blocksPerColumn
+    : frame.mcusPerLine * frame.mcusPerColumn;
+
+  function decodeMcu(mcu) {
+    if (single) {
+      const component = components[0];
+      const row = Math.floor(mcu / component.blocksPerLine);
+      const col = mcu % component.blocksPerLine;
+      decodeBlock(component, (row * component.blocksPerLineForMcu + col) * 64);
+      return;
+    }
+    const mcuRow = Math.floor(mcu / frame.mcusPerLine);
+    const mcuCol = mcu % frame.mcusPerLine;
+    for (const component of components) {
+      for (let v = 0; v < component.v; v += 1) {
+        for (let h = 0; h < component.h; h += 1) {
+          const row = mcuRow * component.v + v;
+          const col = mcuCol * component.h + h;
+          decodeBlock(component, (row * component.blocksPerLineForMcu + col) * 64);
+        }
+      }
+    }
+  }
+
+  let mcu = 0;
+  while (mcu < total) {
+    for (const component of components) {
+      component.pred = 0;
+    }
+    eobrun = 0;
+    bitsCount = 0;
+    const end = restartInterval ? Math.min(mcu + restartInterval, total) : total;
+    for (; mcu < end; mcu += 1) {
+      decodeMcu(mcu);
+    }
+    // Find the next marker; a restart marker means the next interval follows
+    pos = nextMarker(data, pos);
+    if (data[pos + 1] >= 0xd0 && data[pos + 1] <= 0xd7) {
+      pos += 2;
+    } else {
+      break;
+    }
+  }
+  return nextMarker(data, pos);
+}
+
+// One component's samples, (blocksPerLineForMcu * 8 / scale) samples wide
+function componentPlane(component, scale) {
+  const { coeffs, quant, blocksPerLineForMcu: across, blocksPerColumnForMcu: down } = component;
+  if (scale === 8) {
+    const plane = new Uint8ClampedArray(across * down);
+    for (let block = 0; block < across * down; block += 1) {
+      plane[block] = Math.round((coeffs[block * 64] * quant[0]) / 8 + 128);
+    }
+    return plane;
+  }
+  const lineWidth = across * 8;
+  const plane = new Uint8ClampedArray(lineWidth * down * 8);
+  const input = new Float32Array(64);
+  const temp = new Float32Array(64);
+  for (let row = 0; row < down; row += 1) {
+    for (let col = 0; col < across; col += 1) {
+      const offset = (row * across + col) * 64;
+      for (let i = 0; i < 64; i += 1) {
+        input[i] = coeffs[offset + i] * quant[i];
+      }
+      for (let v = 0; v < 8; v += 1) {
+        for (let x = 0; x < 8; x += 1) {
+          let sum = 0;
+          for (let u = 0; u < 8; u += 1) {
+            sum += IDCT_BASIS[x * 8 + u] * input[v * 8 + u];
+          }
+          temp[v * 8 + x] = sum;
+        }
+      }
+      for (let y = 0; y < 8; y += 1) {
+        const line = (row * 8 + y) * lineWidth + col * 8;
+        for (let x = 0; x < 8; x += 1) {
+          let sum = 0;
+          for (let v = 0; v < 8; v += 1) {
+            sum += IDCT_BASIS[y * 8 + v] * temp[v * 8 + x];
+          }
+          plane[line + x] = Math.round(sum + 128);
+        }
+      }
+    }
+  }
+  return plane;
+}
+
+function toRgb(frame, adobeTransform, scale) {
+  const width = Math.ceil(frame.width / scale);
+  const height = Math.ceil(frame.height / scale);
+  const planes = frame.components.map((component) => {
+    const lineWidth = (component.blocksPerLineForMcu * 8) / scale;
+    const xs = new Int32Array(width);
+    for (let x = 0; x < width; x += 1) {
+      xs[x] = Math.floor((x * component.h) / frame.maxH);
+    }
+    return { component, lineWidth, xs, samples: componentPlane(component, scale) };
+  });
+  const count = planes.length;
+  // Adobe files say whether their three or four channels are YCbCr/YCCK (1, 2) or not (0)
+  const transform = adobeTransform === null ? count === 3 : adobeTransform !== 0;
+  const rgb = new Uint8ClampedArray(width * height * 3);
+  const values = new Float32Array(4);
+  for (let y = 0; y < height; y += 1) {
+    const lines = planes.map((p) => Math.floor((y * p.component.v) / frame.maxV) * p.lineWidth);
+    for (let x = 0; x < width; x += 1) {
+      for (let c = 0; c < count; c += 1) {
+        values[c] = planes[c].samples[lines[c] + planes[c].xs[x]];
+      }
+      const out = (y * width + x) * 3;
+      if (count === 1) {
+        rgb[out] = rgb[out + 1] = rgb[out + 2] = values[0];
+        continue;
+      }
+      let [r, g, b] = values;
+      if (transform) {
+        const [luma, cb, cr] = values;
+        r = luma + 1.402 * (cr - 128);
+        g = luma - 0.344136 * (cb - 128) - 0.714136 * (cr - 128);
+        b = luma + 1.772 * (cb - 128);
+      }
+      if (count === 4) {
+        // Adobe writes CMYK inverted, so these are already 255 - C, 255 - M, ...
+        r = (r * values[3]) / 255;
+        g = (g * values[3]) / 255;
+        b = (b * values[3]) / 255;
+      }
+      rgb[out] = r;
+      rgb[out + 1] = g;
+      rgb[out + 2] = b;
+    }
+  }
+  return { width, height, data: rgb };
+}
+
+// -> { width, height, data } with `data` holding 8-bit RGB samples
+function decodeJpeg(data, { scale = 1, maxPixels = Infinity } = {}) {
+  const quantTables = [];
+  const dcTables = [];
+  const acTables = [];
+  let frame = null;
+  let restartInterval = 0;
+  let adobeTransform = null;
+  let pos = 2;
+
+  if (data[0] !== 0xff || data[1] !== 0xd8) {
+    throw jpegError('Not a JPEG file');
+  }
+  while (pos < data.length - 1) {
+    if (data[pos] !== 0xff) {
+      pos += 1;
+      continue;
+    }
+    const marker = data[pos + 1];
+    if (marker === 0xff || marker === 0x00 || (marker >= 0xd0 && marker <= 0xd7)) {
+      pos += marker === 0xff ? 1 : 2;
+      continue;
+    }
+    if (marker === 0xd9) {
+      break;
+    }
+    const length = data.readUInt16BE(pos + 2);
+    const body = pos + 4;
+    const end = pos + 2 + length;
+
+    if (marker === 0xdb) {
+      for (let at = body; at < end; ) {
+        const precision = data[at] >> 4;
+        const table = new Int32Array(64);
+        for (let i = 0; i < 64; i += 1) {
+          table[ZIGZAG[i]] = precision ? data.readUInt16BE(at + 1 + i * 2) : data[at + 1 + i];
+        }
+        quantTables[data[at] & 15] = table;
+        at += 1 + (precision ? 128 : 64);
+      }
+    } else if (marker === 0xc4) {
+      for (let at = body; at < end; ) {
+        const counts = data.subarray(at + 1, at + 17);
+        const total = counts.reduce((sum, n) => sum + n, 0);
+        const table = buildHuffmanTable(counts, data.subarray(at + 17, at + 17 + total));
+        (data[at] >> 4 ? acTables : dcTables)[data[at] & 15] = table;
+        at += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = data.readUInt16BE(body);
+    } else if (marker === 0xee && data.toString('latin1', body, body + 5) === 'Adobe') {
+      adobeTransform = data[body + 11];
+    } else if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      if (data[body] !== 8) {
+        throw jpegError('Only 8-bit JPEGs are supported');
+      }
+      frame = {
+        progressive: marker === 0xc2,
+        height: data.readUInt16BE(body + 1),
+        width: data.readUInt16BE(body + 3),
+        components: [],
+      };
+      if (!frame.width || !frame.height) {
+        throw jpegError('JPEG has no size');
+      }
+      if (frame.width * frame.height > maxPixels) {
+        throw jpegError('Image has too many pixels to process');
+      }
+      for (let i = 0; i < data[body + 5]; i += 1) {
+        const at = body + 6 + i * 3;
+        frame.components.push({
+          id: data[at],
+          h: data[at + 1] >> 4 || 1,
+          v: data[at + 1] & 15 || 1,
+          quantId: data[at + 2],
+        });
+      }
+      frame.maxH = Math.max(...frame.components.map((c) => c.h));
+      frame.maxV = Math.max(...frame.components.map((c) => c.v));
+      frame.mcusPerLine = Math.ceil(frame.width / 8 / frame.maxH);
+      frame.mcusPerColumn = Math.ceil(frame.height / 8 / frame.maxV);
+      for (const component of frame.components) {
+        component.blocksPerLine = Math.ceil(
+          Math.ceil((frame.width * component.h) / frame.maxH) / 8
+        );
+        component.blocksPerColumn = Math.ceil(
+          Math.ceil((frame.height * component.v) / frame.maxV) / 8
+        );
+        component.blocksPerLineForMcu = frame.mcusPerLine * component.h;
+        component.blocksPerColumnForMcu = frame.mcusPerColumn * component.v;
+        component.coeffs = new Int16Array(
+          component.blocksPerLineForMcu * component.blocksPerColumnForMcu * 64
+        );
+      }
+    } else if (marker >= 0xc3 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      throw jpegError('Lossless and arithmetic-coded JPEGs are not supported');
+    } else if (marker === 0xda) {
+      if (!frame) {
+        throw jpegError('JPEG scan before frame header');
+      }
+      const components = [];
+      for (let i = 0; i < data[body]; i += 1) {
+        const at = body + 1 + i * 2;
+        const component = frame.components.find((c) => c.id === data[at]);
+        if (!component) {
+          throw jpegError('JPEG scan refers to an unknown component');
+        }
+        component.dcTable = dcTables[data[at + 1] >> 4];
+        component.acTable = acTables[data[at + 1] & 15];
+        components.push(component);
+      }
+      const after = body + 1 + data[body] * 2;
+      pos = decodeScan(data, end, frame, components, {
+        restartInterval,
+        spectralStart: data[after],
+        spectralEnd: data[after + 1],
+        approxHigh: data[after + 2] >> 4,
+        approxLow: data[after + 2] & 15,
+      });
+      continue;
+    }
+    pos = end;
+  }
+
+  if (!frame) {
+    throw jpegError('JPEG has no frame');
+  }
+  for (const component of frame.components) {
+    component.quant = quantTables[component.quantId];
+    if (!component.quant) {
+      throw jpegError('JPEG uses a quantization table it never defines');
+    }
+  }
+  return toRgb(frame, adobeTransform, scale === 8 ? 8 : 1);
+}
+
+module.exports = { decodeJpeg };
@@ -0,0 +1,128 @@
+// Strips metadata from uploaded images: EXIF (camera, GPS position, capture time), XMP, IPTC
+// and comments. Colour profiles and everything needed to draw the image are kept. A JPEG
+// that was turned by EXIF orientation gets a minimal EXIF block holding only that, so it
+// still shows upright.
+
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME'];
+// VP8X header flags for the chunks removed
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+// APP1 segment with an EXIF block that only has the orientation tag
+function orientationSegment(orientation) {
+  const tiff = Buffer.alloc(26);
+  tiff.write('MM', 0, 'latin1');
+  tiff.writeUInt16BE(42, 2);
+  tiff.writeUInt32BE(8, 4);
+  tiff.writeUInt16BE(1, 8);
+  tiff.writeUInt16BE(0x0112, 10);
+  tiff.writeUInt16BE(3, 12);
+  tiff.writeUInt32BE(1, 14);
+  tiff.writeUInt16BE(orientation, 18);
+  const body = Buffer.concat([Buffer.from('Exif\0\0', 'latin1'), tiff]);
+  const head = Buffer.from([0xff, 0xe1, 0, 0]);
+  head.writeUInt16BE(body.length + 2, 2);
+  return Buffer.concat([head, body]);
+}
+
+function isKeptJpegSegment(buffer, pos, marker) {
+  if (marker === 0xfe) {
+    return false;
+  }
+  if (marker < 0xe0 || marker > 0xef) {
+    return true;
+  }
+  // JFIF (APP0), ICC profile (APP2) and Adobe colour transform (APP14)
+  const name = buffer.toString('latin1', pos + 4, pos + 16);
+  return (
+    (marker === 0xe0 && name.startsWith('JFIF')) ||
+    (marker === 0xe2 && name.startsWith('ICC_PROFILE')) ||
+    (marker === 0xee && name.startsWith('Adobe'))
+  );
+}
+
+function stripJpeg(buffer, orientation) {
+  const parts = [buffer.subarray(0, 2)];
+  let pos = 2;
+  let wroteOrientation = orientation === 1;
+  while (pos + 4 <= buffer.length && buffer[pos] === 0xff) {
+    const marker = buffer[pos + 1];
+    if (marker === 0xff) {
+      pos += 1;
+      continue;
+    }
+    // Entropy-coded data runs from the first scan to the end; copy the rest as it is
+    if (marker === 0xda || marker === 0xd9) {
+      break;
+    }
+    const end = pos + 2 + buffer.readUInt16BE(pos + 2);
+    const isApp0 = marker === 0xe0;
+    if (!wroteOrientation && !isApp0) {
+      parts.push(orientationSegment(orientation));
+      wroteOrientation = true;
+    }
+    if (isKeptJpegSegment(buffer, pos, marker)) {
+      parts.push(buffer.subarray(pos, end));
+    }
+    pos = end;
+  }
+  if (!wroteOrientation) {
+    parts.push(orientationSegment(orientation));
+  }
+  parts.push(buffer.subarray(pos));
+  return Buffer.concat(parts);
+}
+
+function stripPng(buffer) {
+  const parts = [buffer.subarray(0, 8)];
+  for (let pos = 8; pos + 12 <= buffer.length; ) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    if (!PNG_METADATA_CHUNKS.includes(type)) {
+      parts.push(buffer.subarray(pos, pos + 12 + length));
+    }
+    pos += 12 + length;
+    if (type === 'IEND') {
+      break;
+    }
+  }
+  return Buffer.concat(parts);
+}
+
+function stripWebp(buffer) {
+  const parts = [];
+  for (let pos = 12; pos + 8 <= buffer.length; ) {
+    const type = buffer.toString('latin1', pos, pos + 4);
+    const size = buffer.readUInt32LE(pos + 4);
+    // Chunks are padded to an even length
+    const end = Math.min(buffer.length, pos + 8 + size + (size % 2));
+    if (type === 'VP8X') {
+      const chunk = Buffer.from(buffer.subarray(pos, end));
+      chunk[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+      parts.push(chunk);
+    } else if (type !== 'EXIF' && type !== 'XMP ') {
+      parts.push(buffer.subarray(pos, end));
+    }
+    pos = end;
+  }
+  const body = Buffer.concat(parts);
+  const header = Buffer.from(buffer.subarray(0, 12));
+  header.writeUInt32LE(body.length + 4, 4);
+  return Buffer.concat([header, body]);
+}
+
+// `info` is what readImageInfo returned for `buffer`
+function stripMetadata(buffer, info) {
+  if (info.format === 'jpeg') {
+    return stripJpeg(buffer, info.orientation || 1);
+  }
+  if (info.format === 'png') {
+    return stripPng(buffer);
+  }
+  if (info.format === 'webp') {
+    return stripWebp(buffer);
+  }
+  return buffer;
+}
+
+module.exports = { stripMetadata };
@@ -0,0 +1,245 @@
+const zlib = require('zlib');
+
+// PNG reading and writing for artwork previews. Decoding handles every colour type, bit
+// depth and Adam7 interlacing; transparency is flattened onto white, as the poster is printed
+// on white paper. Encoding writes 8-bit RGB.
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+
+// Adam7 passes: [x start, y start, x step, y step]
+const ADAM7 = [
+  [0, 0, 8, 8],
+  [4, 0, 8, 8],
+  [0, 4, 4, 8],
+  [2, 0, 4, 4],
+  [0, 2, 2, 4],
+  [1, 0, 2, 2],
+  [0, 1, 1, 2],
+];
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n += 1) {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i += 1) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+function pngError(message) {
+  return Object.assign(new Error(message), { code: 'unsupported_image' });
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) {
+    return a;
+  }
+  return pb <= pc ? b : c;
+}
+
+// Undoes the per-line filters, returning the lines without their filter bytes
+function unfilter(data, offset, lineBytes, lines, bpp) {
+  const out = Buffer.alloc(lineBytes * lines);
+  for (let y = 0; y < lines; y += 1) {
+    const filter = data[offset + y * (lineBytes + 1)];
+    const src = offset + y * (lineBytes + 1) + 1;
+    const line = y * lineBytes;
+    for (let x = 0; x < lineBytes; x += 1) {
+      const left = x >= bpp ? out[line + x - bpp] : 0;
+      const up = y > 0 ? out[line - lineBytes + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? out[line - lineBytes + x - bpp] : 0;
+      let value = data[src + x];
+      if (filter === 1) {
+        value += left;
+      } else if (filter === 2) {
+        value += up;
+      } else if (filter === 3) {
+        value += (left + up) >> 1;
+      } else if (filter === 4) {
+        value += paeth(left, up, upLeft);
+      } else if (filter !== 0) {
+        throw pngError('Corrupt PNG data');
+      }
+      out[line + x] = value;
+    }
+  }
+  return out;
+}
+
+// -> { width, height, data } with `data` holding 8-bit RGB samples
+function decodePng(buffer, { maxPixels = Infinity } = {}) {
+  if (!buffer.subarray(0, 8).equals(SIGNATURE)) {
+    throw pngError('Not a PNG file');
+  }
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+  for (let pos = 8; pos + 8 <= buffer.length; ) {
+    const length = buffer.readUInt32BE(pos);
+    const type = buffer.toString('latin1', pos + 4, pos + 8);
+    const body = buffer.subarray(pos + 8, pos + 8 + length);
+    if (type === 'IHDR') {
+      header = {
+        width: body.readUInt32BE(0),
+        height: body.readUInt32BE(4),
+        bitDepth: body[8],
+        colorType: body[9],
+        interlaced: body[12] === 1,
+      };
+    } else if (type === 'PLTE') {
+      palette = body;
+    } else if (type === 'tRNS') {
+      transparency = body;
+    } else if (type === 'IDAT') {
+      idat.push(body);
+    } else if (type === 'IEND') {
+      break;
+    }
+    pos += 12 + length;
+  }
+  if (!header || !CHANNELS[header.colorType]) {
+    throw pngError('PNG has no usable header');
+  }
+  const { width, height, bitDepth, colorType } = header;
+  if (!width || !height || width * height > maxPixels) {
+    throw pngError('Image has too many pixels to process');
+  }
+  if (colorType === 3 && !palette) {
+    throw pngError('PNG palette is missing');
+  }
+  const channels = CHANNELS[colorType];
+  const bitsPerPixel = channels * bitDepth;
+  const bpp = Math.max(1, bitsPerPixel >> 3);
+  const maxValue = (1 << bitDepth) - 1;
+  const raw = zlib.inflateSync(Buffer.concat(idat));
+  const rgb = new Uint8ClampedArray(width * height * 3);
+
+  // Sample `index` of a line, scaled to 0-255 (palette indexes are left alone)
+  const sample = (line, offset, index) => {
+    if (bitDepth === 8) {
+      return line[offset + index];
+    }
+    if (bitDepth === 16) {
+      return line[offset + index * 2];
+    }
+    const bit = index * bitDepth;
+    const value = (line[offset + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxValue;
+    return colorType === 3 ? value : Math.round((value * 255) / maxValue);
+  };
+  const rawSample = (line, offset, index) =>
+    bitDepth === 16 ? line.readUInt16BE(offset + index * 2) : sample(line, offset, index);
+
+  const put = (x, y, line, offset, column) => {
+    const base = column * channels;
+    let r;
+    let g;
+    let b;
+    let alpha = 255;
+    if (colorType === 3) {
+      const entry = sample(line, offset, base);
+      r = palette[entry * 3];
+      g = palette[entry * 3 + 1];
+      b = palette[entry * 3 + 2];
+      alpha = transparency && entry < transparency.length ? transparency[entry] : 255;
+    } else if (colorType === 0 || colorType === 4) {
+      r = g = b = sample(line, offset, base);
+      if (colorType === 4) {
+        alpha = sample(line, offset, base + 1);
+      } else if (transparency && rawSample(line, offset, base) === transparency.readUInt16BE(0)) {
+        alpha = 0;
+      }
+    } else {
+      r = sample(line, offset, base);
+      g = sample(line, offset, base + 1);
+      b = sample(line, offset, base + 2);
+      if (colorType === 6) {
+        alpha = sample(line, offset, base + 3);
+      } else if (
+        transparency &&
+        rawSample(line, offset, base) === transparency.readUInt16BE(0) &&
+        rawSample(line, offset, base + 1) === transparency.readUInt16BE(2) &&
+        rawSample(line, offset, base + 2) === transparency.readUInt16BE(4)
+      ) {
+        alpha = 0;
+      }
+    }
+    const out = (y * width + x) * 3;
+    const white = 255 - alpha;
+    rgb[out] = (r * alpha + 255 * white) / 255;
+    rgb[out + 1] = (g * alpha + 255 * white) / 255;
+    rgb[out + 2] = (b * alpha + 255 * white) / 255;
+  };
+
+  const passes = header.interlaced ? ADAM7 : [[0, 0, 1, 1]];
+  let offset = 0;
+  for (const [x0, y0, dx, dy] of passes) {
+    const columns = Math.ceil((width - x0) / dx);
+    const lines = Math.ceil((height - y0) / dy);
+    if (columns <= 0 || lines <= 0) {
+      continue;
+    }
+    const lineBytes = Math.ceil((columns * bitsPerPixel) / 8);
+    if (offset + lines * (lineBytes + 1) > raw.length) {
+      throw pngError('PNG data is truncated');
+    }
+    const pixels = unfilter(raw, offset, lineBytes, lines, bpp);
+    for (let j = 0; j < lines; j += 1) {
+      for (let i = 0; i < columns; i += 1) {
+        put(x0 + i * dx, y0 + j * dy, pixels, j * lineBytes, i);
+      }
+    }
+    offset += lines * (lineBytes + 1);
+  }
+  return { width, height, data: rgb };
+}
+
+function chunk(type, body) {
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(body.length, 0);
+  head.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([head.subarray(4), body])), 0);
+  return Buffer.concat([head, body, crc]);
+}
+
+// `image` is { width, height, data } with 8-bit RGB samples
+function encodePng({ width, height, data }) {
+  const lineBytes = width * 3;
+  const filtered = Buffer.alloc((lineBytes + 1) * height);
+  for (let y = 0; y < height; y += 1) {
+    const out = y * (lineBytes + 1);
+    const line = y * lineBytes;
+    // The Sub filter: each byte less the one a pixel to its left
+    filtered[out] = 1;
+    for (let x = 0; x < lineBytes; x += 1) {
+      filtered[out + 1 + x] = data[line + x] - (x >= 3 ? data[line + x - 3] : 0);
+    }
+  }
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8;
+  header[9] = 2;
+  return Buffer.concat([
+    SIGNATURE,
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(filtered)),
+    chunk('IEND', Buffer.alloc(0)),
+  ]);
+}
+
+module.exports = { decodePng, encodePng };
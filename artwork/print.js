@@ -0,0 +1,212 @@
+const { createPdf } = require('../invoices/pdf');
+const { decodeJpeg } = require('./jpeg');
+const { decodePng, encodePng } = require('./png');
+const { cropResize, fitWithin, orient } = require('./raster');
+
+// How customer artwork fits the posters it is printed on. Posters are printed edge to edge:
+// the image is scaled to cover the poster and centred, so whatever sticks out past the
+// poster's aspect ratio is cropped. A landscape image is printed on the poster turned
+// landscape rather than cropped to a portrait. Sizes and crops are of the image shown
+// upright, after its EXIF orientation.
+
+const POINTS_PER_INCH = 72;
+const PRINT_SIZE_PATTERN = /^\s*([\d.]+)\s*[x×]\s*([\d.]+)\s*(inches|inch|in|"|cm|mm)?\s*$/i;
+const UNIT_INCHES = { in: 1, inch: 1, inches: 1, '"': 1, cm: 1 / 2.54, mm: 1 / 25.4 };
+
+// '8x12 inches' -> { width: 8, height: 12 } in inches, or null
+function parsePrintSize(text) {
+  const match = PRINT_SIZE_PATTERN.exec(String(text || ''));
+  if (!match) {
+    return null;
+  }
+  const factor = UNIT_INCHES[(match[3] || 'inches').toLowerCase()];
+  const width = Number(match[1]) * factor;
+  const height = Number(match[2]) * factor;
+  return width > 0 && height > 0 ? { width, height } : null;
+}
+
+// { width, height } of the image once turned upright
+function uprightSize(info) {
+  return info.orientation >= 5
+    ? { width: info.height, height: info.width }
+    : { width: info.width, height: info.height };
+}
+
+function unsupported(message) {
+  return Object.assign(new Error(message), { code: 'unsupported_image' });
+}
+
+// The print size turned to match the image, and the centred part of the image it shows
+function fitToPrint(image, printSize) {
+  const landscape = image.width > image.height;
+  const turn =
+    printSize.width !== printSize.height && landscape !== printSize.width > printSize.height;
+  const print = turn ? { width: printSize.height, height: printSize.width } : printSize;
+  const scale = Math.min(image.width / print.width, image.height / print.height);
+  const width = Math.round(print.width * scale);
+  const height = Math.round(print.height * scale);
+  return {
+    print,
+    orientation: print.width > print.height ? 'landscape' : 'portrait',
+    // pixels per inch of poster
+    dpi: scale,
+    crop: {
+      x: Math.floor((image.width - width) / 2),
+      y: Math.floor((image.height - height) / 2),
+      width,
+      height,
+    },
+  };
+}
+
+// Effective resolution of `info` (from readImageInfo) on each size in `dimensions` (a
+// product's { M: '8x12 inches', ... }). Below `minDpi` a size can't be ordered; below
+// `warnDpi` the customer is told the print will look soft.
+function assessArtwork(info, dimensions, { minDpi, warnDpi }) {
+  const upright = uprightSize(info);
+  return Object.entries(dimensions || {})
+    .map(([size, label]) => {
+      const printSize = parsePrintSize(label);
+      if (!printSize) {
+        return null;
+      }
+      const fit = fitToPrint(upright, printSize);
+      const dpi = Math.floor(fit.dpi);
+      let status = 'ok';
+      let message = null;
+      if (dpi < minDpi) {
+        status = 'block';
+        message = `Too low resolution for ${label}: ${dpi} DPI, at least ${minDpi} is needed`;
+      } else if (dpi < warnDpi) {
+        status = 'warn';
+        message = `${dpi} DPI on ${label}; the print may look soft (${warnDpi}+ DPI is best)`;
+      }
+      return {
+        size,
+        print_size: label,
+        orientation: fit.orientation,
+        effective_dpi: dpi,
+        crop: fit.crop,
+        cropped_percent: Math.round(
+          (1 - (fit.crop.width * fit.crop.height) / (upright.width * upright.height)) * 100
+        ),
+        status,
+        message,
+      };
+    })
+    .filter(Boolean);
+}
+
+// Decodes JPEG or PNG artwork upright, at 1/8 size when that still leaves `minSize` pixels
+// on the short side (much quicker for big photos).
+function decodeArtwork(buffer, info, { minSize = 0, maxPixels } = {}) {
+  if (info.format === 'jpeg') {
+    const scale = Math.min(info.width, info.height) / 8 >= minSize ? 8 : 1;
+    return orient(decodeJpeg(buffer, { scale, maxPixels }), info.orientation);
+  }
+  if (info.format === 'png') {
+    return decodePng(buffer, { maxPixels });
+  }
+  throw unsupported(`${String(info.format).toUpperCase()} images can't be printed`);
+}
+
+// PNG of the whole image, at most `maxSize` pixels on its long side
+function renderThumbnail(buffer, info, { maxSize, maxPixels }) {
+  const upright = uprightSize(info);
+  const longSide = Math.max(upright.width, upright.height);
+  const size = fitWithin(upright.width / upright.height, Math.min(maxSize, longSide));
+  const image = decodeArtwork(buffer, info, {
+    minSize: Math.min(size.width, size.height),
+    maxPixels,
+  });
+  const whole = { x: 0, y: 0, width: image.width, height: image.height };
+  return encodePng(cropResize(image, whole, size.width, size.height));
+}
+
+// PNG of the part of the image that ends up on a poster of `printSize` (inches)
+function renderCropPreview(buffer, info, printSize, { maxSize, maxPixels }) {
+  const upright = uprightSize(info);
+  const { crop } = fitToPrint(upright, printSize);
+  const longSide = Math.max(crop.width, crop.height);
+  const size = fitWithin(crop.width / crop.height, Math.min(maxSize, longSide));
+  const image = decodeArtwork(buffer, info, {
+    minSize: Math.min(size.width, size.height),
+    maxPixels,
+  });
+  const ratio = image.width / upright.width;
+  const box = {
+    x: crop.x * ratio,
+    y: crop.y * ratio,
+    width: crop.width * ratio,
+    height: crop.height * ratio,
+  };
+  return encodePng(cropResize(image, box, size.width, size.height));
+}
+
+// The image as a PDF XObject. JPEGs are embedded untouched; PNGs are flattened to RGB.
+function pdfImage(buffer, info, maxPixels) {
+  if (info.format === 'jpeg') {
+    const colorSpaces = { 1: 'DeviceGray', 3: 'DeviceRGB', 4: 'DeviceCMYK' };
+    if (!colorSpaces[info.components]) {
+      throw unsupported('Unsupported JPEG colour format');
+    }
+    return {
+      width: info.width,
+      height: info.height,
+      colorSpace: colorSpaces[info.components],
+      filter: 'DCTDecode',
+      // Adobe CMYK JPEGs are stored inverted
+      decode:
+        info.components === 4 && info.adobe_transform !== null ? [1, 0, 1, 0, 1, 0, 1, 0] : null,
+      data: buffer,
+    };
+  }
+  const image = decodeArtwork(buffer, info, { maxPixels });
+  return {
+    width: image.width,
+    height: image.height,
+    colorSpace: 'DeviceRGB',
+    data: Buffer.from(image.data.buffer, image.data.byteOffset, image.data.length),
+  };
+}
+
+// Print-ready PDF: one page the size of the poster plus `bleed` inches on every side, with the
+// artwork covering all of it. TrimBox marks where the poster is cut.
+function renderPrintPdf(buffer, info, printSize, { bleed = 0.125, title = '', maxPixels } = {}) {
+  const upright = uprightSize(info);
+  const { print } = fitToPrint(upright, printSize);
+  const width = (print.width + bleed * 2) * POINTS_PER_INCH;
+  const height = (print.height + bleed * 2) * POINTS_PER_INCH;
+  const edge = bleed * POINTS_PER_INCH;
+  const pdf = createPdf({
+    title,
+    width: Number(width.toFixed(2)),
+    height: Number(height.toFixed(2)),
+    boxes: {
+      BleedBox: [0, 0, width.toFixed(2), height.toFixed(2)],
+      TrimBox: [edge, edge, width - edge, height - edge].map((v) => v.toFixed(2)),
+    },
+  });
+  const scale = Math.max(width / upright.width, height / upright.height);
+  const drawWidth = upright.width * scale;
+  const drawHeight = upright.height * scale;
+  pdf.image(
+    Number(((width - drawWidth) / 2).toFixed(2)),
+    Number(((height - drawHeight) / 2).toFixed(2)),
+    Number(drawWidth.toFixed(2)),
+    Number(drawHeight.toFixed(2)),
+    pdfImage(buffer, info, maxPixels),
+    // Embedded JPEGs are stored as they came; decoded images are already upright
+    { orientation: info.format === 'jpeg' ? info.orientation : 1 }
+  );
+  return pdf.toBuffer();
+}
+
+module.exports = {
+  uprightSize,
+  parsePrintSize,
+  assessArtwork,
+  renderThumbnail,
+  renderCropPreview,
+  renderPrintPdf,
+};
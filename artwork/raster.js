@@ -0,0 +1,85 @@
+// Cropping and resizing of decoded RGB images ({ width, height, data }).
+
+// Resamples `box` ({ x, y, width, height } in source pixels) to `width` x `height`, averaging
+// the source pixels that fall under each output pixel. Enlarging repeats pixels instead.
+function cropResize(image, box, width, height) {
+  const data = new Uint8ClampedArray(width * height * 3);
+  const scaleX = box.width / width;
+  const scaleY = box.height / height;
+  const spans = (start, scale, count, limit) => {
+    const from = new Int32Array(count);
+    const to = new Int32Array(count);
+    for (let i = 0; i < count; i += 1) {
+      from[i] = Math.min(limit - 1, Math.floor(start + i * scale));
+      to[i] = Math.max(from[i] + 1, Math.min(limit, Math.floor(start + (i + 1) * scale)));
+    }
+    return { from, to };
+  };
+  const xs = spans(box.x, scaleX, width, image.width);
+  const ys = spans(box.y, scaleY, height, image.height);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      let r = 0;
+      let g = 0;
+      let b = 0;
+      for (let sy = ys.from[y]; sy < ys.to[y]; sy += 1) {
+        for (let sx = xs.from[x]; sx < xs.to[x]; sx += 1) {
+          const at = (sy * image.width + sx) * 3;
+          r += image.data[at];
+          g += image.data[at + 1];
+          b += image.data[at + 2];
+        }
+      }
+      const count = (ys.to[y] - ys.from[y]) * (xs.to[x] - xs.from[x]);
+      const out = (y * width + x) * 3;
+      data[out] = r / count;
+      data[out + 1] = g / count;
+      data[out + 2] = b / count;
+    }
+  }
+  return { width, height, data };
+}
+
+// Largest size with the given aspect ratio that fits in `max` x `max`
+function fitWithin(aspect, max) {
+  return aspect >= 1
+    ? { width: max, height: Math.max(1, Math.round(max / aspect)) }
+    : { width: Math.max(1, Math.round(max * aspect)), height: max };
+}
+
+// Turns a decoded image upright according to its EXIF orientation (1-8)
+function orient(image, orientation) {
+  if (!orientation || orientation === 1) {
+    return image;
+  }
+  const { width: w, height: h } = image;
+  const sideways = orientation >= 5;
+  const width = sideways ? h : w;
+  const height = sideways ? w : h;
+  // Source pixel for upright pixel (x, y)
+  const source = [
+    null,
+    null,
+    (x, y) => [w - 1 - x, y],
+    (x, y) => [w - 1 - x, h - 1 - y],
+    (x, y) => [x, h - 1 - y],
+    (x, y) => [y, x],
+    (x, y) => [y, h - 1 - x],
+    (x, y) => [w - 1 - y, h - 1 - x],
+    (x, y) => [w - 1 - y, x],
+  ][orientation];
+  const data = new Uint8ClampedArray(width * height * 3);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const [sx, sy] = source(x, y);
+      const from = (sy * w + sx) * 3;
+      const to = (y * width + x) * 3;
+      data[to] = image.data[from];
+      data[to + 1] = image.data[from + 1];
+      data[to + 2] = image.data[from + 2];
+    }
+  }
+  return { width, height, data };
+}
+
+module.exports = { cropResize, fitWithin, orient };
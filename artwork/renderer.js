@@ -0,0 +1,69 @@
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Decoding a full-size upload and encoding the result takes seconds, so renders run on a
+// worker thread and the server's event loop stays free. Jobs go to one worker in turn; if
+// the worker dies its jobs fail and the next render starts a new one.
+function createRenderer({ log = () => {} } = {}) {
+  let worker = null;
+  let nextId = 1;
+  const jobs = new Map();
+
+  function failAll(err) {
+    for (const { reject } of jobs.values()) {
+      reject(err);
+    }
+    jobs.clear();
+  }
+
+  function start() {
+    worker = new Worker(path.join(__dirname, 'worker.js'));
+    worker.on('message', ({ id, bytes, error }) => {
+      const job = jobs.get(id);
+      jobs.delete(id);
+      if (!job) {
+        return;
+      }
+      if (error) {
+        job.reject(Object.assign(new Error(error.message), { code: error.code }));
+      } else {
+        job.resolve(Buffer.from(bytes.buffer, bytes.byteOffset, bytes.length));
+      }
+      if (jobs.size === 0) {
+        worker.unref();
+      }
+    });
+    worker.on('error', (err) => {
+      log('Artwork renderer failed', err.message || err);
+      failAll(err);
+    });
+    worker.on('exit', (code) => {
+      worker = null;
+      failAll(new Error(`Artwork renderer stopped (exit code ${code})`));
+    });
+  }
+
+  // Runs `kind` ('thumbnail', 'preview' or 'print') on the upload at `file`; resolves with
+  // the rendered Buffer
+  function render(kind, file, info, ...args) {
+    if (!worker) {
+      start();
+    }
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      jobs.set(id, { resolve, reject });
+      worker.ref();
+      worker.postMessage({ id, kind, file, info, args });
+    });
+  }
+
+  async function close() {
+    if (worker) {
+      await worker.terminate();
+    }
+  }
+
+  return { render, close };
+}
+
+module.exports = { createRenderer };
@@ -0,0 +1,21 @@
+const fs = require('fs');
+const { parentPort } = require('worker_threads');
+const { renderThumbnail, renderCropPreview, renderPrintPdf } = require('./print');
+
+// The thread artwork/renderer.js starts. Each message names a render function, the upload
+// to read and the arguments after its buffer and info; the answer carries the rendered
+// bytes or the error.
+
+const RENDERERS = { thumbnail: renderThumbnail, preview: renderCropPreview, print: renderPrintPdf };
+
+parentPort.on('message', ({ id, kind, file, info, args }) => {
+  try {
+    const output = RENDERERS[kind](fs.readFileSync(file), info, ...args);
+    const bytes = new Uint8Array(output.buffer, output.byteOffset, output.length);
+    // Small Buffers share Node's pool, which must not be handed over
+    const own = output.byteOffset === 0 && output.buffer.byteLength === output.length;
+    parentPort.postMessage({ id, bytes }, own ? [bytes.buffer] : []);
+  } catch (err) {
+    parentPort.postMessage({ id, error: { message: err.message, code: err.code } });
+  }
+});
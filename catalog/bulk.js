@@ -0,0 +1,263 @@
+const { parseCsv } = require('../payments/statement');
+const { OPTION_AXES } = require('./variants');
+
+// Catalog files for bulk import and export. JSON is { products: [...] } (or just the list),
+// products as the API takes and returns them. CSV has one row per variant; the product's own
+// columns repeat on each of its rows or are left blank after the first:
+//
+//   id,type,title,...,dimensions,sku,size,finish,frame,paper,price,stock,weight_grams
+//   poster-nature-001,poster,Misty Peaks,...,8x12 inches,,M,matte,unframed,,799,5,900
+//
+// `tags` and `images` are lists separated by '|', and `dimensions` is the print size of the
+// row's size. Blank cells are values not given: an imported product keeps what it had.
+
+const FORMATS = ['csv', 'json'];
+const LIST_SEPARATOR = '|';
+const PRODUCT_COLUMNS = [
+  'id',
+  'type',
+  'title',
+  'description',
+  'category',
+  'tags',
+  'images',
+  'featured',
+  'allow_backorder',
+  'hsn_code',
+  'gst_rate',
+  'materials',
+];
+const VARIANT_COLUMNS = ['dimensions', 'sku', ...OPTION_AXES, 'price', 'stock', 'weight_grams'];
+const CSV_COLUMNS = [...PRODUCT_COLUMNS, ...VARIANT_COLUMNS];
+const REQUIRED_COLUMNS = ['id', 'size', 'price'];
+const BOOLEANS = { true: true, yes: true, 1: true, false: false, no: false, 0: false };
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The catalog as CSV, one row per variant
+function productsToCsv(products) {
+  const rows = [];
+  for (const product of products) {
+    const fields = {
+      ...product,
+      tags: (product.tags || []).join(LIST_SEPARATOR),
+      images: (product.images || []).join(LIST_SEPARATOR),
+    };
+    for (const variant of product.variants || []) {
+      const row = {
+        ...fields,
+        dimensions: (product.dimensions || {})[variant.options.size],
+        ...variant.options,
+        sku: variant.sku,
+        price: variant.price,
+        stock: variant.stock,
+        weight_grams: variant.weight_grams,
+      };
+      rows.push(CSV_COLUMNS.map((column) => csvCell(row[column])).join(','));
+    }
+  }
+  return [CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+// One non-blank CSV cell -> { value } or { error }
+function parseCell(column, text) {
+  if (column === 'tags' || column === 'images') {
+    return { value: text.split(LIST_SEPARATOR).map((v) => v.trim()).filter(Boolean) };
+  }
+  if (column === 'featured' || column === 'allow_backorder') {
+    const value = BOOLEANS[text.toLowerCase()];
+    return value === undefined ? { error: `${column} must be true or false` } : { value };
+  }
+  if (['price', 'stock', 'weight_grams', 'gst_rate'].includes(column)) {
+    const value = Number(text);
+    return Number.isFinite(value) ? { value } : { error: `${column} must be a number` };
+  }
+  return { value: text };
+}
+
+function checkHeader(columns) {
+  const errors = [];
+  columns.forEach((column, i) => {
+    if (!CSV_COLUMNS.includes(column)) {
+      errors.push({ row: 1, field: column, error: `Unknown column ${column || i + 1}` });
+    } else if (columns.indexOf(column) !== i) {
+      errors.push({ row: 1, field: column, error: `The ${column} column is listed twice` });
+    }
+  });
+  for (const column of REQUIRED_COLUMNS.filter((c) => !columns.includes(c))) {
+    errors.push({ row: 1, field: column, error: `Missing column ${column}` });
+  }
+  return errors;
+}
+
+// A product column may be blank on a product's later rows, but not say something else
+function setOnce(product, field, value, row, errors) {
+  const previous = product.given[field];
+  if (previous && JSON.stringify(previous.value) !== JSON.stringify(value)) {
+    errors.push({
+      row,
+      id: product.data.id,
+      field,
+      error: `${field} differs from row ${previous.row} of the same product`,
+    });
+    return false;
+  }
+  product.given[field] = previous || { value, row };
+  return true;
+}
+
+function parseProductCsv(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { products: [], errors: [{ row: 1, error: 'The file is empty' }] };
+  }
+  const columns = header.map((h) => h.trim().toLowerCase());
+  const headerErrors = checkHeader(columns);
+  if (headerErrors.length > 0) {
+    return { products: [], errors: headerErrors };
+  }
+
+  const errors = [];
+  const groups = new Map();
+  rows.forEach((cells, i) => {
+    const row = i + 2;
+    const record = {};
+    let valid = true;
+    columns.forEach((column, c) => {
+      const text = (cells[c] || '').trim();
+      if (text === '') {
+        return;
+      }
+      const parsed = parseCell(column, text);
+      if (parsed.error) {
+        errors.push({ row, id: record.id, field: column, error: parsed.error });
+        valid = false;
+      } else {
+        record[column] = parsed.value;
+      }
+    });
+    if (!record.id) {
+      errors.push({ row, field: 'id', error: 'id is required' });
+      return;
+    }
+    if (!groups.has(record.id)) {
+      groups.set(record.id, { row, data: { id: record.id }, given: {}, variants: [] });
+    }
+    const product = groups.get(record.id);
+    product.valid = product.valid !== false && valid;
+    for (const field of PRODUCT_COLUMNS.filter((c) => c !== 'id' && c in record)) {
+      product.valid = setOnce(product, field, record[field], row, errors) && product.valid;
+    }
+    if (record.dimensions && record.size) {
+      const field = `dimensions.${record.size}`;
+      product.valid = setOnce(product, field, record.dimensions, row, errors) && product.valid;
+    }
+    product.variants.push({
+      row,
+      sku: record.sku,
+      options: Object.fromEntries(OPTION_AXES.filter((a) => record[a]).map((a) => [a, record[a]])),
+      price: record.price,
+      stock: record.stock,
+      weight_grams: record.weight_grams,
+    });
+  });
+
+  const products = [];
+  for (const product of groups.values()) {
+    // Every row of a product names the same axes, and the values keep the order of the file
+    const axes = OPTION_AXES.filter((axis) => product.variants.some((v) => v.options[axis]));
+    for (const variant of product.variants) {
+      for (const axis of axes.filter((a) => !variant.options[a])) {
+        errors.push({
+          row: variant.row,
+          id: product.data.id,
+          field: axis,
+          error: `${axis} is required as other rows of ${product.data.id} have one`,
+        });
+        product.valid = false;
+      }
+    }
+    if (!product.valid) {
+      continue;
+    }
+    const data = { ...product.data };
+    for (const [field, { value }] of Object.entries(product.given)) {
+      if (field.startsWith('dimensions.')) {
+        data.dimensions = { ...data.dimensions, [field.slice('dimensions.'.length)]: value };
+      } else {
+        data[field] = value;
+      }
+    }
+    data.options = axes.map((name) => ({
+      name,
+      values: [...new Set(product.variants.map((v) => v.options[name]))],
+    }));
+    data.variants = product.variants.map(({ row, ...variant }) => variant);
+    products.push({ row: product.row, data });
+  }
+  return { products, errors };
+}
+
+function parseProductJson(content) {
+  let parsed = content;
+  if (typeof content === 'string') {
+    try {
+      parsed = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (err) {
+      return { error: 'The file is not valid JSON' };
+    }
+  }
+  const list = Array.isArray(parsed) ? parsed : parsed && parsed.products;
+  if (!Array.isArray(list)) {
+    return { error: 'JSON catalogs are a list of products or { products: [...] }' };
+  }
+  const products = [];
+  const errors = [];
+  list.forEach((data, i) => {
+    if (isPlainObject(data)) {
+      products.push({ row: i + 1, data });
+    } else {
+      errors.push({ row: i + 1, error: 'Each product must be an object' });
+    }
+  });
+  return { products, errors };
+}
+
+// A catalog file -> { products: [{ row, data }], errors: [{ row, id?, field?, error }] }, or
+// { error } when it can't be read at all. `data` is a product payload; `row` is its first CSV
+// row (the header is row 1) or its position in the JSON list, from 1. Products with errors in
+// their rows are left out of `products`.
+function parseCatalog(content, format) {
+  if (!FORMATS.includes(format)) {
+    return { error: `format must be one of ${FORMATS.join(', ')}` };
+  }
+  return format === 'csv' ? parseProductCsv(String(content || '')) : parseProductJson(content);
+}
+
+// An image as stored: URLs and paths stay as they are; a bare file name is an upload when
+// `uploadExists(name)` says so, and otherwise a file under `base`
+function mapImagePath(image, { base = 'images/', uploadExists = () => false } = {}) {
+  const value = String(image).trim();
+  if (value.includes('/')) {
+    return value;
+  }
+  if (uploadExists(value)) {
+    return `/uploads/${value}`;
+  }
+  return `${base.endsWith('/') ? base : `${base}/`}${value}`;
+}
+
+module.exports = {
+  FORMATS,
+  CSV_COLUMNS,
+  productsToCsv,
+  parseCatalog,
+  mapImagePath,
+};
@@ -0,0 +1,55 @@
+const {
+  OPTION_AXES,
+  skuFor,
+  variantLabel,
+  resolveVariants,
+  applySizeChanges,
+  summarizeVariants,
+  findVariant,
+  withVariants,
+} = require('./variants');
+const { FORMATS, CSV_COLUMNS, productsToCsv, parseCatalog, mapImagePath } = require('./bulk');
+
+// Product variants (one SKU per combination of size, finish, frame and paper):
+//
+//   resolveVariants(data, productId)
+//                        -> { options, variants } from a product payload, or { error };
+//                        payloads with only price/stock by size get one variant per size
+//   applySizeChanges(product, { price?, stock? })
+//                        -> { options, variants } of a size-only product with the sizes given
+//                        changed (others kept, SKUs kept), or { error }
+//   summarizeVariants(options, variants)
+//                        -> { price, stock } by size (cheapest price, total stock)
+//   findVariant(product, { sku } | { size, options })
+//                        the variant a cart or order line means, defaults filled in, or null
+//   variantLabel(options) 'M · Glossy'
+//   skuFor(productId, options)
+//                        'POSTER-NATURE-001-M-GLOSSY'
+//   withVariants(product) the product with variants and its summary, for stored products
+//
+// Stock and reservations are kept per SKU by server.js.
+//
+// Catalog files (FORMATS: csv, one row per variant, or json):
+//
+//   productsToCsv(products) the catalog as CSV with CSV_COLUMNS
+//   parseCatalog(content, format)
+//                        -> { products: [{ row, data }], errors: [{ row, id?, field?, error }] }
+//                        with `data` a product payload, or { error } for unreadable files
+//   mapImagePath(image, { base, uploadExists })
+//                        'str.jpg' -> 'images/str.jpg', or '/uploads/str.jpg' for an upload
+
+module.exports = {
+  OPTION_AXES,
+  skuFor,
+  variantLabel,
+  resolveVariants,
+  applySizeChanges,
+  summarizeVariants,
+  findVariant,
+  withVariants,
+  FORMATS,
+  CSV_COLUMNS,
+  productsToCsv,
+  parseCatalog,
+  mapImagePath,
+};
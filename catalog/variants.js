@@ -0,0 +1,233 @@
+// Product variants. A product lists the option axes it is sold in and every combination it
+// actually sells; each combination is a SKU with its own price, stock and weight:
+//
+//   options:  [{ name: 'size', values: ['M', 'L'] },
+//              { name: 'finish', values: ['matte', 'glossy'] }]
+//   variants: [{ sku: 'POSTER-NATURE-001-M-MATTE', options: { size: 'M', finish: 'matte' },
+//                price: 299, stock: 50, weight_grams: null }, ...]
+//
+// The first value of an axis is its default, so a cart line that only names a size gets the
+// default finish, frame and paper. `price` and `stock` by size are kept on the product as a
+// summary (cheapest price, total stock) for listings and older clients.
+
+const OPTION_AXES = ['size', 'finish', 'frame', 'paper'];
+const SKU_PATTERN = /^[A-Z0-9][A-Z0-9-]*$/;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+// 'poster-nature-001', { size: 'M', finish: 'matte' } -> 'POSTER-NATURE-001-M-MATTE'
+function skuFor(productId, options) {
+  return [productId, ...OPTION_AXES.filter((axis) => options[axis]).map((axis) => options[axis])]
+    .join('-')
+    .toUpperCase()
+    .replace(/[^A-Z0-9-]+/g, '-');
+}
+
+// Option values in axis order: { finish: 'glossy', size: 'M' } -> 'M · Glossy'
+function variantLabel(options = {}) {
+  return OPTION_AXES.filter((axis) => options[axis])
+    .map((axis) => String(options[axis]))
+    .map((value) => value.charAt(0).toUpperCase() + value.slice(1))
+    .join(' · ');
+}
+
+function resolveOptions(options) {
+  if (!Array.isArray(options) || options.length === 0) {
+    return { error: 'options must list the option axes' };
+  }
+  const resolved = [];
+  for (const axis of options) {
+    if (!isPlainObject(axis) || !OPTION_AXES.includes(axis.name)) {
+      return { error: `Option axes must be named ${OPTION_AXES.join(', ')}` };
+    }
+    if (resolved.some((a) => a.name === axis.name)) {
+      return { error: `The ${axis.name} axis is listed twice` };
+    }
+    const values = Array.isArray(axis.values) ? axis.values.map((v) => String(v).trim()) : [];
+    if (values.length === 0 || values.some((v) => !v) || new Set(values).size !== values.length) {
+      return { error: `The ${axis.name} axis needs distinct, non-empty values` };
+    }
+    resolved.push({ name: axis.name, values });
+  }
+  if (!resolved.some((axis) => axis.name === 'size')) {
+    return { error: 'Every product needs a size axis' };
+  }
+  // Axes are kept in OPTION_AXES order so SKUs and labels read the same everywhere
+  resolved.sort((a, b) => OPTION_AXES.indexOf(a.name) - OPTION_AXES.indexOf(b.name));
+  return { options: resolved };
+}
+
+function resolveVariant(variant, productId, options) {
+  if (!isPlainObject(variant) || !isPlainObject(variant.options)) {
+    return { error: 'Each variant needs its options' };
+  }
+  const chosen = {};
+  for (const axis of options) {
+    const value = variant.options[axis.name];
+    if (!axis.values.includes(value)) {
+      return { error: `Variant ${axis.name} must be one of ${axis.values.join(', ')}` };
+    }
+    chosen[axis.name] = value;
+  }
+  const extra = Object.keys(variant.options).find((name) => !(name in chosen));
+  if (extra) {
+    return { error: `The product has no ${extra} axis` };
+  }
+  const label = variantLabel(chosen);
+  const price = Number(variant.price);
+  if (!Number.isFinite(price) || price <= 0) {
+    return { error: `Price of ${label} must be a positive number` };
+  }
+  const stock = Number(variant.stock ?? 0);
+  if (!Number.isInteger(stock) || stock < 0) {
+    return { error: `Stock of ${label} must be a whole number of 0 or more` };
+  }
+  let weight = null;
+  if (variant.weight_grams !== undefined && variant.weight_grams !== null) {
+    weight = Number(variant.weight_grams);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      return { error: `Weight of ${label} must be a positive number of grams` };
+    }
+  }
+  const sku = variant.sku ? String(variant.sku).trim().toUpperCase() : skuFor(productId, chosen);
+  if (!SKU_PATTERN.test(sku)) {
+    return { error: `SKU ${sku} may only use letters, digits and dashes` };
+  }
+  return { variant: { sku, options: chosen, price, stock, weight_grams: weight } };
+}
+
+// `data` (a product create or update payload) -> { options, variants } or { error }. Payloads
+// without variants are read the old way: `price` and `stock` by size become one variant per
+// size.
+function resolveVariants(data, productId) {
+  let options = data.options;
+  let variants = data.variants;
+  if (variants === undefined) {
+    if (options !== undefined) {
+      return { error: 'variants are required when options are given' };
+    }
+    if (!isPlainObject(data.price) || Object.keys(data.price).length === 0) {
+      return { error: 'Either variants or price by size is required' };
+    }
+    const sizes = Object.keys(data.price);
+    options = [{ name: 'size', values: sizes }];
+    variants = sizes.map((size) => ({
+      options: { size },
+      price: data.price[size],
+      stock: isPlainObject(data.stock) ? data.stock[size] : 0,
+    }));
+  }
+  const axes = resolveOptions(options);
+  if (axes.error) {
+    return axes;
+  }
+  if (!Array.isArray(variants) || variants.length === 0) {
+    return { error: 'variants must list at least one SKU' };
+  }
+  const resolved = [];
+  for (const variant of variants) {
+    const result = resolveVariant(variant, productId, axes.options);
+    if (result.error) {
+      return result;
+    }
+    const { sku, options: chosen } = result.variant;
+    if (resolved.some((v) => v.sku === sku)) {
+      return { error: `SKU ${sku} is listed twice` };
+    }
+    if (resolved.some((v) => variantLabel(v.options) === variantLabel(chosen))) {
+      return { error: `${variantLabel(chosen)} is listed twice` };
+    }
+    resolved.push(result.variant);
+  }
+  return { options: axes.options, variants: resolved };
+}
+
+// Price and/or stock by size applied to a product sold by size alone -> { options, variants }
+// or { error }. Sizes that are named keep their SKU and weight and take the new values; sizes
+// left out stay as they are, and a new size needs a price.
+function applySizeChanges(product, { price, stock }) {
+  const prices = isPlainObject(price) ? price : {};
+  const stocks = isPlainObject(stock) ? stock : {};
+  const variants = (product.variants || []).map((v) => ({ ...v }));
+  for (const size of new Set([...Object.keys(prices), ...Object.keys(stocks)])) {
+    let variant = variants.find((v) => v.options.size === size);
+    if (!variant) {
+      if (!(size in prices)) {
+        return { error: `Size ${size} is not sold yet; give its price as well` };
+      }
+      variant = { options: { size }, stock: 0 };
+      variants.push(variant);
+    }
+    if (size in prices) {
+      variant.price = prices[size];
+    }
+    if (size in stocks) {
+      variant.stock = stocks[size];
+    }
+  }
+  return { options: [{ name: 'size', values: variants.map((v) => v.options.size) }], variants };
+}
+
+// { price, stock } by size: the cheapest price and the total stock of each size's variants
+function summarizeVariants(options, variants) {
+  const sizes = (options.find((axis) => axis.name === 'size') || { values: [] }).values;
+  const price = {};
+  const stock = {};
+  for (const size of sizes) {
+    const ofSize = variants.filter((v) => v.options.size === size);
+    if (ofSize.length > 0) {
+      price[size] = Math.min(...ofSize.map((v) => v.price));
+      stock[size] = ofSize.reduce((sum, v) => sum + Number(v.stock || 0), 0);
+    }
+  }
+  return { price, stock };
+}
+
+// The variant a cart or order line means: by `sku`, or by `size` and `options`. Axes left
+// out are filled with their defaults; when that combination isn't sold, the closest one
+// that is (the most default values) is used. null when nothing matches.
+function findVariant(product, { sku, size, options } = {}) {
+  const variants = product.variants || [];
+  if (sku) {
+    return variants.find((v) => v.sku === String(sku).toUpperCase()) || null;
+  }
+  const wanted = { ...(isPlainObject(options) ? options : {}) };
+  if (size !== undefined) {
+    wanted.size = size;
+  }
+  const defaults = Object.fromEntries((product.options || []).map((a) => [a.name, a.values[0]]));
+  const candidates = variants.filter((v) =>
+    Object.entries(wanted).every(([axis, value]) => v.options[axis] === value)
+  );
+  const defaultness = (v) =>
+    Object.entries(v.options).filter(([axis, value]) => defaults[axis] === value).length;
+  return candidates.reduce(
+    (best, v) => (!best || defaultness(v) > defaultness(best) ? v : best),
+    null
+  );
+}
+
+// A product as stored before variants existed, given variants from its price and stock by
+// size; products that already have variants just get their summary refreshed.
+function withVariants(product) {
+  const resolved = Array.isArray(product.variants)
+    ? { options: product.options, variants: product.variants }
+    : resolveVariants(product, product.id);
+  if (resolved.error) {
+    return null;
+  }
+  return { ...product, ...resolved, ...summarizeVariants(resolved.options, resolved.variants) };
+}
+
+module.exports = {
+  OPTION_AXES,
+  skuFor,
+  variantLabel,
+  resolveVariants,
+  applySizeChanges,
+  summarizeVariants,
+  findVariant,
+  withVariants,
+};
@@ -0,0 +1,58 @@
+const { createFakeCourier } = require('./fake');
+const { renderShippingLabel } = require('./label');
+
+// Shipment statuses, whichever courier carries the package. Couriers map their own scan
+// codes onto these.
+const SHIPMENT_STATUSES = [
+  'created',
+  'picked_up',
+  'in_transit',
+  'out_for_delivery',
+  'failed_attempt',
+  'delivered',
+  'returned',
+  'cancelled',
+];
+
+// Shipments go nowhere after these.
+const FINAL_SHIPMENT_STATUSES = ['delivered', 'returned', 'cancelled'];
+
+// A courier is a plain object keyed by the shipment's `courier`:
+//
+//   name, displayName
+//   createShipment(order, { items, packageNumber, packageCount })
+//                                     -> { awb, trackingUrl?, events? }
+//   track(shipment)                   -> [TrackingEvent], everything scanned so far
+//   label(shipment, order)            -> { contentType, body }
+//   cancel(shipment)                  -> { cancelled: true } or throws
+//   handleWebhook({ headers, body, rawBody }) -> { awb, events: [TrackingEvent] } | null
+//
+// A TrackingEvent is { status (one of SHIPMENT_STATUSES), description, location, at }.
+// Couriers only talk to the courier; updating shipments and orders is left to the caller.
+
+function createCourierRegistry() {
+  const couriers = new Map();
+
+  return {
+    register(courier) {
+      couriers.set(courier.name, courier);
+      return courier;
+    },
+
+    get(name) {
+      return couriers.get(name) || null;
+    },
+
+    names() {
+      return [...couriers.keys()];
+    },
+  };
+}
+
+module.exports = {
+  SHIPMENT_STATUSES,
+  FINAL_SHIPMENT_STATUSES,
+  createCourierRegistry,
+  createFakeCourier,
+  renderShippingLabel,
+};
@@ -0,0 +1,83 @@
+const { createPdf } = require('../invoices/pdf');
+
+// A 4x6 inch thermal label: courier and AWB, ship-to address, sender and package contents.
+// For couriers that do not hand back a label of their own.
+function renderShippingLabel({
+  courierName,
+  awb,
+  order,
+  items,
+  sender,
+  packageNumber,
+  packageCount,
+}) {
+  const width = 288;
+  const pdf = createPdf({ title: `Label ${awb}`, width, height: 432 });
+  const margin = 14;
+  const address = order.shipping_address || {};
+
+  let y = margin;
+  pdf.text(margin, y, courierName, { size: 14, bold: true });
+  pdf.text(margin, y, order.payment_method === 'cod' ? 'COD' : 'PREPAID', {
+    size: 12,
+    bold: true,
+    align: 'right',
+    width: width - margin * 2,
+  });
+  y += 24;
+  pdf.text(margin, y, `AWB ${awb}`, { size: 18, bold: true });
+  y += 26;
+  // Stand-in for the barcode a real courier prints
+  pdf.rect(margin, y, width - margin * 2, 36, { fill: [0.15, 0.15, 0.15] });
+  y += 44;
+  pdf.line(margin, y, width - margin, y);
+  y += 8;
+
+  pdf.text(margin, y, 'Deliver to', { size: 8, bold: true });
+  y += 12;
+  for (const line of [
+    order.customer?.name,
+    address.line1,
+    address.line2,
+    `${address.city}, ${address.state}`,
+    `PIN ${address.pincode}`,
+    order.customer?.phone,
+  ].filter(Boolean)) {
+    const pin = line.startsWith('PIN');
+    pdf.text(margin, y, line, { size: pin ? 13 : 10, bold: pin });
+    y += pin ? 17 : 13;
+  }
+  if (order.payment_method === 'cod' && order.payment_status !== 'paid') {
+    pdf.text(margin, y, `Collect Rs. ${order.total}`, { size: 12, bold: true });
+    y += 17;
+  }
+  y += 4;
+  pdf.line(margin, y, width - margin, y);
+  y += 8;
+
+  pdf.text(margin, y, 'From', { size: 8, bold: true });
+  y += 12;
+  for (const line of [sender.name, ...String(sender.address || '').split('\n')].filter(Boolean)) {
+    pdf.text(margin, y, line, { size: 8 });
+    y += 10;
+  }
+  y += 6;
+  pdf.line(margin, y, width - margin, y);
+  y += 8;
+
+  pdf.text(margin, y, `Order ${order.id}  -  package ${packageNumber} of ${packageCount}`, {
+    size: 8,
+    bold: true,
+  });
+  y += 12;
+  for (const item of items) {
+    pdf.text(margin, y, `${item.quantity} x ${item.title || item.product_id} (${item.size})`, {
+      size: 8,
+    });
+    y += 10;
+  }
+
+  return pdf.toBuffer();
+}
+
+module.exports = { renderShippingLabel };
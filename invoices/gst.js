@@ -0,0 +1,173 @@
+// GST on catalogue prices. Prices already include GST, so the tax is worked back out of
+// each line: taxable value = amount * 100 / (100 + rate). Sales within the seller's state
+// pay CGST + SGST (half each), sales to other states pay IGST.
+
+const GST_RATES = [0, 5, 12, 18, 28];
+
+// Services Accounting Code for courier services, used for the shipping line
+const SHIPPING_SAC = '996812';
+
+// GST state codes, used to compare states and for the invoice's place of supply
+const STATE_CODES = {
+  'jammu and kashmir': '01',
+  'himachal pradesh': '02',
+  punjab: '03',
+  chandigarh: '04',
+  uttarakhand: '05',
+  haryana: '06',
+  delhi: '07',
+  rajasthan: '08',
+  'uttar pradesh': '09',
+  bihar: '10',
+  sikkim: '11',
+  'arunachal pradesh': '12',
+  nagaland: '13',
+  manipur: '14',
+  mizoram: '15',
+  tripura: '16',
+  meghalaya: '17',
+  assam: '18',
+  'west bengal': '19',
+  jharkhand: '20',
+  odisha: '21',
+  chhattisgarh: '22',
+  'madhya pradesh': '23',
+  gujarat: '24',
+  'dadra and nagar haveli and daman and diu': '26',
+  maharashtra: '27',
+  karnataka: '29',
+  goa: '30',
+  lakshadweep: '31',
+  kerala: '32',
+  'tamil nadu': '33',
+  puducherry: '34',
+  'andaman and nicobar islands': '35',
+  telangana: '36',
+  'andhra pradesh': '37',
+  ladakh: '38',
+};
+
+const STATE_ALIASES = {
+  'new delhi': 'delhi',
+  'nct of delhi': 'delhi',
+  orissa: 'odisha',
+  pondicherry: 'puducherry',
+  'j&k': 'jammu and kashmir',
+  'andaman & nicobar islands': 'andaman and nicobar islands',
+};
+
+function roundMoney(amount) {
+  return Math.round(Number(amount || 0) * 100) / 100;
+}
+
+// Accepts a state name (any case, common aliases) or a two-digit GST state code.
+function stateCode(state) {
+  const value = String(state || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, ' ');
+  if (/^\d{2}$/.test(value)) {
+    return value;
+  }
+  return STATE_CODES[STATE_ALIASES[value] || value] || null;
+}
+
+function isValidGstRate(rate) {
+  return GST_RATES.includes(Number(rate));
+}
+
+function isValidHsnCode(code) {
+  return /^\d{4}(\d{2})?(\d{2})?$/.test(String(code || ''));
+}
+
+function splitTax(amount, rate, intraState) {
+  const taxable = roundMoney((amount * 100) / (100 + rate));
+  const tax = roundMoney(amount - taxable);
+  const cgst = intraState ? roundMoney(tax / 2) : 0;
+  return {
+    taxable_value: taxable,
+    cgst,
+    sgst: intraState ? roundMoney(tax - cgst) : 0,
+    igst: intraState ? 0 : tax,
+    total_tax: tax,
+  };
+}
+
+// `lines` are order items carrying `line_total`, `hsn_code` and `gst_rate`. The order
+// discount is spread over the lines in proportion to their value; shipping is taxed at the
+// highest rate in the order (it follows the goods it ships). Without a shipping state the
+// sale is treated as within the seller's state.
+function calculateGst({ lines, discount = 0, shipping = 0, sellerState, shippingState }) {
+  const sellerCode = stateCode(sellerState);
+  const supplyCode = stateCode(shippingState) || sellerCode;
+  const intraState = supplyCode === sellerCode;
+  const gross = lines.reduce((sum, line) => sum + Number(line.line_total || 0), 0);
+
+  let discountLeft = roundMoney(discount);
+  const taxLines = lines.map((line, index) => {
+    const share =
+      index === lines.length - 1
+        ? discountLeft
+        : roundMoney(gross > 0 ? (discount * line.line_total) / gross : 0);
+    discountLeft = roundMoney(discountLeft - share);
+    const amount = roundMoney(line.line_total - share);
+    return {
+      product_id: line.product_id,
+      sku: line.sku,
+      size: line.size,
+      hsn_code: line.hsn_code,
+      gst_rate: Number(line.gst_rate),
+      discount: share,
+      amount,
+      ...splitTax(amount, Number(line.gst_rate), intraState),
+    };
+  });
+
+  const shippingRate = Math.max(0, ...taxLines.map((line) => line.gst_rate));
+  const shippingTax =
+    shipping > 0
+      ? {
+          sac_code: SHIPPING_SAC,
+          gst_rate: shippingRate,
+          amount: roundMoney(shipping),
+          ...splitTax(roundMoney(shipping), shippingRate, intraState),
+        }
+      : null;
+
+  const all = shippingTax ? [...taxLines, shippingTax] : taxLines;
+  const sum = (field) => roundMoney(all.reduce((total, line) => total + line[field], 0));
+  return {
+    inclusive: true,
+    intra_state: intraState,
+    seller_state_code: sellerCode,
+    place_of_supply: supplyCode,
+    lines: taxLines,
+    shipping: shippingTax,
+    taxable_value: sum('taxable_value'),
+    cgst: sum('cgst'),
+    sgst: sum('sgst'),
+    igst: sum('igst'),
+    total_tax: sum('total_tax'),
+  };
+}
+
+// Indian Standard Time, UTC+5:30, in minutes
+const IST_OFFSET_MINUTES = 330;
+
+// Financial years run April to March: 2026-05-01 is in "2026-27". The year turns at
+// midnight IST whatever timezone the server runs in.
+function financialYear(date = new Date()) {
+  const ist = new Date(date.getTime() + IST_OFFSET_MINUTES * 60 * 1000);
+  const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+}
+
+module.exports = {
+  GST_RATES,
+  STATE_CODES,
+  calculateGst,
+  stateCode,
+  isValidGstRate,
+  isValidHsnCode,
+  financialYear,
+};
@@ -0,0 +1,32 @@
+const {
+  GST_RATES,
+  STATE_CODES,
+  calculateGst,
+  stateCode,
+  isValidGstRate,
+  isValidHsnCode,
+  financialYear,
+} = require('./gst');
+const { renderInvoicePdf, amountInWords } = require('./invoice');
+
+// GST and invoices:
+//
+//   calculateGst({ lines, discount, shipping, sellerState, shippingState })
+//                        tax-inclusive breakdown stored on each order as `tax`
+//   renderInvoicePdf({ order, tax, invoice, seller })
+//                        Buffer holding the PDF tax invoice
+//   financialYear(date)  "2026-27" (in IST); invoice numbers restart every financial year
+//
+// Numbering invoices and deciding when an order gets one live in server.js.
+
+module.exports = {
+  GST_RATES,
+  STATE_CODES,
+  calculateGst,
+  stateCode,
+  isValidGstRate,
+  isValidHsnCode,
+  financialYear,
+  renderInvoicePdf,
+  amountInWords,
+};
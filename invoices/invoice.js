@@ -0,0 +1,265 @@
+const { createPdf } = require('./pdf');
+const { STATE_CODES } = require('./gst');
+
+const STATE_NAMES = Object.fromEntries(
+  Object.entries(STATE_CODES).map(([name, code]) => [
+    code,
+    name.replace(/\b\w/g, (ch) => ch.toUpperCase()).replace(/\bAnd\b/g, 'and'),
+  ])
+);
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine', 'Ten',
+  'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen', 'Seventeen', 'Eighteen',
+  'Nineteen',
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+function belowHundred(n) {
+  return n < 20 ? ONES[n] : `${TENS[Math.floor(n / 10)]} ${ONES[n % 10]}`.trim();
+}
+
+function belowThousand(n) {
+  const hundreds = Math.floor(n / 100);
+  const rest = n % 100;
+  return [hundreds ? `${ONES[hundreds]} Hundred` : '', rest ? belowHundred(rest) : '']
+    .filter(Boolean)
+    .join(' ');
+}
+
+// Indian numbering: 1,23,45,678 is "One Crore Twenty Three Lakh Forty Five Thousand ..."
+function amountInWords(amount) {
+  const rupees = Math.floor(amount);
+  const paise = Math.round((amount - rupees) * 100);
+  const words = `Rupees ${numberInWords(rupees) || 'Zero'}`;
+  return `${words}${paise ? ` and ${belowHundred(paise)} Paise` : ''} Only`;
+}
+
+function numberInWords(n) {
+  const parts = [];
+  let rest = n;
+  for (const [unit, size] of [
+    ['Crore', 10000000],
+    ['Lakh', 100000],
+    ['Thousand', 1000],
+  ]) {
+    const count = Math.floor(rest / size);
+    if (count) {
+      parts.push(`${count >= 1000 ? numberInWords(count) : belowThousand(count)} ${unit}`);
+    }
+    rest %= size;
+  }
+  if (rest) {
+    parts.push(belowThousand(rest));
+  }
+  return parts.join(' ');
+}
+
+function money(amount) {
+  return Number(amount || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+}
+
+function formatDate(value) {
+  return new Date(value).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+  });
+}
+
+// Renders a GST tax invoice for an order as a PDF Buffer. `tax` is the order's GST
+// breakdown (invoices/gst.js), `invoice` its { number, issued_at } and `seller` the
+// business details printed in the header.
+function renderInvoicePdf({ order, tax, invoice, seller }) {
+  const pdf = createPdf({ title: `Invoice ${invoice.number}` });
+  const margin = 40;
+  const right = pdf.width - margin;
+  const intra = tax.intra_state;
+
+  // Table columns: [title, x, width, align]
+  const columns = [
+    ['#', margin, 18, 'left'],
+    ['Item', margin + 18, 168, 'left'],
+    ['HSN/SAC', margin + 186, 48, 'left'],
+    ['Qty', margin + 234, 24, 'right'],
+    ['Taxable', margin + 262, 62, 'right'],
+    ['GST', margin + 328, 28, 'right'],
+    ...(intra
+      ? [
+          ['CGST', margin + 360, 50, 'right'],
+          ['SGST', margin + 414, 50, 'right'],
+        ]
+      : [['IGST', margin + 388, 76, 'right']]),
+    ['Amount', margin + 468, right - margin - 468, 'right'],
+  ];
+
+  let y = margin;
+  pdf.text(margin, y, seller.name, { size: 16, bold: true });
+  pdf.text(margin, y, 'TAX INVOICE', {
+    size: 14,
+    bold: true,
+    align: 'right',
+    width: right - margin,
+  });
+  y += 22;
+  for (const line of [
+    ...String(seller.address || '').split('\n'),
+    `State: ${STATE_NAMES[tax.seller_state_code] || seller.state} (${tax.seller_state_code})`,
+    seller.gstin ? `GSTIN: ${seller.gstin}` : '',
+  ].filter(Boolean)) {
+    pdf.text(margin, y, line, { size: 9 });
+    y += 12;
+  }
+
+  const method = String(order.payment_method || '').toUpperCase();
+  const payment = `${method} ${order.payment_reference || ''}`;
+  let metaY = margin + 22;
+  for (const [label, value] of [
+    ['Invoice No', invoice.number],
+    ['Invoice Date', formatDate(invoice.issued_at)],
+    ['Order No', order.id],
+    ['Order Date', formatDate(order.created_at)],
+    ['Payment', payment.trim()],
+  ]) {
+    pdf.text(right - 230, metaY, label, { size: 9, bold: true });
+    pdf.text(right - 160, metaY, value, { size: 9, align: 'right', width: 160 });
+    metaY += 12;
+  }
+
+  y = Math.max(y, metaY) + 14;
+  pdf.line(margin, y, right, y);
+  y += 10;
+
+  const address = order.shipping_address || {};
+  pdf.text(margin, y, 'Bill to / Ship to', { size: 9, bold: true });
+  pdf.text(right - 230, y, 'Place of supply', { size: 9, bold: true });
+  pdf.text(
+    right - 230,
+    y + 12,
+    `${STATE_NAMES[tax.place_of_supply] || address.state} (${tax.place_of_supply})`,
+    { size: 9 }
+  );
+  y += 12;
+  for (const line of [
+    order.customer?.name,
+    address.line1,
+    address.line2,
+    `${address.city}, ${address.state} - ${address.pincode}`,
+    [order.customer?.phone, order.customer?.email].filter(Boolean).join(' | '),
+  ].filter(Boolean)) {
+    pdf.text(margin, y, line, { size: 9 });
+    y += 12;
+  }
+  y += 12;
+
+  function tableHeader() {
+    pdf.rect(margin, y - 4, right - margin, 18);
+    for (const [title, x, width, align] of columns) {
+      pdf.text(x, y, title, { size: 8, bold: true, align, width });
+    }
+    y += 20;
+  }
+
+  function row(values, { bold = false } = {}) {
+    if (y > pdf.height - 170) {
+      pdf.addPage();
+      y = margin;
+      tableHeader();
+    }
+    columns.forEach(([, x, width, align], idx) => {
+      let value = String(values[idx] ?? '');
+      while (align === 'left' && value.length > 1 && pdf.textWidth(value, 8, bold) > width - 4) {
+        value = `${value.slice(0, -4)}...`;
+      }
+      pdf.text(x, y, value, { size: 8, bold, align, width });
+    });
+    y += 14;
+  }
+
+  tableHeader();
+  const taxColumns = (line) =>
+    intra ? [money(line.cgst), money(line.sgst)] : [money(line.igst)];
+  order.items.forEach((item, idx) => {
+    const line = tax.lines[idx];
+    row([
+      idx + 1,
+      `${item.title} (${item.variant_label || item.size})`,
+      line.hsn_code,
+      item.quantity,
+      money(line.taxable_value),
+      `${line.gst_rate}%`,
+      ...taxColumns(line),
+      money(line.amount),
+    ]);
+  });
+  if (tax.shipping) {
+    row([
+      order.items.length + 1,
+      'Shipping & handling',
+      tax.shipping.sac_code,
+      1,
+      money(tax.shipping.taxable_value),
+      `${tax.shipping.gst_rate}%`,
+      ...taxColumns(tax.shipping),
+      money(tax.shipping.amount),
+    ]);
+  }
+  pdf.line(margin, y - 2, right, y - 2);
+  y += 4;
+  row(
+    [
+      '',
+      'Total',
+      '',
+      '',
+      money(tax.taxable_value),
+      '',
+      ...(intra ? [money(tax.cgst), money(tax.sgst)] : [money(tax.igst)]),
+      money(order.total),
+    ],
+    { bold: true }
+  );
+
+  y += 10;
+  const totals = [
+    ['Taxable value', tax.taxable_value],
+    ...(intra
+      ? [
+          ['CGST', tax.cgst],
+          ['SGST', tax.sgst],
+        ]
+      : [['IGST', tax.igst]]),
+    ...(order.discount ? [['Discount included above', -order.discount]] : []),
+  ];
+  for (const [label, value] of totals) {
+    pdf.text(right - 230, y, label, { size: 9 });
+    pdf.text(right - 120, y, money(value), { size: 9, align: 'right', width: 120 });
+    y += 13;
+  }
+  pdf.line(right - 230, y, right, y);
+  y += 6;
+  pdf.text(right - 230, y, 'Invoice total (Rs.)', { size: 11, bold: true });
+  pdf.text(right - 120, y, money(order.total), {
+    size: 11,
+    bold: true,
+    align: 'right',
+    width: 120,
+  });
+  y += 20;
+  pdf.text(margin, y, `Amount in words: ${amountInWords(order.total)}`, { size: 9 });
+  y += 14;
+  pdf.text(margin, y, 'Prices include GST. Tax is not payable on reverse charge basis.', {
+    size: 8,
+    color: [0.4, 0.4, 0.4],
+  });
+
+  const footer = 'This is a computer generated invoice and needs no signature.';
+  pdf.text(margin, pdf.height - margin - 10, footer, { size: 8, color: [0.4, 0.4, 0.4] });
+
+  return pdf.toBuffer();
+}
+
+module.exports = { renderInvoicePdf, amountInWords };
@@ -0,0 +1,209 @@
+const zlib = require('zlib');
+
+// A very small PDF writer: pages (A4 unless told otherwise), text in the built-in Helvetica
+// fonts, lines, filled rectangles and images. Enough for invoices, shipping labels and print
+// files without pulling in a PDF library. Coordinates are in points from the top-left corner.
+
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, used to right-align and clip text
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// The standard fonts only cover Latin-1; anything else is replaced.
+function toLatin1(text) {
+  return String(text ?? '')
+    .replace(/₹/g, 'Rs.')
+    .replace(/[‘’]/g, "'")
+    .replace(/[“”]/g, '"')
+    .replace(/[–—]/g, '-')
+    .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+}
+
+function textWidth(text, size, bold = false) {
+  let units = 0;
+  for (const ch of toLatin1(text)) {
+    const code = ch.charCodeAt(0);
+    units += code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556;
+  }
+  // Helvetica-Bold runs about 5% wider
+  return (units * size * (bold ? 1.05 : 1)) / 1000;
+}
+
+function escapeText(text) {
+  return toLatin1(text).replace(/[\\()]/g, '\\$&');
+}
+
+// `boxes` adds page boundaries for print shops, e.g. { TrimBox: [x1, y1, x2, y2] } in PDF
+// units (points from the bottom-left corner).
+function createPdf({ title = '', width = PAGE_WIDTH, height = PAGE_HEIGHT, boxes = {} } = {}) {
+  const pages = [];
+  const images = [];
+  let current = null;
+
+  function addPage() {
+    current = [];
+    pages.push(current);
+    return api;
+  }
+
+  const api = {
+    width,
+    height,
+    addPage,
+    textWidth,
+
+    // options: size, bold, align ('left' | 'right' | 'center'), width (for align),
+    // color ([r, g, b] 0-1)
+    text(x, y, value, { size = 10, bold = false, align = 'left', width = 0, color } = {}) {
+      let left = x;
+      if (align === 'right') {
+        left = x + width - textWidth(value, size, bold);
+      } else if (align === 'center') {
+        left = x + (width - textWidth(value, size, bold)) / 2;
+      }
+      const fill = color ? `${color.join(' ')} rg ` : '';
+      current.push(
+        `BT ${fill}/${bold ? 'F2' : 'F1'} ${size} Tf ${left.toFixed(2)} ` +
+          `${(height - y - size).toFixed(2)} Td (${escapeText(value)}) Tj ET` +
+          (color ? ' 0 0 0 rg' : '')
+      );
+      return api;
+    },
+
+    line(x1, y1, x2, y2, { width: lineWidth = 0.5, color = [0, 0, 0] } = {}) {
+      current.push(
+        `${color.join(' ')} RG ${lineWidth} w ${x1} ${height - y1} m ${x2} ${height - y2} l S`
+      );
+      return api;
+    },
+
+    rect(x, y, w, h, { fill = [0.93, 0.93, 0.93] } = {}) {
+      current.push(`${fill.join(' ')} rg ${x} ${height - y - h} ${w} ${h} re f 0 0 0 rg`);
+      return api;
+    },
+
+    // `source` is { width, height, colorSpace, data } plus optionally bitsPerComponent (8),
+    // filter ('DCTDecode' to embed a JPEG as it is; raw samples are deflated) and decode.
+    // The image is stretched to fill w x h, after turning it by `orientation` (EXIF 1-8).
+    image(x, y, w, h, source, { orientation = 1 } = {}) {
+      let index = images.indexOf(source);
+      if (index === -1) {
+        index = images.push(source) - 1;
+      }
+      const bottom = height - y - h;
+      const matrix = {
+        1: [w, 0, 0, h, x, bottom],
+        2: [-w, 0, 0, h, x + w, bottom],
+        3: [-w, 0, 0, -h, x + w, bottom + h],
+        4: [w, 0, 0, -h, x, bottom + h],
+        5: [0, -h, -w, 0, x + w, bottom + h],
+        6: [0, -h, w, 0, x, bottom + h],
+        7: [0, h, w, 0, x, bottom],
+        8: [0, h, -w, 0, x + w, bottom],
+      }[orientation] || [w, 0, 0, h, x, bottom];
+      current.push(`q ${matrix.join(' ')} cm /Im${index + 1} Do Q`);
+      return api;
+    },
+
+    toBuffer() {
+      const objects = [];
+      const add = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = add(null);
+      const pagesId = add(null);
+      const regularId = add(
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'
+      );
+      const boldId = add(
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>'
+      );
+      const infoId = add(`<< /Title (${escapeText(title)}) /Producer (Trizoverse) >>`);
+      const imageIds = images.map((source) => {
+        const data = source.filter ? source.data : zlib.deflateSync(source.data);
+        const decode = source.decode ? ` /Decode [${source.decode.join(' ')}]` : '';
+        return add(
+          Buffer.concat([
+            Buffer.from(
+              `<< /Type /XObject /Subtype /Image /Width ${source.width} ` +
+                `/Height ${source.height} /ColorSpace /${source.colorSpace} ` +
+                `/BitsPerComponent ${source.bitsPerComponent || 8} ` +
+                `/Filter /${source.filter || 'FlateDecode'}${decode} ` +
+                `/Length ${data.length} >>\nstream\n`
+            ),
+            data,
+            Buffer.from('\nendstream'),
+          ])
+        );
+      });
+      const xobjects = imageIds.length
+        ? ` /XObject << ${imageIds.map((id, i) => `/Im${i + 1} ${id} 0 R`).join(' ')} >>`
+        : '';
+      const pageBoxes = Object.entries(boxes)
+        .map(([name, box]) => ` /${name} [${box.join(' ')}]`)
+        .join('');
+
+      const pageIds = pages.map((ops) => {
+        const content = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+        const contentId = add(
+          Buffer.concat([
+            Buffer.from(`<< /Length ${content.length} /Filter /FlateDecode >>\nstream\n`),
+            content,
+            Buffer.from('\nendstream'),
+          ])
+        );
+        return add(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}]` +
+            `${pageBoxes} /Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >>` +
+            `${xobjects} >> ` +
+            `/Contents ${contentId} 0 R >>`
+        );
+      });
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] =
+        `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] ` +
+        `/Count ${pageIds.length} >>`;
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let offset = chunks[0].length;
+      const offsets = objects.map((body, idx) => {
+        const chunk = Buffer.concat([
+          Buffer.from(`${idx + 1} 0 obj\n`),
+          Buffer.isBuffer(body) ? body : Buffer.from(body, 'latin1'),
+          Buffer.from('\nendobj\n'),
+        ]);
+        chunks.push(chunk);
+        const start = offset;
+        offset += chunk.length;
+        return start;
+      });
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map((o) => `${String(o).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+      ].join('\n');
+      chunks.push(Buffer.from(`${xref}\n`));
+      return Buffer.concat(chunks);
+    },
+  };
+
+  return addPage();
+}
+
+module.exports = { createPdf };
@@ -0,0 +1,40 @@
+// Customer account emails. The verification link proves the customer owns the address they
+// registered with; until then orders placed as a guest with it stay out of their history.
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function renderVerificationEmail({ name, verifyUrl, storeName = 'Trizoverse' }) {
+  return {
+    subject: `Confirm your email for ${storeName}`,
+    text: [
+      `Hi ${name || 'there'},`,
+      '',
+      `Please confirm the email address of your ${storeName} account:`,
+      verifyUrl,
+      '',
+      'Orders you placed as a guest with this address will then show up in your account.',
+      'If you did not create an account, ignore this email.',
+      '',
+      storeName,
+    ].join('\n'),
+    html: `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto;">
+  <p>Hi ${escapeHtml(name || 'there')},</p>
+  <p>Please confirm the email address of your ${escapeHtml(storeName)} account.</p>
+  <p><a href="${escapeHtml(verifyUrl)}">Confirm my email</a></p>
+  <p>Orders you placed as a guest with this address will then show up in your account.
+  If you did not create an account, ignore this email.</p>
+  <p>${escapeHtml(storeName)}</p>
+</body>
+</html>`,
+  };
+}
+
+module.exports = { renderVerificationEmail };
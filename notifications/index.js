@@ -0,0 +1,31 @@
+const { EMAIL_EVENTS, renderEmail } = require('./templates');
+const { createSmtpTransport, createLogTransport } = require('./smtp');
+const {
+  signToken,
+  verifyToken,
+  renderConfirmationEmail,
+  renderCampaign,
+} = require('./newsletter');
+const { renderVerificationEmail } = require('./account');
+
+// Customer emails are rendered from templates.js (orders), newsletter.js or account.js and
+// handed to a transport:
+//
+//   name                                   'smtp' or 'log'
+//   send({ from, to, subject, text, html, headers? })
+//                                          resolves once the server accepted the message
+//
+// Queueing, retries, rate limiting and deciding which order changes deserve an email live
+// in server.js.
+
+module.exports = {
+  EMAIL_EVENTS,
+  renderEmail,
+  createSmtpTransport,
+  createLogTransport,
+  signToken,
+  verifyToken,
+  renderConfirmationEmail,
+  renderCampaign,
+  renderVerificationEmail,
+};
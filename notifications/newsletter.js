@@ -0,0 +1,115 @@
+const crypto = require('crypto');
+
+// Newsletter emails: the double opt-in confirmation and campaigns rendered per subscriber.
+// Confirmation and unsubscribe links carry a signed token, so they work without a login and
+// cannot be forged for someone else's address.
+
+function base64url(value) {
+  return Buffer.from(value).toString('base64url');
+}
+
+function sign(secret, data) {
+  return crypto.createHmac('sha256', secret).update(data).digest('base64url');
+}
+
+// `payload` is e.g. { purpose: 'confirm', id, exp }; `exp` (ms since epoch) is optional.
+function signToken(secret, payload) {
+  const data = base64url(JSON.stringify(payload));
+  return `${data}.${sign(secret, data)}`;
+}
+
+// Returns the payload of a valid, unexpired token for `purpose`, otherwise null.
+function verifyToken(secret, token, purpose) {
+  const [data, signature] = String(token || '').split('.');
+  if (!data || !signature) {
+    return null;
+  }
+  const expected = Buffer.from(sign(secret, data));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+    if (payload.purpose !== purpose || (payload.exp && payload.exp < Date.now())) {
+      return null;
+    }
+    return payload;
+  } catch (err) {
+    return null;
+  }
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(br|\/p|\/h\d|\/li|\/tr)\s*\/?>/gi, '\n')
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>(.*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function renderConfirmationEmail({ confirmUrl, storeName = 'Trizoverse' }) {
+  return {
+    subject: `Confirm your ${storeName} newsletter subscription`,
+    text: [
+      'Hi,',
+      '',
+      `Please confirm that you want to receive the ${storeName} newsletter:`,
+      confirmUrl,
+      '',
+      'If you did not sign up, ignore this email and you will not hear from us again.',
+      '',
+      storeName,
+    ].join('\n'),
+    html: `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto;">
+  <p>Hi,</p>
+  <p>Please confirm that you want to receive the ${escapeHtml(storeName)} newsletter.</p>
+  <p><a href="${escapeHtml(confirmUrl)}">Confirm my subscription</a></p>
+  <p>If you did not sign up, ignore this email and you will not hear from us again.</p>
+  <p>${escapeHtml(storeName)}</p>
+</body>
+</html>`,
+  };
+}
+
+// Fills `{{email}}` and `{{unsubscribe_url}}` in a campaign's subject and bodies. Campaigns
+// that do not place the unsubscribe link themselves get it appended as a footer.
+function renderCampaign(campaign, { email, unsubscribeUrl, storeName = 'Trizoverse' }) {
+  const fill = (template, escape) =>
+    String(template || '')
+      .replace(/\{\{\s*email\s*\}\}/g, escape(email))
+      .replace(/\{\{\s*unsubscribe_url\s*\}\}/g, escape(unsubscribeUrl));
+  const placesLink = (template) => /\{\{\s*unsubscribe_url\s*\}\}/.test(template || '');
+
+  let html = fill(campaign.html, escapeHtml);
+  if (!placesLink(campaign.html)) {
+    html +=
+      `\n<p style="font-size: 12px; color: #888;">You are receiving this because you ` +
+      `subscribed to the ${escapeHtml(storeName)} newsletter. ` +
+      `<a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`;
+  }
+  const textTemplate = campaign.text || htmlToText(campaign.html);
+  let text = fill(textTemplate, (value) => value);
+  if (!placesLink(textTemplate)) {
+    text += `\n\n--\nUnsubscribe: ${unsubscribeUrl}`;
+  }
+  return { subject: fill(campaign.subject, (value) => value), text, html };
+}
+
+module.exports = { signToken, verifyToken, renderConfirmationEmail, renderCampaign };
@@ -0,0 +1,199 @@
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const crypto = require('crypto');
+
+// Just enough SMTP to hand a message to a relay: EHLO, STARTTLS when offered, AUTH PLAIN,
+// one recipient per message. `secure` means implicit TLS (usually port 465).
+
+function openSocket({ host, port, secure, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('SMTP connection timed out')));
+    socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+    socket.once('error', reject);
+  });
+}
+
+function upgradeSocket(socket, { host, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.setTimeout(timeoutMs, () => secured.destroy(new Error('SMTP connection timed out')));
+    secured.once('error', reject);
+  });
+}
+
+// Collects complete (possibly multi-line) replies from the server; next() resolves with
+// the next one.
+function replyReader(socket) {
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiting = [];
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, idx).replace(/\r$/, '');
+      buffer = buffer.slice(idx + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = {
+          code: Number(line.slice(0, 3)),
+          text: lines.map((l) => l.slice(4)).join('\n'),
+        };
+        lines = [];
+        if (waiting.length > 0) {
+          waiting.shift().resolve(reply);
+        } else {
+          replies.push(reply);
+        }
+      }
+    }
+  }
+
+  function onFailure(err) {
+    failure = err || new Error('SMTP connection closed');
+    while (waiting.length > 0) {
+      waiting.shift().reject(failure);
+    }
+  }
+  const onClose = () => onFailure();
+
+  socket.on('data', onData);
+  socket.on('error', onFailure);
+  socket.on('close', onClose);
+
+  return {
+    next() {
+      if (replies.length > 0) {
+        return Promise.resolve(replies.shift());
+      }
+      if (failure) {
+        return Promise.reject(failure);
+      }
+      return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+    },
+    detach() {
+      socket.off('data', onData);
+      socket.off('error', onFailure);
+      socket.off('close', onClose);
+    },
+  };
+}
+
+function addressOf(mailbox) {
+  const match = String(mailbox).match(/<([^>]+)>/);
+  return (match ? match[1] : String(mailbox)).trim();
+}
+
+function encodeHeader(value) {
+  return /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(content) {
+  return Buffer.from(content, 'utf8')
+    .toString('base64')
+    .replace(/.{76}/g, '$&\r\n');
+}
+
+function buildMessage({ from, to, subject, text, html, headers = {} }) {
+  const boundary = `=_${crypto.randomBytes(12).toString('hex')}`;
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  return [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${encodeHeader(value)}`),
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${boundary}--`,
+  ].join('\r\n');
+}
+
+function createSmtpTransport({
+  host,
+  port = 587,
+  secure = false,
+  user,
+  pass,
+  timeoutMs = 15000,
+}) {
+  return {
+    name: 'smtp',
+
+    async send({ from, to, subject, text, html, headers }) {
+      let socket = await openSocket({ host, port, secure, timeoutMs });
+      let reader = replyReader(socket);
+
+      async function command(line, expected) {
+        if (line !== null) {
+          socket.write(`${line}\r\n`);
+        }
+        const reply = await reader.next();
+        if (!expected.includes(reply.code)) {
+          const verb = line === null ? 'greeting' : line.split(' ')[0];
+          throw new Error(`SMTP ${verb} failed: ${reply.code} ${reply.text}`);
+        }
+        return reply;
+      }
+
+      try {
+        await command(null, [220]);
+        const ehlo = await command(`EHLO ${os.hostname()}`, [250]);
+        if (!secure && /^STARTTLS\b/im.test(ehlo.text)) {
+          await command('STARTTLS', [220]);
+          reader.detach();
+          socket = await upgradeSocket(socket, { host, timeoutMs });
+          reader = replyReader(socket);
+          await command(`EHLO ${os.hostname()}`, [250]);
+        }
+        if (user) {
+          const credentials = Buffer.from(`\0${user}\0${pass || ''}`).toString('base64');
+          await command(`AUTH PLAIN ${credentials}`, [235]);
+        }
+        await command(`MAIL FROM:<${addressOf(from)}>`, [250]);
+        await command(`RCPT TO:<${addressOf(to)}>`, [250, 251]);
+        await command('DATA', [354]);
+        const message = buildMessage({ from, to, subject, text, html, headers });
+        await command(`${message.replace(/^\./gm, '..')}\r\n.`, [250]);
+        await command('QUIT', [221]).catch(() => {});
+      } finally {
+        reader.detach();
+        socket.destroy();
+      }
+    },
+  };
+}
+
+// Used when no SMTP server is configured: emails only show up in the server log.
+function createLogTransport(log = () => {}) {
+  return {
+    name: 'log',
+
+    async send({ to, subject }) {
+      log('Email (no SMTP_HOST configured)', to, subject);
+    },
+  };
+}
+
+module.exports = { createSmtpTransport, createLogTransport };
@@ -0,0 +1,159 @@
+// Customer emails for order lifecycle events. Each template returns the subject and the
+// body as plain paragraphs; renderEmail wraps them in the shared text and HTML layout.
+
+function formatPrice(amount) {
+  return new Intl.NumberFormat('en-IN', {
+    style: 'currency',
+    currency: 'INR',
+    maximumFractionDigits: 2,
+  }).format(Number(amount || 0));
+}
+
+// 'Sunset Mountains (M · Glossy)'; orders from before variants only have a size
+function itemName(item) {
+  return `${item.title} (${item.variant_label || item.size})`;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const TEMPLATES = {
+  order_placed: (order, { cancelToken }) => ({
+    subject: `We received your order ${order.id}`,
+    heading: 'Thanks for your order!',
+    paragraphs: [
+      order.payment_method === 'cod'
+        ? 'You will pay in cash when the order is delivered. We will let you know when it ships.'
+        : 'We will start on it as soon as your payment is confirmed.',
+      cancelToken ? 'Changed your mind? You can cancel it from the order page until it ships.' : '',
+    ],
+    showItems: true,
+  }),
+
+  payment_received: (order) => ({
+    subject: `Payment received for order ${order.id}`,
+    heading: 'Payment received',
+    paragraphs: [
+      `We received your payment of ${formatPrice(order.paid_amount ?? order.total)}.`,
+      order.payment_reference ? `Payment reference: ${order.payment_reference}` : '',
+    ],
+    showItems: true,
+  }),
+
+  order_shipped: (order) => ({
+    subject: `Your order ${order.id} is on its way`,
+    heading: 'Your order has shipped',
+    paragraphs: [
+      'Your posters are packed and with the courier.',
+      order.tracking_number ? `Tracking number: ${order.tracking_number}` : '',
+    ],
+    showItems: true,
+  }),
+
+  order_delivered: (order) => ({
+    subject: `Your order ${order.id} was delivered`,
+    heading: 'Delivered',
+    paragraphs: ['Your order was delivered. We hope you love your new walls!'],
+    showItems: false,
+  }),
+
+  order_cancelled: (order) => ({
+    subject: `Your order ${order.id} was cancelled`,
+    heading: 'Order cancelled',
+    paragraphs: [
+      order.cancellation_reason ? `Reason: ${order.cancellation_reason}` : '',
+      order.payment_status === 'paid'
+        ? 'Your payment will be refunded. We will email you once the refund is issued.'
+        : '',
+    ],
+    showItems: true,
+  }),
+
+  refund_issued: (order, { refund }) => ({
+    subject: `Refund of ${formatPrice(refund.amount)} for order ${order.id}`,
+    heading: 'Refund issued',
+    paragraphs: [
+      `We have refunded ${formatPrice(refund.amount)} for your order.`,
+      refund.status === 'manual'
+        ? 'Our team will transfer it to you within 5-7 working days.'
+        : 'It can take 5-7 working days to show up in your account.',
+      refund.reference ? `Refund reference: ${refund.reference}` : '',
+    ],
+    showItems: false,
+  }),
+};
+
+const EMAIL_EVENTS = Object.keys(TEMPLATES);
+
+// Returns { subject, text, html } for an event. `data` carries event-specific values
+// (e.g. the refund for refund_issued); a `cancelToken` goes into the order page link.
+function renderEmail(event, order, data = {}, { storeName = 'Trizoverse', baseUrl = '' } = {}) {
+  const template = TEMPLATES[event];
+  if (!template) {
+    throw new Error(`Unknown email event: ${event}`);
+  }
+  const { subject, heading, paragraphs, showItems } = template(order, data);
+  const body = paragraphs.filter(Boolean);
+  const items = showItems ? order.items || [] : [];
+  const orderUrl =
+    `${baseUrl}/order-confirmation.html?id=${encodeURIComponent(order.id)}` +
+    (data.cancelToken ? `&token=${encodeURIComponent(data.cancelToken)}` : '');
+  const name = String(order.customer?.name || '').split(' ')[0] || 'there';
+
+  const text = [
+    `Hi ${name},`,
+    '',
+    heading,
+    '',
+    ...body,
+    ...(items.length > 0
+      ? [
+          '',
+          ...items.map(
+            (item) =>
+              `${item.quantity} x ${itemName(item)} - ${formatPrice(item.line_total)}`
+          ),
+          `Total: ${formatPrice(order.total)}`,
+        ]
+      : []),
+    '',
+    `View your order: ${orderUrl}`,
+    '',
+    storeName,
+  ].join('\n');
+
+  const itemRows = items
+    .map(
+      (item) =>
+        `<tr><td>${item.quantity} &times; ${escapeHtml(itemName(item))}` +
+        `</td><td align="right">${formatPrice(item.line_total)}</td></tr>`
+    )
+    .join('');
+  const html = `<!DOCTYPE html>
+<html>
+<body style="font-family: Arial, sans-serif; color: #222; max-width: 560px; margin: 0 auto;">
+  <p>Hi ${escapeHtml(name)},</p>
+  <h2>${escapeHtml(heading)}</h2>
+  ${body.map((p) => `<p>${escapeHtml(p)}</p>`).join('\n  ')}
+  ${
+    items.length > 0
+      ? `<table width="100%" cellpadding="6" style="border-collapse: collapse;">${itemRows}` +
+        `<tr><td><strong>Total</strong></td>` +
+        `<td align="right"><strong>${formatPrice(order.total)}</strong></td></tr></table>`
+      : ''
+  }
+  <p><a href="${escapeHtml(orderUrl)}">View your order ${escapeHtml(order.id)}</a></p>
+  <p>${escapeHtml(storeName)}</p>
+</body>
+</html>`;
+
+  return { subject, text, html };
+}
+
+module.exports = { EMAIL_EVENTS, renderEmail };
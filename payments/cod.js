@@ -0,0 +1,31 @@
+const { unsupported } = require('./errors');
+
+// Cash on delivery: nothing to take up front, the order stays `pending` until the courier
+// collects the money. Refunds are paid out by hand.
+function createCodProvider() {
+  return {
+    name: 'cod',
+
+    async initiate() {
+      return { payload: {} };
+    },
+
+    async verify() {
+      throw unsupported('cod', 'payment verification');
+    },
+
+    async handleWebhook() {
+      throw unsupported('cod', 'webhooks');
+    },
+
+    async refund(order, { amount }) {
+      return { status: 'manual', reference: null, amount };
+    },
+
+    async queryStatus(order) {
+      return { orderId: order.id, status: order.payment_status === 'paid' ? 'paid' : 'pending' };
+    },
+  };
+}
+
+module.exports = { createCodProvider };
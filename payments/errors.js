@@ -0,0 +1,8 @@
+// Operations a gateway cannot perform (e.g. webhooks for UPI) throw this; routes answer 400.
+function unsupported(provider, operation) {
+  const err = new Error(`${provider} does not support ${operation}`);
+  err.status = 400;
+  return err;
+}
+
+module.exports = { unsupported };
@@ -0,0 +1,67 @@
+const { createUpiProvider } = require('./upi');
+const { createPaytmProvider } = require('./paytm');
+const { createRazorpayProvider } = require('./razorpay');
+const { createCodProvider } = require('./cod');
+const { unsupported } = require('./errors');
+const { parseStatement, normalizeUtr } = require('./statement');
+
+// Every order carries one of these payment_status values, whichever gateway it used.
+const PAYMENT_STATUSES = [
+  'pending',
+  'payment_review',
+  'paid',
+  'failed',
+  'expired',
+  'refunded',
+  'partially_refunded',
+];
+
+// A payment provider is a plain object keyed by the order's `payment_method`:
+//
+//   name                              'upi', 'paytm', ...
+//   configured                        false when the gateway lacks the credentials it needs;
+//                                     payment routes then answer 503 (left out = always usable)
+//   initiate(order)                   -> { payload, gatewayOrderId? }
+//                                        payload is what checkout.html needs to take the payment
+//   verify(order, params, record)     -> PaymentResult, from data the browser sends back
+//   handleWebhook({ headers, body, rawBody }) -> PaymentResult | null (null = event ignored)
+//   refund(order, { amount, reason }, record)
+//                                     -> { status: 'refunded' | 'pending' | 'manual', reference }
+//   queryStatus(order, record)        -> PaymentResult
+//
+// A PaymentResult is { orderId?, gatewayOrderId?, status: 'paid' | 'failed' | 'pending' |
+// 'review', reference?, amount?, note? }. 'review' means the customer says they paid but
+// nobody has checked yet. `record` is the order's payment_attempts record.
+// Providers only talk to their gateway; updating orders and stock is left to the caller.
+// Operations a gateway cannot do throw an error from unsupported().
+
+function createPaymentRegistry() {
+  const providers = new Map();
+
+  return {
+    register(provider) {
+      providers.set(provider.name, provider);
+      return provider;
+    },
+
+    get(name) {
+      return providers.get(name) || null;
+    },
+
+    names() {
+      return [...providers.keys()];
+    },
+  };
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  createPaymentRegistry,
+  createUpiProvider,
+  createPaytmProvider,
+  createRazorpayProvider,
+  createCodProvider,
+  unsupported,
+  parseStatement,
+  normalizeUtr,
+};
@@ -0,0 +1,169 @@
+const PaytmChecksum = require('paytmchecksum');
+
+const PAYTM_HOSTS = {
+  production: 'https://securegw.paytm.in',
+  staging: 'https://securegw-stage.paytm.in',
+};
+
+// Maps Paytm's resultStatus values onto our payment results.
+const RESULT_STATUS = {
+  TXN_SUCCESS: 'paid',
+  TXN_FAILURE: 'failed',
+  PENDING: 'pending',
+};
+
+// Paytm All-in-One checkout. Without credentials the provider hands out mock transaction
+// tokens so checkout can be clicked through locally. `apiBase` replaces the host `env`
+// picks, e.g. to run against test/mock-paytm.js.
+function createPaytmProvider({
+  mid,
+  merchantKey,
+  website = 'DEFAULT',
+  callbackUrl,
+  env = 'staging',
+  apiBase,
+  fetch,
+  log = () => {},
+}) {
+  const host = apiBase || PAYTM_HOSTS[env] || PAYTM_HOSTS.staging;
+  const configured = Boolean(mid && merchantKey);
+
+  async function signedRequest(endpoint, body) {
+    const signature = await PaytmChecksum.generateSignature(JSON.stringify(body), merchantKey);
+    const response = await fetch(`${host}${endpoint}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ body, head: { signature } }),
+    });
+    return response.json();
+  }
+
+  function toResult(body, fallbackNote) {
+    const resultInfo = body.resultInfo || {};
+    return {
+      orderId: body.orderId,
+      status: RESULT_STATUS[resultInfo.resultStatus] || 'pending',
+      reference: body.txnId || null,
+      amount: Number(body.txnAmount?.value ?? body.txnAmount) || undefined,
+      note: resultInfo.resultMsg || fallbackNote,
+    };
+  }
+
+  return {
+    name: 'paytm',
+
+    async initiate(order) {
+      if (!configured) {
+        log('Paytm credentials missing, returning mock transaction token');
+        return {
+          payload: {
+            mode: 'mock',
+            orderId: order.id,
+            txnToken: `mock-token-${order.id}`,
+            amount: order.total,
+            mid: mid || 'mock_mid',
+            callbackUrl,
+          },
+        };
+      }
+
+      const json = await signedRequest(
+        `/theia/api/v1/initiateTransaction?mid=${mid}&orderId=${order.id}`,
+        {
+          requestType: 'Payment',
+          mid,
+          websiteName: website,
+          orderId: order.id,
+          callbackUrl,
+          txnAmount: {
+            value: Number(order.total || 0).toFixed(2),
+            currency: 'INR',
+          },
+          userInfo: {
+            custId: order.customer?.email,
+          },
+        }
+      );
+      const resultInfo = json?.body?.resultInfo;
+
+      if (resultInfo?.resultStatus === 'S' && json.body?.txnToken) {
+        return {
+          payload: {
+            mode: env,
+            txnToken: json.body.txnToken,
+            orderId: order.id,
+            amount: order.total,
+            mid,
+            callbackUrl,
+          },
+        };
+      }
+
+      throw new Error(resultInfo?.resultMsg || 'Unable to create Paytm transaction');
+    },
+
+    // The browser never gets to vouch for a Paytm payment: ask Paytm instead.
+    async verify(order, params, record) {
+      return this.queryStatus(order, record);
+    },
+
+    async handleWebhook({ headers, body: payload = {} }) {
+      const body = payload.body || payload;
+      const head = payload.head || {};
+      const signature =
+        headers['x-checksum'] ||
+        headers['x-paytm-signature'] ||
+        head.signature ||
+        payload.signature;
+
+      if (!signature || !merchantKey) {
+        throw Object.assign(new Error('Invalid signature'), { status: 400 });
+      }
+      if (!PaytmChecksum.verifySignature(JSON.stringify(body), merchantKey, signature)) {
+        log('Invalid Paytm signature', body?.orderId);
+        throw Object.assign(new Error('Invalid signature'), { status: 400 });
+      }
+      if (!body.orderId) {
+        throw Object.assign(new Error('Missing orderId'), { status: 400 });
+      }
+      return toResult(body, 'Paytm callback');
+    },
+
+    async refund(order, { amount, reason }, record) {
+      if (!configured) {
+        // Nothing was charged through Paytm, so staff settle it by hand
+        log('Paytm credentials missing, recording a manual refund', order.id);
+        return { status: 'manual', reference: null, amount };
+      }
+      const refId = `REF-${order.id}-${Date.now()}`;
+      const json = await signedRequest('/refund/apply', {
+        mid,
+        txnType: 'REFUND',
+        orderId: order.id,
+        txnId: record?.reference,
+        refId,
+        refundAmount: Number(amount).toFixed(2),
+        comments: reason,
+      });
+      const resultInfo = json?.body?.resultInfo || {};
+      if (resultInfo.resultStatus === 'TXN_FAILURE') {
+        throw new Error(resultInfo.resultMsg || 'Paytm refund failed');
+      }
+      return {
+        status: resultInfo.resultStatus === 'TXN_SUCCESS' ? 'refunded' : 'pending',
+        reference: json?.body?.refundId || refId,
+        amount,
+      };
+    },
+
+    async queryStatus(order) {
+      if (!configured) {
+        return { orderId: order.id, status: order.payment_status === 'paid' ? 'paid' : 'pending' };
+      }
+      const json = await signedRequest('/v3/order/status', { mid, orderId: order.id });
+      return toResult({ orderId: order.id, ...(json?.body || {}) }, 'Paytm status check');
+    },
+  };
+}
+
+module.exports = { createPaytmProvider };
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+
+const PAYMENT_EVENTS = {
+  'payment.captured': 'paid',
+  'payment.failed': 'failed',
+};
+
+function hmacSha256Hex(secret, payload) {
+  return crypto.createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function toPaise(amount) {
+  return Math.round(Number(amount || 0) * 100);
+}
+
+function invalidSignature() {
+  return Object.assign(new Error('Invalid payment signature'), { status: 400 });
+}
+
+// Razorpay Orders API. Set apiBase to test/mock-razorpay.js to run without network access.
+function createRazorpayProvider({
+  keyId,
+  keySecret,
+  webhookSecret,
+  apiBase = 'https://api.razorpay.com/v1',
+  fetch,
+}) {
+  const configured = Boolean(keyId && keySecret);
+
+  async function request(method, endpoint, body) {
+    if (!configured) {
+      throw Object.assign(new Error('Razorpay is not configured'), { status: 503 });
+    }
+    const auth = Buffer.from(`${keyId}:${keySecret}`).toString('base64');
+    const response = await fetch(`${apiBase}${endpoint}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', Authorization: `Basic ${auth}` },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const json = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(json?.error?.description || `Razorpay request failed (${response.status})`);
+    }
+    return json;
+  }
+
+  function toResult(payment, note) {
+    return {
+      orderId: payment.notes?.order_id,
+      gatewayOrderId: payment.order_id,
+      status: PAYMENT_EVENTS[`payment.${payment.status}`] || 'pending',
+      reference: payment.id,
+      amount: payment.amount / 100,
+      note,
+    };
+  }
+
+  return {
+    name: 'razorpay',
+    configured,
+
+    // Creates a Razorpay order for the full order total. Its id is kept on the payment
+    // record so later signatures and webhooks can only settle this order for this amount.
+    async initiate(order) {
+      const gatewayOrder = await request('POST', '/orders', {
+        amount: toPaise(order.total),
+        currency: order.currency || 'INR',
+        receipt: order.id,
+        notes: { order_id: order.id },
+      });
+      return {
+        gatewayOrderId: gatewayOrder.id,
+        payload: {
+          key: keyId,
+          razorpayOrderId: gatewayOrder.id,
+          amount: gatewayOrder.amount,
+          currency: gatewayOrder.currency,
+          orderId: order.id,
+        },
+      };
+    },
+
+    async verify(order, params, record) {
+      const { razorpay_payment_id, razorpay_order_id, razorpay_signature } = params;
+      if (!razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
+        throw Object.assign(new Error('Missing required payment verification data'), {
+          status: 400,
+        });
+      }
+      const expected = hmacSha256Hex(keySecret, `${razorpay_order_id}|${razorpay_payment_id}`);
+      const matchesOrder = record?.gateway_order_id === razorpay_order_id;
+      if (!matchesOrder || !safeEqual(expected, razorpay_signature)) {
+        throw invalidSignature();
+      }
+      return {
+        orderId: order.id,
+        gatewayOrderId: razorpay_order_id,
+        status: 'paid',
+        reference: razorpay_payment_id,
+        amount: order.total,
+        note: 'Payment signature verified',
+      };
+    },
+
+    async handleWebhook({ headers, body, rawBody }) {
+      const signature = headers['x-razorpay-signature'];
+      const valid =
+        webhookSecret && rawBody && safeEqual(hmacSha256Hex(webhookSecret, rawBody), signature);
+      if (!valid) {
+        throw invalidSignature();
+      }
+      if (!PAYMENT_EVENTS[body?.event]) {
+        return null;
+      }
+      const payment = body.payload?.payment?.entity || {};
+      return {
+        ...toResult(payment, `${body.event} webhook`),
+        status: PAYMENT_EVENTS[body.event],
+        note: payment.error_description || `${body.event} webhook`,
+      };
+    },
+
+    async refund(order, { amount, reason }, record) {
+      if (!record?.reference) {
+        throw Object.assign(new Error('No captured Razorpay payment to refund'), { status: 400 });
+      }
+      const refund = await request('POST', `/payments/${record.reference}/refund`, {
+        amount: toPaise(amount),
+        notes: { order_id: order.id, reason: reason || '' },
+      });
+      return {
+        status: refund.status === 'processed' ? 'refunded' : 'pending',
+        reference: refund.id,
+        amount: refund.amount / 100,
+      };
+    },
+
+    async queryStatus(order, record) {
+      if (!record?.gateway_order_id) {
+        return { orderId: order.id, status: 'pending' };
+      }
+      const { items = [] } = await request('GET', `/orders/${record.gateway_order_id}/payments`);
+      const payment = items.find((p) => p.status === 'captured') || items[items.length - 1];
+      if (!payment) {
+        return { orderId: order.id, gatewayOrderId: record.gateway_order_id, status: 'pending' };
+      }
+      return { ...toResult(payment, 'Razorpay status check'), orderId: order.id };
+    },
+  };
+}
+
+module.exports = { createRazorpayProvider };
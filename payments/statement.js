@@ -0,0 +1,148 @@
+// Parses bank / UPI statement exports (CSV) into credit entries keyed by UTR. Every bank
+// names its columns differently, so the UTR, amount and date columns are found by header;
+// when there is no UTR column the 12-digit UTR is picked out of the narration.
+
+const UTR_HEADERS = [
+  'utr',
+  'utr no',
+  'utr number',
+  'upi ref no',
+  'upi ref',
+  'upi transaction id',
+  'rrn',
+  'reference no',
+  'ref no',
+  'transaction id',
+  'txn id',
+];
+const AMOUNT_HEADERS = [
+  'amount',
+  'credit',
+  'credit amount',
+  'deposit amt',
+  'deposit amount',
+  'cr amount',
+];
+const DATE_HEADERS = ['date', 'txn date', 'transaction date', 'value date'];
+const NARRATION_HEADERS = ['narration', 'description', 'remarks', 'particulars'];
+
+// Rows of cells. Quoted cells may hold commas, line breaks and "" for a quote; blank rows are
+// dropped. Also used for catalog imports.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((cell) => cell.trim() !== ''));
+}
+
+function normalizeHeader(header) {
+  return String(header || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function normalizeUtr(value) {
+  return String(value || '')
+    .trim()
+    .toUpperCase()
+    .replace(/\s+/g, '');
+}
+
+function parseAmount(value) {
+  const cleaned = String(value || '').replace(/INR|Rs\.?|₹|,|\s/gi, '');
+  return cleaned === '' ? NaN : Number(cleaned);
+}
+
+function findColumn(headers, candidates) {
+  return headers.findIndex((h) => candidates.includes(h));
+}
+
+// Returns { entries: [{ line, utr, amount, date }], errors: [{ line, error }] }. Debit rows
+// (zero or negative amounts) are skipped.
+function parseStatement(text) {
+  const [headerRow, ...rows] = parseCsv(text);
+  if (!headerRow) {
+    return { entries: [], errors: [{ line: 1, error: 'Statement is empty' }] };
+  }
+  const headers = headerRow.map(normalizeHeader);
+  const utrCol = findColumn(headers, UTR_HEADERS);
+  const amountCol = findColumn(headers, AMOUNT_HEADERS);
+  const dateCol = findColumn(headers, DATE_HEADERS);
+  const narrationCol = findColumn(headers, NARRATION_HEADERS);
+
+  if (amountCol === -1 || (utrCol === -1 && narrationCol === -1)) {
+    return {
+      entries: [],
+      errors: [{ line: 1, error: 'Could not find UTR and amount columns in the header row' }],
+    };
+  }
+
+  const entries = [];
+  const errors = [];
+  rows.forEach((cells, idx) => {
+    const line = idx + 2;
+    const amount = parseAmount(cells[amountCol]);
+    if (!Number.isFinite(amount)) {
+      errors.push({ line, error: `Invalid amount "${cells[amountCol] || ''}"` });
+      return;
+    }
+    if (amount <= 0) {
+      return;
+    }
+    let utr = utrCol === -1 ? '' : normalizeUtr(cells[utrCol]);
+    if (!utr && narrationCol !== -1) {
+      utr = (String(cells[narrationCol] || '').match(/\b\d{12}\b/) || [''])[0];
+    }
+    if (!utr) {
+      errors.push({ line, error: 'Missing UTR' });
+      return;
+    }
+    entries.push({
+      line,
+      utr,
+      amount,
+      date: dateCol === -1 ? null : String(cells[dateCol] || '').trim() || null,
+    });
+  });
+
+  return { entries, errors };
+}
+
+module.exports = { parseCsv, parseStatement, normalizeUtr };
@@ -0,0 +1,76 @@
+const QRCode = require('qrcode');
+const { unsupported } = require('./errors');
+const { normalizeUtr } = require('./statement');
+
+const UTR_PATTERN = /^[A-Z0-9]{10,35}$/;
+
+// Direct UPI transfers to the merchant VPA. There is no gateway behind this: the customer
+// pays from their UPI app and reports the UTR (transaction reference), which only puts the
+// order under review until it is matched against a bank statement. Refunds are paid out by
+// hand.
+function createUpiProvider({ vpa, payeeName = 'Trizoverse', log = () => {} }) {
+  function buildLink({ amount, orderId, note }) {
+    if (!vpa) {
+      return '';
+    }
+    const params = new URLSearchParams({
+      pa: vpa,
+      pn: payeeName,
+      am: Number(amount || 0).toFixed(2),
+      tn: note || `Order ${orderId}`,
+      cu: 'INR',
+    });
+    return `upi://pay?${params.toString()}`;
+  }
+
+  return {
+    name: 'upi',
+
+    async initiate(order) {
+      const upiLink = buildLink({
+        amount: order.total,
+        orderId: order.id,
+        note: `${payeeName} Order ${order.id}`,
+      });
+      if (!upiLink) {
+        return { payload: { upiLink: '', qrCode: '' } };
+      }
+      try {
+        const qrCode = await QRCode.toDataURL(upiLink, { width: 320, margin: 2 });
+        return { payload: { upiLink, qrCode } };
+      } catch (err) {
+        log('Error generating UPI QR', err.message || err);
+        return { payload: { upiLink, qrCode: '' } };
+      }
+    },
+
+    async verify(order, { transactionId }) {
+      const utr = normalizeUtr(transactionId);
+      if (!UTR_PATTERN.test(utr)) {
+        throw Object.assign(new Error('Enter the 12-digit UPI transaction reference (UTR)'), {
+          status: 400,
+        });
+      }
+      return {
+        orderId: order.id,
+        status: 'review',
+        reference: utr,
+        note: `Customer reported UPI payment ${utr}`,
+      };
+    },
+
+    async handleWebhook() {
+      throw unsupported('upi', 'webhooks');
+    },
+
+    async refund(order, { amount }) {
+      return { status: 'manual', reference: null, amount };
+    },
+
+    async queryStatus(order) {
+      return { orderId: order.id, status: order.payment_status === 'paid' ? 'paid' : 'pending' };
+    },
+  };
+}
+
+module.exports = { createUpiProvider };
@@ -0,0 +1,945 @@
+// Admin Dashboard: orders, products and offers on top of the admin API.
+// Staff sign in with their email and password for a session token, sent as
+// `Authorization: Bearer`; an API key can be used instead and is sent as `x-api-key`.
+// Tabs the user's role has no permission for are hidden.
+
+const TOKEN_STORAGE = 'admin_session_token';
+const API_KEY_STORAGE = 'admin_api_key';
+const VIEW_PERMISSIONS = { orders: 'orders:read', products: 'catalog', offers: 'offers' };
+// Option axes of a product, in the order SKUs and labels use them
+const OPTION_AXES = ['size', 'finish', 'frame', 'paper'];
+const ORDERS_PAGE_SIZE = 25;
+
+const state = {
+  token: localStorage.getItem(TOKEN_STORAGE) || '',
+  apiKey: localStorage.getItem(API_KEY_STORAGE) || '',
+  user: null,
+  lowStock: [],
+  products: [],
+  offers: [],
+  orderFilters: {},
+  orderOffset: 0,
+  editingProductId: null,
+  productImages: [],
+  // Variants being edited: { sku, options, price, stock, weight_grams }
+  productVariants: [],
+  editingOfferId: null,
+};
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('login-form').addEventListener('submit', handleLogin);
+  document.getElementById('logout-button').addEventListener('click', logout);
+  document.getElementById('order-filters').addEventListener('submit', handleOrderFilters);
+  document.getElementById('product-form').addEventListener('submit', handleProductSubmit);
+  document.getElementById('product-reset').addEventListener('click', resetProductForm);
+  document.getElementById('product-image').addEventListener('change', handleImageUpload);
+  document.getElementById('product-build-variants').addEventListener('click', buildProductVariants);
+  document.getElementById('catalog-import').addEventListener('change', handleCatalogImport);
+  for (const button of document.querySelectorAll('[data-export-catalog]')) {
+    const format = button.dataset.exportCatalog;
+    button.addEventListener('click', () =>
+      downloadFile(`/api/products/export?format=${format}`, `catalog.${format}`)
+    );
+  }
+  document.getElementById('offer-form').addEventListener('submit', handleOfferSubmit);
+  document.getElementById('offer-reset').addEventListener('click', resetOfferForm);
+  window.addEventListener('hashchange', showView);
+
+  if (state.token || state.apiKey) {
+    start();
+  } else {
+    showLogin();
+  }
+});
+
+class ApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.status = status;
+  }
+}
+
+async function api(path, options = {}) {
+  const headers = state.token
+    ? { Authorization: `Bearer ${state.token}` }
+    : { 'x-api-key': state.apiKey };
+  Object.assign(headers, options.headers || {});
+  let body = options.body;
+  if (body && !(body instanceof FormData)) {
+    headers['Content-Type'] = 'application/json';
+    body = JSON.stringify(body);
+  }
+  const response = await fetch(path, { ...options, headers, body });
+  const data = await response.json().catch(() => ({}));
+  if (response.status === 401) {
+    logout();
+    throw new ApiError('Your session has expired, please log in again', 401);
+  }
+  if (!response.ok) {
+    throw new ApiError(data.error || `Request failed (${response.status})`, response.status);
+  }
+  return data;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+function formatPrice(amount) {
+  return `₹${Number(amount || 0).toLocaleString('en-IN')}`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString('en-IN') : '';
+}
+
+function toast(message) {
+  const el = document.getElementById('toast');
+  el.textContent = message;
+  el.classList.add('visible');
+  clearTimeout(toast.timer);
+  toast.timer = setTimeout(() => el.classList.remove('visible'), 2500);
+}
+
+function statusBadge(status) {
+  const tone = {
+    paid: 'success',
+    delivered: 'success',
+    confirmed: 'success',
+    pending: 'warning',
+    processing: 'warning',
+    shipped: 'warning',
+    failed: 'danger',
+    cancelled: 'danger',
+    refunded: 'danger',
+  }[status];
+  return `<span class="badge ${tone || ''}">${escapeHtml(status)}</span>`;
+}
+
+// --- Login ---
+
+function showLogin() {
+  document.getElementById('admin-user').textContent = '';
+  document.getElementById('login-view').classList.remove('hidden');
+  document.getElementById('admin-tabs').classList.add('hidden');
+  document.getElementById('logout-button').classList.add('hidden');
+  document.getElementById('low-stock').classList.add('hidden');
+  for (const view of ['orders', 'products', 'offers']) {
+    document.getElementById(`${view}-view`).classList.add('hidden');
+  }
+}
+
+async function handleLogin(event) {
+  event.preventDefault();
+  const errorDiv = document.getElementById('login-error');
+  errorDiv.textContent = '';
+  const apiKey = document.getElementById('api-key').value.trim();
+  try {
+    if (apiKey) {
+      state.apiKey = apiKey;
+      localStorage.setItem(API_KEY_STORAGE, apiKey);
+    } else {
+      const response = await fetch('/api/admin/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          email: document.getElementById('login-email').value.trim(),
+          password: document.getElementById('login-password').value,
+        }),
+      });
+      const data = await response.json();
+      if (!response.ok) {
+        errorDiv.textContent = data.error || 'Unable to log in';
+        return;
+      }
+      state.token = data.token;
+      localStorage.setItem(TOKEN_STORAGE, data.token);
+    }
+    document.getElementById('login-form').reset();
+    await start();
+  } catch (error) {
+    errorDiv.textContent = error.status === 401 ? 'Invalid API key' : error.message;
+  }
+}
+
+function logout() {
+  if (state.token) {
+    fetch('/api/admin/logout', {
+      method: 'POST',
+      headers: { Authorization: `Bearer ${state.token}` },
+    }).catch(() => {});
+  }
+  state.token = '';
+  state.apiKey = '';
+  state.user = null;
+  localStorage.removeItem(TOKEN_STORAGE);
+  localStorage.removeItem(API_KEY_STORAGE);
+  showLogin();
+}
+
+function can(permission) {
+  return Boolean(state.user && state.user.permissions.includes(permission));
+}
+
+async function start() {
+  try {
+    state.user = (await api('/api/admin/me')).user;
+  } catch (error) {
+    showLogin();
+    document.getElementById('login-error').textContent = error.message;
+    return;
+  }
+  document.getElementById('login-view').classList.add('hidden');
+  document.getElementById('admin-tabs').classList.remove('hidden');
+  document.getElementById('logout-button').classList.remove('hidden');
+  document.getElementById('admin-user').textContent =
+    `${state.user.name} (${state.user.role.replace('_', ' ')})`;
+  for (const link of document.querySelectorAll('#admin-tabs a')) {
+    link.classList.toggle('hidden', !can(VIEW_PERMISSIONS[link.dataset.view]));
+  }
+  await loadLowStock();
+  showView();
+}
+
+function showView() {
+  if (!state.user) {
+    return;
+  }
+  const allowed = Object.keys(VIEW_PERMISSIONS).filter((view) => can(VIEW_PERMISSIONS[view]));
+  const requested = location.hash.slice(1);
+  const view = allowed.includes(requested) ? requested : allowed[0];
+  for (const link of document.querySelectorAll('#admin-tabs a')) {
+    link.classList.toggle('active', link.dataset.view === view);
+  }
+  for (const name of Object.keys(VIEW_PERMISSIONS)) {
+    document.getElementById(`${name}-view`).classList.toggle('hidden', name !== view);
+  }
+  if (!view) {
+    return;
+  }
+  const loaders = { orders: loadOrders, products: loadProducts, offers: loadOffers };
+  loaders[view]().catch((error) => toast(error.message));
+}
+
+// --- Low stock ---
+
+async function loadLowStock() {
+  if (!can('inventory:read')) {
+    return;
+  }
+  try {
+    const data = await api('/api/inventory/low-stock');
+    state.lowStock = data.items;
+    const banner = document.getElementById('low-stock');
+    banner.classList.toggle('hidden', data.items.length === 0);
+    banner.innerHTML = `
+      <strong>${data.items.length} variant(s) at or below ${data.threshold} units</strong>
+      <ul>
+        ${data.items
+          .map(
+            (item) =>
+              `<li>${escapeHtml(item.title)} (${escapeHtml(item.variant_label || item.size)}): ` +
+              `${item.available} available` +
+              `${item.reserved ? `, ${item.reserved} reserved` : ''}</li>`
+          )
+          .join('')}
+      </ul>
+    `;
+  } catch (error) {
+    console.error('Error loading stock levels:', error);
+  }
+}
+
+// Whether any variant of that size is low on stock
+function isLowStock(productId, size) {
+  return state.lowStock.some((item) => item.product_id === productId && item.size === size);
+}
+
+// --- Orders ---
+
+function handleOrderFilters(event) {
+  event.preventDefault();
+  const form = new FormData(event.target);
+  state.orderFilters = Object.fromEntries([...form.entries()].filter(([, value]) => value));
+  state.orderOffset = 0;
+  loadOrders().catch((error) => toast(error.message));
+}
+
+async function loadOrders() {
+  const params = new URLSearchParams({
+    ...state.orderFilters,
+    limit: ORDERS_PAGE_SIZE,
+    offset: state.orderOffset,
+  });
+  const data = await api(`/api/orders?${params}`);
+  const table = document.getElementById('orders-table');
+  if (data.orders.length === 0) {
+    table.innerHTML = '<p>No orders match these filters.</p>';
+  } else {
+    table.innerHTML = `
+      <table class="data-table">
+        <thead>
+          <tr>
+            <th>Order</th>
+            <th>Customer</th>
+            <th>Items</th>
+            <th>Total</th>
+            <th>Payment</th>
+            <th>Status</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${data.orders.map(renderOrderRow).join('')}</tbody>
+      </table>
+    `;
+    for (const form of table.querySelectorAll('form[data-order-id]')) {
+      form.addEventListener('submit', handleOrderStatus);
+    }
+    for (const button of table.querySelectorAll('[data-print-order]')) {
+      button.addEventListener('click', () =>
+        downloadPrintFile(button.dataset.printOrder, button.dataset.printLine)
+      );
+    }
+  }
+
+  const pager = document.getElementById('orders-pager');
+  const page = Math.floor(state.orderOffset / ORDERS_PAGE_SIZE) + 1;
+  const pages = Math.max(Math.ceil(data.total / ORDERS_PAGE_SIZE), 1);
+  pager.innerHTML = `
+    <span>${data.total} orders · page ${page} of ${pages}</span>
+    <button type="button" class="btn btn-small" data-step="-1" ${page <= 1 ? 'disabled' : ''}>Previous</button>
+    <button type="button" class="btn btn-small" data-step="1" ${page >= pages ? 'disabled' : ''}>Next</button>
+  `;
+  for (const button of pager.querySelectorAll('button')) {
+    button.addEventListener('click', () => {
+      state.orderOffset += Number(button.dataset.step) * ORDERS_PAGE_SIZE;
+      loadOrders().catch((error) => toast(error.message));
+    });
+  }
+}
+
+// Lines with customer artwork get a print file download and its print quality
+function renderOrderItem(order, item, index) {
+  let artwork = '';
+  if (item.artwork) {
+    const dpi = item.artwork.effective_dpi ? `${item.artwork.effective_dpi} DPI` : 'artwork';
+    artwork = `
+      <br><span class="badge ${item.artwork.status === 'warn' ? 'warning' : 'success'}">${escapeHtml(dpi)}</span>
+      <button type="button" class="btn btn-small" data-print-order="${escapeHtml(order.id)}"
+              data-print-line="${index + 1}">Print file</button>
+    `;
+  }
+  return `<li>${item.quantity} × ${escapeHtml(item.title)} (${escapeHtml(item.size)})${artwork}</li>`;
+}
+
+function renderOrderRow(order) {
+  const items = order.items.map((item, index) => renderOrderItem(order, item, index)).join('');
+  const transitions = order.next_statuses.length
+    ? `
+      <form data-order-id="${escapeHtml(order.id)}">
+        <select name="status" class="form-input">
+          ${order.next_statuses.map((s) => `<option>${escapeHtml(s)}</option>`).join('')}
+        </select>
+        <input type="text" name="note" class="form-input" placeholder="Note (optional)">
+        <button type="submit" class="btn btn-small">Update</button>
+      </form>
+    `
+    : '';
+  return `
+    <tr>
+      <td>
+        <a href="/order-confirmation?id=${encodeURIComponent(order.id)}" target="_blank">${escapeHtml(order.id)}</a>
+        <br><small>${formatDate(order.created_at)}</small>
+      </td>
+      <td>
+        ${escapeHtml(order.customer?.name)}<br>
+        <small>${escapeHtml(order.customer?.email)}</small>
+      </td>
+      <td><ul class="order-items">${items}</ul></td>
+      <td>${formatPrice(order.total)}</td>
+      <td>${escapeHtml(order.payment_method)}<br>${statusBadge(order.payment_status)}</td>
+      <td>${statusBadge(order.status)}${order.tracking_number ? `<br><small>${escapeHtml(order.tracking_number)}</small>` : ''}</td>
+      <td>${transitions}</td>
+    </tr>
+  `;
+}
+
+async function handleOrderStatus(event) {
+  event.preventDefault();
+  const form = event.target;
+  const { status, note } = Object.fromEntries(new FormData(form).entries());
+  if (!confirm(`Move order ${form.dataset.orderId} to "${status}"?`)) {
+    return;
+  }
+  try {
+    await api(`/api/orders/${encodeURIComponent(form.dataset.orderId)}`, {
+      method: 'PUT',
+      body: { status, note },
+    });
+    toast(`Order marked ${status}`);
+    await Promise.all([loadOrders(), loadLowStock()]);
+  } catch (error) {
+    toast(error.message);
+  }
+}
+
+// Downloads need the admin credentials, so files are fetched and handed over as a blob
+async function downloadFile(path, filename) {
+  const headers = state.token
+    ? { Authorization: `Bearer ${state.token}` }
+    : { 'x-api-key': state.apiKey };
+  try {
+    const response = await fetch(path, { headers });
+    if (!response.ok) {
+      const data = await response.json().catch(() => ({}));
+      throw new Error(data.error || `Download failed (${response.status})`);
+    }
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (error) {
+    toast(error.message);
+  }
+}
+
+function downloadPrintFile(orderId, line) {
+  return downloadFile(
+    `/api/orders/${encodeURIComponent(orderId)}/items/${line}/print.pdf`,
+    `${orderId}-${line}.pdf`
+  );
+}
+
+// --- Products ---
+
+async function loadProducts() {
+  const data = await api('/api/products');
+  state.products = data.products;
+  const table = document.getElementById('products-table');
+  table.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th></th>
+          <th>Product</th>
+          <th>Prices</th>
+          <th>Stock</th>
+          <th>GST</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${state.products.map(renderProductRow).join('')}</tbody>
+    </table>
+  `;
+  for (const button of table.querySelectorAll('[data-edit-product]')) {
+    button.addEventListener('click', () => editProduct(button.dataset.editProduct));
+  }
+  for (const button of table.querySelectorAll('[data-delete-product]')) {
+    button.addEventListener('click', () => deleteProduct(button.dataset.deleteProduct));
+  }
+}
+
+function renderProductRow(product) {
+  const sizes = Object.keys(product.price || {});
+  const low = sizes.some((size) => isLowStock(product.id, size));
+  const image = (product.images || [])[0];
+  return `
+    <tr class="${low ? 'low-stock' : ''}">
+      <td>${image ? `<img src="${escapeHtml(image)}" alt="" width="48" height="48">` : ''}</td>
+      <td>
+        <strong>${escapeHtml(product.title)}</strong><br>
+        <small>${escapeHtml(product.id)} · ${escapeHtml(product.type)} · ${escapeHtml(product.category)}</small><br>
+        <small>${(product.variants || []).length} variant(s)${(product.options || [])
+          .filter((axis) => axis.name !== 'size')
+          .map((axis) => ` · ${escapeHtml(axis.values.join('/'))}`)
+          .join('')}</small>
+        ${product.featured ? '<span class="badge success">featured</span>' : ''}
+      </td>
+      <td>${sizes.map((size) => `${size}: from ${formatPrice(product.price[size])}`).join('<br>')}</td>
+      <td>
+        ${sizes
+          .map(
+            (size) =>
+              `<span class="stock-size ${isLowStock(product.id, size) ? 'low' : ''}">` +
+              `${size}: ${Number((product.stock || {})[size] || 0)}</span>`
+          )
+          .join('')}
+      </td>
+      <td>${escapeHtml(product.gst_rate ?? '')}% · ${escapeHtml(product.hsn_code ?? '')}</td>
+      <td>
+        <button type="button" class="btn btn-small" data-edit-product="${escapeHtml(product.id)}">Edit</button>
+        <button type="button" class="btn btn-small btn-danger" data-delete-product="${escapeHtml(product.id)}">Delete</button>
+      </td>
+    </tr>
+  `;
+}
+
+function renderProductImages() {
+  const list = document.getElementById('product-images');
+  list.innerHTML = state.productImages
+    .map(
+      (url, idx) => `
+        <figure>
+          <img src="${escapeHtml(url)}" alt="">
+          <button type="button" class="btn btn-small btn-danger" data-remove-image="${idx}">×</button>
+        </figure>
+      `
+    )
+    .join('');
+  for (const button of list.querySelectorAll('[data-remove-image]')) {
+    button.addEventListener('click', () => {
+      state.productImages.splice(Number(button.dataset.removeImage), 1);
+      renderProductImages();
+    });
+  }
+}
+
+async function handleImageUpload(event) {
+  const file = event.target.files[0];
+  if (!file) {
+    return;
+  }
+  const body = new FormData();
+  body.append('file', file);
+  try {
+    const data = await api('/api/uploads', { method: 'POST', body });
+    state.productImages.push(data.fileUrl);
+    renderProductImages();
+  } catch (error) {
+    document.getElementById('product-error').textContent = error.message;
+  } finally {
+    event.target.value = '';
+  }
+}
+
+function editProduct(id) {
+  const product = state.products.find((p) => p.id === id);
+  if (!product) {
+    return;
+  }
+  resetProductForm();
+  state.editingProductId = id;
+  const form = document.getElementById('product-form');
+  for (const field of ['title', 'type', 'category', 'description', 'hsn_code']) {
+    form.elements[field].value = product[field] ?? '';
+  }
+  form.elements.gst_rate.value = product.gst_rate ?? '';
+  form.elements.tags.value = (product.tags || []).join(', ');
+  for (const axis of OPTION_AXES) {
+    const option = (product.options || []).find((o) => o.name === axis);
+    form.elements[`option_${axis}`].value = option ? option.values.join(', ') : '';
+  }
+  state.productVariants = (product.variants || []).map((variant) => ({ ...variant }));
+  renderProductVariants();
+  form.elements.featured.checked = Boolean(product.featured);
+  form.elements.allow_backorder.checked = Boolean(product.allow_backorder);
+  state.productImages = [...(product.images || [])];
+  renderProductImages();
+  document.getElementById('product-form-title').textContent = `Edit ${product.title}`;
+  document.getElementById('product-submit').textContent = 'Save product';
+  form.scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetProductForm() {
+  document.getElementById('product-form').reset();
+  document.getElementById('product-error').textContent = '';
+  document.getElementById('product-form-title').textContent = 'Add product';
+  document.getElementById('product-submit').textContent = 'Add product';
+  state.editingProductId = null;
+  state.productImages = [];
+  state.productVariants = [];
+  renderProductImages();
+  renderProductVariants();
+}
+
+// Option axes typed into the form: [{ name, values }] for the axes that have values
+function readProductOptions(form) {
+  return OPTION_AXES.map((name) => ({
+    name,
+    values: form.elements[`option_${name}`].value
+      .split(',')
+      .map((value) => value.trim())
+      .filter(Boolean),
+  })).filter((axis) => axis.values.length > 0);
+}
+
+// { size: 'M', finish: 'glossy' } -> 'M · Glossy'
+function variantLabel(options) {
+  return OPTION_AXES.filter((axis) => options[axis])
+    .map((axis) => String(options[axis]))
+    .map((value) => value.charAt(0).toUpperCase() + value.slice(1))
+    .join(' · ');
+}
+
+// Adds a variant for every combination of the options that has none yet, and drops the
+// ones using values no longer listed
+function buildProductVariants() {
+  const options = readProductOptions(document.getElementById('product-form'));
+  const combinations = options.reduce(
+    (partial, axis) =>
+      partial.flatMap((combo) => axis.values.map((value) => ({ ...combo, [axis.name]: value }))),
+    [{}]
+  );
+  const sameOptions = (a, b) =>
+    Object.keys(a).length === Object.keys(b).length && Object.keys(a).every((k) => a[k] === b[k]);
+  state.productVariants = combinations.map(
+    (combo) =>
+      state.productVariants.find((variant) => sameOptions(variant.options, combo)) || {
+        sku: '',
+        options: combo,
+        price: '',
+        stock: 0,
+        weight_grams: null,
+      }
+  );
+  renderProductVariants();
+}
+
+function renderProductVariants() {
+  const container = document.getElementById('product-variants');
+  if (state.productVariants.length === 0) {
+    container.innerHTML =
+      '<p><small>No variants yet: list the options, then add their combinations.</small></p>';
+    return;
+  }
+  container.innerHTML = `
+    <table class="data-table variant-table">
+      <thead>
+        <tr><th>Variant</th><th>SKU (blank: automatic)</th><th>Price (₹)</th><th>Stock</th><th>Weight (g)</th><th></th></tr>
+      </thead>
+      <tbody>
+        ${state.productVariants
+          .map(
+            (variant, idx) => `
+              <tr>
+                <td>${escapeHtml(variantLabel(variant.options))}</td>
+                <td><input type="text" data-variant="${idx}" data-field="sku" value="${escapeHtml(variant.sku || '')}"></td>
+                <td><input type="number" min="1" data-variant="${idx}" data-field="price" value="${escapeHtml(variant.price ?? '')}"></td>
+                <td><input type="number" min="0" data-variant="${idx}" data-field="stock" value="${escapeHtml(variant.stock ?? 0)}"></td>
+                <td><input type="number" min="1" data-variant="${idx}" data-field="weight_grams" value="${escapeHtml(variant.weight_grams ?? '')}" placeholder="paper"></td>
+                <td><button type="button" class="btn btn-small btn-danger" data-remove-variant="${idx}">×</button></td>
+              </tr>
+            `
+          )
+          .join('')}
+      </tbody>
+    </table>
+  `;
+  for (const input of container.querySelectorAll('[data-variant]')) {
+    input.addEventListener('change', () => {
+      const variant = state.productVariants[Number(input.dataset.variant)];
+      const value = input.value.trim();
+      variant[input.dataset.field] =
+        input.dataset.field === 'sku' ? value : value === '' ? null : Number(value);
+    });
+  }
+  for (const button of container.querySelectorAll('[data-remove-variant]')) {
+    button.addEventListener('click', () => {
+      state.productVariants.splice(Number(button.dataset.removeVariant), 1);
+      renderProductVariants();
+    });
+  }
+}
+
+function readProductForm(form) {
+  const product = {
+    title: form.elements.title.value.trim(),
+    type: form.elements.type.value,
+    category: form.elements.category.value.trim() || 'abstract',
+    description: form.elements.description.value.trim(),
+    tags: form.elements.tags.value
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter(Boolean),
+    options: readProductOptions(form),
+    variants: state.productVariants.map(({ sku, options, price, stock, weight_grams }) => ({
+      ...(sku ? { sku } : {}),
+      options,
+      price,
+      stock: stock ?? 0,
+      weight_grams,
+    })),
+    images: state.productImages,
+    featured: form.elements.featured.checked,
+    allow_backorder: form.elements.allow_backorder.checked,
+  };
+  if (form.elements.hsn_code.value.trim()) {
+    product.hsn_code = form.elements.hsn_code.value.trim();
+  }
+  if (form.elements.gst_rate.value !== '') {
+    product.gst_rate = Number(form.elements.gst_rate.value);
+  }
+  return product;
+}
+
+async function handleProductSubmit(event) {
+  event.preventDefault();
+  const errorDiv = document.getElementById('product-error');
+  errorDiv.textContent = '';
+  const product = readProductForm(event.target);
+  if (product.variants.length === 0) {
+    errorDiv.textContent = 'Add at least one variant';
+    return;
+  }
+  if (product.variants.some((variant) => !(variant.price > 0))) {
+    errorDiv.textContent = 'Enter a price for every variant';
+    return;
+  }
+  try {
+    if (state.editingProductId) {
+      await api(`/api/products/${encodeURIComponent(state.editingProductId)}`, {
+        method: 'PUT',
+        body: product,
+      });
+      toast('Product saved');
+    } else {
+      await api('/api/products', { method: 'POST', body: product });
+      toast('Product added');
+    }
+    resetProductForm();
+    await loadLowStock();
+    await loadProducts();
+  } catch (error) {
+    errorDiv.textContent = error.message;
+  }
+}
+
+async function deleteProduct(id) {
+  if (!confirm(`Delete product ${id}? This cannot be undone.`)) {
+    return;
+  }
+  try {
+    await api(`/api/products/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    toast('Product deleted');
+    await loadLowStock();
+    await loadProducts();
+  } catch (error) {
+    toast(error.message);
+  }
+}
+
+// The file is checked with a dry run first; it is only imported once it has no errors and
+// the changes are confirmed
+async function handleCatalogImport(event) {
+  const file = event.target.files[0];
+  const errorDiv = document.getElementById('catalog-import-errors');
+  errorDiv.innerHTML = '';
+  if (!file) {
+    return;
+  }
+  const upload = (dryRun) => {
+    const body = new FormData();
+    body.append('file', file);
+    body.append('dry_run', String(dryRun));
+    return api('/api/products/import', { method: 'POST', body });
+  };
+  try {
+    const report = await upload(true);
+    if (report.errors.length > 0) {
+      errorDiv.innerHTML = report.errors
+        .map(
+          (e) =>
+            `<div>Row ${escapeHtml(e.row)}${e.id ? ` (${escapeHtml(e.id)})` : ''}` +
+            `${e.field ? `, ${escapeHtml(e.field)}` : ''}: ${escapeHtml(e.error)}</div>`
+        )
+        .join('');
+      return;
+    }
+    const warnings = report.warnings.map((w) => `\n${w.id}: ${w.error}`).join('');
+    const summary = `${report.created.length} new, ${report.updated.length} updated`;
+    if (!confirm(`Import ${file.name}? ${summary} product(s).${warnings}`)) {
+      return;
+    }
+    await upload(false);
+    toast(`Catalog imported: ${summary}`);
+    await loadLowStock();
+    await loadProducts();
+  } catch (error) {
+    errorDiv.textContent = error.message;
+  } finally {
+    event.target.value = '';
+  }
+}
+
+// --- Offers ---
+
+async function loadOffers() {
+  const data = await api('/api/offers/all');
+  state.offers = data.offers;
+  const table = document.getElementById('offers-table');
+  table.innerHTML = `
+    <table class="data-table">
+      <thead>
+        <tr>
+          <th>Offer</th>
+          <th>Type</th>
+          <th>Priority</th>
+          <th>Runs</th>
+          <th>Status</th>
+          <th></th>
+        </tr>
+      </thead>
+      <tbody>${state.offers.map(renderOfferRow).join('')}</tbody>
+    </table>
+  `;
+  for (const button of table.querySelectorAll('[data-edit-offer]')) {
+    button.addEventListener('click', () => editOffer(button.dataset.editOffer));
+  }
+  for (const button of table.querySelectorAll('[data-toggle-offer]')) {
+    button.addEventListener('click', () => toggleOffer(button.dataset.toggleOffer));
+  }
+  for (const button of table.querySelectorAll('[data-delete-offer]')) {
+    button.addEventListener('click', () => deleteOffer(button.dataset.deleteOffer));
+  }
+}
+
+function renderOfferRow(offer) {
+  const value = offer.type === 'percentage' ? `${offer.value}%` : offer.value ?? '';
+  let status = '<span class="badge success">live</span>';
+  if (offer.active === false) {
+    status = '<span class="badge">inactive</span>';
+  } else if (!offer.live) {
+    status = '<span class="badge warning">scheduled / ended</span>';
+  }
+  return `
+    <tr>
+      <td>
+        <strong>${escapeHtml(offer.label)}</strong><br>
+        <small>${escapeHtml(offer.id)}${offer.stacking_group ? ` · ${escapeHtml(offer.stacking_group)}` : ''}</small>
+      </td>
+      <td>${escapeHtml(offer.type)} ${escapeHtml(value)}</td>
+      <td>${escapeHtml(offer.priority ?? 0)}</td>
+      <td><small>${formatDate(offer.starts_at) || 'now'} – ${formatDate(offer.ends_at) || 'open'}</small></td>
+      <td>${status}${offer.exclusive ? ' <span class="badge">exclusive</span>' : ''}</td>
+      <td>
+        <button type="button" class="btn btn-small" data-edit-offer="${escapeHtml(offer.id)}">Edit</button>
+        <button type="button" class="btn btn-small" data-toggle-offer="${escapeHtml(offer.id)}">${offer.active === false ? 'Activate' : 'Deactivate'}</button>
+        <button type="button" class="btn btn-small btn-danger" data-delete-offer="${escapeHtml(offer.id)}">Delete</button>
+      </td>
+    </tr>
+  `;
+}
+
+// datetime-local inputs work in local time without a zone
+function toLocalInput(value) {
+  if (!value) {
+    return '';
+  }
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+function editOffer(id) {
+  const offer = state.offers.find((o) => o.id === id);
+  if (!offer) {
+    return;
+  }
+  resetOfferForm();
+  state.editingOfferId = id;
+  const form = document.getElementById('offer-form');
+  for (const field of ['id', 'label', 'type', 'value', 'max_discount', 'priority', 'stacking_group']) {
+    form.elements[field].value = offer[field] ?? '';
+  }
+  form.elements.id.disabled = true;
+  form.elements.starts_at.value = toLocalInput(offer.starts_at);
+  form.elements.ends_at.value = toLocalInput(offer.ends_at);
+  form.elements.active.checked = offer.active !== false;
+  form.elements.exclusive.checked = Boolean(offer.exclusive);
+  form.elements.conditions.value = JSON.stringify(offer.conditions || {}, null, 2);
+  document.getElementById('offer-form-title').textContent = `Edit ${offer.label}`;
+  document.getElementById('offer-submit').textContent = 'Save offer';
+  form.scrollIntoView({ behavior: 'smooth' });
+}
+
+function resetOfferForm() {
+  const form = document.getElementById('offer-form');
+  form.reset();
+  form.elements.id.disabled = false;
+  document.getElementById('offer-error').textContent = '';
+  document.getElementById('offer-form-title').textContent = 'Add offer';
+  document.getElementById('offer-submit').textContent = 'Add offer';
+  state.editingOfferId = null;
+}
+
+function readOfferForm(form) {
+  const offer = {
+    label: form.elements.label.value.trim(),
+    type: form.elements.type.value,
+    active: form.elements.active.checked,
+    exclusive: form.elements.exclusive.checked,
+    stacking_group: form.elements.stacking_group.value.trim() || null,
+    conditions: form.elements.conditions.value.trim()
+      ? JSON.parse(form.elements.conditions.value)
+      : {},
+    starts_at: form.elements.starts_at.value
+      ? new Date(form.elements.starts_at.value).toISOString()
+      : null,
+    ends_at: form.elements.ends_at.value ? new Date(form.elements.ends_at.value).toISOString() : null,
+  };
+  for (const field of ['value', 'max_discount', 'priority']) {
+    if (form.elements[field].value !== '') {
+      offer[field] = Number(form.elements[field].value);
+    }
+  }
+  if (!state.editingOfferId && form.elements.id.value.trim()) {
+    offer.id = form.elements.id.value.trim();
+  }
+  return offer;
+}
+
+async function handleOfferSubmit(event) {
+  event.preventDefault();
+  const errorDiv = document.getElementById('offer-error');
+  errorDiv.textContent = '';
+  let offer;
+  try {
+    offer = readOfferForm(event.target);
+  } catch (error) {
+    errorDiv.textContent = 'Conditions must be valid JSON';
+    return;
+  }
+  try {
+    if (state.editingOfferId) {
+      await api(`/api/offers/${encodeURIComponent(state.editingOfferId)}`, {
+        method: 'PUT',
+        body: offer,
+      });
+      toast('Offer saved');
+    } else {
+      await api('/api/offers', { method: 'POST', body: offer });
+      toast('Offer added');
+    }
+    resetOfferForm();
+    await loadOffers();
+  } catch (error) {
+    errorDiv.textContent = error.message;
+  }
+}
+
+async function toggleOffer(id) {
+  const offer = state.offers.find((o) => o.id === id);
+  try {
+    await api(`/api/offers/${encodeURIComponent(id)}`, {
+      method: 'PUT',
+      body: { active: offer.active === false },
+    });
+    await loadOffers();
+  } catch (error) {
+    toast(error.message);
+  }
+}
+
+async function deleteOffer(id) {
+  if (!confirm(`Delete offer ${id}?`)) {
+    return;
+  }
+  try {
+    await api(`/api/offers/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    toast('Offer deleted');
+    await loadOffers();
+  } catch (error) {
+    toast(error.message);
+  }
+}
@@ -2,6 +2,10 @@
 class ShoppingCart {
   constructor() {
     this.cart = [];
+    this.coupon = null;
+    this.discount = 0;
+    this.totals = null;
+    this.pincode = localStorage.getItem('shipping_pincode') || '';
     this.sessionId = this.getSessionId();
     this.init();
   }
@@ -39,6 +43,11 @@ class ShoppingCart {
       });
       const data = await response.json();
       this.cart = data.cart || [];
+      this.coupon = data.coupon || null;
+      if (this.coupon) {
+        await this.refreshCoupon();
+      }
+      await this.refreshTotals();
       this.updateCartCounter();
       return this.cart;
     } catch (error) {
@@ -56,11 +65,12 @@ class ShoppingCart {
           'Content-Type': 'application/json',
           'x-session-id': this.sessionId
         },
-        body: JSON.stringify({ cart: this.cart })
+        body: JSON.stringify({ cart: this.cart, coupon: this.coupon })
       });
 
       // Notify other tabs
       localStorage.setItem('cart_updated', Date.now().toString());
+      await this.refreshTotals();
       this.updateCartCounter();
     } catch (error) {
       console.error('Error saving cart:', error);
@@ -68,7 +78,14 @@ class ShoppingCart {
     }
   }
 
-  async addItem(product_id, title, size, quantity, price) {
+  // Cart lines are told apart by SKU; lines saved before products had variants by
+  // product and size
+  lineKey(item) {
+    return item.sku || `${item.product_id}|${item.size}`;
+  }
+
+  // `variant` is { sku, options, variant_label } of the variant picked on the product page
+  async addItem(product_id, title, size, quantity, price, variant = {}) {
     // Validate inputs
     if (!product_id || !title || !size || !quantity || !price) {
       throw new Error('Missing required product information');
@@ -78,9 +95,21 @@ class ShoppingCart {
       throw new Error('Quantity must be at least 1');
     }
 
+    const newItem = {
+      product_id,
+      sku: variant.sku,
+      title,
+      size,
+      options: variant.options,
+      variant_label: variant.variant_label,
+      quantity,
+      price,
+      added_at: new Date().toISOString()
+    };
+
     // Check if item already exists
     const existingItemIndex = this.cart.findIndex(item =>
-      item.product_id === product_id && item.size === size
+      this.lineKey(item) === this.lineKey(newItem)
     );
 
     if (existingItemIndex >= 0) {
@@ -88,31 +117,23 @@ class ShoppingCart {
       this.cart[existingItemIndex].quantity += quantity;
     } else {
       // Add new item
-      this.cart.push({
-        product_id,
-        title,
-        size,
-        quantity,
-        price,
-        added_at: new Date().toISOString()
-      });
+      this.cart.push(newItem);
     }
 
     await this.saveCart();
     return this.cart;
   }
 
-  async updateItemQuantity(product_id, size, quantity) {
-    const itemIndex = this.cart.findIndex(item =>
-      item.product_id === product_id && item.size === size
-    );
+  // `key` is the line's lineKey()
+  async updateItemQuantity(key, quantity) {
+    const itemIndex = this.cart.findIndex(item => this.lineKey(item) === key);
 
     if (itemIndex === -1) {
       throw new Error('Item not found in cart');
     }
 
     if (quantity < 1) {
-      return this.removeItem(product_id, size);
+      return this.removeItem(key);
     }
 
     this.cart[itemIndex].quantity = quantity;
@@ -120,16 +141,16 @@ class ShoppingCart {
     return this.cart;
   }
 
-  async removeItem(product_id, size) {
-    this.cart = this.cart.filter(item =>
-      !(item.product_id === product_id && item.size === size)
-    );
+  async removeItem(key) {
+    this.cart = this.cart.filter(item => this.lineKey(item) !== key);
     await this.saveCart();
     return this.cart;
   }
 
   async clearCart() {
     this.cart = [];
+    this.coupon = null;
+    this.discount = 0;
     try {
       await fetch('/api/cart', {
         method: 'DELETE',
@@ -162,16 +183,74 @@ class ShoppingCart {
   }
 
   async applyCoupon(couponCode) {
-    // This would integrate with a coupon system
-    // For now, just return the cart without discount
+    const response = await fetch('/api/cart/coupon', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-session-id': this.sessionId
+      },
+      body: JSON.stringify({ code: couponCode, items: this.cart })
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      return {
+        cart: this.cart,
+        discount: 0,
+        subtotal: this.getSubtotal(),
+        total: this.getSubtotal(),
+        error: data.error || 'Invalid or expired coupon code'
+      };
+    }
+
+    this.coupon = data.coupon.code;
+    this.discount = data.discount;
+    await this.saveCart();
+
     return {
       cart: this.cart,
-      discount: 0,
-      subtotal: this.getSubtotal(),
-      total: this.getSubtotal()
+      coupon: data.coupon,
+      discount: data.coupon.discount,
+      subtotal: data.subtotal,
+      total: data.total
     };
   }
 
+  // Re-price the stored coupon against the current cart contents
+  async refreshCoupon() {
+    if (!this.coupon || this.cart.length === 0) {
+      this.discount = 0;
+      return;
+    }
+    try {
+      const response = await fetch('/api/cart/coupon', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-session-id': this.sessionId
+        },
+        body: JSON.stringify({ code: this.coupon, items: this.cart })
+      });
+      const data = await response.json();
+      if (response.ok) {
+        this.discount = data.discount;
+      } else {
+        this.coupon = null;
+        this.discount = 0;
+      }
+    } catch (error) {
+      console.error('Error refreshing coupon:', error);
+      this.discount = 0;
+    }
+  }
+
+  async removeCoupon() {
+    this.coupon = null;
+    this.discount = 0;
+    await this.saveCart();
+    return this.cart;
+  }
+
   updateCartCounter() {
     const count = this.getItemCount();
     const counterElements = document.querySelectorAll('#cart-count, .cart-count');
@@ -196,41 +275,75 @@ class ShoppingCart {
     }).format(price);
   }
 
+  // Remember the delivery pincode so the cart and checkout quote the same shipping
+  setPincode(pincode) {
+    this.pincode = String(pincode || '').trim();
+    localStorage.setItem('shipping_pincode', this.pincode);
+  }
+
+  // Price the cart on the server (offers, coupon, shipping for the pincode) so what the
+  // customer sees is what POST /api/orders will charge
+  async refreshTotals({ paymentMethod, state } = {}) {
+    if (this.cart.length === 0) {
+      this.totals = null;
+      return null;
+    }
+    try {
+      const response = await fetch('/api/cart/totals', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-session-id': this.sessionId
+        },
+        body: JSON.stringify({
+          items: this.cart,
+          couponCode: this.coupon,
+          pincode: this.pincode || undefined,
+          paymentMethod,
+          state
+        })
+      });
+      const data = await response.json();
+      this.totals = response.ok ? data : null;
+    } catch (error) {
+      console.error('Error calculating totals:', error);
+      this.totals = null;
+    }
+    return this.totals;
+  }
+
   // Get cart summary for checkout
   getCartSummary() {
-    const subtotal = this.getSubtotal();
-    const shipping = this.calculateShipping();
-    const total = subtotal + shipping;
+    if (this.totals) {
+      return {
+        items: this.cart.length,
+        subtotal: this.totals.subtotal,
+        discount: this.totals.discount,
+        coupon: this.coupon,
+        shipping: this.totals.shipping,
+        shippingQuote: this.totals.shipping_quote,
+        total: this.totals.total,
+        currency: 'INR'
+      };
+    }
 
+    const subtotal = this.getSubtotal();
+    const discount = this.coupon ? Math.min(this.discount, subtotal) : 0;
     return {
       items: this.cart.length,
       subtotal,
-      shipping,
-      total,
+      discount,
+      coupon: this.coupon,
+      shipping: null,
+      shippingQuote: null,
+      total: subtotal - discount,
       currency: 'INR'
     };
   }
 
-  // Calculate shipping based on cart contents
+  // Shipping comes from the server's rate card; null until the cart has been priced
   calculateShipping() {
-    const itemCount = this.getItemCount();
-    const subtotal = this.getSubtotal();
-
-    // Free shipping for orders over ₹999
-    if (subtotal >= 999) {
-      return 0;
-    }
-
-    // Base shipping rates
-    if (itemCount === 1) {
-      return 49;
-    } else if (itemCount <= 3) {
-      return 79;
-    } else if (itemCount <= 5) {
-      return 99;
-    } else {
-      return 149;
-    }
+    return this.totals ? this.totals.shipping : null;
   }
 
   // Validate cart before checkout
@@ -260,7 +373,7 @@ class ShoppingCart {
 
     for (const serverItem of serverCart) {
       const existingIndex = mergedCart.findIndex(item =>
-        item.product_id === serverItem.product_id && item.size === serverItem.size
+        this.lineKey(item) === this.lineKey(serverItem)
       );
 
       if (existingIndex >= 0) {
@@ -275,6 +388,15 @@ class ShoppingCart {
     return this.cart;
   }
 
+  // Called after login/registration with the anonymous cart the server handed back:
+  // load the customer's own cart and merge the anonymous items into it
+  async claimCart(anonymousCart) {
+    localStorage.removeItem('cart_session_id');
+    this.sessionId = this.getSessionId();
+    await this.loadCart();
+    return this.mergeCart(anonymousCart);
+  }
+
   // Get product recommendations based on cart contents
   getRecommendations() {
     // This would typically call an API for recommendations
@@ -309,9 +431,9 @@ window.shoppingCart = shoppingCart;
 
 // Helper functions for cart operations
 window.CartUtils = {
-  async addToCart(productId, title, size, quantity = 1, price) {
+  async addToCart(productId, title, size, quantity = 1, price, variant = {}) {
     try {
-      await shoppingCart.addItem(productId, title, size, quantity, price);
+      await shoppingCart.addItem(productId, title, size, quantity, price, variant);
       showNotification('Added to cart successfully!', 'success');
       return true;
     } catch (error) {
@@ -321,9 +443,9 @@ window.CartUtils = {
     }
   },
 
-  async removeFromCart(productId, size) {
+  async removeFromCart(key) {
     try {
-      await shoppingCart.removeItem(productId, size);
+      await shoppingCart.removeItem(key);
       showNotification('Item removed from cart', 'info');
       return true;
     } catch (error) {
@@ -333,9 +455,9 @@ window.CartUtils = {
     }
   },
 
-  async updateQuantity(productId, size, quantity) {
+  async updateQuantity(key, quantity) {
     try {
-      await shoppingCart.updateItemQuantity(productId, size, quantity);
+      await shoppingCart.updateItemQuantity(key, quantity);
       return true;
     } catch (error) {
       console.error('Error updating quantity:', error);
@@ -0,0 +1,28 @@
+const {
+  SALE_PAYMENT_STATUSES,
+  GROUP_BY,
+  CSV_COLUMNS,
+  resolveRange,
+  buildSalesReport,
+  salesReportCsv,
+} = require('./sales');
+
+// Sales reports:
+//
+//   resolveRange({ from?, to?, groupBy?, now?, utcOffsetMinutes? })
+//                        -> { from, to, groupBy } (last 30 days by default) or { error }
+//   buildSalesReport(orders, { from, to, groupBy, utcOffsetMinutes })
+//                        -> { range, summary, revenue, products, payment_methods, offers }
+//   salesReportCsv(report, section)
+//                        one of the CSV_COLUMNS tables as CSV
+//
+// Only orders whose payment_status is in SALE_PAYMENT_STATUSES count as sales.
+
+module.exports = {
+  SALE_PAYMENT_STATUSES,
+  GROUP_BY,
+  CSV_COLUMNS,
+  resolveRange,
+  buildSalesReport,
+  salesReportCsv,
+};
@@ -0,0 +1,275 @@
+// Sales figures worked out from the order records. An order counts as a sale once it has
+// been paid (COD orders when the cash is collected); refunds are taken off the order they
+// belong to. Dates are bucketed in the shop's timezone, given as an offset from UTC.
+
+const SALE_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+const GROUP_BY = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function roundMoney(value) {
+  return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 10000) / 10000 : 0;
+}
+
+// "YYYY-MM-DD" of a timestamp in the shop's timezone
+function localDate(value, utcOffsetMinutes) {
+  return new Date(new Date(value).getTime() + utcOffsetMinutes * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+}
+
+function isDateString(value) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(String(value || '')) && !Number.isNaN(Date.parse(value));
+}
+
+function addDays(date, days) {
+  return new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// Weeks start on Monday and are named after it; months are "YYYY-MM".
+function periodOf(date, groupBy) {
+  if (groupBy === 'month') {
+    return date.slice(0, 7);
+  }
+  if (groupBy === 'week') {
+    const weekday = (new Date(date).getUTCDay() + 6) % 7;
+    return addDays(date, -weekday);
+  }
+  return date;
+}
+
+function periodsBetween(from, to, groupBy) {
+  const periods = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const period = periodOf(date, groupBy);
+    if (periods[periods.length - 1] !== period) {
+      periods.push(period);
+    }
+  }
+  return periods;
+}
+
+// Checks and fills in the range of a report. Returns { error } or { from, to, groupBy }.
+function resolveRange({ from, to, groupBy = 'day', now = new Date(), utcOffsetMinutes = 0 }) {
+  if (!GROUP_BY.includes(groupBy)) {
+    return { error: `group_by must be one of ${GROUP_BY.join(', ')}` };
+  }
+  const end = to || localDate(now, utcOffsetMinutes);
+  const start = from || addDays(end, -29);
+  if (!isDateString(start) || !isDateString(end)) {
+    return { error: 'from and to must be dates (YYYY-MM-DD)' };
+  }
+  if (start > end) {
+    return { error: 'from must not be after to' };
+  }
+  return { from: start, to: end, groupBy };
+}
+
+function isSale(order) {
+  return SALE_PAYMENT_STATUSES.includes(order.payment_status);
+}
+
+// Order lines are told apart by SKU; lines from before variants by product and size
+function lineKey(line) {
+  return line.sku || `${line.product_id}|${line.size}`;
+}
+
+function refundedUnits(order) {
+  const units = new Map();
+  for (const refund of order.refunds || []) {
+    for (const line of refund.items || []) {
+      const key = lineKey(line);
+      units.set(key, (units.get(key) || 0) + Number(line.quantity || 0));
+    }
+  }
+  return units;
+}
+
+// `orders` should be every order: the ones before `from` are needed to tell returning
+// customers from new ones.
+function buildSalesReport(orders, { from, to, groupBy = 'day', utcOffsetMinutes = 0 }) {
+  const dated = orders.map((order) => ({
+    order,
+    date: localDate(order.created_at, utcOffsetMinutes),
+  }));
+  const placed = dated.filter(({ date }) => date >= from && date <= to);
+  const sales = placed.filter(({ order }) => isSale(order));
+
+  const revenue = new Map(
+    periodsBetween(from, to, groupBy).map((period) => [
+      period,
+      { period, orders: 0, units: 0, gross_revenue: 0, discount: 0, refunds: 0, net_revenue: 0 },
+    ])
+  );
+  const products = new Map();
+  const methods = new Map();
+  const offers = new Map();
+  const summary = {
+    orders_placed: placed.length,
+    orders_paid: sales.length,
+    units_sold: 0,
+    gross_revenue: 0,
+    refunds: 0,
+    net_revenue: 0,
+    discount_total: 0,
+    shipping_collected: 0,
+  };
+
+  for (const { order, date } of sales) {
+    const total = Number(order.total || 0);
+    const refunded = Number(order.refunded_amount || 0);
+    const units = (order.items || []).reduce((sum, item) => sum + Number(item.quantity || 0), 0);
+
+    const bucket = revenue.get(periodOf(date, groupBy));
+    bucket.orders += 1;
+    bucket.units += units;
+    bucket.gross_revenue += total;
+    bucket.discount += Number(order.discount || 0);
+    bucket.refunds += refunded;
+    bucket.net_revenue += total - refunded;
+
+    summary.units_sold += units;
+    summary.gross_revenue += total;
+    summary.refunds += refunded;
+    summary.net_revenue += total - refunded;
+    summary.discount_total += Number(order.discount || 0);
+    summary.shipping_collected += Number(order.shipping || 0);
+
+    const returned = refundedUnits(order);
+    for (const item of order.items || []) {
+      const key = lineKey(item);
+      const row = products.get(key) || {
+        product_id: item.product_id,
+        sku: item.sku || null,
+        title: item.title,
+        size: item.size,
+        variant: item.variant_label || item.size,
+        units: 0,
+        refunded_units: 0,
+        revenue: 0,
+      };
+      row.units += Number(item.quantity || 0);
+      row.refunded_units += returned.get(key) || 0;
+      row.revenue += Number(item.line_total || 0);
+      products.set(key, row);
+    }
+
+    const method = methods.get(order.payment_method) || {
+      payment_method: order.payment_method,
+      orders: 0,
+      revenue: 0,
+    };
+    method.orders += 1;
+    method.revenue += total;
+    methods.set(order.payment_method, method);
+
+    const applied = (order.offers_applied || []).map((offer) => ({
+      kind: 'offer',
+      id: offer.id,
+      label: offer.label,
+      discount: Number(offer.discount || 0),
+      shipping_waived: Number(offer.shipping_waiver || 0),
+    }));
+    if (order.coupon) {
+      applied.push({
+        kind: 'coupon',
+        id: order.coupon.code,
+        label: order.coupon.label,
+        discount: Number(order.coupon.discount || 0),
+        shipping_waived: 0,
+      });
+    }
+    for (const entry of applied) {
+      const key = `${entry.kind}:${entry.id}`;
+      const row = offers.get(key) || { ...entry, orders: 0, discount: 0, shipping_waived: 0 };
+      row.orders += 1;
+      row.discount += entry.discount;
+      row.shipping_waived += entry.shipping_waived;
+      offers.set(key, row);
+    }
+  }
+
+  // A repeat customer paid for an order in the range and for at least one other order
+  // placed up to the end of it.
+  const paidUpToEnd = new Map();
+  for (const { order, date } of dated) {
+    if (date <= to && isSale(order)) {
+      const email = String(order.customer?.email || '').toLowerCase();
+      paidUpToEnd.set(email, (paidUpToEnd.get(email) || 0) + 1);
+    }
+  }
+  const customers = new Set(
+    sales.map(({ order }) => String(order.customer?.email || '').toLowerCase())
+  );
+  const repeat = [...customers].filter((email) => paidUpToEnd.get(email) > 1).length;
+
+  const money = (row, fields) => {
+    for (const field of fields) {
+      row[field] = roundMoney(row[field]);
+    }
+    return row;
+  };
+  return {
+    range: { from, to, group_by: groupBy, utc_offset_minutes: utcOffsetMinutes },
+    summary: {
+      ...money(summary, [
+        'gross_revenue',
+        'refunds',
+        'net_revenue',
+        'discount_total',
+        'shipping_collected',
+      ]),
+      conversion_rate: ratio(sales.length, placed.length),
+      average_order_value: roundMoney(sales.length ? summary.gross_revenue / sales.length : 0),
+      customers: customers.size,
+      repeat_customers: repeat,
+      repeat_customer_rate: ratio(repeat, customers.size),
+    },
+    revenue: [...revenue.values()].map((row) =>
+      money(row, ['gross_revenue', 'discount', 'refunds', 'net_revenue'])
+    ),
+    products: [...products.values()]
+      .map((row) => money(row, ['revenue']))
+      .sort((a, b) => b.units - a.units || b.revenue - a.revenue),
+    payment_methods: [...methods.values()]
+      .map((row) => ({
+        ...money(row, ['revenue']),
+        share: ratio(row.orders, sales.length),
+      }))
+      .sort((a, b) => b.orders - a.orders),
+    offers: [...offers.values()]
+      .map((row) => money(row, ['discount', 'shipping_waived']))
+      .sort((a, b) => b.discount + b.shipping_waived - (a.discount + a.shipping_waived)),
+  };
+}
+
+const CSV_COLUMNS = {
+  revenue: ['period', 'orders', 'units', 'gross_revenue', 'discount', 'refunds', 'net_revenue'],
+  products: ['product_id', 'sku', 'title', 'variant', 'units', 'refunded_units', 'revenue'],
+  payment_methods: ['payment_method', 'orders', 'revenue', 'share'],
+  offers: ['kind', 'id', 'label', 'orders', 'discount', 'shipping_waived'],
+};
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// One table of the report as CSV
+function salesReportCsv(report, section) {
+  const columns = CSV_COLUMNS[section];
+  const rows = report[section].map((row) => columns.map((c) => csvCell(row[c])).join(','));
+  return [columns.join(','), ...rows].join('\n') + '\n';
+}
+
+module.exports = {
+  SALE_PAYMENT_STATUSES,
+  GROUP_BY,
+  CSV_COLUMNS,
+  resolveRange,
+  buildSalesReport,
+  salesReportCsv,
+};
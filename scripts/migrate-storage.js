@@ -0,0 +1,60 @@
+// Imports the data/*.json collections into the configured storage backend.
+//
+//   STORAGE_BACKEND=sqlite npm run migrate            # import, skipping collections that exist
+//   STORAGE_BACKEND=sqlite npm run migrate -- --force # overwrite existing collections
+
+require('dotenv').config();
+
+const fs = require('fs');
+const path = require('path');
+const { createStorage } = require('../storage');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+const force = process.argv.includes('--force');
+
+function main() {
+  const storage = createStorage({ dataDir: DATA_DIR, log: console.log });
+  if (storage.backend === 'json') {
+    console.log('STORAGE_BACKEND is "json": data/*.json is already the live store, nothing to import.');
+    return 0;
+  }
+
+  const files = fs
+    .readdirSync(DATA_DIR)
+    .filter((file) => file.endsWith('.json'))
+    .sort();
+
+  let imported = 0;
+  let failed = 0;
+  for (const file of files) {
+    const collection = path.basename(file, '.json');
+    if (storage.exists(collection) && !force) {
+      console.log(`skip    ${collection} (already present, use --force to overwrite)`);
+      continue;
+    }
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, file), 'utf8'));
+    } catch (err) {
+      console.error(`error   ${collection}: ${err.message}`);
+      failed += 1;
+      continue;
+    }
+    if (!storage.write(collection, data)) {
+      console.error(`error   ${collection}: write failed`);
+      failed += 1;
+      continue;
+    }
+    const records = Array.isArray(data)
+      ? data.length
+      : Object.values(data).find(Array.isArray)?.length ?? 1;
+    console.log(`import  ${collection} (${records} records)`);
+    imported += 1;
+  }
+
+  storage.close();
+  console.log(`Imported ${imported} collection(s) into ${storage.backend}, ${failed} failed.`);
+  return failed > 0 ? 1 : 0;
+}
+
+process.exit(main());
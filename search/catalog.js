@@ -0,0 +1,267 @@
+const { tokenize, stem, editDistance, allowedTypos } = require('./text');
+
+// Product search: ranks products by where the query words appear, narrows them by filters,
+// counts what each filter would leave (facets) and pages through the result with cursors.
+
+// What a query word found in each field is worth
+const FIELD_WEIGHTS = { title: 5, tags: 3, category: 3, type: 2, description: 1 };
+// Exact words count fully; a word the query only starts, or one a typo away, counts less
+const PREFIX_MATCH = 0.7;
+const TYPO_MATCH = 0.5;
+const PRICE_BUCKETS = [
+  { value: '0-250', min: 0, max: 250 },
+  { value: '250-500', min: 250, max: 500 },
+  { value: '500-800', min: 500, max: 800 },
+  { value: '800+', min: 800, max: null },
+];
+const SORTS = ['relevance', 'price_asc', 'price_desc', 'newest', 'popularity'];
+const MAX_PAGE_SIZE = 100;
+
+function searchFields(product) {
+  return {
+    title: product.title,
+    tags: (product.tags || []).join(' '),
+    category: product.category,
+    type: product.type,
+    description: product.description,
+  };
+}
+
+// Term -> { position in `products` -> field weight } for every word of every product
+function buildSearchIndex(products) {
+  const postings = new Map();
+  products.forEach((product, position) => {
+    for (const [field, text] of Object.entries(searchFields(product))) {
+      for (const word of tokenize(text)) {
+        const term = stem(word);
+        if (!postings.has(term)) {
+          postings.set(term, new Map());
+        }
+        const matches = postings.get(term);
+        matches.set(position, (matches.get(position) || 0) + FIELD_WEIGHTS[field]);
+      }
+    }
+  });
+  return { products, postings, terms: [...postings.keys()] };
+}
+
+// Position -> score for one query word, taking its best match in each product. Rarer terms
+// weigh more.
+function matchWord(index, word) {
+  const term = stem(word);
+  const maxTypos = allowedTypos(term);
+  const scores = new Map();
+  for (const candidate of index.terms) {
+    let factor = 0;
+    if (candidate === term) {
+      factor = 1;
+    } else if (term.length >= 3 && candidate.startsWith(term)) {
+      factor = PREFIX_MATCH;
+    } else if (maxTypos > 0) {
+      const distance = editDistance(term, candidate, maxTypos);
+      factor = distance <= maxTypos ? TYPO_MATCH / distance : 0;
+    }
+    if (factor === 0) {
+      continue;
+    }
+    const matches = index.postings.get(candidate);
+    const rarity = Math.log(1 + index.products.length / matches.size);
+    for (const [position, weight] of matches) {
+      scores.set(position, Math.max(scores.get(position) || 0, weight * rarity * factor));
+    }
+  }
+  return scores;
+}
+
+// Position -> relevance of the products matching every word of `q`; null when `q` has no
+// searchable words
+function rankProducts(index, q) {
+  const words = [...new Set(tokenize(q))];
+  if (words.length === 0) {
+    return null;
+  }
+  let ranked = null;
+  for (const word of words) {
+    const scores = matchWord(index, word);
+    const next = new Map();
+    for (const [position, score] of scores) {
+      if (!ranked || ranked.has(position)) {
+        next.set(position, (ranked ? ranked.get(position) : 0) + score);
+      }
+    }
+    ranked = next;
+  }
+  return ranked;
+}
+
+function listParam(value) {
+  const values = (Array.isArray(value) ? value : [value])
+    .flatMap((v) => String(v ?? '').split(','))
+    .map((v) => v.trim())
+    .filter(Boolean);
+  return values.length > 0 ? values : null;
+}
+
+function encodeCursor(sort, entry) {
+  return Buffer.from(JSON.stringify([sort, entry.key, entry.position])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [sort, key, position] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (SORTS.includes(sort) && Number.isFinite(key) && Number.isInteger(position)) {
+      return { sort, key, position };
+    }
+  } catch (err) {
+    /* falls through to null */
+  }
+  return null;
+}
+
+// Parameters that take one value; `q[]=a` or `sort[x]=y` arrive as arrays and objects
+const SINGLE_PARAMS = ['q', 'search', 'sort', 'price', 'limit', 'cursor', 'minPrice', 'maxPrice'];
+
+// Query string of GET /api/products -> search options, or { error }
+function resolveSearch(query = {}) {
+  const repeated = SINGLE_PARAMS.find(
+    (name) => query[name] !== undefined && typeof query[name] !== 'string'
+  );
+  if (repeated) {
+    return { error: `${repeated} must be a single value` };
+  }
+  const q = (query.q ?? query.search ?? '').trim();
+  const sort = query.sort || 'relevance';
+  if (!SORTS.includes(sort)) {
+    return { error: `sort must be one of ${SORTS.join(', ')}` };
+  }
+  const price = query.price ? PRICE_BUCKETS.find((b) => b.value === query.price) : null;
+  if (query.price && !price) {
+    return { error: `price must be one of ${PRICE_BUCKETS.map((b) => b.value).join(', ')}` };
+  }
+  let limit = null;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be a whole number from 1 to ${MAX_PAGE_SIZE}` };
+    }
+  }
+  const cursor = query.cursor ? decodeCursor(query.cursor) : null;
+  if (query.cursor && !cursor) {
+    return { error: 'Invalid cursor' };
+  }
+  if (cursor && cursor.sort !== sort) {
+    return { error: 'The cursor belongs to a different sort order' };
+  }
+  const number = (value) =>
+    value === undefined || value === '' || Number.isNaN(Number(value)) ? null : Number(value);
+  return {
+    q,
+    filters: {
+      category: listParam(query.category),
+      type: listParam(query.type),
+      size: listParam(query.size),
+      featured: query.featured === 'true',
+      minPrice: number(query.minPrice),
+      maxPrice: number(query.maxPrice),
+      price,
+    },
+    sort,
+    limit,
+    cursor,
+  };
+}
+
+// Prices of the sizes of `product` that `filters` allow: when sizes are asked for, those of
+// them in stock; then only prices within minPrice/maxPrice and the price bucket
+function eligiblePrices(product, available, filters) {
+  const { size, minPrice, maxPrice, price: bucket } = filters;
+  return Object.entries(product.price || {})
+    .filter(([name]) => !size || (size.includes(name) && available.includes(name)))
+    .map(([, price]) => Number(price))
+    .filter(
+      (price) =>
+        (minPrice === null || price >= minPrice) &&
+        (maxPrice === null || price <= maxPrice) &&
+        (!bucket || (price >= bucket.min && (bucket.max === null || price < bucket.max)))
+    );
+}
+
+function distinct(values) {
+  return [...new Set(values.filter((v) => v !== undefined && v !== null))];
+}
+
+// Runs a search resolved by resolveSearch. `availableSizes(product)` lists the sizes in stock
+// and `popularity` maps product ids to units sold. Each facet value counts what the search
+// would find with that value picked instead of the current one, so after choosing a category
+// the other categories still show how many products they have.
+function searchProducts(index, options, { availableSizes = () => [], popularity = {} } = {}) {
+  const { q, filters, sort, limit, cursor } = options;
+  const ranked = rankProducts(index, q);
+  const candidates = index.products
+    .map((product, position) => ({
+      product,
+      position,
+      score: ranked ? ranked.get(position) : 0,
+      available: availableSizes(product),
+    }))
+    .filter((entry) => entry.score !== undefined)
+    .filter((entry) => !filters.featured || entry.product.featured === true);
+
+  const matcher = (f) => (entry) =>
+    (!f.category || f.category.includes(entry.product.category)) &&
+    (!f.type || f.type.includes(entry.product.type)) &&
+    eligiblePrices(entry.product, entry.available, f).length > 0;
+  const count = (f) => candidates.filter(matcher({ ...filters, ...f })).length;
+  const anyPrice = { minPrice: null, maxPrice: null };
+
+  const facets = {
+    category: distinct(candidates.map((e) => e.product.category))
+      .map((value) => ({ value, count: count({ category: [value] }) }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    type: distinct(candidates.map((e) => e.product.type))
+      .map((value) => ({ value, count: count({ type: [value] }) }))
+      .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value)),
+    price: PRICE_BUCKETS.map((bucket) => ({
+      ...bucket,
+      count: count({ ...anyPrice, price: bucket }),
+    })),
+    // In stock in that size
+    size: distinct(candidates.flatMap((e) => Object.keys(e.product.price || {}))).map(
+      (value) => ({ value, count: count({ size: [value] }) })
+    ),
+  };
+
+  const keyOf = {
+    relevance: (e) => -e.score,
+    price_asc: (e) => Math.min(...eligiblePrices(e.product, e.available, filters)),
+    price_desc: (e) => -Math.min(...eligiblePrices(e.product, e.available, filters)),
+    newest: (e) => -(Date.parse(e.product.created_at) || 0),
+    popularity: (e) => -(popularity[e.product.id] || 0),
+  }[sort];
+  const compare = (a, b) => a.key - b.key || a.position - b.position;
+  const matches = candidates
+    .filter(matcher(filters))
+    .map((entry) => ({ ...entry, key: keyOf(entry) }))
+    .sort(compare);
+
+  const rest = cursor ? matches.filter((entry) => compare(entry, cursor) > 0) : matches;
+  const page = limit ? rest.slice(0, limit) : rest;
+  const more = page.length < rest.length;
+  return {
+    products: page.map((entry) => entry.product),
+    total: matches.length,
+    facets,
+    sort,
+    next_cursor: more ? encodeCursor(sort, page[page.length - 1]) : null,
+  };
+}
+
+module.exports = {
+  FIELD_WEIGHTS,
+  PRICE_BUCKETS,
+  SORTS,
+  MAX_PAGE_SIZE,
+  buildSearchIndex,
+  resolveSearch,
+  searchProducts,
+};
@@ -0,0 +1,30 @@
+const {
+  PRICE_BUCKETS,
+  SORTS,
+  MAX_PAGE_SIZE,
+  buildSearchIndex,
+  resolveSearch,
+  searchProducts,
+} = require('./catalog');
+
+// Product search:
+//
+//   buildSearchIndex(products)
+//                        index of every word in the products' title, tags, category, type and
+//                        description, stemmed; build it again whenever the products change
+//   resolveSearch(query) -> { q, filters, sort, limit, cursor } from the query string of
+//                        GET /api/products, or { error }
+//   searchProducts(index, search, { availableSizes, popularity })
+//                        -> { products, total, facets, sort, next_cursor }
+//
+// Every word of `q` must match: exactly, as the start of a word, or a typo or two away.
+// Results are ranked by which field the words are in, or sorted by one of SORTS.
+
+module.exports = {
+  PRICE_BUCKETS,
+  SORTS,
+  MAX_PAGE_SIZE,
+  buildSearchIndex,
+  resolveSearch,
+  searchProducts,
+};
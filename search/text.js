@@ -0,0 +1,86 @@
+// Turns product text and search queries into terms that can be compared: lower case, accents
+// and punctuation gone, common words dropped, and word endings stemmed away.
+
+const STOP_WORDS = new Set(
+  'a an and are as at be by for from in into is it its of on or the this to with'.split(' ')
+);
+
+// 'Café posters, in B&W!' -> ['cafe', 'posters', 'b', 'w']
+function tokenize(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter((word) => word && !STOP_WORDS.has(word));
+}
+
+// Light English stemmer: strips plurals and -ing, -ed and -ly so 'mountains' finds 'mountain'
+// and 'captivating' finds 'captivate'. Stems only have to agree with each other, they need
+// not be words.
+function stem(word) {
+  if (word.length <= 3 || /\d/.test(word)) {
+    return word;
+  }
+  let term = word;
+  if (term.endsWith('ies') && term.length > 4) {
+    term = `${term.slice(0, -3)}y`;
+  } else if (term.endsWith('sses')) {
+    term = term.slice(0, -2);
+  } else if (term.endsWith('s') && !/(ss|us|is)$/.test(term)) {
+    term = term.slice(0, -1);
+  }
+  for (const suffix of ['ing', 'ed', 'ly']) {
+    if (term.endsWith(suffix) && term.length - suffix.length >= 3) {
+      term = term.slice(0, -suffix.length);
+      break;
+    }
+  }
+  if (term.endsWith('e') && term.length > 4) {
+    term = term.slice(0, -1);
+  }
+  // 'running' -> 'runn' -> 'run'
+  if (/([^aeiouls])\1$/.test(term)) {
+    term = term.slice(0, -1);
+  }
+  return term;
+}
+
+// Edits (insert, delete, change, or swap two neighbours) between `a` and `b`; anything over
+// `max` comes back as max + 1 without finishing the count.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) {
+    return max + 1;
+  }
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const row = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let distance = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        distance = Math.min(distance, before[j - 2] + 1);
+      }
+      row.push(distance);
+      best = Math.min(best, distance);
+    }
+    if (best > max) {
+      return max + 1;
+    }
+    before = previous;
+    previous = row;
+  }
+  return Math.min(previous[b.length], max + 1);
+}
+
+// Typos forgiven in a query term: none in short words, where one edit makes another word
+function allowedTypos(term) {
+  if (term.length >= 8) {
+    return 2;
+  }
+  return term.length >= 4 ? 1 : 0;
+}
+
+module.exports = { tokenize, stem, editDistance, allowedTypos };
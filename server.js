@@ -4,45 +4,190 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
 const multer = require('multer');
-const QRCode = require('qrcode');
-const PaytmChecksum = require('paytmchecksum');
 const { v4: uuidv4 } = require('uuid');
+const { createStorage } = require('./storage');
+const {
+  PAYMENT_STATUSES,
+  createPaymentRegistry,
+  createUpiProvider,
+  createPaytmProvider,
+  createRazorpayProvider,
+  createCodProvider,
+  parseStatement,
+} = require('./payments');
+const {
+  renderEmail,
+  createSmtpTransport,
+  createLogTransport,
+  signToken,
+  verifyToken,
+  renderConfirmationEmail,
+  renderCampaign,
+  renderVerificationEmail,
+} = require('./notifications');
+const {
+  GST_RATES,
+  calculateGst,
+  stateCode,
+  isValidGstRate,
+  isValidHsnCode,
+  financialYear,
+  renderInvoicePdf,
+} = require('./invoices');
+const { DEFAULT_RATE_CARD, quoteShipping } = require('./shipping');
+const {
+  SHIPMENT_STATUSES,
+  FINAL_SHIPMENT_STATUSES,
+  createCourierRegistry,
+  createFakeCourier,
+} = require('./couriers');
+const { CSV_COLUMNS, resolveRange, buildSalesReport, salesReportCsv } = require('./reports');
+const { buildSearchIndex, resolveSearch, searchProducts } = require('./search');
+const {
+  variantLabel,
+  resolveVariants,
+  applySizeChanges,
+  summarizeVariants,
+  findVariant,
+  withVariants,
+  FORMATS: CATALOG_FORMATS,
+  productsToCsv,
+  parseCatalog,
+  mapImagePath,
+} = require('./catalog');
+const { createSchemas, validate, describeError } = require('./validation');
+const {
+  readImageInfo,
+  uprightSize,
+  stripMetadata,
+  parsePrintSize,
+  assessArtwork,
+  createRenderer,
+} = require('./artwork');
 
 const fetch = (...args) =>
   import('node-fetch').then(({ default: fetchFn }) => fetchFn(...args));
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const BASE_URL = process.env.BASE_URL || `http://localhost:${PORT}`;
 
 const ROOT_DIR = __dirname;
 const PUBLIC_DIR = path.join(ROOT_DIR, 'public');
 const DATA_DIR = path.join(ROOT_DIR, 'data');
 const UPLOADS_DIR = path.join(ROOT_DIR, 'uploads');
+// Thumbnails and crop previews of customer artwork, made on first request
+const ARTWORK_CACHE_DIR = path.join(UPLOADS_DIR, 'artwork');
+// Print-ready files for order lines; not served publicly
+const PRINTS_DIR = path.join(ROOT_DIR, 'prints');
 const LOG_DIR = path.join(ROOT_DIR, 'logs');
 
-const POSTERS_FILE = path.join(DATA_DIR, 'posters.json');
-const PRODUCTS_FILE = path.join(DATA_DIR, 'products.json');
-const ORDERS_FILE = path.join(DATA_DIR, 'orders.json');
-const CUSTOMERS_FILE = path.join(DATA_DIR, 'customers.json');
-const OFFERS_FILE = path.join(DATA_DIR, 'offers.json');
-const SUBSCRIBERS_FILE = path.join(DATA_DIR, 'subscribers.json');
 const LOG_FILE = path.join(LOG_DIR, 'server.log');
 
-const ADMIN_API_KEY = process.env.ADMIN_API_KEY || 'change-me';
+// Staff sign in as named admin users (see ADMIN USERS & ROLES). ADMIN_API_KEY is only a
+// bootstrap key with owner rights, for creating the first users and for old scripts. There
+// is no default: only NODE_ENV=development or test may start without one, and then no key
+// is accepted.
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || '';
+const BOOTSTRAP_KEY_ENABLED = Boolean(ADMIN_API_KEY);
+if (!BOOTSTRAP_KEY_ENABLED && !['development', 'test'].includes(process.env.NODE_ENV)) {
+  console.error('ADMIN_API_KEY is not set. Set it, or NODE_ENV=development to run without it.');
+  process.exit(1);
+}
+const ADMIN_SESSION_TTL_HOURS = Number(process.env.ADMIN_SESSION_TTL_HOURS || 12);
 const UPI_VPA = process.env.UPI_VPA || '';
 const UPI_NAME = process.env.UPI_NAME || 'Trizoverse';
 const PAYTM_MID = process.env.PAYTM_MID || '';
 const PAYTM_MERCHANT_KEY = process.env.PAYTM_MERCHANT_KEY || '';
 const PAYTM_WEBSITE = process.env.PAYTM_WEBSITE || 'DEFAULT';
-const PAYTM_CALLBACK_URL =
-  process.env.PAYTM_CALLBACK_URL ||
-  `${process.env.BASE_URL || 'http://localhost:' + PORT}/payments/paytm/webhook`;
+const PAYTM_CALLBACK_URL = process.env.PAYTM_CALLBACK_URL || `${BASE_URL}/payments/paytm/webhook`;
 const PAYTM_ENV = process.env.PAYTM_ENV === 'production' ? 'production' : 'staging';
+// Overrides the Paytm host PAYTM_ENV picks, e.g. http://localhost:4011 for test/mock-paytm.js
+const PAYTM_API_BASE = process.env.PAYTM_API_BASE || '';
+const RAZORPAY_KEY_ID = process.env.RAZORPAY_KEY_ID || '';
+const RAZORPAY_KEY_SECRET = process.env.RAZORPAY_KEY_SECRET || '';
+const RAZORPAY_WEBHOOK_SECRET = process.env.RAZORPAY_WEBHOOK_SECRET || '';
+// Point this at test/mock-razorpay.js to exercise the flow without network access.
+const RAZORPAY_API_BASE = process.env.RAZORPAY_API_BASE || 'https://api.razorpay.com/v1';
+
+// Without SMTP_HOST emails are only logged. test/mock-smtp.js is a local SMTP sink.
+const SMTP_HOST = process.env.SMTP_HOST || '';
+const SMTP_PORT = Number(process.env.SMTP_PORT || 587);
+const SMTP_SECURE = process.env.SMTP_SECURE === 'true';
+const SMTP_USER = process.env.SMTP_USER || '';
+const SMTP_PASS = process.env.SMTP_PASS || '';
+const MAIL_FROM = process.env.MAIL_FROM || `${UPI_NAME} <orders@trizoverse.in>`;
+const EMAIL_MAX_ATTEMPTS = Number(process.env.EMAIL_MAX_ATTEMPTS || 5);
+const EMAIL_SWEEP_INTERVAL_MS = 30 * 1000;
+
+const NEWSLETTER_RATE_PER_MINUTE = Number(process.env.NEWSLETTER_RATE_PER_MINUTE || 60);
+const NEWSLETTER_CONFIRM_TTL_DAYS = 7;
+
+// Seller details printed on GST invoices. Catalogue prices include GST; products without
+// their own hsn_code / gst_rate use the defaults (printed matter, 12%).
+const SELLER_NAME = process.env.SELLER_NAME || UPI_NAME;
+const SELLER_GSTIN = process.env.SELLER_GSTIN || '';
+// Multi-line addresses are written with a literal \n in .env
+const SELLER_ADDRESS = (process.env.SELLER_ADDRESS || '').replace(/\\n/g, '\n');
+const SELLER_STATE = process.env.SELLER_STATE || 'Maharashtra';
+const DEFAULT_HSN_CODE = process.env.DEFAULT_HSN_CODE || '4911';
+const DEFAULT_GST_RATE = Number(process.env.DEFAULT_GST_RATE ?? 12);
+
+// Couriers. New shipments are booked with DEFAULT_COURIER; the fake courier runs in-process
+// and moves a package one scan every FAKE_COURIER_STEP_MINUTES.
+const DEFAULT_COURIER = process.env.DEFAULT_COURIER || 'fake';
+const FAKE_COURIER_STEP_MINUTES = Number(process.env.FAKE_COURIER_STEP_MINUTES || 60);
+const SHIPMENT_POLL_INTERVAL_MS = 15 * 60 * 1000;
+
+const SESSION_COOKIE = 'sid';
+const SESSION_TTL_DAYS = Number(process.env.SESSION_TTL_DAYS || 30);
+const MIN_PASSWORD_LENGTH = 8;
+const EMAIL_VERIFICATION_TTL_HOURS = 48;
+
+// Products are posters or polaroids, filed under one of PRODUCT_CATEGORIES (comma separated)
+const PRODUCT_TYPES = ['poster', 'polaroid'];
+const PRODUCT_CATEGORIES = (process.env.PRODUCT_CATEGORIES || 'abstract,nature,portrait,street')
+  .split(',')
+  .map((category) => category.trim())
+  .filter(Boolean);
+
+const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES || 30);
+const RESERVATION_SWEEP_INTERVAL_MS = 60 * 1000;
+// Sizes with this many units or fewer available are flagged in the admin dashboard
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD || 5);
+
+// Sales reports bucket orders by day in this timezone (minutes east of UTC; IST by default)
+const REPORT_UTC_OFFSET_MINUTES = Number(process.env.REPORT_UTC_OFFSET_MINUTES ?? 330);
+
+// Customer artwork below ARTWORK_MIN_DPI on the chosen poster size can't be ordered; below
+// ARTWORK_WARN_DPI the customer is warned. Print files get ARTWORK_BLEED_INCHES of bleed on
+// every side. Images over ARTWORK_MAX_PIXELS are measured but never decoded.
+const ARTWORK_MIN_DPI = Number(process.env.ARTWORK_MIN_DPI || 100);
+const ARTWORK_WARN_DPI = Number(process.env.ARTWORK_WARN_DPI || 150);
+const ARTWORK_BLEED_INCHES = Number(process.env.ARTWORK_BLEED_INCHES ?? 0.125);
+const ARTWORK_MAX_PIXELS = Number(process.env.ARTWORK_MAX_PIXELS || 40 * 1000 * 1000);
+const ARTWORK_THUMBNAIL_SIZE = 240;
+const ARTWORK_PREVIEW_SIZE = 600;
+// Thumbnails and crop previews are rendered once and cached; each IP may have
+// ARTWORK_RENDERS_PER_MINUTE of them rendered. Print files are made right after payment,
+// and a sweep every PRINT_FILE_SWEEP_INTERVAL_MS picks up any left behind.
+const ARTWORK_RENDERS_PER_MINUTE = Number(process.env.ARTWORK_RENDERS_PER_MINUTE || 20);
+const PRINT_FILE_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
 
 const MAX_UPLOAD_SIZE_BYTES = Number(process.env.UPLOAD_LIMIT_BYTES || 5 * 1024 * 1024);
-
-for (const dir of [DATA_DIR, UPLOADS_DIR, LOG_DIR, PUBLIC_DIR]) {
+// Each visitor may upload UPLOAD_QUOTA_FILES images totalling UPLOAD_QUOTA_BYTES per
+// UPLOAD_QUOTA_WINDOW_HOURS. Uploads nothing uses are deleted after UPLOAD_GC_MAX_AGE_HOURS.
+const UPLOAD_QUOTA_FILES = Number(process.env.UPLOAD_QUOTA_FILES || 20);
+const UPLOAD_QUOTA_BYTES = Number(process.env.UPLOAD_QUOTA_BYTES || 50 * 1024 * 1024);
+const UPLOAD_QUOTA_WINDOW_HOURS = Number(process.env.UPLOAD_QUOTA_WINDOW_HOURS || 24);
+const UPLOAD_GC_MAX_AGE_HOURS = Number(process.env.UPLOAD_GC_MAX_AGE_HOURS || 72);
+const UPLOAD_GC_INTERVAL_MINUTES = Number(process.env.UPLOAD_GC_INTERVAL_MINUTES || 60);
+const MAX_STATEMENT_SIZE_BYTES = 2 * 1024 * 1024;
+const MAX_CATALOG_FILE_SIZE_BYTES = 5 * 1024 * 1024;
+
+for (const dir of [DATA_DIR, UPLOADS_DIR, ARTWORK_CACHE_DIR, PRINTS_DIR, LOG_DIR, PUBLIC_DIR]) {
   if (!fs.existsSync(dir)) {
     fs.mkdirSync(dir, { recursive: true });
   }
@@ -60,589 +205,5032 @@ function log(...args) {
   console.log(...args);
 }
 
-function readJson(filePath, fallback) {
-  try {
-    if (!fs.existsSync(filePath)) {
-      return fallback;
-    }
-    const raw = fs.readFileSync(filePath, 'utf8');
-    return JSON.parse(raw);
-  } catch (err) {
-    log('Error reading JSON', filePath, err.message || err);
-    return fallback;
+const storage = createStorage({ dataDir: DATA_DIR, log });
+
+storage.ensure('products', { products: [] });
+storage.ensure('orders', { orders: [] });
+storage.ensure('customers', { customers: [] });
+storage.ensure('offers', { offers: [] });
+storage.ensure('coupons', { coupons: [] });
+storage.ensure('coupon_redemptions', { redemptions: [] });
+storage.ensure('reservations', { reservations: [] });
+storage.ensure('subscribers', { subscribers: [] });
+storage.ensure('sessions', { sessions: [] });
+storage.ensure('payment_attempts', { payment_attempts: [] });
+storage.ensure('upi_statements', { statements: [] });
+storage.ensure('email_outbox', { messages: [] });
+storage.ensure('newsletter_campaigns', { campaigns: [] });
+storage.ensure('invoice_sequences', { sequences: {} });
+storage.ensure('shipping_rates', DEFAULT_RATE_CARD);
+storage.ensure('shipments', { shipments: [] });
+storage.ensure('admin_users', { users: [] });
+storage.ensure('admin_sessions', { sessions: [] });
+storage.ensure('admin_api_keys', { keys: [] });
+storage.ensure('admin_audit', { entries: [] });
+storage.ensure('uploads', { uploads: [] });
+
+// A secret for signing links or webhooks: the environment variable `name`, or else a random
+// one made on first start and kept in the `secrets` collection, so every install has its own.
+function installSecret(name) {
+  if (process.env[name]) {
+    return process.env[name];
   }
+  return storage.update('secrets', {}, (secrets) => {
+    secrets[name] = secrets[name] || crypto.randomBytes(32).toString('hex');
+    return secrets[name];
+  });
 }
 
-function writeJson(filePath, data) {
-  try {
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
-    return true;
-  } catch (err) {
-    log('Error writing JSON', filePath, err.message || err);
-    return false;
-  }
+// Signs newsletter confirmation and unsubscribe links
+const NEWSLETTER_SECRET = installSecret('NEWSLETTER_SECRET');
+// Signs the fake courier's labels and tracking webhooks
+const FAKE_COURIER_SECRET = installSecret('FAKE_COURIER_SECRET');
+// Signs the cancel links guest orders get
+const ORDER_LINK_SECRET = installSecret('ORDER_LINK_SECRET');
+
+// Subscribers used to be a bare list of addresses. Those people signed up on the site
+// before double opt-in existed and are carried over as confirmed.
+const legacySubscribers = storage.read('subscribers', { subscribers: [] });
+if (Array.isArray(legacySubscribers)) {
+  const migratedAt = new Date().toISOString();
+  storage.write('subscribers', {
+    subscribers: legacySubscribers.map((email) => ({
+      id: uuidv4(),
+      email: String(email).trim().toLowerCase(),
+      status: 'confirmed',
+      source: 'legacy',
+      created_at: migratedAt,
+      confirmed_at: null,
+      unsubscribed_at: null,
+      updated_at: migratedAt,
+    })),
+  });
 }
 
-function ensureFile(filePath, initialValue) {
-  if (!fs.existsSync(filePath)) {
-    writeJson(filePath, initialValue);
-  }
+// posters.json is the old list of numbers standing for catalog items. The legacy endpoints
+// now read the product catalog; each number is matched once to the product whose id ends in
+// it (7 -> polaroid-abstract-007) and the matches are kept in `legacy_poster_keys`, so old
+// links still resolve. posters.json itself is left as it is.
+const legacyPosters = storage.read('posters', []);
+if (Array.isArray(legacyPosters) && !storage.exists('legacy_poster_keys')) {
+  const migrated = migrateLegacyPosters(legacyPosters, loadProducts());
+  storage.write('legacy_poster_keys', migrated);
+  const matched = Object.keys(migrated.keys).length;
+  log('Matched legacy poster numbers to products', { matched, unmatched: migrated.unmatched });
+} else if (legacyPosters && legacyPosters.keys && !storage.exists('legacy_poster_keys')) {
+  // Matches an earlier version wrote over posters.json
+  storage.write('legacy_poster_keys', legacyPosters);
+}
+const unmatchedPosters = storage.read('legacy_poster_keys', {}).unmatched || [];
+if (unmatchedPosters.length > 0) {
+  log(
+    `Warning: legacy poster numbers ${unmatchedPosters.join(', ')} match no product;`,
+    'map them with POST /api/posters { key, product_id }'
+  );
 }
 
-ensureFile(POSTERS_FILE, [1, 3, 5, 4, 7, 9]);
-ensureFile(PRODUCTS_FILE, { products: [] });
-ensureFile(ORDERS_FILE, { orders: [] });
-ensureFile(CUSTOMERS_FILE, { customers: [] });
-ensureFile(OFFERS_FILE, { offers: [] });
-if (!fs.existsSync(SUBSCRIBERS_FILE)) {
-  fs.writeFileSync(SUBSCRIBERS_FILE, '[]', 'utf8');
+// Products used to be sold by size alone, with price and stock kept per size. They become
+// one variant per size, and order lines, reservations and shipments made before then get
+// the SKU of the variant they were for.
+if (loadProducts().some((product) => !Array.isArray(product.variants))) {
+  log('Migrated products to variants', migrateToVariants());
 }
 
-const storage = multer.diskStorage({
+const payments = createPaymentRegistry();
+payments.register(createUpiProvider({ vpa: UPI_VPA, payeeName: UPI_NAME, log }));
+payments.register(
+  createPaytmProvider({
+    mid: PAYTM_MID,
+    merchantKey: PAYTM_MERCHANT_KEY,
+    website: PAYTM_WEBSITE,
+    callbackUrl: PAYTM_CALLBACK_URL,
+    env: PAYTM_ENV,
+    apiBase: PAYTM_API_BASE,
+    fetch,
+    log,
+  })
+);
+payments.register(
+  createRazorpayProvider({
+    keyId: RAZORPAY_KEY_ID,
+    keySecret: RAZORPAY_KEY_SECRET,
+    webhookSecret: RAZORPAY_WEBHOOK_SECRET,
+    apiBase: RAZORPAY_API_BASE,
+    fetch,
+  })
+);
+payments.register(createCodProvider());
+
+const couriers = createCourierRegistry();
+couriers.register(
+  createFakeCourier({
+    secret: FAKE_COURIER_SECRET,
+    stepMinutes: FAKE_COURIER_STEP_MINUTES,
+    sender: { name: SELLER_NAME, address: SELLER_ADDRESS },
+  })
+);
+
+const mailer = SMTP_HOST
+  ? createSmtpTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: SMTP_SECURE,
+      user: SMTP_USER,
+      pass: SMTP_PASS,
+    })
+  : createLogTransport(log);
+
+// Loads `{ [key]: [...] }` from a collection, always returning an array.
+function loadList(collection, key) {
+  const data = storage.read(collection, { [key]: [] });
+  return Array.isArray(data[key]) ? data[key] : [];
+}
+
+// Atomic read-modify-write of a `{ [key]: [...] }` collection. The mutator changes the
+// array in place and its return value is passed through.
+function mutateList(collection, key, mutator) {
+  return storage.update(collection, { [key]: [] }, (data) => {
+    if (!Array.isArray(data[key])) {
+      data[key] = [];
+    }
+    return mutator(data[key]);
+  });
+}
+
+// Uploads land under a temporary name; acceptUpload gives them the extension of the format
+// their bytes turn out to be.
+const uploadStorage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, UPLOADS_DIR),
-  filename: (req, file, cb) => {
-    const safeExt = path.extname(file.originalname || '').substring(0, 8);
-    const finalName = `${Date.now()}-${uuidv4()}${safeExt}`.replace(/[^a-zA-Z0-9.\-_]/g, '');
-    cb(null, finalName);
-  },
+  filename: (req, file, cb) => cb(null, `${Date.now()}-${uuidv4()}.upload`),
 });
 
 const upload = multer({
-  storage,
+  storage: uploadStorage,
   limits: { fileSize: MAX_UPLOAD_SIZE_BYTES },
-  fileFilter: (req, file, cb) => {
-    const allowed = ['image/jpeg', 'image/png', 'image/webp'];
-    if (!allowed.includes(file.mimetype)) {
-      return cb(new Error('Only JPEG, PNG and WEBP formats are allowed'));
-    }
-    cb(null, true);
-  },
+});
+
+// Bank statements are parsed straight from memory and never written to uploads/.
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_STATEMENT_SIZE_BYTES },
+});
+
+// Catalog imports are read from memory the same way.
+const catalogUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_CATALOG_FILE_SIZE_BYTES },
 });
 
 app.use(cors());
-app.use(express.json({ limit: '2mb' }));
+app.use(
+  express.json({
+    limit: '2mb',
+    // Webhook signatures are computed over the exact bytes received.
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 app.use('/uploads', express.static(UPLOADS_DIR));
+app.use(loadCustomerSession);
 app.use(express.static(PUBLIC_DIR));
 
-function loadPosters() {
-  const posters = readJson(POSTERS_FILE, []);
-  return Array.isArray(posters) ? posters : [];
-}
-
-function savePosters(arr) {
-  return writeJson(POSTERS_FILE, arr);
-}
-
 function loadProducts() {
-  const data = readJson(PRODUCTS_FILE, { products: [] });
-  return Array.isArray(data.products) ? data.products : [];
+  return loadList('products', 'products');
 }
 
-function saveProducts(products) {
-  return writeJson(PRODUCTS_FILE, { products });
+function mutateProducts(mutator) {
+  return mutateList('products', 'products', mutator);
 }
 
 function loadOrders() {
-  const data = readJson(ORDERS_FILE, { orders: [] });
-  return Array.isArray(data.orders) ? data.orders : [];
+  return loadList('orders', 'orders');
 }
 
-function saveOrders(orders) {
-  return writeJson(ORDERS_FILE, { orders });
+function mutateOrders(mutator) {
+  return mutateList('orders', 'orders', mutator);
 }
 
 function loadCustomers() {
-  const data = readJson(CUSTOMERS_FILE, { customers: [] });
-  return Array.isArray(data.customers) ? data.customers : [];
+  return loadList('customers', 'customers');
+}
+
+function mutateCustomers(mutator) {
+  return mutateList('customers', 'customers', mutator);
 }
 
-function saveCustomers(customers) {
-  return writeJson(CUSTOMERS_FILE, { customers });
+function mutateSessions(mutator) {
+  return mutateList('sessions', 'sessions', mutator);
 }
 
 function loadOffers() {
-  const data = readJson(OFFERS_FILE, { offers: [] });
-  return Array.isArray(data.offers) ? data.offers : [];
+  return loadList('offers', 'offers');
 }
 
-function buildUpiLink({ amount, orderId, note }) {
-  if (!UPI_VPA) {
-    return '';
+function mutateOffers(mutator) {
+  return mutateList('offers', 'offers', mutator);
+}
+
+function loadReservations() {
+  return loadList('reservations', 'reservations');
+}
+
+function mutateReservations(mutator) {
+  return mutateList('reservations', 'reservations', mutator);
+}
+
+function loadPaymentAttempts() {
+  return loadList('payment_attempts', 'payment_attempts');
+}
+
+function mutatePaymentAttempts(mutator) {
+  return mutateList('payment_attempts', 'payment_attempts', mutator);
+}
+
+function loadCoupons() {
+  return loadList('coupons', 'coupons');
+}
+
+function loadCouponRedemptions() {
+  return loadList('coupon_redemptions', 'redemptions');
+}
+
+function mutateCouponRedemptions(mutator) {
+  return mutateList('coupon_redemptions', 'redemptions', mutator);
+}
+
+// The x-session-id cart.js makes up for anonymous visitors
+const CART_SESSION_ID = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Signed-in customers own their cart; anonymous visitors are keyed by x-session-id. The
+// prefixes differ so no session id can name a customer's cart. Without a valid session id
+// an anonymous visitor has no cart (null).
+function cartCollection(sessionId, customer) {
+  if (customer) {
+    return `cart_customer_${customer.id}`;
+  }
+  return CART_SESSION_ID.test(String(sessionId || '')) ? `cart_anon_${sessionId}` : null;
+}
+
+function cartCollectionForRequest(req) {
+  return cartCollection(req.headers['x-session-id'], req.customer);
+}
+
+function loadCart(collection) {
+  return collection ? storage.read(collection, { cart: [] }) : { cart: [] };
+}
+
+function normalizeCouponCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+function findCoupon(code) {
+  const normalized = normalizeCouponCode(code);
+  if (!normalized) {
+    return null;
+  }
+  return loadCoupons().find((c) => normalizeCouponCode(c.code) === normalized) || null;
+}
+
+// Product/category/type/size scoping shared by coupons and offers. Empty lists match everything.
+function lineMatchesConditions({ item, product }, conditions = {}) {
+  const matches = (list, value) => !Array.isArray(list) || list.length === 0 || list.includes(value);
+  return (
+    matches(conditions.productIds, product.id) &&
+    matches(conditions.categories, product.category) &&
+    matches(conditions.types, product.type) &&
+    matches(conditions.sizes, item.size)
+  );
+}
+
+// A coupon counts as used from the moment its order is placed until the order is
+// cancelled, expires or its payment fails or can't be started; then the use is released.
+// Paying an order whose use was released records it again.
+function recordCouponRedemption(order) {
+  if (!order.coupon) {
+    return;
   }
-  const params = new URLSearchParams({
-    pa: UPI_VPA,
-    pn: UPI_NAME || 'Trizoverse',
-    am: Number(amount || 0).toFixed(2),
-    tn: note || `Order ${orderId}`,
-    cu: 'INR',
+  mutateCouponRedemptions((redemptions) => {
+    if (redemptions.some((r) => r.order_id === order.id && !r.released_at)) {
+      return;
+    }
+    redemptions.push({
+      code: order.coupon.code,
+      order_id: order.id,
+      email: String(order.customer.email || '').toLowerCase(),
+      discount: order.coupon.discount,
+      redeemed_at: new Date().toISOString(),
+    });
   });
-  return `upi://pay?${params.toString()}`;
 }
 
-async function generateUpiPayload(order) {
-  const upiLink = buildUpiLink({
-    amount: order.total,
-    orderId: order.id,
-    note: `Trizoverse Order ${order.id}`,
+function releaseCouponRedemption(orderId, reason) {
+  const released = mutateCouponRedemptions((redemptions) => {
+    let changed = false;
+    for (const redemption of redemptions) {
+      if (redemption.order_id === orderId && !redemption.released_at) {
+        redemption.released_at = new Date().toISOString();
+        redemption.release_reason = reason;
+        changed = true;
+      }
+    }
+    return changed;
   });
+  if (released) {
+    log('Released coupon for order', orderId, reason);
+  }
+  return released;
+}
 
-  if (!upiLink) {
-    return { upiLink: '', qrCode: '' };
+// Checks a coupon against the priced cart lines and returns either
+// { discount, eligibleSubtotal } or { error } with a customer-facing message.
+function evaluateCoupon(coupon, { lines, subtotal, customerEmail, now = new Date() }) {
+  if (!coupon || coupon.active === false) {
+    return { error: 'Invalid coupon code' };
+  }
+  if (coupon.starts_at && now < new Date(coupon.starts_at)) {
+    return { error: 'This coupon is not active yet' };
+  }
+  if (coupon.expires_at && now > new Date(coupon.expires_at)) {
+    return { error: 'This coupon has expired' };
   }
 
-  try {
-    const qrCode = await QRCode.toDataURL(upiLink, { width: 320, margin: 2 });
-    return { upiLink, qrCode };
-  } catch (err) {
-    log('Error generating UPI QR', err.message || err);
-    return { upiLink, qrCode: '' };
+  const conditions = coupon.conditions || {};
+  if (subtotal < Number(conditions.minSubtotal || 0)) {
+    return { error: `Add items worth ₹${conditions.minSubtotal} or more to use this coupon` };
   }
-}
 
-async function createPaytmTransaction({ orderId, amount, customerId }) {
-  if (!PAYTM_MID || !PAYTM_MERCHANT_KEY) {
-    log('Paytm credentials missing, returning mock transaction token');
-    return {
-      mode: 'mock',
-      orderId,
-      txnToken: `mock-token-${orderId}`,
-      amount,
-      mid: PAYTM_MID || 'mock_mid',
-      callbackUrl: PAYTM_CALLBACK_URL,
-    };
+  const code = normalizeCouponCode(coupon.code);
+  const redemptions = loadCouponRedemptions().filter(
+    (r) => normalizeCouponCode(r.code) === code && !r.released_at
+  );
+  if (coupon.usage_limit && redemptions.length >= Number(coupon.usage_limit)) {
+    return { error: 'This coupon has reached its usage limit' };
+  }
+  if (coupon.per_customer_limit && customerEmail) {
+    const email = String(customerEmail).toLowerCase();
+    const used = redemptions.filter((r) => r.email === email).length;
+    if (used >= Number(coupon.per_customer_limit)) {
+      return { error: 'You have already used this coupon' };
+    }
   }
 
-  const body = {
-    requestType: 'Payment',
-    mid: PAYTM_MID,
-    websiteName: PAYTM_WEBSITE,
-    orderId,
-    callbackUrl: PAYTM_CALLBACK_URL,
-    txnAmount: {
-      value: Number(amount || 0).toFixed(2),
-      currency: 'INR',
-    },
-    userInfo: {
-      custId: customerId,
-    },
+  const eligibleSubtotal = lines
+    .filter((line) => lineMatchesConditions(line, conditions))
+    .reduce((sum, { item }) => sum + item.line_total, 0);
+
+  if (eligibleSubtotal <= 0) {
+    return { error: 'This coupon does not apply to the items in your cart' };
+  }
+
+  let discount = 0;
+  if (coupon.type === 'percentage') {
+    discount = (eligibleSubtotal * Number(coupon.value || 0)) / 100;
+  } else if (coupon.type === 'flat') {
+    discount = Number(coupon.value || 0);
+  }
+  if (coupon.max_discount) {
+    discount = Math.min(discount, Number(coupon.max_discount));
+  }
+  discount = Math.round(Math.min(discount, eligibleSubtotal));
+
+  return { discount, eligibleSubtotal };
+}
+
+function loadShippingRates() {
+  return storage.read('shipping_rates', DEFAULT_RATE_CARD);
+}
+
+// Quotes delivery of cart lines ({ item, product }) to `pincode`. Parcel sizes come from
+// the products' `dimensions` for the chosen size; variants with a weight (framed prints)
+// weigh that much instead of their paper.
+function quoteCartShipping(lines, { pincode, paymentMethod, orderValue }) {
+  return quoteShipping({
+    rateCard: loadShippingRates(),
+    items: lines.map(({ item, product }) => ({
+      quantity: item.quantity,
+      dimensions: product.dimensions?.[item.size],
+      weight_grams: item.weight_grams,
+    })),
+    pincode,
+    paymentMethod,
+    orderValue,
+  });
+}
+
+// The parts of a shipping quote kept on an order and shown to the customer.
+function summarizeShippingQuote(quote) {
+  if (!quote?.serviceable) {
+    return quote || null;
+  }
+  return {
+    pincode: quote.pincode,
+    serviceable: true,
+    estimated: quote.estimated,
+    zone: quote.zone,
+    chargeable_weight_grams: quote.parcel.chargeable_weight_grams,
+    rate: quote.rate,
+    cod_available: quote.cod_available,
+    cod_fee: quote.cod_fee,
+    delivery: quote.delivery,
   };
+}
 
-  const signature = await PaytmChecksum.generateSignature(
-    JSON.stringify(body),
-    PAYTM_MERCHANT_KEY
-  );
+function isOfferLive(offer, now = new Date()) {
+  if (offer.active === false) {
+    return false;
+  }
+  if (offer.starts_at && now < new Date(offer.starts_at)) {
+    return false;
+  }
+  if (offer.ends_at && now > new Date(offer.ends_at)) {
+    return false;
+  }
+  return true;
+}
 
-  const host =
-    PAYTM_ENV === 'production'
-      ? 'https://securegw.paytm.in'
-      : 'https://securegw-stage.paytm.in';
+const OFFER_TYPES = ['percentage', 'size', 'category', 'flat', 'buy_x_get_y', 'free_shipping'];
 
-  const response = await fetch(
-    `${host}/theia/api/v1/initiateTransaction?mid=${PAYTM_MID}&orderId=${orderId}`,
-    {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ body, head: { signature } }),
+function sortOffersByPriority(offers) {
+  return [...offers].sort((a, b) => Number(b.priority || 0) - Number(a.priority || 0));
+}
+
+// Works out what a single offer is worth for the cart. Returns { discount, shippingWaiver }
+// when the offer applies, or { reason } explaining why it does not.
+function evaluateOffer(offer, { lines, subtotal, shipping, paymentMethod, now = new Date() }) {
+  if (offer.active === false) {
+    return { reason: 'Offer is inactive' };
+  }
+  if (offer.starts_at && now < new Date(offer.starts_at)) {
+    return { reason: 'Offer has not started yet' };
+  }
+  if (offer.ends_at && now > new Date(offer.ends_at)) {
+    return { reason: 'Offer has ended' };
+  }
+
+  const conditions = offer.conditions || {};
+  const minSubtotal = Number(conditions.minSubtotal || 0);
+  if (subtotal < minSubtotal) {
+    return { reason: `Cart subtotal is below ₹${minSubtotal}` };
+  }
+  if (
+    paymentMethod &&
+    Array.isArray(conditions.paymentMethods) &&
+    conditions.paymentMethods.length > 0 &&
+    !conditions.paymentMethods.includes(paymentMethod)
+  ) {
+    return { reason: `Only available for ${conditions.paymentMethods.join('/')} payments` };
+  }
+
+  const eligibleLines = lines.filter((line) => lineMatchesConditions(line, conditions));
+  const eligibleSubtotal = eligibleLines.reduce((sum, { item }) => sum + item.line_total, 0);
+  const value = Number(offer.value || 0);
+  let discount = 0;
+  let shippingWaiver = 0;
+
+  switch (offer.type) {
+    case 'percentage':
+    case 'size':
+    case 'category':
+      if (eligibleSubtotal <= 0) {
+        return { reason: 'No items in the cart qualify' };
+      }
+      discount = (eligibleSubtotal * value) / 100;
+      break;
+    case 'flat':
+      if (eligibleSubtotal <= 0) {
+        return { reason: 'No items in the cart qualify' };
+      }
+      discount = Math.min(value, eligibleSubtotal);
+      break;
+    case 'buy_x_get_y': {
+      const buy = Number(conditions.buy || 0);
+      const get = Number(conditions.get || 0);
+      if (buy < 1 || get < 1) {
+        return { reason: 'Offer is misconfigured' };
+      }
+      const unitPrices = [];
+      for (const { item } of eligibleLines) {
+        for (let i = 0; i < item.quantity; i += 1) {
+          unitPrices.push(item.unit_price);
+        }
+      }
+      const bundles = Math.floor(unitPrices.length / (buy + get));
+      if (bundles === 0) {
+        return { reason: `Add ${buy + get} qualifying items to use this offer` };
+      }
+      // The cheapest units in the cart are the free ones.
+      const freeUnits = unitPrices.sort((a, b) => a - b).slice(0, bundles * get);
+      const percentOff = value > 0 ? value : 100;
+      discount = freeUnits.reduce((sum, price) => sum + (price * percentOff) / 100, 0);
+      break;
     }
-  );
+    case 'free_shipping':
+      if (shipping <= 0) {
+        return { reason: 'Shipping is already free' };
+      }
+      shippingWaiver = shipping;
+      break;
+    default:
+      return { reason: `Unknown offer type: ${offer.type}` };
+  }
 
-  const json = await response.json();
-  const resultInfo = json?.body?.resultInfo;
+  if (offer.max_discount) {
+    discount = Math.min(discount, Number(offer.max_discount));
+  }
+  discount = Math.round(discount);
 
-  if (resultInfo?.resultStatus === 'S' && json.body?.txnToken) {
-    return {
-      mode: PAYTM_ENV,
-      txnToken: json.body.txnToken,
-      orderId,
-      amount,
-      mid: PAYTM_MID,
-      callbackUrl: PAYTM_CALLBACK_URL,
-    };
+  if (discount <= 0 && shippingWaiver <= 0) {
+    return { reason: 'Offer gives no discount on this cart' };
   }
+  return { discount, shippingWaiver };
+}
 
-  throw new Error(resultInfo?.resultMsg || 'Unable to create Paytm transaction');
+// Stacking groups are tried in every combination up to this many; past it each group
+// simply contributes its most valuable offer.
+const MAX_OFFER_COMBINATIONS = 4096;
+
+// What a set of offers really takes off the cart. Discounts cannot go past the subtotal
+// and waivers past the shipping fee, so two offers can be worth less together than their
+// values added up (two free-shipping offers waive the fee once).
+function offerSetSaving(candidates, { subtotal, shipping }) {
+  const discount = candidates.reduce((sum, c) => sum + c.discount, 0);
+  const waiver = candidates.reduce((sum, c) => sum + c.shippingWaiver, 0);
+  return Math.min(discount, subtotal) + Math.min(waiver, shipping);
 }
 
-function requireAdmin(req, res, next) {
-  const key = req.headers['x-api-key'];
-  if (!key || String(key) !== String(ADMIN_API_KEY)) {
-    log('Unauthorized admin attempt', { ip: req.ip, path: req.path });
-    return res.status(401).json({ error: 'Unauthorized' });
+function offerSetPriority(candidates) {
+  return candidates.reduce((sum, c) => sum + Number(c.offer.priority || 0), 0);
+}
+
+// Picks the legal set of offers that leaves the cart cheapest. Offers sharing a
+// `stacking_group` are mutually exclusive (one per group applies) and an `exclusive` offer
+// cannot be combined with anything else. Each candidate set is compared by what it saves on
+// this cart; ties are broken by `priority`.
+function selectOffers(offers, context) {
+  const evaluations = sortOffersByPriority(offers).map((offer) => ({
+    offer,
+    result: evaluateOffer(offer, context),
+  }));
+  const skipped = [];
+  const eligible = [];
+  for (const { offer, result } of evaluations) {
+    if (result.reason) {
+      skipped.push({ offer, reason: result.reason });
+    } else {
+      eligible.push({ offer, ...result, value: result.discount + result.shippingWaiver });
+    }
   }
-  next();
+
+  const byValue = (a, b) =>
+    b.value - a.value || Number(b.offer.priority || 0) - Number(a.offer.priority || 0);
+  const isBetter = (saving, priority, best) =>
+    !best || saving > best.saving || (saving === best.saving && priority > best.priority);
+
+  const groups = new Map();
+  for (const candidate of eligible.filter((c) => !c.offer.exclusive)) {
+    const group = candidate.offer.stacking_group || candidate.offer.id;
+    if (!groups.has(group)) {
+      groups.set(group, []);
+    }
+    groups.get(group).push(candidate);
+  }
+
+  // One offer from every group. Adding an offer never makes a set save less, so sets that
+  // leave a group out need not be tried.
+  const memberLists = [...groups.values()];
+  const combinations = memberLists.reduce((count, members) => count * members.length, 1);
+  let stacked = memberLists.map((members) => [...members].sort(byValue)[0]);
+  if (combinations <= MAX_OFFER_COMBINATIONS) {
+    let best = null;
+    const tryFrom = (index, chosen) => {
+      if (index === memberLists.length) {
+        const saving = offerSetSaving(chosen, context);
+        const priority = offerSetPriority(chosen);
+        if (isBetter(saving, priority, best)) {
+          best = { set: [...chosen], saving, priority };
+        }
+        return;
+      }
+      for (const member of memberLists[index]) {
+        tryFrom(index + 1, [...chosen, member]);
+      }
+    };
+    tryFrom(0, []);
+    stacked = best.set;
+  }
+
+  const groupLosers = [];
+  for (const [group, members] of groups) {
+    const chosen = members.find((m) => stacked.includes(m));
+    for (const loser of members.filter((m) => m !== chosen)) {
+      const label = chosen.offer.label || chosen.offer.id;
+      groupLosers.push({
+        offer: loser.offer,
+        reason: `"${label}" gives a better discount in the ${group} group`,
+      });
+    }
+  }
+  const stackedSaving = offerSetSaving(stacked, context);
+  let bestExclusive = null;
+  for (const candidate of eligible.filter((c) => c.offer.exclusive)) {
+    const saving = offerSetSaving([candidate], context);
+    const priority = Number(candidate.offer.priority || 0);
+    if (isBetter(saving, priority, bestExclusive)) {
+      bestExclusive = { candidate, saving, priority };
+    }
+  }
+
+  let applied = stacked;
+  if (bestExclusive && bestExclusive.saving > stackedSaving) {
+    const winner = bestExclusive.candidate;
+    applied = [winner];
+    for (const candidate of eligible) {
+      if (candidate !== winner) {
+        skipped.push({
+          offer: candidate.offer,
+          reason: `Cannot be combined with "${winner.offer.label || winner.offer.id}"`,
+        });
+      }
+    }
+  } else {
+    skipped.push(...groupLosers);
+    for (const candidate of eligible.filter((c) => c.offer.exclusive)) {
+      skipped.push({ offer: candidate.offer, reason: 'Other offers combined give a bigger discount' });
+    }
+  }
+
+  applied = sortOffersByPriority(applied.map((c) => c.offer)).map((offer) =>
+    applied.find((c) => c.offer === offer)
+  );
+
+  return {
+    applied,
+    skipped,
+    discount: applied.reduce((sum, c) => sum + c.discount, 0),
+    shippingWaiver: Math.min(
+      applied.reduce((sum, c) => sum + c.shippingWaiver, 0),
+      context.shipping
+    ),
+  };
+}
+
+function describeOfferSelection(selection) {
+  return [
+    ...selection.applied.map(({ offer, discount, shippingWaiver }) => ({
+      id: offer.id,
+      label: offer.label,
+      type: offer.type,
+      applied: true,
+      discount,
+      shipping_waiver: shippingWaiver,
+      reason: shippingWaiver > 0 ? 'Shipping fee waived' : `Saves ₹${discount}`,
+    })),
+    ...selection.skipped.map(({ offer, reason }) => ({
+      id: offer.id,
+      label: offer.label,
+      type: offer.type,
+      applied: false,
+      discount: 0,
+      shipping_waiver: 0,
+      reason,
+    })),
+  ];
 }
 
-function calculateCartTotals(items, offers) {
+function calculateCartTotals(items, offers, options = {}) {
   const products = loadProducts();
   let subtotal = 0;
   const enrichedItems = [];
+  const lines = [];
 
   for (const item of items) {
-    const product = products.find((p) => p.id === item.product_id);
+    const product = item.product_id
+      ? products.find((p) => p.id === item.product_id)
+      : findProductBySku(item.sku, products);
     if (!product) {
-      throw new Error(`Invalid product: ${item.product_id}`);
+      throw new Error(`Invalid product: ${item.product_id || item.sku}`);
     }
-    if (!product.price[item.size]) {
-      throw new Error(`Invalid size for product ${item.product_id}`);
+    const variant = findVariant(product, item);
+    if (!variant) {
+      throw new Error(
+        item.sku
+          ? `Invalid SKU for product ${product.id}: ${item.sku}`
+          : `Invalid size or options for product ${product.id}`
+      );
     }
-    const unitPrice = product.price[item.size];
+    const unitPrice = variant.price;
     const lineTotal = unitPrice * Number(item.quantity || 1);
     subtotal += lineTotal;
 
-    enrichedItems.push({
+    const enrichedItem = {
       product_id: product.id,
+      sku: variant.sku,
       title: product.title,
-      size: item.size,
+      size: variant.options.size,
+      options: variant.options,
+      variant_label: variantLabel(variant.options),
       quantity: Number(item.quantity || 1),
       unit_price: unitPrice,
+      weight_grams: variant.weight_grams,
       line_total: lineTotal,
+      hsn_code: product.hsn_code || DEFAULT_HSN_CODE,
+      gst_rate: Number(product.gst_rate ?? DEFAULT_GST_RATE),
       custom_artwork: item.custom_artwork || null,
-    });
+    };
+    enrichedItems.push(enrichedItem);
+    lines.push({ item: enrichedItem, product });
   }
 
-  let discount = 0;
-  const activeOffers = offers.filter((offer) => offer.active !== false);
+  // An unserviceable pincode is not an error here: the quote says so and order creation
+  // refuses it, while the cart can still show its totals.
+  const shippingQuote =
+    lines.length > 0
+      ? quoteCartShipping(lines, {
+          pincode: options.pincode,
+          paymentMethod: options.paymentMethod,
+          orderValue: subtotal,
+        })
+      : null;
+  const baseShipping = subtotal > 0 && shippingQuote?.serviceable ? shippingQuote.charge : 0;
+  let selection = selectOffers(offers, {
+    lines,
+    subtotal,
+    shipping: baseShipping,
+    paymentMethod: options.paymentMethod,
+  });
 
-  for (const offer of activeOffers) {
-    if (offer.type === 'percentage' && subtotal >= (offer?.conditions?.minSubtotal || 0)) {
-      discount += (subtotal * Number(offer.value || 0)) / 100;
-    }
-    if (offer.type === 'flat' && subtotal >= (offer?.conditions?.minSubtotal || 0)) {
-      discount += Number(offer.value || 0);
+  let coupon = null;
+  let couponError = null;
+  if (options.couponCode) {
+    const couponRecord = findCoupon(options.couponCode);
+    const result = evaluateCoupon(couponRecord, {
+      lines,
+      subtotal,
+      customerEmail: options.customerEmail,
+    });
+    if (result.error) {
+      couponError = result.error;
+    } else {
+      // Exclusive coupons replace the automatic offers instead of stacking on top.
+      if (couponRecord.stackable === false) {
+        const reason = `Coupon ${normalizeCouponCode(couponRecord.code)} cannot be combined with other offers`;
+        selection = {
+          applied: [],
+          skipped: [
+            ...selection.applied.map(({ offer }) => ({ offer, reason })),
+            ...selection.skipped,
+          ],
+          discount: 0,
+          shippingWaiver: 0,
+        };
+      }
+      coupon = {
+        code: normalizeCouponCode(couponRecord.code),
+        label: couponRecord.label || '',
+        type: couponRecord.type,
+        stackable: couponRecord.stackable !== false,
+        discount: result.discount,
+      };
     }
   }
 
-  const shipping = subtotal >= 999 ? 0 : 79;
+  const discount = Math.min(selection.discount + (coupon ? coupon.discount : 0), subtotal);
+  const shipping = baseShipping - selection.shippingWaiver;
   const total = Math.max(subtotal - discount + shipping, 0);
+  const tax = calculateGst({
+    lines: enrichedItems,
+    discount,
+    shipping,
+    sellerState: SELLER_STATE,
+    shippingState: options.shippingState,
+  });
 
   return {
     subtotal,
     discount,
     shipping,
     total,
+    tax,
+    shippingQuote: summarizeShippingQuote(shippingQuote),
     items: enrichedItems,
-    offers: activeOffers,
+    offers: selection.applied.map(({ offer, discount: offerDiscount, shippingWaiver }) => ({
+      ...offer,
+      discount: offerDiscount,
+      shipping_waiver: shippingWaiver,
+    })),
+    offer_explanation: describeOfferSelection(selection),
+    coupon,
+    couponError,
   };
 }
 
-function updateOrder(orderId, updater) {
-  const orders = loadOrders();
-  const idx = orders.findIndex((o) => o.id === orderId);
-  if (idx === -1) {
-    throw new Error('Order not found');
+function summarizeAppliedOffers(offers) {
+  return offers.map((o) => ({
+    id: o.id,
+    label: o.label,
+    type: o.type,
+    discount: o.discount,
+    shipping_waiver: o.shipping_waiver,
+  }));
+}
+
+// === ORDER LIFECYCLE ===
+
+// Allowed status changes. pending -> confirmed -> processing -> shipped -> delivered is the
+// happy path; cancelled, refunded, returned and failed (payment failure) are the branches.
+const ORDER_TRANSITIONS = {
+  pending: ['confirmed', 'cancelled', 'failed'],
+  failed: ['confirmed', 'cancelled'],
+  confirmed: ['processing', 'cancelled', 'refunded'],
+  processing: ['shipped', 'cancelled', 'refunded'],
+  shipped: ['delivered', 'returned'],
+  delivered: ['returned', 'refunded'],
+  returned: ['refunded'],
+  cancelled: ['refunded'],
+  refunded: [],
+};
+
+// Fields an admin may change through PUT /api/orders/:id. Everything else (totals, items,
+// payment data) is owned by the order and payment flows.
+const ORDER_EDITABLE_FIELDS = ['status', 'notes', 'tracking_number', 'shipping_address'];
+
+// Bookkeeping fields left out of the history diff.
+const ORDER_HISTORY_IGNORED_FIELDS = ['updated_at', 'history'];
+
+// Statuses only the order flows set. An order becomes refunded when refundOrder has paid the
+// money back, which also records the refund and restocks, so staff cannot pick it by hand.
+const ORDER_SYSTEM_STATUSES = ['refunded'];
+
+function canTransitionOrder(from, to) {
+  return from === to || (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// The status changes staff may make through PUT /api/orders/:id
+function staffTransitions(from) {
+  return (ORDER_TRANSITIONS[from] || []).filter((to) => !ORDER_SYSTEM_STATUSES.includes(to));
+}
+
+// Payment callbacks only move an order forward when the lifecycle allows it, so a replayed
+// webhook cannot drag a shipped order back to confirmed. A payment that arrives after the
+// order timed out revives it.
+function statusAfterPayment(order, status) {
+  if (canTransitionOrder(order.status, status)) {
+    return status;
   }
-  const updated = typeof updater === 'function' ? updater(orders[idx]) : { ...orders[idx], ...updater };
-  orders[idx] = updated;
-  saveOrders(orders);
-  return updated;
+  const timedOut = order.status === 'cancelled' && order.payment_status === 'expired';
+  if (status === 'confirmed' && timedOut) {
+    return status;
+  }
+  return order.status;
 }
 
-app.post('/api/subscribe', (req, res) => {
-  const { email } = req.body || {};
-  if (!email || typeof email !== 'string' || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
-    return res.status(400).json({ error: 'Invalid email' });
+function diffOrder(previous, updated) {
+  const changes = {};
+  const fields = new Set([...Object.keys(previous), ...Object.keys(updated)]);
+  for (const field of fields) {
+    if (ORDER_HISTORY_IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+    if (JSON.stringify(previous[field]) !== JSON.stringify(updated[field])) {
+      changes[field] = { from: previous[field] ?? null, to: updated[field] ?? null };
+    }
   }
+  return changes;
+}
+
+function historyEntry({ actor, from, to, changes = {}, note }) {
+  return {
+    at: new Date().toISOString(),
+    actor,
+    from_status: from,
+    to_status: to,
+    changes,
+    note: note || '',
+  };
+}
 
-  const existing = readJson(SUBSCRIBERS_FILE, []);
-  if (!existing.includes(email)) {
-    existing.push(email);
-    writeJson(SUBSCRIBERS_FILE, existing);
+// Applies `updater` to an order and appends what changed to its `history`. The history
+// is append-only: whatever the updater returns for it is ignored.
+function updateOrder(orderId, updater, { actor = 'system', note } = {}) {
+  let previous;
+  const order = mutateOrders((orders) => {
+    const idx = orders.findIndex((o) => o.id === orderId);
+    if (idx === -1) {
+      throw new Error('Order not found');
+    }
+    previous = orders[idx];
+    const updated =
+      typeof updater === 'function' ? updater(previous) : { ...previous, ...updater };
+    const changes = diffOrder(previous, updated);
+    updated.history = Array.isArray(previous.history) ? [...previous.history] : [];
+    if (Object.keys(changes).length > 0) {
+      updated.history.push(
+        historyEntry({ actor, from: previous.status, to: updated.status, changes, note })
+      );
+    }
+    orders[idx] = updated;
+    return updated;
+  });
+  if (order.payment_status === 'paid' && !order.invoice) {
+    try {
+      order.invoice = issueInvoice(order.id);
+    } catch (err) {
+      log('Error issuing invoice', order.id, err.message || err);
+    }
   }
+  notifyOrderChange(previous, order);
+  return order;
+}
 
-  log('New newsletter subscriber', email);
-  res.json({ success: true });
-});
+// Orders as shown to customers: the audit trail is admin-only.
+function publicOrder(order) {
+  const { history, ...rest } = order;
+  return rest;
+}
 
-app.get('/api/offers', (req, res) => {
-  const offers = loadOffers().filter((offer) => offer.active !== false);
-  res.json({ offers });
-});
+// Delivering a COD order means the courier collected the cash.
+function collectsCashOnDelivery(order, nextStatus) {
+  return (
+    order.payment_method === 'cod' &&
+    order.payment_status === 'pending' &&
+    nextStatus === 'delivered'
+  );
+}
+
+function recordCashCollection(order) {
+  recordPaymentEvent(order, {
+    action: 'collect',
+    status: 'paid',
+    amount: order.total,
+    note: 'Cash collected on delivery',
+  });
+}
 
-app.get('/api/list', (req, res) => {
-  res.json({ list: loadPosters() });
+// === DATA VALIDATION ===
+// Write routes check their JSON body against a schema before doing anything else and answer
+// 400 with every problem: { error, errors: [{ field, error }] }. Stored records are checked
+// against the same shapes at startup, and through GET /api/admin/data-check.
+
+const SCHEMAS = createSchemas({
+  productTypes: PRODUCT_TYPES,
+  categories: PRODUCT_CATEGORIES,
+  gstRates: GST_RATES,
+  offerTypes: OFFER_TYPES,
+  orderStatuses: Object.keys(ORDER_TRANSITIONS),
+  paymentMethods: payments.names(),
+  paymentStatuses: PAYMENT_STATUSES,
 });
 
-app.get('/api/search', (req, res) => {
-  const keyRaw = req.query.key;
-  if (typeof keyRaw === 'undefined') {
-    return res.status(400).json({ error: 'Missing query parameter: key' });
+function invalidBody(res, errors) {
+  return res.status(400).json({ error: errors.map(describeError).join('; '), errors });
+}
+
+// Middleware: the body must match SCHEMAS[name]; `partial` for updates
+function validateBody(name, { partial = false } = {}) {
+  return (req, res, next) => {
+    const errors = validate(SCHEMAS[name], req.body ?? {}, { partial });
+    return errors.length > 0 ? invalidBody(res, errors) : next();
+  };
+}
+
+const DATA_CHECKS = [
+  { collection: 'products', schema: 'storedProduct' },
+  { collection: 'orders', schema: 'storedOrder' },
+  { collection: 'offers', schema: 'storedOffer' },
+];
+
+// { [collection]: { checked, invalid: [{ id, errors }] } }. Records are only reported; fixing
+// them is left to an admin.
+function checkDataFiles() {
+  const report = {};
+  for (const { collection, schema } of DATA_CHECKS) {
+    const records = loadList(collection, collection);
+    const invalid = records
+      .map((record, index) => ({
+        id: record?.id ?? `#${index + 1}`,
+        errors: validate(SCHEMAS[schema], record),
+      }))
+      .filter((entry) => entry.errors.length > 0);
+    report[collection] = { checked: records.length, invalid };
   }
-  const key = Number(keyRaw);
-  if (Number.isNaN(key)) {
-    return res.status(400).json({ error: 'key must be a number' });
+  return report;
+}
+
+for (const [collection, { checked, invalid }] of Object.entries(checkDataFiles())) {
+  if (invalid.length > 0) {
+    log(
+      `Data check: ${invalid.length} of ${checked} ${collection} do not match their schema`,
+      invalid.map(({ id, errors }) => `${id}: ${errors.map(describeError).join('; ')}`)
+    );
   }
-  const posters = loadPosters();
-  const index = posters.indexOf(key);
-  res.json({ index });
-});
+}
 
-app.post('/api/posters', requireAdmin, (req, res) => {
-  const { key } = req.body || {};
-  if (typeof key === 'undefined') {
-    return res.status(400).json({ error: 'Missing key' });
+// === NOTIFICATIONS ===
+// Emails go into the `email_outbox` collection first and are sent by processEmailOutbox,
+// so a slow or unreachable SMTP server never holds up an order. Failed sends are retried
+// with backoff until EMAIL_MAX_ATTEMPTS, then left as `failed` for an admin to retry.
+
+const EMAIL_RETRY_DELAYS_MINUTES = [1, 5, 15, 60];
+
+// Order statuses the customer hears about
+const ORDER_STATUS_EMAILS = {
+  shipped: 'order_shipped',
+  delivered: 'order_delivered',
+  cancelled: 'order_cancelled',
+};
+
+let outboxRunning = false;
+let outboxRerun = false;
+
+// Adds messages to the outbox. A message whose `key` was queued before is skipped, so e.g.
+// a replayed webhook does not send a second receipt. `send_after` holds a message back.
+function queueEmails(entries) {
+  const queued = mutateList('email_outbox', 'messages', (messages) => {
+    const keys = new Set(messages.map((m) => m.key));
+    const now = new Date().toISOString();
+    const added = [];
+    for (const { send_after: sendAfter, ...entry } of entries) {
+      if (keys.has(entry.key)) {
+        continue;
+      }
+      keys.add(entry.key);
+      const message = {
+        id: uuidv4(),
+        order_id: null,
+        headers: {},
+        ...entry,
+        status: 'pending',
+        attempts: 0,
+        last_error: null,
+        next_attempt_at: sendAfter || now,
+        created_at: now,
+        updated_at: now,
+      };
+      messages.push(message);
+      added.push(message);
+    }
+    return added;
+  });
+  if (queued.length > 0) {
+    setImmediate(processEmailOutbox);
   }
-  const posters = loadPosters();
-  posters.push(Number(key));
-  if (!savePosters(posters)) {
-    return res.status(500).json({ error: 'Unable to save' });
+  return queued;
+}
+
+// Queues an email about an order; `data.key` defaults to event + order id.
+function enqueueEmail(event, order, data = {}) {
+  try {
+    const to = order.customer?.email;
+    if (!to) {
+      return null;
+    }
+    const { subject, text, html } = renderEmail(event, order, data, {
+      storeName: UPI_NAME,
+      baseUrl: BASE_URL,
+    });
+    const [message = null] = queueEmails([
+      {
+        key: data.key || `${event}:${order.id}`,
+        event,
+        order_id: order.id,
+        to,
+        subject,
+        text,
+        html,
+      },
+    ]);
+    return message;
+  } catch (err) {
+    log('Error queueing email', event, order.id, err.message || err);
+    return null;
   }
-  res.json({ list: posters });
-});
+}
 
-app.delete('/api/posters', requireAdmin, (req, res) => {
-  const keyRaw = req.query.key;
-  if (typeof keyRaw === 'undefined') {
-    return res.status(400).json({ error: 'Missing query parameter: key' });
+function notifyOrderChange(previous, order) {
+  if (order.payment_status === 'paid' && previous.payment_status !== 'paid') {
+    enqueueEmail('payment_received', order);
   }
-  const key = Number(keyRaw);
-  if (Number.isNaN(key)) {
-    return res.status(400).json({ error: 'key must be a number' });
+  if (order.status !== previous.status && ORDER_STATUS_EMAILS[order.status]) {
+    enqueueEmail(ORDER_STATUS_EMAILS[order.status], order);
   }
-  const posters = loadPosters().filter((value) => value !== key);
-  if (!savePosters(posters)) {
-    return res.status(500).json({ error: 'Unable to save' });
+  for (const refund of (order.refunds || []).slice((previous.refunds || []).length)) {
+    enqueueEmail('refund_issued', order, { refund, key: `refund_issued:${refund.id}` });
   }
-  res.json({ list: posters });
-});
-
-app.get('/api/products', (req, res) => {
-  try {
-    let products = loadProducts();
-    const { category, type, featured, minPrice, maxPrice, search, limit } = req.query;
+}
 
-    if (category) {
-      products = products.filter((p) => p.category === category);
-    }
-    if (type) {
-      products = products.filter((p) => p.type === type);
+function updateOutboxMessage(id, changes) {
+  mutateList('email_outbox', 'messages', (messages) => {
+    const stored = messages.find((m) => m.id === id);
+    if (stored) {
+      Object.assign(stored, changes, { updated_at: new Date().toISOString() });
     }
-    if (featured === 'true') {
-      products = products.filter((p) => p.featured === true);
+  });
+}
+
+async function sendOutboxMessage(message) {
+  // Someone who unsubscribes while a campaign is still going out does not get it.
+  if (
+    message.event === 'newsletter_campaign' &&
+    !loadList('subscribers', 'subscribers').some(
+      (s) => s.id === message.subscriber_id && s.status === 'confirmed'
+    )
+  ) {
+    updateOutboxMessage(message.id, { status: 'skipped', last_error: 'Recipient unsubscribed' });
+    return;
+  }
+
+  const now = new Date();
+  let changes;
+  try {
+    await mailer.send({
+      from: MAIL_FROM,
+      to: message.to,
+      subject: message.subject,
+      text: message.text,
+      html: message.html,
+      headers: message.headers,
+    });
+    changes = { status: 'sent', sent_at: now.toISOString(), last_error: null };
+  } catch (err) {
+    const attempts = message.attempts + 1;
+    const delay =
+      EMAIL_RETRY_DELAYS_MINUTES[Math.min(attempts, EMAIL_RETRY_DELAYS_MINUTES.length) - 1];
+    changes =
+      attempts >= EMAIL_MAX_ATTEMPTS
+        ? { status: 'failed', last_error: err.message || String(err) }
+        : {
+            last_error: err.message || String(err),
+            next_attempt_at: new Date(now.getTime() + delay * 60 * 1000).toISOString(),
+          };
+    log('Error sending email', message.id, message.to, err.message || err);
+  }
+  updateOutboxMessage(message.id, {
+    ...changes,
+    attempts: message.attempts + 1,
+    transport: mailer.name,
+  });
+}
+
+// Sends every pending message that is due, one at a time. Calls made while a run is in
+// progress make it go round once more instead of sending in parallel.
+async function processEmailOutbox() {
+  if (outboxRunning) {
+    outboxRerun = true;
+    return;
+  }
+  outboxRunning = true;
+  try {
+    do {
+      outboxRerun = false;
+      const now = new Date();
+      const due = loadList('email_outbox', 'messages').filter(
+        (m) => m.status === 'pending' && new Date(m.next_attempt_at) <= now
+      );
+      for (const message of due) {
+        await sendOutboxMessage(message);
+      }
+    } while (outboxRerun);
+  } catch (err) {
+    log('Error processing email outbox', err.message || err);
+  } finally {
+    outboxRunning = false;
+  }
+}
+
+setInterval(processEmailOutbox, EMAIL_SWEEP_INTERVAL_MS).unref();
+
+// === NEWSLETTER ===
+// Double opt-in: signing up stores a `pending` subscriber and emails a signed confirmation
+// link; campaigns only go to `confirmed` subscribers, each with a signed one-click
+// unsubscribe link. Campaign emails go through the outbox, spread out so that at most
+// NEWSLETTER_RATE_PER_MINUTE are sent per minute.
+
+const CONFIRMATION_RESEND_MINUTES = 10;
+
+function newsletterUrl(purpose, subscriber) {
+  const payload = { purpose, id: subscriber.id };
+  if (purpose === 'confirm') {
+    payload.exp = Date.now() + NEWSLETTER_CONFIRM_TTL_DAYS * 24 * 60 * 60 * 1000;
+  }
+  const token = signToken(NEWSLETTER_SECRET, payload);
+  return `${BASE_URL}/api/newsletter/${purpose}?token=${encodeURIComponent(token)}`;
+}
+
+// The page the visitor signed up on: an explicit `source` or the Referer path
+function signupSource(req) {
+  try {
+    return new URL(req.body?.source || req.get('referer') || '/', BASE_URL).pathname;
+  } catch (err) {
+    return '';
+  }
+}
+
+function sendConfirmationEmail(subscriber) {
+  const { subject, text, html } = renderConfirmationEmail({
+    confirmUrl: newsletterUrl('confirm', subscriber),
+    storeName: UPI_NAME,
+  });
+  queueEmails([
+    {
+      key: `newsletter_confirm:${subscriber.id}:${Date.now()}`,
+      event: 'newsletter_confirm',
+      subscriber_id: subscriber.id,
+      to: subscriber.email,
+      subject,
+      text,
+      html,
+    },
+  ]);
+}
+
+// Renders the campaign for each recipient and queues it, `NEWSLETTER_RATE_PER_MINUTE`
+// messages per minute.
+function queueCampaign(campaign, recipients, event = 'newsletter_campaign') {
+  const start = Date.now();
+  const perMinute = Math.max(NEWSLETTER_RATE_PER_MINUTE, 1);
+  return queueEmails(
+    recipients.map((subscriber, index) => {
+      const unsubscribeUrl = newsletterUrl('unsubscribe', subscriber);
+      return {
+        key: `${event}:${campaign.id}:${subscriber.id}`,
+        event,
+        campaign_id: campaign.id,
+        subscriber_id: subscriber.id,
+        to: subscriber.email,
+        ...renderCampaign(campaign, {
+          email: subscriber.email,
+          unsubscribeUrl,
+          storeName: UPI_NAME,
+        }),
+        headers: {
+          'List-Unsubscribe': `<${unsubscribeUrl}>`,
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        },
+        send_after: new Date(start + Math.floor(index / perMinute) * 60 * 1000).toISOString(),
+      };
+    })
+  );
+}
+
+// Applies a signed confirm/unsubscribe token. Returns the subscriber, or null when the
+// token is invalid, expired or its subscriber is gone.
+function applySubscriberToken(token, purpose) {
+  const payload = verifyToken(NEWSLETTER_SECRET, token, purpose);
+  if (!payload) {
+    return null;
+  }
+  return mutateList('subscribers', 'subscribers', (subscribers) => {
+    const subscriber = subscribers.find((s) => s.id === payload.id);
+    if (!subscriber) {
+      return null;
+    }
+    const now = new Date().toISOString();
+    if (purpose === 'confirm' && subscriber.status === 'pending') {
+      Object.assign(subscriber, { status: 'confirmed', confirmed_at: now, updated_at: now });
+    }
+    if (purpose === 'unsubscribe' && subscriber.status !== 'unsubscribed') {
+      Object.assign(subscriber, { status: 'unsubscribed', unsubscribed_at: now, updated_at: now });
+    }
+    return { ...subscriber };
+  });
+}
+
+function newsletterPage(res, status, heading, message) {
+  res.status(status).send(`<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${heading} - ${UPI_NAME}</title></head>
+<body style="font-family: Arial, sans-serif; text-align: center; padding: 60px 20px;">
+  <h1>${heading}</h1>
+  <p>${message}</p>
+  <p><a href="/">Back to ${UPI_NAME}</a></p>
+</body>
+</html>`);
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// === PAYMENTS ===
+
+// Each order has one payment_attempts record: which provider it uses, the gateway's ids,
+// its current payment status and every initiate/verify/webhook/refund event in order.
+function findPaymentRecord(orderId) {
+  return loadPaymentAttempts().find((r) => r.order_id === orderId) || null;
+}
+
+function recordPaymentEvent(order, { action, status, gatewayOrderId, reference, amount, note }) {
+  if (status && !PAYMENT_STATUSES.includes(status)) {
+    throw new Error(`Unknown payment status: ${status}`);
+  }
+  return mutatePaymentAttempts((records) => {
+    const now = new Date().toISOString();
+    let record = records.find((r) => r.order_id === order.id);
+    if (!record) {
+      record = {
+        id: uuidv4(),
+        order_id: order.id,
+        provider: order.payment_method,
+        status: 'pending',
+        amount: order.total,
+        currency: order.currency || 'INR',
+        gateway_order_id: null,
+        reference: null,
+        attempts: [],
+        created_at: now,
+      };
+      records.push(record);
+    }
+    if (status) {
+      record.status = status;
+    }
+    record.gateway_order_id = gatewayOrderId || record.gateway_order_id;
+    record.reference = reference || record.reference;
+    record.attempts.push({
+      at: now,
+      action,
+      status: status || record.status,
+      reference: reference || null,
+      amount: amount ?? null,
+      note: note || '',
+    });
+    record.updated_at = now;
+    return record;
+  });
+}
+
+function checkProviderConfigured(provider) {
+  if (provider && provider.configured === false) {
+    const name = provider.name.charAt(0).toUpperCase() + provider.name.slice(1);
+    throw Object.assign(new Error(`${name} is not configured`), { status: 503 });
+  }
+}
+
+// Starts (or restarts) payment for an order with its provider and returns what the
+// checkout page needs to take the payment.
+async function initiatePayment(order) {
+  const provider = payments.get(order.payment_method);
+  if (!provider) {
+    throw new Error(`Unknown payment method: ${order.payment_method}`);
+  }
+  checkProviderConfigured(provider);
+  const { payload, gatewayOrderId } = await provider.initiate(order);
+  recordPaymentEvent(order, {
+    action: 'initiate',
+    status: 'pending',
+    gatewayOrderId,
+    amount: order.total,
+  });
+  return payload;
+}
+
+// A payment that failed, or could not even be started, fails its order and gives back what
+// the order held: its reserved stock and its coupon. A later successful payment records
+// the coupon again.
+function failOrderPayment(orderId, { actor, note, reason }) {
+  const order = updateOrder(
+    orderId,
+    (current) => ({
+      ...current,
+      payment_status: 'failed',
+      status: statusAfterPayment(current, 'failed'),
+      updated_at: new Date().toISOString(),
+    }),
+    { actor, note }
+  );
+  releaseOrderStock(orderId, reason);
+  releaseCouponRedemption(orderId, reason);
+  return order;
+}
+
+// The single place where a provider's verdict changes an order: payment_status, the
+// lifecycle status, stock and the payment record all move together.
+function applyPaymentResult(orderId, result, { action, actor }) {
+  const existing = loadOrders().find((o) => o.id === orderId);
+  if (!existing) {
+    throw Object.assign(new Error('Order not found'), { status: 404 });
+  }
+  const event = {
+    action,
+    gatewayOrderId: result.gatewayOrderId,
+    reference: result.reference,
+    amount: result.amount,
+    note: result.note,
+  };
+
+  if (result.status === 'paid') {
+    if (result.amount !== undefined && Math.abs(Number(result.amount) - existing.total) > 0.01) {
+      log('Payment amount mismatch', orderId, result.amount, existing.total);
+      recordPaymentEvent(existing, { ...event, note: 'Amount does not match the order total' });
+      throw Object.assign(new Error('Amount mismatch'), { status: 400 });
+    }
+    const order = updateOrder(
+      orderId,
+      (current) => ({
+        ...current,
+        payment_status: 'paid',
+        status: statusAfterPayment(current, 'confirmed'),
+        payment_reference: result.reference || current.payment_reference || null,
+        paid_amount: current.total,
+        updated_at: new Date().toISOString(),
+      }),
+      { actor, note: result.note }
+    );
+    recordPaymentEvent(order, { ...event, status: 'paid' });
+    commitOrderStock(order);
+    recordCouponRedemption(order);
+    processPrintFiles();
+    return order;
+  }
+
+  // The customer says they paid; the order waits (keeping its stock) until the payment is
+  // matched against a bank statement. One UTR can only ever settle one order.
+  if (result.status === 'review' && existing.payment_status !== 'paid') {
+    const claimedElsewhere = loadPaymentAttempts().some(
+      (r) =>
+        r.order_id !== orderId &&
+        r.provider === existing.payment_method &&
+        r.reference === result.reference
+    );
+    if (claimedElsewhere) {
+      recordPaymentEvent(existing, { ...event, note: 'Reference already used by another order' });
+      throw Object.assign(new Error('This transaction reference was already used'), {
+        status: 409,
+      });
+    }
+    const order = updateOrder(
+      orderId,
+      (current) => ({
+        ...current,
+        payment_status: 'payment_review',
+        payment_reference: result.reference,
+        updated_at: new Date().toISOString(),
+      }),
+      { actor, note: result.note }
+    );
+    recordPaymentEvent(order, { ...event, status: 'payment_review' });
+    return order;
+  }
+
+  // A late failure notice (e.g. a second declined attempt) never un-pays an order.
+  if (result.status === 'failed' && existing.payment_status !== 'paid') {
+    const order = failOrderPayment(orderId, {
+      actor,
+      note: result.note,
+      reason: 'payment_failed',
+    });
+    recordPaymentEvent(order, { ...event, status: 'failed' });
+    return order;
+  }
+
+  recordPaymentEvent(existing, event);
+  return existing;
+}
+
+function publicPaymentRecord(record) {
+  if (!record) {
+    return null;
+  }
+  const { id, order_id, provider, status, amount, currency, attempts, updated_at } = record;
+  return {
+    id,
+    order_id,
+    provider,
+    status,
+    amount,
+    currency,
+    attempts: attempts.map(({ at, action, status: attemptStatus }) => ({
+      at,
+      action,
+      status: attemptStatus,
+    })),
+    updated_at,
+  };
+}
+
+// === UPI RECONCILIATION ===
+
+// Imported bank/UPI statements are kept, so a UTR the customer reports after the statement
+// was imported still finds its credit.
+function loadStatementEntries() {
+  return loadList('upi_statements', 'statements').flatMap((statement) =>
+    statement.entries.map((entry) => ({ ...entry, statement_id: statement.id }))
+  );
+}
+
+// Matches statement credits to UPI claims under review on UTR and amount. Only a match on
+// both flips the order to paid; everything else is reported for a human to look at.
+function reconcileUpiClaims(entries, note) {
+  const report = { matched: [], amount_mismatch: [], already_paid: [], unmatched: [] };
+  for (const entry of entries) {
+    const record = loadPaymentAttempts().find(
+      (r) => r.provider === 'upi' && r.reference === entry.utr
+    );
+    const order = record && loadOrders().find((o) => o.id === record.order_id);
+    if (!order) {
+      report.unmatched.push({ line: entry.line, utr: entry.utr, amount: entry.amount });
+      continue;
+    }
+    const summary = {
+      line: entry.line,
+      utr: entry.utr,
+      amount: entry.amount,
+      order_id: order.id,
+      expected: order.total,
+    };
+    if (order.payment_status === 'paid') {
+      report.already_paid.push(summary);
+    } else if (Math.abs(entry.amount - order.total) > 0.01) {
+      recordPaymentEvent(order, {
+        action: 'reconcile',
+        reference: entry.utr,
+        amount: entry.amount,
+        note: `Statement amount ${entry.amount} does not match order total ${order.total}`,
+      });
+      report.amount_mismatch.push(summary);
+    } else {
+      applyPaymentResult(
+        order.id,
+        { status: 'paid', reference: entry.utr, amount: entry.amount, note },
+        { action: 'reconcile', actor: 'admin' }
+      );
+      report.matched.push(summary);
+    }
+  }
+  return report;
+}
+
+// === REFUNDS & CANCELLATIONS ===
+// Refunds go through the order's payment provider. Gateways that cannot pay money back
+// themselves (UPI, COD) answer 'manual' and the refund is recorded for staff to pay out.
+// Every refund counts towards `refunded_amount` whatever its status; `net_paid` is what
+// the customer has paid and not been refunded.
+
+const refundsInFlight = new Set();
+
+function roundMoney(amount) {
+  return Math.round(Number(amount || 0) * 100) / 100;
+}
+
+function sumRefunds(refunds = []) {
+  return roundMoney(refunds.reduce((sum, refund) => sum + Number(refund.amount || 0), 0));
+}
+
+// A line is worth its price less its share of the order discount. Shipping only goes back
+// with the last units of the order.
+function lineRefundAmount(order, item, quantity) {
+  const share = order.subtotal > 0 ? (order.subtotal - (order.discount || 0)) / order.subtotal : 0;
+  return roundMoney(item.unit_price * quantity * share);
+}
+
+// Spreads requested `{ sku, quantity }` (or `{ product_id, size, quantity }`) lines over the
+// order's items, skipping units refunded before. Without `requested` every unit not yet
+// refunded is taken.
+function resolveRefundLines(order, requested) {
+  const open = order.items.map((item) => item.quantity - (item.refunded_quantity || 0));
+  const wanted =
+    requested ||
+    order.items
+      .map((item, index) => ({ sku: item.sku, quantity: open[index] }))
+      .filter((line) => line.quantity > 0);
+
+  const lines = [];
+  for (const line of wanted) {
+    const quantity = Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw Object.assign(new Error(`Invalid refund quantity for ${orderLineName(line)}`), {
+        status: 400,
+      });
+    }
+    let remaining = quantity;
+    order.items.forEach((item, index) => {
+      if (remaining === 0 || !orderLineMatches(line, item)) {
+        return;
+      }
+      const take = Math.min(remaining, open[index]);
+      if (take > 0) {
+        open[index] -= take;
+        remaining -= take;
+        lines.push({
+          index,
+          product_id: item.product_id,
+          sku: item.sku,
+          size: item.size,
+          quantity: take,
+          amount: lineRefundAmount(order, item, take),
+        });
+      }
+    });
+    if (remaining > 0) {
+      throw Object.assign(
+        new Error(`Only ${quantity - remaining} of ${orderLineName(line)} can be refunded`),
+        { status: 400 }
+      );
+    }
+  }
+  return { lines, complete: open.every((q) => q === 0) };
+}
+
+// Refunds part or all of a paid order. `items` picks line items (their discounted price is
+// refunded), `amount` overrides the sum, and neither means a full refund of what is left.
+async function refundOrder(orderId, { items, amount, reason, restock = true }, { actor }) {
+  if (refundsInFlight.has(orderId)) {
+    throw Object.assign(new Error('A refund for this order is already in progress'), {
+      status: 409,
+    });
+  }
+  refundsInFlight.add(orderId);
+  try {
+    const order = loadOrders().find((o) => o.id === orderId);
+    if (!order) {
+      throw Object.assign(new Error('Order not found'), { status: 404 });
+    }
+    if (!['paid', 'partially_refunded'].includes(order.payment_status)) {
+      throw Object.assign(new Error('Only paid orders can be refunded'), { status: 409 });
+    }
+    const paid = Number(order.paid_amount ?? order.total);
+    const refundable = roundMoney(paid - sumRefunds(order.refunds));
+    if (refundable <= 0) {
+      throw Object.assign(new Error('Order has already been fully refunded'), { status: 409 });
+    }
+    if (items !== undefined && (!Array.isArray(items) || items.length === 0)) {
+      throw Object.assign(new Error('items must be a non-empty array'), { status: 400 });
+    }
+
+    const { lines, complete } = resolveRefundLines(
+      order,
+      items || (amount !== undefined ? [] : null)
+    );
+    let refundAmount = complete ? refundable : lines.reduce((sum, l) => sum + l.amount, 0);
+    if (amount !== undefined) {
+      refundAmount = Number(amount);
+      if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+        throw Object.assign(new Error('Invalid refund amount'), { status: 400 });
+      }
+    }
+    refundAmount = roundMoney(refundAmount);
+    if (refundAmount > refundable) {
+      throw Object.assign(
+        new Error(`Refund amount exceeds the ${refundable} that can still be refunded`),
+        { status: 400 }
+      );
+    }
+
+    const provider = payments.get(order.payment_method);
+    let result;
+    try {
+      result = await provider.refund(
+        order,
+        { amount: refundAmount, reason },
+        findPaymentRecord(order.id)
+      );
+    } catch (err) {
+      recordPaymentEvent(order, {
+        action: 'refund',
+        amount: refundAmount,
+        note: `Refund failed: ${err.message || err}`,
+      });
+      throw Object.assign(err, { status: err.status || 502 });
+    }
+
+    const refundLines = lines.map(({ index, ...line }) => line);
+    const refund = {
+      id: uuidv4(),
+      amount: roundMoney(result.amount ?? refundAmount),
+      items: refundLines,
+      reason: reason || '',
+      provider: provider.name,
+      status: result.status,
+      reference: result.reference || null,
+      restocked: restock ? returnOrderStock(order.id, refundLines, 'refunded') : [],
+      actor,
+      created_at: new Date().toISOString(),
+    };
+    const updated = updateOrder(
+      order.id,
+      (current) => {
+        const refunds = [...(current.refunds || []), refund];
+        const refunded = sumRefunds(refunds);
+        const fullyRefunded = refunded >= paid - 0.01;
+        return {
+          ...current,
+          items: current.items.map((item, index) => {
+            const quantity = lines
+              .filter((l) => l.index === index)
+              .reduce((sum, l) => sum + l.quantity, 0);
+            return quantity
+              ? { ...item, refunded_quantity: (item.refunded_quantity || 0) + quantity }
+              : item;
+          }),
+          refunds,
+          refunded_amount: refunded,
+          net_paid: roundMoney(paid - refunded),
+          payment_status: fullyRefunded ? 'refunded' : 'partially_refunded',
+          status:
+            fullyRefunded && canTransitionOrder(current.status, 'refunded')
+              ? 'refunded'
+              : current.status,
+          updated_at: new Date().toISOString(),
+        };
+      },
+      { actor, note: reason || `Refunded ${refund.amount}` }
+    );
+    recordPaymentEvent(updated, {
+      action: 'refund',
+      status: updated.payment_status,
+      amount: refund.amount,
+      note: `${provider.name} refund ${refund.status}${
+        refund.reference ? ` (${refund.reference})` : ''
+      }`,
+    });
+    log('Refunded order', order.id, refund.amount, refund.status);
+    return { order: updated, refund };
+  } finally {
+    refundsInFlight.delete(orderId);
+  }
+}
+
+// What lets a guest cancel their order: a token signed for it, handed out with the order
+// and in the order email. The order id and email alone are no proof; both are on public
+// pages.
+function orderCancelToken(order) {
+  return signToken(ORDER_LINK_SECRET, { purpose: 'cancel_order', id: order.id });
+}
+
+// Signed-in customers may act on their own orders, and on guest orders placed with their
+// verified email; anyone else needs the order's cancel token as `token` in the body.
+function customerOwnsOrder(req, order) {
+  if (req.customer) {
+    if (order.customer_id) {
+      return req.customer.id === order.customer_id;
+    }
+    const email = String(order.customer?.email || '').toLowerCase();
+    if (req.customer.email_verified === true && req.customer.email === email) {
+      return true;
+    }
+  } else if (order.customer_id) {
+    return false;
+  }
+  const payload = verifyToken(ORDER_LINK_SECRET, req.body?.token, 'cancel_order');
+  return Boolean(payload) && payload.id === order.id;
+}
+
+// === INVOICES ===
+// Every order stores its GST breakdown (`tax`) when it is placed. Once it is paid it gets
+// an invoice number from a sequence that restarts each financial year: INV/2026-27/000001.
+// Numbers are never reused, so refunds do not take an order's invoice away.
+
+const INVOICED_PAYMENT_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+if (!stateCode(SELLER_STATE)) {
+  log('Warning: SELLER_STATE is not a known Indian state', SELLER_STATE);
+}
+
+// Checks the GST fields of a product create/update body; returns an error message or null.
+function validateProductTax(data) {
+  if (data.hsn_code !== undefined && !isValidHsnCode(data.hsn_code)) {
+    return 'hsn_code must be a 4, 6 or 8 digit HSN code';
+  }
+  if (data.gst_rate !== undefined && !isValidGstRate(data.gst_rate)) {
+    return 'gst_rate must be one of 0, 5, 12, 18 or 28';
+  }
+  return null;
+}
+
+// Orders placed before GST was tracked get their breakdown worked out from their items.
+function orderTax(order) {
+  if (order.tax) {
+    return order.tax;
+  }
+  const products = loadProducts();
+  return calculateGst({
+    lines: order.items.map((item) => {
+      const product = products.find((p) => p.id === item.product_id) || {};
+      return {
+        ...item,
+        hsn_code: item.hsn_code || product.hsn_code || DEFAULT_HSN_CODE,
+        gst_rate: item.gst_rate ?? product.gst_rate ?? DEFAULT_GST_RATE,
+      };
+    }),
+    discount: order.discount,
+    shipping: order.shipping,
+    sellerState: SELLER_STATE,
+    shippingState: order.shipping_address?.state,
+  });
+}
+
+// Gives a paid order its invoice number, once. Returns the order's `invoice`.
+function issueInvoice(orderId) {
+  return storage.withLock('invoice_sequences', () => {
+    const order = loadOrders().find((o) => o.id === orderId);
+    if (!order) {
+      throw Object.assign(new Error('Order not found'), { status: 404 });
+    }
+    if (order.invoice) {
+      return order.invoice;
+    }
+    if (!INVOICED_PAYMENT_STATUSES.includes(order.payment_status)) {
+      throw Object.assign(new Error('An invoice is issued once the order is paid'), {
+        status: 409,
+      });
+    }
+    const issuedAt = new Date();
+    const year = financialYear(issuedAt);
+    const sequence = storage.update('invoice_sequences', { sequences: {} }, (data) => {
+      data.sequences = data.sequences || {};
+      data.sequences[year] = (data.sequences[year] || 0) + 1;
+      return data.sequences[year];
+    });
+    const invoice = {
+      number: `INV/${year}/${String(sequence).padStart(6, '0')}`,
+      financial_year: year,
+      issued_at: issuedAt.toISOString(),
+    };
+    updateOrder(orderId, (o) => ({ ...o, invoice, updated_at: invoice.issued_at }), {
+      note: `Invoice ${invoice.number} issued`,
+    });
+    log('Issued invoice', invoice.number, orderId);
+    return invoice;
+  });
+}
+
+function renderOrderInvoice(order) {
+  return renderInvoicePdf({
+    order,
+    tax: orderTax(order),
+    invoice: order.invoice,
+    seller: {
+      name: SELLER_NAME,
+      address: SELLER_ADDRESS,
+      state: SELLER_STATE,
+      gstin: SELLER_GSTIN,
+    },
+  });
+}
+
+// === UPLOADS ===
+// Files posted to /api/uploads are judged by their contents, not by the MIME type the browser
+// claims: only real JPEG, PNG and WEBP images are kept, named after what they are, and
+// stripped of metadata (camera details, GPS position) before anyone can download them.
+// Each upload has a record in `uploads` with who sent it and the carts and orders using it.
+// Visitors get UPLOAD_QUOTA_FILES files and UPLOAD_QUOTA_BYTES per UPLOAD_QUOTA_WINDOW_HOURS;
+// staff are not limited. Uploads older than UPLOAD_GC_MAX_AGE_HOURS that no order, product
+// or recently saved cart uses are deleted every UPLOAD_GC_INTERVAL_MINUTES.
+
+const UPLOAD_EXTENSIONS = { jpeg: '.jpg', png: '.png', webp: '.webp' };
+const UPLOAD_MIME_TYPES = { jpeg: 'image/jpeg', png: 'image/png', webp: 'image/webp' };
+const UPLOAD_REFERENCE = /\/uploads\/([A-Za-z0-9][A-Za-z0-9._-]*)/g;
+
+function loadUploads() {
+  return loadList('uploads', 'uploads');
+}
+
+function mutateUploads(mutator) {
+  return mutateList('uploads', 'uploads', mutator);
+}
+
+// '/uploads/<file>' or '<file>' -> the file name, if it names a file in uploads/
+function uploadFileId(reference) {
+  const fileId = String(reference || '').replace(/^\/uploads\//, '');
+  if (!/^[A-Za-z0-9][A-Za-z0-9._-]*$/.test(fileId)) {
+    return null;
+  }
+  return fs.existsSync(path.join(UPLOADS_DIR, fileId)) ? fileId : null;
+}
+
+function readUpload(fileId) {
+  return fs.readFileSync(path.join(UPLOADS_DIR, fileId));
+}
+
+// Who sends an upload: the signed-in customer or else the IP, and the IP either way. The
+// quota holds for both, so neither a new cart session nor a new account resets it.
+function uploader(req) {
+  return { owner: req.customer ? `customer:${req.customer.id}` : `ip:${req.ip}`, ip: req.ip };
+}
+
+function uploadUsage({ owner, ip }, now = new Date()) {
+  const since = now.getTime() - UPLOAD_QUOTA_WINDOW_HOURS * 60 * 60 * 1000;
+  const recent = loadUploads().filter(
+    (u) => (u.owner === owner || u.ip === ip) && Date.parse(u.created_at) >= since
+  );
+  return { files: recent.length, bytes: recent.reduce((sum, u) => sum + u.bytes, 0) };
+}
+
+function newUploadRecord(fileId, info, bytes, { owner = null, ip = null } = {}) {
+  const upright = uprightSize(info);
+  return {
+    file_id: fileId,
+    url: `/uploads/${fileId}`,
+    format: info.format,
+    mime_type: UPLOAD_MIME_TYPES[info.format],
+    width: upright.width,
+    height: upright.height,
+    bytes,
+    info,
+    owner,
+    ip,
+    carts: [],
+    order_ids: [],
+    created_at: new Date().toISOString(),
+  };
+}
+
+// Checks, cleans and records a file multer has written to uploads/. Throws (leaving the
+// caller to delete the file) when it is not an image or goes over the uploader's quota.
+function acceptUpload(file, from, { quota = true } = {}) {
+  const original = fs.readFileSync(file.path);
+  const info = readImageInfo(original);
+  if (!info || !UPLOAD_EXTENSIONS[info.format] || !info.width || !info.height) {
+    throw Object.assign(new Error('Only JPEG, PNG and WEBP images are allowed'), {
+      status: 400,
+    });
+  }
+  const cleaned = stripMetadata(original, info);
+  if (quota && uploadUsage(from).bytes + cleaned.length > UPLOAD_QUOTA_BYTES) {
+    throw Object.assign(new Error('Upload limit reached, please try again later'), {
+      status: 429,
+    });
+  }
+  const fileId = `${path.basename(file.filename, path.extname(file.filename))}${
+    UPLOAD_EXTENSIONS[info.format]
+  }`;
+  fs.writeFileSync(path.join(UPLOADS_DIR, fileId), cleaned);
+  if (fileId !== file.filename) {
+    fs.rmSync(file.path, { force: true });
+  }
+  const record = newUploadRecord(fileId, info, cleaned.length, from);
+  mutateUploads((uploads) => {
+    uploads.push(record);
+  });
+  return record;
+}
+
+// The record of an upload. Files from before uploads were recorded get one on first use.
+function uploadRecord(fileId) {
+  const existing = loadUploads().find((u) => u.file_id === fileId);
+  if (existing) {
+    return existing;
+  }
+  const buffer = readUpload(fileId);
+  const info = readImageInfo(buffer);
+  if (!info || !info.width || !info.height) {
+    throw Object.assign(new Error('Uploaded file is not a readable image'), { status: 422 });
+  }
+  const record = newUploadRecord(fileId, info, buffer.length);
+  mutateUploads((uploads) => {
+    if (!uploads.some((u) => u.file_id === fileId)) {
+      uploads.push(record);
+    }
+  });
+  return record;
+}
+
+// Adds `value` to the `field` list of the records of the uploads `references` point at
+function linkUploads(references, field, value) {
+  const fileIds = new Set(references.map(uploadFileId).filter(Boolean));
+  for (const fileId of fileIds) {
+    try {
+      uploadRecord(fileId);
+    } catch (err) {
+      fileIds.delete(fileId);
+    }
+  }
+  if (fileIds.size === 0) {
+    return;
+  }
+  mutateUploads((uploads) => {
+    for (const record of uploads) {
+      if (fileIds.has(record.file_id) && !record[field].includes(value)) {
+        record[field].push(value);
+      }
+    }
+  });
+}
+
+function linkCartUploads(collection, cart) {
+  linkUploads(
+    cart.map((item) => item?.custom_artwork),
+    'carts',
+    collection
+  );
+}
+
+function linkOrderUploads(order) {
+  linkUploads(
+    order.items.map((item) => item.custom_artwork),
+    'order_ids',
+    order.id
+  );
+}
+
+// Uploads named by any order or product, or by a cart saved since `cutoff` (ms)
+function referencedUploads(cutoff) {
+  const referenced = new Set();
+  const collect = (value) => {
+    for (const match of JSON.stringify(value).matchAll(UPLOAD_REFERENCE)) {
+      referenced.add(match[1]);
+    }
+  };
+  collect(loadOrders());
+  collect(loadProducts());
+  for (const collection of new Set(loadUploads().flatMap((u) => u.carts))) {
+    const cart = loadCart(collection);
+    if (Date.parse(cart.updated_at) >= cutoff) {
+      collect(cart.cart);
+    }
+  }
+  return referenced;
+}
+
+// Deletes uploads older than `maxAgeHours` that nothing uses, with their thumbnails and
+// previews, and forgets the records of files that are gone. Returns the file names removed.
+function collectOrphanedUploads({ maxAgeHours = UPLOAD_GC_MAX_AGE_HOURS, now = new Date() } = {}) {
+  const cutoff = now.getTime() - maxAgeHours * 60 * 60 * 1000;
+  const referenced = referencedUploads(cutoff);
+  const records = new Map(loadUploads().map((u) => [u.file_id, u]));
+  const cached = fs.readdirSync(ARTWORK_CACHE_DIR);
+  const removed = [];
+  for (const entry of fs.readdirSync(UPLOADS_DIR, { withFileTypes: true })) {
+    if (!entry.isFile() || entry.name.startsWith('.') || referenced.has(entry.name)) {
+      continue;
+    }
+    const file = path.join(UPLOADS_DIR, entry.name);
+    const record = records.get(entry.name);
+    const uploadedAt = record ? Date.parse(record.created_at) : fs.statSync(file).mtimeMs;
+    if (uploadedAt >= cutoff) {
+      continue;
+    }
+    fs.rmSync(file, { force: true });
+    for (const name of cached.filter((c) => c.startsWith(`${entry.name}.`))) {
+      fs.rmSync(path.join(ARTWORK_CACHE_DIR, name), { force: true });
+    }
+    removed.push(entry.name);
+  }
+  mutateUploads((uploads) => {
+    for (let i = uploads.length - 1; i >= 0; i -= 1) {
+      if (!fs.existsSync(path.join(UPLOADS_DIR, uploads[i].file_id))) {
+        uploads.splice(i, 1);
+      }
+    }
+  });
+  if (removed.length > 0) {
+    log('Removed orphaned uploads', removed.length);
+  }
+  return removed;
+}
+
+setInterval(() => {
+  try {
+    collectOrphanedUploads();
+  } catch (err) {
+    log('Error removing orphaned uploads', err.message || err);
+  }
+}, UPLOAD_GC_INTERVAL_MINUTES * 60 * 1000).unref();
+
+// === CUSTOM ARTWORK ===
+// Customers upload their own image for custom posters and the cart line carries its URL as
+// `custom_artwork`. Placing an order checks the artwork against the size ordered: too few
+// pixels per inch and the order is refused, a little short and the line records a warning.
+// Every line with artwork gets a print-ready PDF in PRINTS_DIR once the order is paid.
+
+function artworkSizes(record, product) {
+  return assessArtwork(record.info, product.dimensions, {
+    minDpi: ARTWORK_MIN_DPI,
+    warnDpi: ARTWORK_WARN_DPI,
+  });
+}
+
+// Why an upload can't be printed, or null. WEBP can be measured but not decoded.
+function unprintableReason(record) {
+  if (record.format === 'webp') {
+    return 'WEBP images cannot be printed; please upload a JPEG or PNG';
+  }
+  if (record.width * record.height > ARTWORK_MAX_PIXELS) {
+    return `Images over ${ARTWORK_MAX_PIXELS / 1000000} megapixels cannot be printed`;
+  }
+  return null;
+}
+
+// When each IP last had a thumbnail or preview rendered, over the last minute
+const artworkRenders = new Map();
+
+function countArtworkRender(ip, now = Date.now()) {
+  const since = now - 60 * 1000;
+  for (const [key, times] of artworkRenders) {
+    if (times[times.length - 1] <= since) {
+      artworkRenders.delete(key);
+    }
+  }
+  const recent = (artworkRenders.get(ip) || []).filter((t) => t > since);
+  if (recent.length >= ARTWORK_RENDERS_PER_MINUTE) {
+    throw Object.assign(new Error('Too many previews, please try again in a minute'), {
+      status: 429,
+    });
+  }
+  artworkRenders.set(ip, [...recent, now]);
+}
+
+const artworkRenderer = createRenderer({ log });
+
+// Cache file name -> the render making it, so that requests arriving together share it
+const artworkRendersInFlight = new Map();
+
+// Makes `name` in the cache directory by running the `kind` render of `record` unless it is
+// already there. Renders count against the requesting `ip`; files already cached are free.
+async function cachedArtworkFile(name, record, kind, args, ip) {
+  const file = path.join(ARTWORK_CACHE_DIR, name);
+  if (fs.existsSync(file)) {
+    return file;
+  }
+  if (!artworkRendersInFlight.has(name)) {
+    countArtworkRender(ip);
+    const upload = path.join(UPLOADS_DIR, record.file_id);
+    const rendering = artworkRenderer
+      .render(kind, upload, record.info, ...args)
+      .then((output) => fs.promises.writeFile(file, output))
+      .finally(() => artworkRendersInFlight.delete(name));
+    artworkRendersInFlight.set(name, rendering);
+  }
+  await artworkRendersInFlight.get(name);
+  return file;
+}
+
+function artworkThumbnail(record, ip) {
+  const options = { maxSize: ARTWORK_THUMBNAIL_SIZE, maxPixels: ARTWORK_MAX_PIXELS };
+  return cachedArtworkFile(`${record.file_id}.thumb.png`, record, 'thumbnail', [options], ip);
+}
+
+// The part of the image a poster of `printSize` ('8x12 inches') shows
+function artworkPreview(record, printSize, ip) {
+  const inches = parsePrintSize(printSize);
+  const slug = `${inches.width}x${inches.height}`.replace(/[^0-9x.]/g, '');
+  const options = { maxSize: ARTWORK_PREVIEW_SIZE, maxPixels: ARTWORK_MAX_PIXELS };
+  const name = `${record.file_id}.${slug}.png`;
+  return cachedArtworkFile(name, record, 'preview', [inches, options], ip);
+}
+
+// Checks the artwork on every cart line against the size ordered. Returns { error } or
+// { lines }, where lines[i] is the `artwork` summary for items[i] (null without artwork).
+function checkOrderArtwork(items) {
+  const products = loadProducts();
+  const lines = [];
+  for (const item of items) {
+    if (!item.custom_artwork) {
+      lines.push(null);
+      continue;
+    }
+    const fileId = uploadFileId(item.custom_artwork);
+    if (!fileId) {
+      return { error: 'Custom artwork must be an image uploaded through /api/uploads' };
+    }
+    let record;
+    try {
+      record = uploadRecord(fileId);
+    } catch (err) {
+      return { error: err.message };
+    }
+    if (unprintableReason(record)) {
+      return { error: unprintableReason(record) };
+    }
+    const product = products.find((p) => p.id === item.product_id);
+    const fit = product && artworkSizes(record, product).find((s) => s.size === item.size);
+    if (fit?.status === 'block') {
+      return { error: `${fit.message}. Please choose a smaller size or a larger image.` };
+    }
+    lines.push({
+      file_id: fileId,
+      url: `/uploads/${fileId}`,
+      format: record.format,
+      width: record.width,
+      height: record.height,
+      print_size: fit?.print_size || null,
+      orientation: fit?.orientation || null,
+      effective_dpi: fit?.effective_dpi ?? null,
+      status: fit?.status || 'ok',
+      warning: fit?.status === 'warn' ? fit.message : null,
+    });
+  }
+  return { lines };
+}
+
+function printFileName(orderId, index) {
+  return `${orderId}-${index + 1}.pdf`;
+}
+
+// Renders the print PDF of one order line into PRINTS_DIR; resolves with the line's
+// `print_file`
+async function renderPrintFile(order, index) {
+  const item = order.items[index];
+  const record = uploadRecord(item.artwork.file_id);
+  const printSize = parsePrintSize(item.artwork.print_size);
+  const itemName = `${item.title} (${item.variant_label || item.size})`;
+  if (!printSize) {
+    throw Object.assign(new Error(`No print size is set for ${itemName}`), { status: 409 });
+  }
+  const pdf = await artworkRenderer.render(
+    'print',
+    path.join(UPLOADS_DIR, record.file_id),
+    record.info,
+    printSize,
+    {
+      bleed: ARTWORK_BLEED_INCHES,
+      title: `${order.id} line ${index + 1}: ${itemName}`,
+      maxPixels: ARTWORK_MAX_PIXELS,
+    }
+  );
+  const name = printFileName(order.id, index);
+  await fs.promises.writeFile(path.join(PRINTS_DIR, name), pdf);
+  return {
+    name,
+    print_size: item.artwork.print_size,
+    orientation: item.artwork.orientation,
+    bleed_inches: ARTWORK_BLEED_INCHES,
+    bytes: pdf.length,
+    generated_at: new Date().toISOString(),
+  };
+}
+
+// Print files are made once an order is going to production: when it is paid, or straight
+// away for cash on delivery. They render on the artwork worker one line at a time after the
+// response, and a sweep picks up anything a restart left behind. A line whose file can't be
+// made gets `print_file: null`; the admin download tries again.
+let printFilesRunning = false;
+let printFilesRerun = false;
+
+function awaitingPrintFile(order) {
+  if (order.status === 'cancelled') {
+    return -1;
+  }
+  if (order.payment_status !== 'paid' && order.payment_method !== 'cod') {
+    return -1;
+  }
+  return order.items.findIndex((item) => item.artwork && item.print_file === undefined);
+}
+
+async function makeNextPrintFile() {
+  const order = loadOrders().find((o) => awaitingPrintFile(o) !== -1);
+  if (!order) {
+    return false;
+  }
+  const index = awaitingPrintFile(order);
+  let printFile = null;
+  try {
+    printFile = await renderPrintFile(order, index);
+  } catch (err) {
+    log('Error rendering print file', order.id, index + 1, err.message || err);
+  }
+  updateOrder(
+    order.id,
+    (o) => ({
+      ...o,
+      items: o.items.map((line, i) => (i === index ? { ...line, print_file: printFile } : line)),
+    }),
+    { note: `Print file for line ${index + 1} ${printFile ? 'made' : 'failed'}` }
+  );
+  return true;
+}
+
+// Makes every print file that is due. Calls made while a run is in progress make it go
+// round once more instead of rendering in parallel.
+async function processPrintFiles() {
+  if (printFilesRunning) {
+    printFilesRerun = true;
+    return;
+  }
+  printFilesRunning = true;
+  try {
+    do {
+      printFilesRerun = false;
+      while (await makeNextPrintFile()) {
+        /* one line per round */
+      }
+    } while (printFilesRerun);
+  } catch (err) {
+    log('Error processing print files', err.message || err);
+  } finally {
+    printFilesRunning = false;
+  }
+}
+
+setInterval(processPrintFiles, PRINT_FILE_SWEEP_INTERVAL_MS).unref();
+
+// === SHIPMENTS ===
+// An order ships as one or more packages. Each package is a shipment with its own courier
+// AWB and tracking events. The order moves to `shipped` once every item is in a package
+// and to `delivered` once every package has arrived. Tracking arrives through courier
+// webhooks, and active shipments are polled every SHIPMENT_POLL_INTERVAL_MS.
+
+const SHIPPABLE_ORDER_STATUSES = ['confirmed', 'processing'];
+
+// The forward path an order takes as its packages move; sync steps along it one at a time.
+const SHIPPING_PATH = ['confirmed', 'processing', 'shipped', 'delivered'];
+
+const shipmentsInFlight = new Set();
+let shipmentPollRunning = false;
+
+function loadShipments() {
+  return loadList('shipments', 'shipments');
+}
+
+function mutateShipments(mutator) {
+  return mutateList('shipments', 'shipments', mutator);
+}
+
+// Units of each order line (by SKU) not yet in a live shipment. Refunded units never ship.
+function unshippedQuantities(order, shipments) {
+  const remaining = new Map();
+  for (const item of order.items) {
+    const open = item.quantity - (item.refunded_quantity || 0);
+    remaining.set(item.sku, (remaining.get(item.sku) || 0) + open);
+  }
+  for (const shipment of shipments) {
+    if (shipment.order_id !== order.id || shipment.status === 'cancelled') {
+      continue;
+    }
+    for (const item of shipment.items) {
+      remaining.set(item.sku, (remaining.get(item.sku) || 0) - item.quantity);
+    }
+  }
+  return remaining;
+}
+
+function shipmentLine(item, quantity) {
+  const { product_id, sku, size, title } = item;
+  return { product_id, sku, size, title, quantity };
+}
+
+// `packages` is [{ items: [{ sku, quantity }] }] (or `{ product_id, size, quantity }` lines).
+// Without it, everything not yet shipped goes in one package.
+function resolvePackages(order, packages) {
+  const remaining = unshippedQuantities(order, loadShipments());
+  const items = new Map(order.items.map((item) => [item.sku, item]));
+  if (packages === undefined) {
+    const lines = [];
+    for (const item of order.items) {
+      const quantity = remaining.get(item.sku);
+      if (quantity > 0) {
+        lines.push(shipmentLine(item, quantity));
+        remaining.set(item.sku, 0);
+      }
+    }
+    if (lines.length === 0) {
+      throw Object.assign(new Error('Every item of this order has already shipped'), {
+        status: 409,
+      });
+    }
+    return [lines];
+  }
+
+  if (!Array.isArray(packages) || packages.length === 0) {
+    throw Object.assign(new Error('packages must be a non-empty array'), { status: 400 });
+  }
+  return packages.map((pkg, idx) => {
+    if (!Array.isArray(pkg?.items) || pkg.items.length === 0) {
+      throw Object.assign(new Error(`Package ${idx + 1} has no items`), { status: 400 });
+    }
+    return pkg.items.map((line) => {
+      const sku = orderLineSku(order, line);
+      const quantity = Number(line.quantity);
+      if (!items.has(sku)) {
+        throw Object.assign(new Error(`${orderLineName(line)} is not in this order`), {
+          status: 400,
+        });
+      }
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > remaining.get(sku)) {
+        throw Object.assign(new Error(`Invalid quantity for ${orderLineName(line)}`), {
+          status: 400,
+        });
+      }
+      remaining.set(sku, remaining.get(sku) - quantity);
+      return shipmentLine(items.get(sku), quantity);
+    });
+  });
+}
+
+// Adds tracking events not seen before and moves the shipment to the latest one's status.
+// Returns whether anything changed.
+function mergeTrackingEvents(shipment, events) {
+  const seen = new Set(shipment.events.map((e) => `${e.status}|${e.at}`));
+  const fresh = (events || [])
+    .filter((e) => SHIPMENT_STATUSES.includes(e.status) && !seen.has(`${e.status}|${e.at}`))
+    .map((e) => ({
+      status: e.status,
+      description: e.description || '',
+      location: e.location || '',
+      at: new Date(e.at || Date.now()).toISOString(),
+    }));
+  if (fresh.length === 0) {
+    return false;
+  }
+  shipment.events = [...shipment.events, ...fresh].sort((a, b) => new Date(a.at) - new Date(b.at));
+  const latest = shipment.events[shipment.events.length - 1];
+  shipment.status = latest.status;
+  shipment.delivered_at = latest.status === 'delivered' ? latest.at : null;
+  shipment.updated_at = new Date().toISOString();
+  return true;
+}
+
+// Moves the order along with its packages: processing while some items still wait to be
+// packed, shipped once all of them are with the courier, delivered once all have arrived.
+// The order's tracking_number lists the AWBs.
+function syncOrderWithShipments(orderId, { actor = 'system' } = {}) {
+  const order = loadOrders().find((o) => o.id === orderId);
+  if (!order) {
+    return null;
+  }
+  const shipments = loadShipments().filter(
+    (s) => s.order_id === orderId && s.status !== 'cancelled'
+  );
+  if (shipments.length === 0) {
+    return order;
+  }
+  const allPacked = [...unshippedQuantities(order, shipments).values()].every((q) => q <= 0);
+  let target = 'processing';
+  if (allPacked) {
+    target = shipments.every((s) => s.status === 'delivered') ? 'delivered' : 'shipped';
+  }
+  const trackingNumber = shipments.map((s) => s.awb).join(', ');
+
+  const from = SHIPPING_PATH.indexOf(order.status);
+  const steps = from === -1 ? [] : SHIPPING_PATH.slice(from + 1, SHIPPING_PATH.indexOf(target) + 1);
+  let current = order;
+  if (steps.length === 0 && order.tracking_number !== trackingNumber) {
+    current = updateOrder(orderId, (o) => ({
+      ...o,
+      tracking_number: trackingNumber,
+      updated_at: new Date().toISOString(),
+    }), { actor });
+  }
+  for (const status of steps) {
+    let cashCollected = false;
+    current = updateOrder(
+      orderId,
+      (o) => {
+        cashCollected = collectsCashOnDelivery(o, status);
+        return {
+          ...o,
+          status,
+          tracking_number: trackingNumber,
+          ...(cashCollected ? { payment_status: 'paid', paid_amount: o.total } : {}),
+          updated_at: new Date().toISOString(),
+        };
+      },
+      { actor, note: status === 'processing' ? 'Partly shipped' : '' }
+    );
+    if (cashCollected) {
+      recordCashCollection(current);
+    }
+  }
+  return current;
+}
+
+// Books one shipment per package with the courier. Each is saved as soon as the courier
+// accepts it, so a failure halfway leaves the packages already booked in place.
+async function createShipments(orderId, { courier: courierName, packages } = {}, { actor }) {
+  if (shipmentsInFlight.has(orderId)) {
+    throw Object.assign(new Error('Shipments for this order are already being booked'), {
+      status: 409,
+    });
+  }
+  shipmentsInFlight.add(orderId);
+  try {
+    const order = loadOrders().find((o) => o.id === orderId);
+    if (!order) {
+      throw Object.assign(new Error('Order not found'), { status: 404 });
+    }
+    if (!SHIPPABLE_ORDER_STATUSES.includes(order.status)) {
+      throw Object.assign(new Error(`Orders that are ${order.status} cannot be shipped`), {
+        status: 409,
+      });
+    }
+    if (order.payment_status !== 'paid' && order.payment_method !== 'cod') {
+      throw Object.assign(new Error('Only paid or cash on delivery orders can be shipped'), {
+        status: 409,
+      });
+    }
+    const courier = couriers.get(courierName || DEFAULT_COURIER);
+    if (!courier) {
+      throw Object.assign(new Error(`Unknown courier: ${courierName}`), { status: 400 });
+    }
+
+    const contents = resolvePackages(order, packages);
+    const created = [];
+    for (const [idx, items] of contents.entries()) {
+      const booking = await courier.createShipment(order, {
+        items,
+        packageNumber: idx + 1,
+        packageCount: contents.length,
+      });
+      const now = new Date().toISOString();
+      const shipment = {
+        id: `SHP-${Date.now()}-${crypto.randomBytes(3).toString('hex').toUpperCase()}`,
+        order_id: order.id,
+        courier: courier.name,
+        awb: booking.awb,
+        tracking_url: booking.trackingUrl || null,
+        package_number: idx + 1,
+        package_count: contents.length,
+        items,
+        destination_city: order.shipping_address?.city || '',
+        status: 'created',
+        events: [],
+        delivered_at: null,
+        created_by: actor,
+        created_at: now,
+        updated_at: now,
+      };
+      mergeTrackingEvents(shipment, booking.events);
+      mutateShipments((shipments) => {
+        shipments.push(shipment);
+      });
+      created.push(shipment);
+      log('Booked shipment', shipment.id, courier.name, shipment.awb, orderId);
+    }
+    const updated = syncOrderWithShipments(orderId, { actor });
+    return { order: updated, shipments: created };
+  } finally {
+    shipmentsInFlight.delete(orderId);
+  }
+}
+
+function recordTracking(shipmentId, events, { actor }) {
+  const shipment = mutateShipments((shipments) => {
+    const stored = shipments.find((s) => s.id === shipmentId);
+    if (!stored || stored.status === 'cancelled') {
+      return null;
+    }
+    return mergeTrackingEvents(stored, events) ? { ...stored } : null;
+  });
+  if (shipment) {
+    syncOrderWithShipments(shipment.order_id, { actor });
+  }
+  return shipment;
+}
+
+async function refreshShipment(shipmentId) {
+  const shipment = loadShipments().find((s) => s.id === shipmentId);
+  if (!shipment) {
+    throw Object.assign(new Error('Shipment not found'), { status: 404 });
+  }
+  const courier = couriers.get(shipment.courier);
+  if (!courier) {
+    throw Object.assign(new Error(`Unknown courier: ${shipment.courier}`), { status: 400 });
+  }
+  const events = await courier.track(shipment);
+  return recordTracking(shipmentId, events, { actor: courier.name }) || shipment;
+}
+
+async function pollShipments() {
+  if (shipmentPollRunning) {
+    return;
+  }
+  shipmentPollRunning = true;
+  try {
+    const active = loadShipments().filter((s) => !FINAL_SHIPMENT_STATUSES.includes(s.status));
+    for (const shipment of active) {
+      try {
+        await refreshShipment(shipment.id);
+      } catch (err) {
+        log('Error tracking shipment', shipment.id, err.message || err);
+      }
+    }
+  } finally {
+    shipmentPollRunning = false;
+  }
+}
+
+setInterval(pollShipments, SHIPMENT_POLL_INTERVAL_MS).unref();
+
+// Shipments as shown to customers.
+function publicShipment(shipment) {
+  return {
+    id: shipment.id,
+    courier: couriers.get(shipment.courier)?.displayName || shipment.courier,
+    awb: shipment.awb,
+    tracking_url: shipment.tracking_url,
+    package_number: shipment.package_number,
+    package_count: shipment.package_count,
+    items: shipment.items,
+    status: shipment.status,
+    events: shipment.events,
+    delivered_at: shipment.delivered_at,
+    created_at: shipment.created_at,
+  };
+}
+
+const ORDER_MILESTONES = {
+  confirmed: 'Order confirmed',
+  cancelled: 'Order cancelled',
+  returned: 'Order returned',
+  refunded: 'Order refunded',
+};
+
+// Order milestones and every package's scans, oldest first.
+function trackingTimeline(order, shipments) {
+  const timeline = [{ status: 'placed', description: 'Order placed', at: order.created_at }];
+  for (const entry of order.history || []) {
+    if (entry.to_status !== entry.from_status && ORDER_MILESTONES[entry.to_status]) {
+      timeline.push({
+        status: entry.to_status,
+        description: ORDER_MILESTONES[entry.to_status],
+        at: entry.at,
+      });
+    }
+  }
+  for (const shipment of shipments) {
+    for (const event of shipment.events) {
+      timeline.push({ ...event, awb: shipment.awb, shipment_id: shipment.id });
+    }
+  }
+  return timeline.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+// === CUSTOMER ACCOUNTS ===
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function parseCookies(req) {
+  const cookies = {};
+  for (const part of String(req.headers.cookie || '').split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) {
+      continue;
+    }
+    // Cookies other sites' scripts set on the domain may not be valid URI encoding
+    try {
+      cookies[part.slice(0, idx).trim()] = decodeURIComponent(part.slice(idx + 1).trim());
+    } catch (err) {
+      continue;
+    }
+  }
+  return cookies;
+}
+
+function publicCustomer(customer) {
+  const { password_hash, email_verification, ...rest } = customer;
+  return rest;
+}
+
+// Emails a link that marks the customer's address as theirs. Only the token's hash is kept,
+// and a new link replaces the previous one.
+function sendVerificationEmail(customer) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  mutateCustomers((customers) => {
+    const record = customers.find((c) => c.id === customer.id);
+    if (record) {
+      record.email_verification = {
+        token_hash: hashToken(token),
+        expires_at: expiresAt.toISOString(),
+      };
+    }
+  });
+  const verifyUrl = `${BASE_URL}/api/auth/verify-email?token=${token}`;
+  queueEmails([
+    {
+      key: `email_verification:${customer.id}:${Date.now()}`,
+      event: 'email_verification',
+      customer_id: customer.id,
+      to: customer.email,
+      ...renderVerificationEmail({ name: customer.first_name, verifyUrl, storeName: UPI_NAME }),
+    },
+  ]);
+}
+
+function createSession(res, customer) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + SESSION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  mutateSessions((sessions) => {
+    const live = sessions.filter((s) => new Date(s.expires_at) > now);
+    live.push({
+      token_hash: hashToken(token),
+      customer_id: customer.id,
+      created_at: now.toISOString(),
+      expires_at: expiresAt.toISOString(),
+    });
+    sessions.splice(0, sessions.length, ...live);
+  });
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: BASE_URL.startsWith('https://'),
+    expires: expiresAt,
+    path: '/',
+  });
+}
+
+// Attaches `req.customer` when the request carries a valid session cookie.
+function loadCustomerSession(req, res, next) {
+  const token = parseCookies(req)[SESSION_COOKIE];
+  if (token) {
+    const tokenHash = hashToken(token);
+    const session = loadList('sessions', 'sessions').find((s) => s.token_hash === tokenHash);
+    if (session && new Date(session.expires_at) > new Date()) {
+      const customer = loadCustomers().find((c) => c.id === session.customer_id);
+      if (customer) {
+        req.customer = customer;
+      }
+    }
+  }
+  next();
+}
+
+// Hands the anonymous x-session-id cart over on login/registration so the client can
+// merge it into the customer's own cart.
+function takeAnonymousCart(req) {
+  const collection = cartCollection(req.headers['x-session-id']);
+  if (!collection) {
+    return [];
+  }
+  const data = loadCart(collection);
+  storage.remove(collection);
+  return Array.isArray(data.cart) ? data.cart : [];
+}
+
+function requireCustomer(req, res, next) {
+  if (!req.customer) {
+    return res.status(401).json({ error: 'Please log in to continue' });
+  }
+  next();
+}
+
+function normalizeAddress(address = {}) {
+  return {
+    line1: String(address.line1 || '').trim(),
+    line2: String(address.line2 || '').trim(),
+    city: String(address.city || '').trim(),
+    state: String(address.state || '').trim(),
+    pincode: String(address.pincode || '').trim(),
+  };
+}
+
+function isCompleteAddress(address) {
+  return Boolean(address.line1 && address.city && address.state && address.pincode);
+}
+
+// Adds the address to the customer's address book unless an identical one is already saved.
+function saveCustomerAddress(customerId, address, label) {
+  return mutateCustomers((customers) => {
+    const customer = customers.find((c) => c.id === customerId);
+    if (!customer) {
+      return null;
+    }
+    customer.addresses = Array.isArray(customer.addresses) ? customer.addresses : [];
+    const normalized = normalizeAddress(address);
+    const existing = customer.addresses.find((a) =>
+      ['line1', 'line2', 'city', 'state', 'pincode'].every(
+        (field) => a[field].toLowerCase() === normalized[field].toLowerCase()
+      )
+    );
+    if (existing) {
+      return existing;
+    }
+    const saved = { id: uuidv4(), label: label || '', ...normalized, created_at: new Date().toISOString() };
+    customer.addresses.push(saved);
+    return saved;
+  });
+}
+
+// === ADMIN USERS & ROLES ===
+// Staff are named users with a role. Roles map to permissions, and every admin route asks
+// for one permission. Users sign in for an expiring session token (`Authorization: Bearer`)
+// or use an API key scoped to some of their permissions (`x-api-key`). Admin writes are
+// recorded in the audit log under the user who made them.
+
+const ADMIN_PERMISSIONS = [
+  'catalog',
+  'offers',
+  'inventory:read',
+  'orders:read',
+  'orders:write',
+  'refunds',
+  'shipments',
+  'payments',
+  'notifications',
+  'newsletter',
+  'reports',
+  'uploads',
+  'staff',
+  'audit',
+];
+
+const ADMIN_ROLES = {
+  owner: ADMIN_PERMISSIONS,
+  catalog_manager: ['catalog', 'offers', 'inventory:read', 'newsletter', 'reports', 'uploads'],
+  fulfilment: ['orders:read', 'orders:write', 'shipments', 'inventory:read'],
+  support: ['orders:read', 'orders:write', 'refunds', 'payments', 'notifications'],
+};
+
+const BOOTSTRAP_ADMIN = {
+  id: 'bootstrap',
+  email: null,
+  name: 'Bootstrap key',
+  role: 'owner',
+  via: 'bootstrap_key',
+  permissions: ADMIN_ROLES.owner,
+};
+
+function loadAdminUsers() {
+  return loadList('admin_users', 'users');
+}
+
+function mutateAdminUsers(mutator) {
+  return mutateList('admin_users', 'users', mutator);
+}
+
+function mutateAdminSessions(mutator) {
+  return mutateList('admin_sessions', 'sessions', mutator);
+}
+
+function loadAdminApiKeys() {
+  return loadList('admin_api_keys', 'keys');
+}
+
+function mutateAdminApiKeys(mutator) {
+  return mutateList('admin_api_keys', 'keys', mutator);
+}
+
+function publicAdminUser(user) {
+  const { password_hash, ...rest } = user;
+  return { ...rest, permissions: ADMIN_ROLES[user.role] || [] };
+}
+
+function publicApiKey(key) {
+  const { key_hash, ...rest } = key;
+  return rest;
+}
+
+function safeEqualStrings(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function createAdminSession(user) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ADMIN_SESSION_TTL_HOURS * 60 * 60 * 1000);
+  mutateAdminSessions((sessions) => {
+    const live = sessions.filter((s) => new Date(s.expires_at) > now);
+    live.push({
+      token_hash: hashToken(token),
+      user_id: user.id,
+      created_at: now.toISOString(),
+      expires_at: expiresAt.toISOString(),
+    });
+    sessions.splice(0, sessions.length, ...live);
+  });
+  return { token, expires_at: expiresAt.toISOString() };
+}
+
+function revokeAdminSessions(userId) {
+  mutateAdminSessions((sessions) => {
+    const kept = sessions.filter((s) => s.user_id !== userId);
+    sessions.splice(0, sessions.length, ...kept);
+  });
+}
+
+// Works out who is calling from the bearer token or API key. Returns null when neither
+// identifies an active user.
+function authenticateAdmin(req) {
+  const now = new Date();
+  const bearer = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+  if (bearer) {
+    const tokenHash = hashToken(bearer[1]);
+    const session = loadList('admin_sessions', 'sessions').find((s) => s.token_hash === tokenHash);
+    const user = session && loadAdminUsers().find((u) => u.id === session.user_id);
+    if (!user || user.active === false || new Date(session.expires_at) <= now) {
+      return null;
+    }
+    return { ...publicAdminUser(user), via: 'session' };
+  }
+
+  const key = req.headers['x-api-key'];
+  if (!key) {
+    return null;
+  }
+  if (BOOTSTRAP_KEY_ENABLED && safeEqualStrings(key, ADMIN_API_KEY)) {
+    return BOOTSTRAP_ADMIN;
+  }
+  const keyHash = hashToken(String(key));
+  const apiKey = loadAdminApiKeys().find((k) => k.key_hash === keyHash);
+  if (!apiKey || apiKey.revoked_at || (apiKey.expires_at && new Date(apiKey.expires_at) <= now)) {
+    return null;
+  }
+  const user = loadAdminUsers().find((u) => u.id === apiKey.user_id);
+  if (!user || user.active === false) {
+    return null;
+  }
+  // A key never grants more than its user's role currently allows
+  const allowed = ADMIN_ROLES[user.role] || [];
+  return {
+    ...publicAdminUser(user),
+    permissions: apiKey.permissions.filter((p) => allowed.includes(p)),
+    via: 'api_key',
+    key_id: apiKey.id,
+  };
+}
+
+// The name admin changes are recorded under in order history and payment logs
+function adminActor(req) {
+  return req.admin && req.admin.email ? `admin:${req.admin.email}` : 'admin';
+}
+
+function recordAdminAudit(entry) {
+  try {
+    mutateList('admin_audit', 'entries', (entries) => {
+      entries.push({ id: uuidv4(), at: new Date().toISOString(), ...entry });
+    });
+  } catch (err) {
+    log('Error writing admin audit log', err.message || err);
+  }
+}
+
+// Guards an admin route. Without a permission any signed-in admin may pass. Requests that
+// change something are written to the audit log once the response is sent, and so are
+// requests the role does not allow.
+function requireAdmin(permission) {
+  return (req, res, next) => {
+    const admin = authenticateAdmin(req);
+    if (!admin) {
+      log('Unauthorized admin attempt', { ip: req.ip, path: req.path });
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const auditEntry = (action) => ({
+      user_id: admin.id,
+      email: admin.email,
+      role: admin.role,
+      via: admin.via,
+      key_id: admin.key_id,
+      action,
+      permission: permission || null,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      params: { ...req.params },
+      fields: Object.keys(req.body || {}).filter((f) => f !== 'password'),
+      ip: req.ip,
+    });
+    if (permission && !admin.permissions.includes(permission)) {
+      log('Forbidden admin attempt', { user: admin.email || admin.id, path: req.path });
+      recordAdminAudit({ ...auditEntry('forbidden'), status: 403 });
+      return res.status(403).json({ error: `Your role does not allow ${permission}` });
+    }
+    req.admin = admin;
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      const entry = auditEntry('request');
+      res.on('finish', () => recordAdminAudit({ ...entry, status: res.statusCode }));
+    }
+    next();
+  };
+}
+
+// An owner must remain, or nobody could manage staff any more
+function leavesAnOwner(users, userId, changes) {
+  return users.some((u) => {
+    const next = u.id === userId ? { ...u, ...changes } : u;
+    return next.role === 'owner' && next.active !== false;
+  });
+}
+
+// === PRODUCT VARIANTS ===
+// Products are sold as variants (see catalog/): every combination of size, finish, frame and
+// paper is a SKU with its own price, stock and weight. Order lines, reservations, refunds and
+// shipments name the SKU; lines from before variants, or from clients that only know the
+// size, are matched by product and size.
+
+function findProductBySku(sku, products = loadProducts()) {
+  const wanted = String(sku || '').toUpperCase();
+  return products.find((p) => (p.variants || []).some((v) => v.sku === wanted)) || null;
+}
+
+// Whether `line` ({ sku } or { product_id, size }) means order item `item`
+function orderLineMatches(line, item) {
+  return line.sku
+    ? item.sku === String(line.sku).toUpperCase()
+    : item.product_id === line.product_id && item.size === line.size;
+}
+
+function orderLineName(line) {
+  return line.sku ? String(line.sku).toUpperCase() : `${line.product_id} (${line.size})`;
+}
+
+// The SKU `line` means in `order`. A product and size bought in more than one variant is
+// ambiguous and needs the SKU.
+function orderLineSku(order, line) {
+  const skus = [
+    ...new Set(order.items.filter((item) => orderLineMatches(line, item)).map((i) => i.sku)),
+  ];
+  if (skus.length > 1) {
+    throw Object.assign(
+      new Error(`${orderLineName(line)} was ordered as ${skus.join(', ')}; give the sku`),
+      { status: 400 }
+    );
+  }
+  return skus[0] || (line.sku ? String(line.sku).toUpperCase() : null);
+}
+
+// Rereads price and stock by size off the variants after stock changed
+function refreshVariantSummary(product) {
+  Object.assign(product, summarizeVariants(product.options, product.variants));
+}
+
+// Gives products from before variants one variant per size, and order lines, reservations
+// and shipments the SKU of the default variant of their product and size.
+function migrateToVariants() {
+  let products = 0;
+  mutateProducts((list) => {
+    list.forEach((product, index) => {
+      if (Array.isArray(product.variants)) {
+        return;
+      }
+      const migrated = withVariants(product);
+      if (!migrated) {
+        log('Error migrating product to variants', product.id);
+        return;
+      }
+      list[index] = migrated;
+      products += 1;
+    });
+  });
+  const catalog = loadProducts();
+  let lines = 0;
+  const addSku = (line) => {
+    const product = catalog.find((p) => p.id === line.product_id);
+    const variant = !line.sku && product && findVariant(product, { size: line.size });
+    if (variant) {
+      line.sku = variant.sku;
+      lines += 1;
+    }
+  };
+  mutateOrders((orders) => orders.forEach((order) => (order.items || []).forEach(addSku)));
+  mutateReservations((reservations) => reservations.forEach(addSku));
+  mutateShipments((shipments) =>
+    shipments.forEach((shipment) => (shipment.items || []).forEach(addSku))
+  );
+  return { products, lines };
+}
+
+// === INVENTORY ===
+// Each variant's `stock` is its on-hand count. Orders awaiting payment hold an active
+// reservation against it; stock is only decremented once the payment succeeds.
+
+function getReservedQuantity(reservations, sku) {
+  return reservations
+    .filter((r) => r.status === 'active' && r.sku === sku)
+    .reduce((sum, r) => sum + Number(r.quantity || 0), 0);
+}
+
+// SKU -> { options, stock, reserved, available }
+function getProductInventory(product, reservations = loadReservations()) {
+  const inventory = {};
+  for (const variant of product.variants || []) {
+    const stock = Number(variant.stock || 0);
+    const reserved = getReservedQuantity(reservations, variant.sku);
+    inventory[variant.sku] = {
+      options: variant.options,
+      stock,
+      reserved,
+      available: Math.max(stock - reserved, 0),
+    };
+  }
+  return inventory;
+}
+
+// Variants with LOW_STOCK_THRESHOLD or fewer units available. Back-ordered products
+// are left out since they never run out.
+function findLowStock(products = loadProducts()) {
+  const reservations = loadReservations();
+  const low = [];
+  for (const product of products) {
+    if (product.allow_backorder) {
+      continue;
+    }
+    const inventory = getProductInventory(product, reservations);
+    for (const [sku, { options, ...counts }] of Object.entries(inventory)) {
+      if (counts.available <= LOW_STOCK_THRESHOLD) {
+        low.push({
+          product_id: product.id,
+          sku,
+          title: product.title,
+          size: options.size,
+          variant_label: variantLabel(options),
+          ...counts,
+        });
+      }
+    }
+  }
+  return low.sort((a, b) => a.available - b.available);
+}
+
+// Splits order lines into those that can be reserved now, those that go on back-order
+// (products flagged `allow_backorder`) and those that must be rejected.
+function checkStockAvailability(items) {
+  const products = loadProducts();
+  const reservations = loadReservations();
+  const requested = new Map();
+  for (const item of items) {
+    const line = requested.get(item.sku) || { item, quantity: 0 };
+    line.quantity += Number(item.quantity || 0);
+    requested.set(item.sku, line);
+  }
+
+  const unavailable = [];
+  const backordered = [];
+  for (const [sku, { item, quantity }] of requested) {
+    const product = products.find((p) => p.id === item.product_id);
+    const { available } = getProductInventory(product, reservations)[sku];
+    if (quantity <= available) {
+      continue;
+    }
+    const shortage = {
+      product_id: product.id,
+      sku,
+      size: item.size,
+      variant_label: item.variant_label,
+      requested: quantity,
+      available,
+    };
+    if (product.allow_backorder) {
+      backordered.push(shortage);
+    } else {
+      unavailable.push(shortage);
+    }
+  }
+  return { unavailable, backordered };
+}
+
+function orderReservation(order, item) {
+  return {
+    id: uuidv4(),
+    order_id: order.id,
+    product_id: item.product_id,
+    sku: item.sku,
+    size: item.size,
+    quantity: item.quantity,
+    status: 'active',
+  };
+}
+
+// Adds `change` units to the stock of variant `sku` of `product`, never going below 0
+function adjustVariantStock(product, sku, change) {
+  const variant = product && (product.variants || []).find((v) => v.sku === sku);
+  if (!variant) {
+    return;
+  }
+  variant.stock = Math.max(Number(variant.stock || 0) + change, 0);
+  refreshVariantSummary(product);
+}
+
+function reserveOrderStock(order) {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + RESERVATION_TTL_MINUTES * 60 * 1000).toISOString();
+  mutateReservations((reservations) => {
+    for (const item of order.items) {
+      if (item.backordered) {
+        continue;
+      }
+      reservations.push({
+        ...orderReservation(order, item),
+        expires_at: expiresAt,
+        created_at: now.toISOString(),
+      });
+    }
+  });
+}
+
+// Turns an order's active reservations into a real stock decrement. A payment that
+// arrives after its reservation timed out still takes the stock it paid for.
+function commitOrderStock(order) {
+  const committed = mutateReservations((reservations) => {
+    const forOrder = reservations.filter((r) => r.order_id === order.id);
+    if (forOrder.some((r) => r.status === 'committed')) {
+      return false;
+    }
+    let active = forOrder.filter((r) => r.status === 'active');
+    if (active.length === 0) {
+      active = order.items
+        .filter((item) => !item.backordered)
+        .map((item) => ({
+          ...orderReservation(order, item),
+          created_at: new Date().toISOString(),
+        }));
+      reservations.push(...active);
+    }
+    mutateProducts((products) => {
+      for (const reservation of active) {
+        const product = products.find((p) => p.id === reservation.product_id);
+        adjustVariantStock(product, reservation.sku, -Number(reservation.quantity));
+      }
+    });
+    for (const reservation of active) {
+      reservation.status = 'committed';
+      reservation.updated_at = new Date().toISOString();
+    }
+    return true;
+  });
+  if (committed) {
+    log('Committed stock for order', order.id);
+  }
+  return committed;
+}
+
+function releaseOrderStock(orderId, reason) {
+  const released = mutateReservations((reservations) => {
+    let changed = false;
+    for (const reservation of reservations) {
+      if (reservation.order_id === orderId && reservation.status === 'active') {
+        reservation.status = 'released';
+        reservation.release_reason = reason;
+        reservation.updated_at = new Date().toISOString();
+        changed = true;
+      }
+    }
+    return changed;
+  });
+  if (released) {
+    log('Released stock for order', orderId, reason);
+  }
+  return released;
+}
+
+// Puts stock an order already took back on the shelf after a cancellation or refund.
+// `lines` ({ sku, quantity }) default to everything the order still holds; each unit is
+// returned at most once. Reservations that never committed are left to releaseOrderStock.
+function returnOrderStock(orderId, lines, reason) {
+  const returned = [];
+  mutateReservations((reservations) => {
+    const held = reservations.filter((r) => r.order_id === orderId && r.status === 'committed');
+    const wanted =
+      lines ||
+      held.map((r) => ({ sku: r.sku, quantity: r.quantity - (r.restocked_quantity || 0) }));
+    for (const line of wanted) {
+      let remaining = Number(line.quantity || 0);
+      for (const reservation of held) {
+        if (!orderLineMatches(line, reservation)) {
+          continue;
+        }
+        const quantity = Math.min(
+          remaining,
+          reservation.quantity - (reservation.restocked_quantity || 0)
+        );
+        if (quantity <= 0) {
+          continue;
+        }
+        reservation.restocked_quantity = (reservation.restocked_quantity || 0) + quantity;
+        reservation.restock_reason = reason;
+        reservation.updated_at = new Date().toISOString();
+        const { product_id, sku, size } = reservation;
+        returned.push({ product_id, sku, size, quantity });
+        remaining -= quantity;
+      }
+    }
+    if (returned.length === 0) {
+      return;
+    }
+    mutateProducts((products) => {
+      for (const { product_id, sku, quantity } of returned) {
+        adjustVariantStock(products.find((p) => p.id === product_id), sku, quantity);
+      }
+    });
+  });
+  if (returned.length > 0) {
+    log('Returned stock for order', orderId, reason);
+  }
+  return returned;
+}
+
+function expireStaleReservations() {
+  const now = new Date();
+  // Orders whose UPI payment is under review keep their stock until it is reconciled.
+  const inReview = new Set(
+    loadOrders()
+      .filter((o) => o.payment_status === 'payment_review')
+      .map((o) => o.id)
+  );
+  const expiredOrderIds = new Set(
+    loadReservations()
+      .filter(
+        (r) =>
+          r.status === 'active' && new Date(r.expires_at) < now && !inReview.has(r.order_id)
+      )
+      .map((r) => r.order_id)
+  );
+  for (const orderId of expiredOrderIds) {
+    releaseOrderStock(orderId, 'payment_timeout');
+    try {
+      const order = updateOrder(
+        orderId,
+        (current) =>
+          current.payment_status === 'paid' || !canTransitionOrder(current.status, 'cancelled')
+            ? current
+            : {
+                ...current,
+                status: 'cancelled',
+                payment_status: 'expired',
+                updated_at: new Date().toISOString(),
+              },
+        { note: 'Payment not received before the reservation expired' }
+      );
+      if (order.payment_status === 'expired') {
+        recordPaymentEvent(order, { action: 'expire', status: 'expired' });
+        releaseCouponRedemption(orderId, 'payment_timeout');
+      }
+    } catch (err) {
+      log('Error expiring order', orderId, err.message || err);
+    }
+  }
+}
+
+setInterval(expireStaleReservations, RESERVATION_SWEEP_INTERVAL_MS).unref();
+
+// === PRODUCT SEARCH ===
+// GET /api/products searches an index of the catalog kept in memory. It is rebuilt when the
+// products change, however they were changed (admin edits, stock updates, the file by hand).
+
+let productSearch = { source: null, index: null };
+
+function productSearchIndex(products = loadProducts()) {
+  const source = JSON.stringify(products);
+  if (productSearch.source !== source) {
+    productSearch = { source, index: buildSearchIndex(products) };
+  }
+  return productSearch.index;
+}
+
+// Sizes that can be ordered now: with a variant in stock, or any size of a back-ordered
+// product
+function availableSizes(product, reservations) {
+  const inventory = Object.values(getProductInventory(product, reservations));
+  const sizes = inventory
+    .filter((counts) => product.allow_backorder || counts.available > 0)
+    .map((counts) => counts.options.size);
+  return [...new Set(sizes)];
+}
+
+// Product id -> units ordered, leaving out cancelled and failed orders
+function productPopularity(orders = loadOrders()) {
+  const units = {};
+  for (const order of orders) {
+    if (order.status === 'cancelled' || order.status === 'failed') {
+      continue;
+    }
+    for (const item of order.items || []) {
+      units[item.product_id] = (units[item.product_id] || 0) + Number(item.quantity || 0);
+    }
+  }
+  return units;
+}
+
+app.post('/api/subscribe', (req, res) => {
+  const { email } = req.body || {};
+  if (!email || typeof email !== 'string' || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+    return res.status(400).json({ error: 'Invalid email' });
+  }
+
+  try {
+    const now = new Date();
+    // The reply is the same whether or not the address is already subscribed, so the
+    // endpoint cannot be used to find out who is on the list.
+    const subscriber = mutateList('subscribers', 'subscribers', (subscribers) => {
+      const normalized = email.trim().toLowerCase();
+      let existing = subscribers.find((s) => s.email === normalized);
+      if (existing && existing.status === 'confirmed') {
+        return null;
+      }
+      const askedRecently =
+        existing?.status === 'pending' &&
+        now - new Date(existing.confirmation_sent_at) < CONFIRMATION_RESEND_MINUTES * 60 * 1000;
+      if (askedRecently) {
+        return null;
+      }
+      if (!existing) {
+        existing = {
+          id: uuidv4(),
+          email: normalized,
+          source: signupSource(req),
+          created_at: now.toISOString(),
+          confirmed_at: null,
+          unsubscribed_at: null,
+        };
+        subscribers.push(existing);
+      }
+      Object.assign(existing, {
+        status: 'pending',
+        confirmation_sent_at: now.toISOString(),
+        updated_at: now.toISOString(),
+      });
+      return { ...existing };
+    });
+    if (subscriber) {
+      sendConfirmationEmail(subscriber);
+      log('Newsletter signup awaiting confirmation', subscriber.email);
+    }
+  } catch (err) {
+    log('Error saving subscriber', err.message || err);
+    return res.status(500).json({ error: 'Unable to subscribe' });
+  }
+
+  res.json({ success: true, message: 'Check your inbox to confirm your subscription' });
+});
+
+// One-click unsubscribe (RFC 8058): mail clients POST to the List-Unsubscribe URL
+app.post('/api/newsletter/unsubscribe', (req, res) => {
+  try {
+    const subscriber = applySubscriberToken(req.query.token || req.body?.token, 'unsubscribe');
+    if (!subscriber) {
+      return res.status(400).json({ error: 'Invalid or expired link' });
+    }
+    log('Newsletter unsubscribe', subscriber.email);
+    res.json({ success: true, status: subscriber.status });
+  } catch (err) {
+    log('Error unsubscribing', err.message || err);
+    res.status(500).json({ error: 'Unable to unsubscribe' });
+  }
+});
+
+// Newsletter drafts; they are sent with POST /api/newsletter/campaigns/:id/send
+app.post('/api/newsletter/campaigns', requireAdmin('newsletter'), (req, res) => {
+  try {
+    const { subject, html, text } = req.body || {};
+    if (!subject || !html) {
+      return res.status(400).json({ error: 'Missing required fields: subject, html' });
+    }
+    const now = new Date().toISOString();
+    const campaign = {
+      id: uuidv4(),
+      subject,
+      html,
+      text: text || '',
+      status: 'draft',
+      recipients: 0,
+      created_at: now,
+      queued_at: null,
+      updated_at: now,
+    };
+    mutateList('newsletter_campaigns', 'campaigns', (campaigns) => {
+      campaigns.push(campaign);
+    });
+    res.status(201).json({ campaign });
+  } catch (err) {
+    log('Error creating campaign', err.message || err);
+    res.status(500).json({ error: 'Unable to create campaign' });
+  }
+});
+
+// Queues a campaign for every confirmed subscriber. `{ test_email }` sends a single copy
+// to that address instead and leaves the campaign a draft.
+app.post('/api/newsletter/campaigns/:id/send', requireAdmin('newsletter'), (req, res) => {
+  try {
+    const campaign = loadList('newsletter_campaigns', 'campaigns').find(
+      (c) => c.id === req.params.id
+    );
+    if (!campaign) {
+      return res.status(404).json({ error: 'Campaign not found' });
+    }
+
+    const testEmail = req.body?.test_email;
+    if (testEmail) {
+      const [message] = queueCampaign(
+        campaign,
+        [{ id: `test-${Date.now()}`, email: String(testEmail).trim() }],
+        'newsletter_test'
+      );
+      return res.json({ campaign, queued: 1, message_id: message.id });
+    }
+
+    if (campaign.status !== 'draft') {
+      return res.status(409).json({ error: `Campaign is already ${campaign.status}` });
+    }
+    const recipients = loadList('subscribers', 'subscribers').filter(
+      (s) => s.status === 'confirmed'
+    );
+    if (recipients.length === 0) {
+      return res.status(409).json({ error: 'There are no confirmed subscribers' });
+    }
+    const queued = queueCampaign(campaign, recipients);
+    const updated = mutateList('newsletter_campaigns', 'campaigns', (campaigns) => {
+      const stored = campaigns.find((c) => c.id === campaign.id);
+      const now = new Date().toISOString();
+      Object.assign(stored, {
+        status: 'queued',
+        recipients: queued.length,
+        queued_at: now,
+        updated_at: now,
+      });
+      return stored;
+    });
+    log('Queued newsletter campaign', campaign.id, queued.length);
+    res.json({ campaign: updated, queued: queued.length });
+  } catch (err) {
+    log('Error sending campaign', err.message || err);
+    res.status(500).json({ error: 'Unable to send campaign' });
+  }
+});
+
+app.get('/api/offers', (req, res) => {
+  const offers = sortOffersByPriority(loadOffers().filter((offer) => isOfferLive(offer)));
+  res.json({ offers });
+});
+
+// Every offer, including inactive, scheduled and expired ones
+app.get('/api/offers/all', requireAdmin('offers'), (req, res) => {
+  const offers = sortOffersByPriority(loadOffers()).map((offer) => ({
+    ...offer,
+    live: isOfferLive(offer),
+  }));
+  res.json({ offers });
+});
+
+app.post('/api/offers', requireAdmin('offers'), validateBody('offer'), (req, res) => {
+  try {
+    const data = req.body || {};
+    const id = String(data.id || `offer-${Date.now()}`);
+    const offer = {
+      ...data,
+      id,
+      active: data.active !== false,
+      created_at: new Date().toISOString(),
+    };
+    const created = mutateOffers((offers) => {
+      if (offers.some((o) => o.id === id)) {
+        return false;
+      }
+      offers.push(offer);
+      return true;
+    });
+    if (!created) {
+      return res.status(400).json({ error: 'Offer with this ID already exists' });
+    }
+    res.status(201).json({ offer });
+  } catch (err) {
+    log('Error adding offer', err.message || err);
+    res.status(500).json({ error: 'Unable to add offer' });
+  }
+});
+
+// The offer with the changes laid over it must still be a valid offer
+app.put(
+  '/api/offers/:id',
+  requireAdmin('offers'),
+  validateBody('offer', { partial: true }),
+  (req, res) => {
+    try {
+      const { id } = req.params;
+      const result = mutateOffers((offers) => {
+        const idx = offers.findIndex((o) => o.id === id);
+        if (idx === -1) {
+          return null;
+        }
+        const updated = { ...offers[idx], ...req.body, id, updated_at: new Date().toISOString() };
+        const errors = validate(SCHEMAS.offer, updated);
+        if (errors.length > 0) {
+          return { errors };
+        }
+        offers[idx] = updated;
+        return { offer: updated };
+      });
+      if (!result) {
+        return res.status(404).json({ error: 'Offer not found' });
+      }
+      if (result.errors) {
+        return invalidBody(res, result.errors);
+      }
+      res.json({ offer: result.offer });
+    } catch (err) {
+      log('Error updating offer', err.message || err);
+      res.status(500).json({ error: 'Unable to update offer' });
+    }
+  }
+);
+
+app.delete('/api/offers/:id', requireAdmin('offers'), (req, res) => {
+  try {
+    const deleted = mutateOffers((offers) => {
+      const idx = offers.findIndex((o) => o.id === req.params.id);
+      return idx === -1 ? null : offers.splice(idx, 1)[0];
+    });
+    if (!deleted) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+    res.json({ offer: deleted });
+  } catch (err) {
+    log('Error deleting offer', err.message || err);
+    res.status(500).json({ error: 'Unable to delete offer' });
+  }
+});
+
+// === LEGACY POSTER LIST ===
+// /api/list, /api/search and /api/posters come from before the product catalog, when posters
+// were a list of numbers. They are kept for old clients as views over the catalog: a key may
+// be a product id, a legacy number or a SKU. Responses carry a Deprecation header and a Link
+// to the product endpoint that replaces them.
+
+// { migrated_at, keys: { legacy number -> product id }, unmatched: [numbers] }
+function migrateLegacyPosters(numbers, products) {
+  const keys = {};
+  const unmatched = [];
+  for (const number of numbers) {
+    const product = Number.isInteger(number)
+      ? products.find((p) => new RegExp(`-0*${number}$`).test(p.id))
+      : null;
+    if (product) {
+      keys[number] = product.id;
+    } else {
+      unmatched.push(number);
+    }
+  }
+  return { migrated_at: new Date().toISOString(), keys, unmatched };
+}
+
+function legacyPosterKeys() {
+  const migrated = storage.read('legacy_poster_keys', {});
+  return migrated && migrated.keys ? migrated.keys : {};
+}
+
+// Points an old poster number at a product, e.g. one the migration could not match
+function mapLegacyPoster(number, productId) {
+  return storage.update('legacy_poster_keys', { keys: {}, unmatched: [] }, (migrated) => {
+    migrated.keys = { ...migrated.keys, [number]: productId };
+    migrated.unmatched = (migrated.unmatched || []).filter((n) => String(n) !== String(number));
+    migrated.updated_at = new Date().toISOString();
+    return migrated;
+  });
+}
+
+// The product `key` names exactly, and how: by 'id', 'legacy_key' or 'sku'
+function findLegacyProduct(key, products, { bySku = true } = {}) {
+  const text = String(key).trim();
+  const byId = products.find((p) => p.id === text);
+  if (byId) {
+    return { product: byId, matched_by: 'id' };
+  }
+  const legacyId = legacyPosterKeys()[text];
+  const byLegacyKey = legacyId && products.find((p) => p.id === legacyId);
+  if (byLegacyKey) {
+    return { product: byLegacyKey, matched_by: 'legacy_key' };
+  }
+  const bySkuMatch = bySku && findProductBySku(text, products);
+  return bySkuMatch ? { product: bySkuMatch, matched_by: 'sku' } : null;
+}
+
+function deprecatedEndpoint(successor) {
+  return (req, res, next) => {
+    res.set('Deprecation', 'true');
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+    log('Deprecated endpoint used', req.method, req.path);
+    next();
+  };
+}
+
+const deprecatedForProducts = deprecatedEndpoint('/api/products');
+const deprecatedForProduct = deprecatedEndpoint('/api/products/:id');
+
+app.get('/api/list', deprecatedForProducts, (req, res) => {
+  try {
+    res.json({ list: loadProducts() });
+  } catch (err) {
+    log('Error fetching poster list', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch list' });
+  }
+});
+
+// `index` is the product's place in /api/list, or -1. A key that names no product is
+// searched for as keywords and every match is returned, best first.
+app.get('/api/search', deprecatedForProducts, (req, res) => {
+  try {
+    const key = req.query.key;
+    if (typeof key !== 'string' || key.trim() === '') {
+      return res.status(400).json({ error: 'Missing query parameter: key' });
+    }
+    const products = loadProducts();
+    const found = findLegacyProduct(key, products);
+    const matches = found
+      ? [found.product]
+      : searchProducts(productSearchIndex(products), resolveSearch({ q: key })).products;
+    res.json({
+      index: matches.length > 0 ? products.findIndex((p) => p.id === matches[0].id) : -1,
+      matched_by: found ? found.matched_by : matches.length > 0 ? 'keyword' : null,
+      products: matches,
+    });
+  } catch (err) {
+    log('Error searching poster list', err.message || err);
+    res.status(500).json({ error: 'Unable to search' });
+  }
+});
+
+// With a product payload this creates the product. `{ key, product_id }` maps an old poster
+// number to a product. A bare `key` can only name one that exists already, since every
+// product is in the list.
+app.post('/api/posters', deprecatedForProducts, requireAdmin('catalog'), (req, res) => {
+  try {
+    const body = req.body || {};
+    // New products are checked like POST /api/products
+    if (body.title !== undefined) {
+      return validateBody('product')(req, res, () => {
+        const product = createProduct(body);
+        res.status(201).json({ product, list: loadProducts() });
+      });
+    }
+    if (typeof body.key === 'undefined') {
+      return res.status(400).json({ error: 'Missing key' });
+    }
+    const products = loadProducts();
+    if (body.product_id !== undefined) {
+      const numbers = storage.read('posters', []);
+      if (!Array.isArray(numbers) || !numbers.some((n) => String(n) === String(body.key))) {
+        return res.status(400).json({ error: 'key is not an old poster number' });
+      }
+      if (!products.some((p) => p.id === body.product_id)) {
+        return res.status(400).json({ error: 'product_id must name a product' });
+      }
+      const { keys, unmatched } = mapLegacyPoster(body.key, body.product_id);
+      log('Mapped legacy poster', body.key, body.product_id);
+      return res.json({ keys, unmatched });
+    }
+    if (!findLegacyProduct(body.key, products)) {
+      return res.status(400).json({
+        error: 'key must name a product; create new products with title, type and price',
+      });
+    }
+    res.json({ list: products });
+  } catch (err) {
+    log('Error saving poster', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to save' });
+  }
+});
+
+// Deletes the product with that id or legacy number (not by SKU: that names one size only)
+app.delete('/api/posters', deprecatedForProduct, requireAdmin('catalog'), (req, res) => {
+  try {
+    const key = req.query.key;
+    if (typeof key === 'undefined') {
+      return res.status(400).json({ error: 'Missing query parameter: key' });
+    }
+    const found = findLegacyProduct(key, loadProducts(), { bySku: false });
+    if (!found || !deleteProduct(found.product.id)) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json({ list: loadProducts(), deletedProduct: found.product });
+  } catch (err) {
+    log('Error deleting poster', err.message || err);
+    res.status(500).json({ error: 'Unable to delete' });
+  }
+});
+
+// === CATALOG IMPORT & EXPORT ===
+// The whole catalog goes out and comes back in as CSV (one row per variant) or JSON; see
+// catalog/bulk.js for the formats. Imports upsert by id and are all or nothing: when any
+// product is invalid nothing is written, and the report lists every problem by row.
+
+// Images that are paths on this server but not files in it
+function missingImage(image) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(image)) {
+    return false;
+  }
+  if (image.startsWith('/uploads/')) {
+    return !uploadFileId(image);
+  }
+  return !fs.existsSync(path.join(ROOT_DIR, image.replace(/^\/+/, '')));
+}
+
+// The product `data` imports as: laid over `existing` when there is one, with bare image file
+// names mapped to paths. Throws with status 400 for bad input.
+function importedProduct(data, existing, imageBase) {
+  const given = { ...data };
+  if (Array.isArray(given.images)) {
+    const uploadExists = (name) => Boolean(uploadFileId(name));
+    given.images = given.images.map((image) =>
+      mapImagePath(image, { base: imageBase, uploadExists })
+    );
+  }
+  if (!existing) {
+    const product = buildProduct(given);
+    return { ...product, created_at: validDate(data.created_at) || product.created_at };
+  }
+  const merged = {
+    ...existing,
+    ...given,
+    dimensions: { ...existing.dimensions, ...given.dimensions },
+  };
+  // Price and stock by size change the variants only of products sold by size alone
+  if (given.variants === undefined && (given.price !== undefined || given.stock !== undefined)) {
+    const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+    if ((existing.options || []).length > 1) {
+      throw invalid('This product has options besides size; update its variants');
+    }
+    const sized = applySizeChanges(existing, given);
+    if (sized.error) {
+      throw invalid(sized.error);
+    }
+    Object.assign(merged, sized);
+  }
+  return {
+    ...existing,
+    ...buildProduct(merged),
+    created_at: existing.created_at,
+    updated_at: new Date().toISOString(),
+  };
+}
+
+function validDate(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : null;
+}
+
+// Checks `entries` (from parseCatalog) against `products` and, unless `dryRun` or something
+// is invalid, upserts them into it. -> { dry_run, created, updated, errors, warnings }
+function importProducts(products, entries, { dryRun = false, imageBase, errors = [] } = {}) {
+  const report = { dry_run: dryRun, created: [], updated: [], errors: [...errors], warnings: [] };
+  const imported = [];
+  const rows = new Map();
+  for (const { row, data } of entries) {
+    const id = typeof data.id === 'string' ? data.id.trim() : '';
+    if (!id) {
+      report.errors.push({ row, field: 'id', error: 'id is required' });
+      continue;
+    }
+    if (rows.has(id)) {
+      report.errors.push({ row, id, field: 'id', error: `${id} is also on row ${rows.get(id)}` });
+      continue;
+    }
+    rows.set(id, row);
+    const existing = products.find((p) => p.id === id);
+    const invalid = validate(SCHEMAS.product, data, { partial: Boolean(existing) });
+    if (invalid.length > 0) {
+      report.errors.push(...invalid.map(({ field, error }) => ({ row, id, field, error })));
+      continue;
+    }
+    try {
+      const product = importedProduct({ ...data, id }, existing, imageBase);
+      imported.push({ row, product, existing });
+      for (const image of product.images.filter(missingImage)) {
+        report.warnings.push({ row, id, field: 'images', error: `Image ${image} was not found` });
+      }
+    } catch (err) {
+      if (!err.status) {
+        throw err;
+      }
+      report.errors.push({ row, id, error: err.message });
+    }
+  }
+
+  // SKUs must stay unique across the catalog as it will be after the import
+  const ids = new Set(imported.map((entry) => entry.product.id));
+  const after = [...products.filter((p) => !ids.has(p.id)), ...imported.map((e) => e.product)];
+  for (const { row, product } of imported) {
+    const skuError = skuConflict(after, product.id, product.variants);
+    if (skuError) {
+      report.errors.push({ row, id: product.id, field: 'sku', error: skuError });
+    }
+  }
+
+  for (const { product, existing } of imported) {
+    (existing ? report.updated : report.created).push(product.id);
+  }
+  report.errors.sort((a, b) => a.row - b.row);
+  if (dryRun || report.errors.length > 0) {
+    return report;
+  }
+  for (const { product, existing } of imported) {
+    if (existing) {
+      products[products.indexOf(existing)] = product;
+    } else {
+      products.push(product);
+    }
+  }
+  return report;
+}
+
+// The whole catalog as ?format=csv (default) or json, ready to edit and import again
+app.get('/api/products/export', requireAdmin('catalog'), (req, res) => {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    if (!CATALOG_FORMATS.includes(format)) {
+      return res
+        .status(400)
+        .json({ error: `format must be one of ${CATALOG_FORMATS.join(', ')}` });
+    }
+    const products = loadProducts();
+    res.set('Content-Disposition', `attachment; filename="catalog.${format}"`);
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(productsToCsv(products));
+    }
+    res.json({ exported_at: new Date().toISOString(), products });
+  } catch (err) {
+    log('Error exporting catalog', err.message || err);
+    res.status(500).json({ error: 'Unable to export catalog' });
+  }
+});
+
+// Import a catalog file: multipart `file` (.csv or .json), or JSON `{ csv }` or
+// `{ products }`. `format` overrides the guess from the file name. With `dry_run` nothing is
+// written and the report says what would be created and updated. `image_base` is the folder
+// for bare image file names (default images/).
+app.post(
+  '/api/products/import',
+  requireAdmin('catalog'),
+  catalogUpload.single('file'),
+  (req, res) => {
+    try {
+      const body = req.body || {};
+      const isJson = req.file
+        ? /\.json$/i.test(req.file.originalname || '')
+        : body.products !== undefined;
+      const guessed = isJson ? 'json' : 'csv';
+      const format = String(body.format || req.query.format || guessed).toLowerCase();
+      const content = req.file
+        ? req.file.buffer.toString('utf8')
+        : format === 'json'
+          ? body.products
+          : body.csv;
+      if (content === undefined || content === null || content === '') {
+        return res.status(400).json({ error: 'Missing catalog file' });
+      }
+      const parsed = parseCatalog(content, format);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      const dryRun = [body.dry_run, req.query.dry_run].some((v) => v === true || v === 'true');
+      const options = {
+        dryRun,
+        imageBase: body.image_base || req.query.image_base || undefined,
+        errors: parsed.errors,
+      };
+      const report = dryRun
+        ? importProducts(loadProducts(), parsed.products, options)
+        : mutateProducts((products) => importProducts(products, parsed.products, options));
+      if (!dryRun && report.errors.length > 0) {
+        return res.status(400).json({
+          error: `${report.errors.length} problem(s) found; nothing was imported`,
+          ...report,
+        });
+      }
+      if (!dryRun) {
+        log('Imported catalog', format, {
+          created: report.created.length,
+          updated: report.updated.length,
+        });
+      }
+      res.json(report);
+    } catch (err) {
+      log('Error importing catalog', err.message || err);
+      res.status(err.status || 500).json({ error: err.message || 'Unable to import catalog' });
+    }
+  }
+);
+
+// === PRODUCTS ===
+
+// Full-text search with filters, facets, sorting and cursor pagination. Without `q` every
+// product matches; without `limit` every match is returned at once.
+app.get('/api/products', (req, res) => {
+  try {
+    const search = resolveSearch(req.query);
+    if (search.error) {
+      return res.status(400).json({ error: search.error });
+    }
+    const reservations = loadReservations();
+    res.json(
+      searchProducts(productSearchIndex(), search, {
+        availableSizes: (product) => availableSizes(product, reservations),
+        popularity: search.sort === 'popularity' ? productPopularity() : {},
+      })
+    );
+  } catch (err) {
+    log('Error fetching products', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch products' });
+  }
+});
+
+app.get('/api/inventory/low-stock', requireAdmin('inventory:read'), (req, res) => {
+  try {
+    res.json({ threshold: LOW_STOCK_THRESHOLD, items: findLowStock() });
+  } catch (err) {
+    log('Error fetching low stock', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch stock levels' });
+  }
+});
+
+app.get('/api/products/:id', (req, res) => {
+  try {
+    const product = loadProducts().find((p) => p.id === req.params.id);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json({ product: { ...product, inventory: getProductInventory(product) } });
+  } catch (err) {
+    log('Error fetching product', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch product' });
+  }
+});
+
+// { options, variants, price, stock } of a product payload; throws with status 400
+function productVariants(data, productId) {
+  const resolved = resolveVariants(data, productId);
+  if (resolved.error) {
+    throw Object.assign(new Error(resolved.error), { status: 400 });
+  }
+  return { ...resolved, ...summarizeVariants(resolved.options, resolved.variants) };
+}
+
+// The first of `variants` whose SKU another product already uses, as an error message
+function skuConflict(products, productId, variants) {
+  for (const variant of variants) {
+    const owner = findProductBySku(variant.sku, products);
+    if (owner && owner.id !== productId) {
+      return `SKU ${variant.sku} is already used by ${owner.id}`;
+    }
+  }
+  return null;
+}
+
+// A product record from an admin payload, filling in defaults. Throws with status 400 for bad
+// input.
+function buildProduct(productData) {
+  const invalid = (message) => Object.assign(new Error(message), { status: 400 });
+  if (!productData.title || !productData.type || !(productData.price || productData.variants)) {
+    throw invalid('Missing required fields: title, type, and variants or price');
+  }
+  if (!PRODUCT_TYPES.includes(productData.type)) {
+    throw invalid('Type must be either "poster" or "polaroid"');
+  }
+  const taxError = validateProductTax(productData);
+  if (taxError) {
+    throw invalid(taxError);
+  }
+
+  const id = productData.id || `${productData.type}-${Date.now()}`;
+  const { options, variants, price, stock } = productVariants(productData, id);
+  return {
+    id,
+    type: productData.type,
+    title: productData.title,
+    description: productData.description || '',
+    price,
+    options,
+    variants,
+    images: productData.images || [],
+    category: productData.category || 'abstract',
+    tags: productData.tags || [],
+    stock,
+    dimensions:
+      productData.dimensions || { M: '8x12 inches', L: '12x18 inches', XL: '16x24 inches' },
+    materials: productData.materials || '',
+    featured: Boolean(productData.featured),
+    hsn_code: String(productData.hsn_code || DEFAULT_HSN_CODE),
+    gst_rate: Number(productData.gst_rate ?? DEFAULT_GST_RATE),
+    ...(productData.allow_backorder !== undefined && {
+      allow_backorder: Boolean(productData.allow_backorder),
+    }),
+    created_at: new Date().toISOString(),
+  };
+}
+
+// Adds a product from an admin payload. Throws with a status for bad input or an id or SKU
+// that is taken.
+function createProduct(productData) {
+  const newProduct = buildProduct(productData);
+  const { id, variants } = newProduct;
+  const conflict = mutateProducts((products) => {
+    if (products.find((p) => p.id === id)) {
+      return 'Product with this ID already exists';
+    }
+    const skuError = skuConflict(products, id, variants);
+    if (!skuError) {
+      products.push(newProduct);
+    }
+    return skuError;
+  });
+  if (conflict) {
+    throw Object.assign(new Error(conflict), { status: 400 });
+  }
+  return newProduct;
+}
+
+// The product removed, or null when there is none with that id
+function deleteProduct(productId) {
+  return mutateProducts((products) => {
+    const productIndex = products.findIndex((p) => p.id === productId);
+    return productIndex === -1 ? null : products.splice(productIndex, 1)[0];
+  });
+}
+
+app.post('/api/products', requireAdmin('catalog'), validateBody('product'), (req, res) => {
+  try {
+    res.status(201).json({ product: createProduct(req.body || {}) });
+  } catch (err) {
+    log('Error adding product', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to add product' });
+  }
+});
+
+app.put(
+  '/api/products/:id',
+  requireAdmin('catalog'),
+  validateBody('product', { partial: true }),
+  (req, res) => {
+    try {
+      const { id } = req.params;
+      const updateData = req.body || {};
+      const existing = loadProducts().find((p) => p.id === id);
+      if (!existing) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      // Price and stock by size can only be edited directly on products sold by size alone;
+      // other products are edited through their variants.
+      let variantChanges = {};
+      if (updateData.variants !== undefined || updateData.options !== undefined) {
+        variantChanges = productVariants(
+          { options: existing.options, ...updateData, variants: updateData.variants },
+          id
+        );
+      } else if (updateData.price !== undefined || updateData.stock !== undefined) {
+        if ((existing.options || []).length > 1) {
+          return res
+            .status(400)
+            .json({ error: 'This product has options besides size; update its variants' });
+        }
+        const sized = applySizeChanges(existing, updateData);
+        if (sized.error) {
+          return res.status(400).json({ error: sized.error });
+        }
+        variantChanges = productVariants(sized, id);
+      }
+      const updatedProduct = mutateProducts((products) => {
+        const productIndex = products.findIndex((p) => p.id === id);
+        if (productIndex === -1) {
+          return null;
+        }
+        const skuError = variantChanges.variants
+          ? skuConflict(products, id, variantChanges.variants)
+          : null;
+        if (skuError) {
+          throw Object.assign(new Error(skuError), { status: 400 });
+        }
+        products[productIndex] = {
+          ...products[productIndex],
+          ...updateData,
+          ...variantChanges,
+          id,
+          created_at: products[productIndex].created_at,
+          updated_at: new Date().toISOString(),
+        };
+        return products[productIndex];
+      });
+      if (!updatedProduct) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+
+      res.json({ product: updatedProduct });
+    } catch (err) {
+      log('Error updating product', err.message || err);
+      res.status(err.status || 500).json({ error: err.message || 'Unable to update product' });
+    }
+  }
+);
+
+app.delete('/api/products/:id', requireAdmin('catalog'), (req, res) => {
+  try {
+    const deletedProduct = deleteProduct(req.params.id);
+    if (!deletedProduct) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+    res.json({ message: 'Product deleted successfully', deletedProduct });
+  } catch (err) {
+    log('Error deleting product', err.message || err);
+    res.status(500).json({ error: 'Unable to delete product' });
+  }
+});
+
+app.post('/api/cart', validateBody('cart'), (req, res) => {
+  try {
+    const { cart } = req.body || {};
+    const coupon = normalizeCouponCode(req.body.coupon) || null;
+    const collection = cartCollectionForRequest(req);
+    if (!collection) {
+      return res.status(400).json({ error: 'Missing or invalid x-session-id header' });
+    }
+    storage.write(collection, {
+      cart,
+      coupon,
+      updated_at: new Date().toISOString(),
+    });
+    linkCartUploads(collection, cart);
+    res.json({ success: true });
+  } catch (err) {
+    log('Error saving cart', err.message || err);
+    res.status(500).json({ error: 'Unable to save cart' });
+  }
+});
+
+app.get('/api/cart', (req, res) => {
+  try {
+    res.json(loadCart(cartCollectionForRequest(req)));
+  } catch (err) {
+    log('Error retrieving cart', err.message || err);
+    res.status(500).json({ error: 'Unable to retrieve cart' });
+  }
+});
+
+app.delete('/api/cart', (req, res) => {
+  try {
+    const collection = cartCollectionForRequest(req);
+    if (collection) {
+      storage.remove(collection);
+    }
+    res.json({ success: true });
+  } catch (err) {
+    log('Error clearing cart', err.message || err);
+    res.status(500).json({ error: 'Unable to clear cart' });
+  }
+});
+
+app.post('/api/cart/totals', validateBody('cartQuote'), (req, res) => {
+  try {
+    const { items, couponCode, email, paymentMethod, state, pincode } = req.body || {};
+    const cartData = loadCart(cartCollectionForRequest(req));
+    const cartItems = Array.isArray(items) ? items : cartData.cart || [];
+
+    const totals = calculateCartTotals(cartItems, loadOffers(), {
+      couponCode: couponCode || cartData.coupon,
+      customerEmail: email || req.customer?.email,
+      paymentMethod,
+      shippingState: state,
+      pincode,
+    });
+
+    res.json({
+      items: totals.items,
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      shipping: totals.shipping,
+      total: totals.total,
+      tax: totals.tax,
+      shipping_quote: totals.shippingQuote,
+      coupon: totals.coupon,
+      coupon_error: totals.couponError,
+      offers_applied: summarizeAppliedOffers(totals.offers),
+      offer_explanation: totals.offer_explanation,
+    });
+  } catch (err) {
+    log('Error calculating cart totals', err.message || err);
+    res.status(400).json({ error: err.message || 'Unable to calculate totals' });
+  }
+});
+
+// Delivery charge, COD availability and delivery dates for a pincode. Prices the given
+// `items`, or the saved cart.
+app.post('/api/shipping/quote', validateBody('cartQuote'), (req, res) => {
+  try {
+    const { items, pincode, paymentMethod } = req.body || {};
+    if (!pincode) {
+      return res.status(400).json({ error: 'Missing pincode' });
+    }
+    const cartItems = Array.isArray(items)
+      ? items
+      : loadCart(cartCollectionForRequest(req)).cart || [];
+    if (cartItems.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+    // Offers are left out: this is the courier charge, before any free-shipping offer.
+    const totals = calculateCartTotals(cartItems, [], { pincode, paymentMethod });
+    res.json({ quote: totals.shippingQuote });
+  } catch (err) {
+    log('Error quoting shipping', err.message || err);
+    res.status(400).json({ error: err.message || 'Unable to quote shipping' });
+  }
+});
+
+app.post('/api/cart/coupon', validateBody('cartQuote'), (req, res) => {
+  try {
+    const { code, items, email, paymentMethod, pincode } = req.body || {};
+    if (!code || typeof code !== 'string') {
+      return res.status(400).json({ error: 'Missing coupon code' });
+    }
+
+    const collection = cartCollectionForRequest(req);
+    const cartData = loadCart(collection);
+    const cartItems = Array.isArray(items) ? items : cartData.cart || [];
+    if (cartItems.length === 0) {
+      return res.status(400).json({ error: 'Cart is empty' });
+    }
+
+    const totals = calculateCartTotals(cartItems, loadOffers(), {
+      couponCode: code,
+      customerEmail: email || req.customer?.email,
+      paymentMethod,
+      pincode,
+    });
+    if (totals.couponError) {
+      return res.status(400).json({ error: totals.couponError });
+    }
+
+    if (collection && storage.exists(collection)) {
+      storage.update(collection, { cart: [] }, (data) => {
+        data.coupon = totals.coupon.code;
+        data.updated_at = new Date().toISOString();
+      });
+    }
+
+    res.json({
+      coupon: totals.coupon,
+      subtotal: totals.subtotal,
+      discount: totals.discount,
+      shipping: totals.shipping,
+      total: totals.total,
+      offers_applied: summarizeAppliedOffers(totals.offers),
+      offer_explanation: totals.offer_explanation,
+    });
+  } catch (err) {
+    log('Error applying coupon', err.message || err);
+    res.status(400).json({ error: err.message || 'Unable to apply coupon' });
+  }
+});
+
+// === CUSTOMER ACCOUNT API ENDPOINTS ===
+
+app.post('/api/auth/register', (req, res) => {
+  try {
+    const { firstName, lastName, email, phone, password } = req.body || {};
+    if (!firstName || !email || !password) {
+      return res.status(400).json({ error: 'Missing required fields: firstName, email, password' });
+    }
+    if (typeof email !== 'string' || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+      return res.status(400).json({ error: 'Invalid email' });
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res
+        .status(400)
+        .json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+
+    const normalizedEmail = email.trim().toLowerCase();
+    // Customers created implicitly by guest checkout can claim their record by registering;
+    // their guest orders join the account once the email is verified.
+    const customer = mutateCustomers((customers) => {
+      let record = customers.find((c) => String(c.email).toLowerCase() === normalizedEmail);
+      if (record && record.password_hash) {
+        return null;
+      }
+      if (!record) {
+        record = { id: uuidv4(), email: normalizedEmail, created_at: new Date().toISOString() };
+        customers.push(record);
+      }
+      record.name = `${firstName} ${lastName || ''}`.trim();
+      record.first_name = firstName;
+      record.last_name = lastName || '';
+      record.phone = phone || record.phone || '';
+      record.password_hash = hashPassword(password);
+      record.email_verified = false;
+      record.addresses = Array.isArray(record.addresses) ? record.addresses : [];
+      record.updated_at = new Date().toISOString();
+      return record;
+    });
+    if (!customer) {
+      return res.status(409).json({ error: 'An account with this email already exists' });
+    }
+
+    createSession(res, customer);
+    sendVerificationEmail(customer);
+    log('Customer registered', normalizedEmail);
+    res.status(201).json({ customer: publicCustomer(customer), cart: takeAnonymousCart(req) });
+  } catch (err) {
+    log('Error registering customer', err.message || err);
+    res.status(500).json({ error: 'Unable to register' });
+  }
+});
+
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (!email || !password) {
+      return res.status(400).json({ error: 'Missing email or password' });
     }
-    if (minPrice) {
-      const min = Number(minPrice);
-      if (!Number.isNaN(min)) {
-        products = products.filter((p) => Math.min(...Object.values(p.price || {})) >= min);
-      }
+    const normalizedEmail = String(email).trim().toLowerCase();
+    const customer = loadCustomers().find(
+      (c) => String(c.email).toLowerCase() === normalizedEmail
+    );
+    if (!customer || !verifyPassword(password, customer.password_hash)) {
+      log('Failed customer login', { email: normalizedEmail, ip: req.ip });
+      return res.status(401).json({ error: 'Invalid email or password' });
     }
-    if (maxPrice) {
-      const max = Number(maxPrice);
-      if (!Number.isNaN(max)) {
-        products = products.filter((p) => Math.min(...Object.values(p.price || {})) <= max);
-      }
+    createSession(res, customer);
+    res.json({ customer: publicCustomer(customer), cart: takeAnonymousCart(req) });
+  } catch (err) {
+    log('Error logging in', err.message || err);
+    res.status(500).json({ error: 'Unable to log in' });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  try {
+    const token = parseCookies(req)[SESSION_COOKIE];
+    if (token) {
+      const tokenHash = hashToken(token);
+      mutateSessions((sessions) => {
+        const remaining = sessions.filter((s) => s.token_hash !== tokenHash);
+        sessions.splice(0, sessions.length, ...remaining);
+      });
     }
-    if (search) {
-      const term = search.toLowerCase();
-      products = products.filter(
-        (p) =>
-          p.title.toLowerCase().includes(term) ||
-          p.description.toLowerCase().includes(term) ||
-          (Array.isArray(p.tags) && p.tags.some((tag) => tag.toLowerCase().includes(term)))
+    res.clearCookie(SESSION_COOKIE, { path: '/' });
+    res.json({ success: true });
+  } catch (err) {
+    log('Error logging out', err.message || err);
+    res.status(500).json({ error: 'Unable to log out' });
+  }
+});
+
+// The link from the verification email
+app.get('/api/auth/verify-email', (req, res) => {
+  try {
+    const tokenHash = hashToken(String(req.query.token || ''));
+    const customer = mutateCustomers((customers) => {
+      const record = customers.find(
+        (c) =>
+          c.email_verification &&
+          c.email_verification.token_hash === tokenHash &&
+          new Date(c.email_verification.expires_at) > new Date()
+      );
+      if (!record) {
+        return null;
+      }
+      delete record.email_verification;
+      record.email_verified = true;
+      record.email_verified_at = new Date().toISOString();
+      record.updated_at = record.email_verified_at;
+      return record;
+    });
+    if (!customer) {
+      return newsletterPage(
+        res,
+        400,
+        'Link expired',
+        'This link is invalid or has expired. Log in to your account to get a new one.'
       );
     }
-    const limited = limit ? products.slice(0, Number(limit)) : products;
-    res.json({ products: limited, total: products.length });
+    log('Customer email verified', customer.email);
+    newsletterPage(
+      res,
+      200,
+      'Email confirmed',
+      'Thanks! Orders you placed with this email are now in your account.'
+    );
   } catch (err) {
-    log('Error fetching products', err.message || err);
-    res.status(500).json({ error: 'Unable to fetch products' });
+    log('Error verifying email', err.message || err);
+    newsletterPage(res, 500, 'Something went wrong', 'Please try the link again later.');
   }
 });
 
-app.get('/api/products/:id', (req, res) => {
+// Sends the verification email again
+app.post('/api/auth/verify-email', requireCustomer, (req, res) => {
   try {
-    const product = loadProducts().find((p) => p.id === req.params.id);
-    if (!product) {
-      return res.status(404).json({ error: 'Product not found' });
+    if (req.customer.email_verified) {
+      return res.status(409).json({ error: 'Your email is already verified' });
     }
-    res.json({ product });
+    sendVerificationEmail(req.customer);
+    res.json({ success: true });
   } catch (err) {
-    log('Error fetching product', err.message || err);
-    res.status(500).json({ error: 'Unable to fetch product' });
+    log('Error sending verification email', err.message || err);
+    res.status(500).json({ error: 'Unable to send verification email' });
+  }
+});
+
+app.get('/api/me', requireCustomer, (req, res) => {
+  res.json({ customer: publicCustomer(req.customer) });
+});
+
+app.get('/api/me/orders', requireCustomer, (req, res) => {
+  try {
+    const email = String(req.customer.email).toLowerCase();
+    // Orders placed as a guest are matched by email, once the customer has shown it is theirs
+    const guestOrders = req.customer.email_verified === true;
+    const orders = loadOrders()
+      .filter(
+        (o) =>
+          o.customer_id === req.customer.id ||
+          (guestOrders &&
+            !o.customer_id &&
+            String(o.customer?.email || '').toLowerCase() === email)
+      )
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    res.json({ orders: orders.map(publicOrder), total: orders.length });
+  } catch (err) {
+    log('Error fetching customer orders', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch orders' });
   }
 });
 
-app.post('/api/products', requireAdmin, (req, res) => {
+app.get('/api/me/addresses', requireCustomer, (req, res) => {
+  res.json({ addresses: req.customer.addresses || [] });
+});
+
+app.post('/api/me/addresses', requireCustomer, (req, res) => {
   try {
-    const productData = req.body || {};
-    if (!productData.title || !productData.type || !productData.price) {
-      return res
-        .status(400)
-        .json({ error: 'Missing required fields: title, type, price' });
-    }
-    if (!['poster', 'polaroid'].includes(productData.type)) {
-      return res.status(400).json({ error: 'Type must be either "poster" or "polaroid"' });
+    const { label, ...address } = req.body || {};
+    if (!isCompleteAddress(normalizeAddress(address))) {
+      return res.status(400).json({ error: 'Missing required shipping information' });
     }
+    const saved = saveCustomerAddress(req.customer.id, address, label);
+    res.status(201).json({ address: saved });
+  } catch (err) {
+    log('Error saving address', err.message || err);
+    res.status(500).json({ error: 'Unable to save address' });
+  }
+});
 
-    const products = loadProducts();
-    const id = productData.id || `${productData.type}-${Date.now()}`;
-    if (products.find((p) => p.id === id)) {
-      return res.status(400).json({ error: 'Product with this ID already exists' });
+app.delete('/api/me/addresses/:addressId', requireCustomer, (req, res) => {
+  try {
+    const removed = mutateCustomers((customers) => {
+      const customer = customers.find((c) => c.id === req.customer.id);
+      const addresses = customer.addresses || [];
+      const idx = addresses.findIndex((a) => a.id === req.params.addressId);
+      return idx === -1 ? null : addresses.splice(idx, 1)[0];
+    });
+    if (!removed) {
+      return res.status(404).json({ error: 'Address not found' });
     }
+    res.json({ success: true });
+  } catch (err) {
+    log('Error deleting address', err.message || err);
+    res.status(500).json({ error: 'Unable to delete address' });
+  }
+});
 
-    const newProduct = {
-      id,
-      type: productData.type,
-      title: productData.title,
-      description: productData.description || '',
-      price: productData.price,
-      images: productData.images || [],
-      category: productData.category || 'abstract',
-      tags: productData.tags || [],
-      stock: productData.stock || { M: 0, L: 0, XL: 0 },
-      dimensions:
-        productData.dimensions || { M: '8x12 inches', L: '12x18 inches', XL: '16x24 inches' },
-      materials: productData.materials || 'Matte/Glossy finish options',
-      featured: Boolean(productData.featured),
-      created_at: new Date().toISOString(),
-    };
+// === ADMIN API ENDPOINTS ===
 
-    products.push(newProduct);
-    if (!saveProducts(products)) {
-      return res.status(500).json({ error: 'Unable to save product' });
+app.post('/api/admin/login', (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    const normalizedEmail = String(email || '').trim().toLowerCase();
+    const user = loadAdminUsers().find((u) => u.email === normalizedEmail);
+    if (!user || user.active === false || !verifyPassword(password, user.password_hash)) {
+      log('Failed admin login', { email: normalizedEmail, ip: req.ip });
+      recordAdminAudit({
+        user_id: user ? user.id : null,
+        email: normalizedEmail,
+        action: 'login_failed',
+        ip: req.ip,
+      });
+      return res.status(401).json({ error: 'Invalid email or password' });
     }
-
-    res.status(201).json({ product: newProduct });
+    const session = createAdminSession(user);
+    mutateAdminUsers((users) => {
+      const record = users.find((u) => u.id === user.id);
+      record.last_login_at = new Date().toISOString();
+    });
+    recordAdminAudit({
+      user_id: user.id,
+      email: user.email,
+      role: user.role,
+      action: 'login',
+      ip: req.ip,
+    });
+    res.json({ ...session, user: publicAdminUser(user) });
   } catch (err) {
-    log('Error adding product', err.message || err);
-    res.status(500).json({ error: 'Unable to add product' });
+    log('Error logging in admin', err.message || err);
+    res.status(500).json({ error: 'Unable to log in' });
   }
 });
 
-app.put('/api/products/:id', requireAdmin, (req, res) => {
+app.post('/api/admin/logout', requireAdmin(), (req, res) => {
   try {
-    const { id } = req.params;
-    const updateData = req.body || {};
-    const products = loadProducts();
-    const productIndex = products.findIndex((p) => p.id === id);
-    if (productIndex === -1) {
-      return res.status(404).json({ error: 'Product not found' });
+    const bearer = String(req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+    if (bearer) {
+      const tokenHash = hashToken(bearer[1]);
+      mutateAdminSessions((sessions) => {
+        const kept = sessions.filter((s) => s.token_hash !== tokenHash);
+        sessions.splice(0, sessions.length, ...kept);
+      });
     }
+    res.json({ success: true });
+  } catch (err) {
+    log('Error logging out admin', err.message || err);
+    res.status(500).json({ error: 'Unable to log out' });
+  }
+});
 
-    const updatedProduct = {
-      ...products[productIndex],
-      ...updateData,
-      id,
-      updated_at: new Date().toISOString(),
-    };
+app.get('/api/admin/me', requireAdmin(), (req, res) => {
+  res.json({ user: req.admin });
+});
 
-    products[productIndex] = updatedProduct;
-    if (!saveProducts(products)) {
-      return res.status(500).json({ error: 'Unable to update product' });
-    }
+app.get('/api/admin/users', requireAdmin('staff'), (req, res) => {
+  res.json({ users: loadAdminUsers().map(publicAdminUser), roles: ADMIN_ROLES });
+});
 
-    res.json({ product: updatedProduct });
+app.post('/api/admin/users', requireAdmin('staff'), (req, res) => {
+  try {
+    const { email, name, role, password } = req.body || {};
+    if (!email || !password || !role) {
+      return res.status(400).json({ error: 'Missing required fields: email, password, role' });
+    }
+    if (typeof email !== 'string' || !/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email)) {
+      return res.status(400).json({ error: 'Invalid email' });
+    }
+    if (!ADMIN_ROLES[role]) {
+      return res
+        .status(400)
+        .json({ error: `role must be one of ${Object.keys(ADMIN_ROLES).join(', ')}` });
+    }
+    if (String(password).length < MIN_PASSWORD_LENGTH) {
+      return res
+        .status(400)
+        .json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+    }
+    const normalizedEmail = email.trim().toLowerCase();
+    const user = mutateAdminUsers((users) => {
+      if (users.some((u) => u.email === normalizedEmail)) {
+        return null;
+      }
+      const record = {
+        id: uuidv4(),
+        email: normalizedEmail,
+        name: String(name || '').trim() || normalizedEmail,
+        role,
+        active: true,
+        password_hash: hashPassword(password),
+        created_by: req.admin.id,
+        created_at: new Date().toISOString(),
+      };
+      users.push(record);
+      return record;
+    });
+    if (!user) {
+      return res.status(409).json({ error: 'An admin user with this email already exists' });
+    }
+    log('Admin user created', normalizedEmail, role);
+    res.status(201).json({ user: publicAdminUser(user) });
   } catch (err) {
-    log('Error updating product', err.message || err);
-    res.status(500).json({ error: 'Unable to update product' });
+    log('Error creating admin user', err.message || err);
+    res.status(500).json({ error: 'Unable to create admin user' });
   }
 });
 
-app.delete('/api/products/:id', requireAdmin, (req, res) => {
+// Changes a user's name, role, password or `active` flag. Role changes, deactivation and
+// new passwords sign the user out everywhere.
+app.put('/api/admin/users/:id', requireAdmin('staff'), (req, res) => {
   try {
-    const products = loadProducts();
-    const productIndex = products.findIndex((p) => p.id === req.params.id);
-    if (productIndex === -1) {
-      return res.status(404).json({ error: 'Product not found' });
+    const { name, role, active, password } = req.body || {};
+    if (role !== undefined && !ADMIN_ROLES[role]) {
+      return res
+        .status(400)
+        .json({ error: `role must be one of ${Object.keys(ADMIN_ROLES).join(', ')}` });
     }
-    const [deletedProduct] = products.splice(productIndex, 1);
-    if (!saveProducts(products)) {
-      return res.status(500).json({ error: 'Unable to delete product' });
+    if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+      return res
+        .status(400)
+        .json({ error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
     }
-    res.json({ message: 'Product deleted successfully', deletedProduct });
+    const changes = {};
+    if (name !== undefined) changes.name = String(name).trim();
+    if (role !== undefined) changes.role = role;
+    if (active !== undefined) changes.active = Boolean(active);
+
+    const result = mutateAdminUsers((users) => {
+      const user = users.find((u) => u.id === req.params.id);
+      if (!user) {
+        return null;
+      }
+      if (!leavesAnOwner(users, user.id, changes)) {
+        return { error: 'At least one active owner is required' };
+      }
+      Object.assign(user, changes, { updated_at: new Date().toISOString() });
+      if (password !== undefined) {
+        user.password_hash = hashPassword(password);
+      }
+      return { user };
+    });
+    if (!result) {
+      return res.status(404).json({ error: 'Admin user not found' });
+    }
+    if (result.error) {
+      return res.status(409).json({ error: result.error });
+    }
+    if (role !== undefined || active === false || password !== undefined) {
+      revokeAdminSessions(result.user.id);
+    }
+    res.json({ user: publicAdminUser(result.user) });
   } catch (err) {
-    log('Error deleting product', err.message || err);
-    res.status(500).json({ error: 'Unable to delete product' });
+    log('Error updating admin user', err.message || err);
+    res.status(500).json({ error: 'Unable to update admin user' });
   }
 });
 
-app.post('/api/cart', (req, res) => {
+app.get('/api/admin/api-keys', requireAdmin('staff'), (req, res) => {
+  res.json({ keys: loadAdminApiKeys().map(publicApiKey) });
+});
+
+// Issues an API key acting as `user_id` (default: the caller) with some of that user's
+// permissions. The key itself is only returned here.
+app.post('/api/admin/api-keys', requireAdmin('staff'), (req, res) => {
   try {
-    const { cart } = req.body || {};
-    if (!Array.isArray(cart)) {
-      return res.status(400).json({ error: 'Cart must be an array' });
+    const { name, user_id, permissions, expires_in_days } = req.body || {};
+    const userId = user_id || req.admin.id;
+    const user = loadAdminUsers().find((u) => u.id === userId && u.active !== false);
+    if (!user) {
+      return res.status(400).json({ error: 'user_id must be an active admin user' });
     }
-    const sessionId = req.headers['x-session-id'] || 'default';
-    const cartFile = path.join(DATA_DIR, `cart_${sessionId}.json`);
-    writeJson(cartFile, { cart, updated_at: new Date().toISOString() });
-    res.json({ success: true });
+    const allowed = ADMIN_ROLES[user.role] || [];
+    const scopes = permissions === undefined ? allowed : permissions;
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'permissions must be a non-empty list' });
+    }
+    const denied = scopes.filter((p) => !allowed.includes(p));
+    if (denied.length > 0) {
+      return res
+        .status(400)
+        .json({ error: `A ${user.role} cannot be given: ${denied.join(', ')}` });
+    }
+    if (expires_in_days !== undefined && !(Number(expires_in_days) > 0)) {
+      return res.status(400).json({ error: 'expires_in_days must be a positive number' });
+    }
+
+    const secret = `tzk_${crypto.randomBytes(24).toString('hex')}`;
+    const now = new Date();
+    const key = {
+      id: uuidv4(),
+      name: String(name || '').trim() || `Key for ${user.email}`,
+      prefix: secret.slice(0, 12),
+      key_hash: hashToken(secret),
+      user_id: user.id,
+      permissions: [...new Set(scopes)],
+      created_by: req.admin.id,
+      created_at: now.toISOString(),
+      expires_at: expires_in_days
+        ? new Date(now.getTime() + Number(expires_in_days) * 24 * 60 * 60 * 1000).toISOString()
+        : null,
+      revoked_at: null,
+    };
+    mutateAdminApiKeys((keys) => {
+      keys.push(key);
+    });
+    res.status(201).json({ key: secret, api_key: publicApiKey(key) });
   } catch (err) {
-    log('Error saving cart', err.message || err);
-    res.status(500).json({ error: 'Unable to save cart' });
+    log('Error creating API key', err.message || err);
+    res.status(500).json({ error: 'Unable to create API key' });
   }
 });
 
-app.get('/api/cart', (req, res) => {
+app.delete('/api/admin/api-keys/:id', requireAdmin('staff'), (req, res) => {
   try {
-    const sessionId = req.headers['x-session-id'] || 'default';
-    const cartFile = path.join(DATA_DIR, `cart_${sessionId}.json`);
-    const data = readJson(cartFile, { cart: [] });
-    res.json(data);
+    const revoked = mutateAdminApiKeys((keys) => {
+      const key = keys.find((k) => k.id === req.params.id);
+      if (!key) {
+        return null;
+      }
+      key.revoked_at = key.revoked_at || new Date().toISOString();
+      return key;
+    });
+    if (!revoked) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+    res.json({ api_key: publicApiKey(revoked) });
   } catch (err) {
-    log('Error retrieving cart', err.message || err);
-    res.status(500).json({ error: 'Unable to retrieve cart' });
+    log('Error revoking API key', err.message || err);
+    res.status(500).json({ error: 'Unable to revoke API key' });
   }
 });
 
-app.delete('/api/cart', (req, res) => {
+app.get('/api/admin/audit', requireAdmin('audit'), (req, res) => {
   try {
-    const sessionId = req.headers['x-session-id'] || 'default';
-    const cartFile = path.join(DATA_DIR, `cart_${sessionId}.json`);
-    if (fs.existsSync(cartFile)) {
-      fs.unlinkSync(cartFile);
+    const { user_id, limit = 100, offset = 0 } = req.query;
+    let entries = loadList('admin_audit', 'entries');
+    if (user_id) {
+      entries = entries.filter((entry) => entry.user_id === user_id);
     }
-    res.json({ success: true });
+    entries = [...entries].reverse();
+    res.json({
+      entries: entries.slice(Number(offset), Number(offset) + Number(limit)),
+      total: entries.length,
+    });
   } catch (err) {
-    log('Error clearing cart', err.message || err);
-    res.status(500).json({ error: 'Unable to clear cart' });
+    log('Error fetching admin audit log', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch audit log' });
+  }
+});
+
+// Stored products, orders and offers that don't match their schema, as checked at startup
+app.get('/api/admin/data-check', requireAdmin('audit'), (req, res) => {
+  try {
+    res.json({ checked_at: new Date().toISOString(), ...checkDataFiles() });
+  } catch (err) {
+    log('Error checking data files', err.message || err);
+    res.status(500).json({ error: 'Unable to check data files' });
   }
 });
 
-app.post('/api/uploads', upload.single('file'), (req, res) => {
-  if (!req.file) {
-    return res.status(400).json({ error: 'No file uploaded' });
+// Images only, checked by their bytes. Visitors are held to the upload quota; staff are not.
+app.post('/api/uploads', (req, res) => {
+  const from = uploader(req);
+  const quota = !authenticateAdmin(req);
+  if (quota && uploadUsage(from).files >= UPLOAD_QUOTA_FILES) {
+    return res.status(429).json({ error: 'Upload limit reached, please try again later' });
   }
 
-  res.status(201).json({
-    fileId: req.file.filename,
-    fileUrl: `/uploads/${req.file.filename}`,
-    mimeType: req.file.mimetype,
-    size: req.file.size,
+  upload.single('file')(req, res, (uploadErr) => {
+    if (uploadErr) {
+      const status = uploadErr.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+      return res.status(status).json({ error: uploadErr.message || 'Unable to upload file' });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+    try {
+      const record = acceptUpload(req.file, from, { quota });
+      res.status(201).json({
+        fileId: record.file_id,
+        fileUrl: record.url,
+        mimeType: record.mime_type,
+        size: record.bytes,
+        width: record.width,
+        height: record.height,
+      });
+    } catch (err) {
+      fs.rmSync(req.file.path, { force: true });
+      log('Error accepting upload', err.message || err);
+      res.status(err.status || 500).json({ error: err.message || 'Unable to upload file' });
+    }
   });
 });
 
-app.post('/api/orders', async (req, res) => {
+app.get('/api/uploads', requireAdmin('uploads'), (req, res) => {
   try {
-    const { customer, shippingAddress, paymentMethod, items = [], notes } = req.body || {};
+    const uploads = loadUploads()
+      .map(({ info, ...upload }) => upload)
+      .sort((a, b) => b.created_at.localeCompare(a.created_at));
+    res.json({ uploads, total: uploads.length });
+  } catch (err) {
+    log('Error listing uploads', err.message || err);
+    res.status(500).json({ error: 'Unable to list uploads' });
+  }
+});
 
-    if (!customer || !shippingAddress || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'Missing required order information' });
+// Runs the orphaned upload cleanup now; max_age_hours overrides UPLOAD_GC_MAX_AGE_HOURS
+app.post('/api/uploads/gc', requireAdmin('uploads'), (req, res) => {
+  try {
+    const maxAgeHours = Number(req.body?.max_age_hours ?? UPLOAD_GC_MAX_AGE_HOURS);
+    if (!Number.isFinite(maxAgeHours) || maxAgeHours < 0) {
+      return res.status(400).json({ error: 'max_age_hours must be a non-negative number' });
     }
+    const removed = collectOrphanedUploads({ maxAgeHours });
+    res.json({ removed, max_age_hours: maxAgeHours });
+  } catch (err) {
+    log('Error removing orphaned uploads', err.message || err);
+    res.status(500).json({ error: 'Unable to remove orphaned uploads' });
+  }
+});
 
-    if (!customer.firstName || !customer.lastName || !customer.email || !customer.phone) {
-      return res.status(400).json({ error: 'Missing required customer information' });
+// How an uploaded image prints. With ?product_id= each of the product's sizes is listed with
+// its effective DPI, ok | warn | block, and a preview of the crop that poster shows.
+app.get('/api/artwork/:fileId', (req, res) => {
+  try {
+    const fileId = uploadFileId(req.params.fileId);
+    if (!fileId) {
+      return res.status(404).json({ error: 'Upload not found' });
     }
+    const record = uploadRecord(fileId);
+    let sizes = [];
+    if (req.query.product_id) {
+      const product = loadProducts().find((p) => p.id === req.query.product_id);
+      if (!product) {
+        return res.status(404).json({ error: 'Product not found' });
+      }
+      sizes = artworkSizes(record, product).map((fit) => ({
+        ...fit,
+        preview_url:
+          `/api/artwork/${fileId}/preview.png?product_id=${encodeURIComponent(product.id)}` +
+          `&size=${encodeURIComponent(fit.size)}`,
+      }));
+    }
+    const reason = unprintableReason(record);
+    res.json({
+      artwork: {
+        file_id: fileId,
+        url: `/uploads/${fileId}`,
+        format: record.format,
+        width: record.width,
+        height: record.height,
+        printable: !reason,
+        unprintable_reason: reason,
+        thumbnail_url: reason ? null : `/api/artwork/${fileId}/thumbnail.png`,
+      },
+      thresholds: { min_dpi: ARTWORK_MIN_DPI, warn_dpi: ARTWORK_WARN_DPI },
+      sizes: reason ? sizes.map((fit) => ({ ...fit, preview_url: null })) : sizes,
+    });
+  } catch (err) {
+    log('Error checking artwork', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to check artwork' });
+  }
+});
 
-    if (
-      !shippingAddress.line1 ||
-      !shippingAddress.city ||
-      !shippingAddress.state ||
-      !shippingAddress.pincode
-    ) {
-      return res.status(400).json({ error: 'Missing required shipping information' });
+app.get('/api/artwork/:fileId/thumbnail.png', async (req, res) => {
+  try {
+    const fileId = uploadFileId(req.params.fileId);
+    if (!fileId) {
+      return res.status(404).json({ error: 'Upload not found' });
     }
+    const record = uploadRecord(fileId);
+    if (unprintableReason(record)) {
+      return res.status(422).json({ error: unprintableReason(record) });
+    }
+    res.sendFile(await artworkThumbnail(record, req.ip), { maxAge: '1d' });
+  } catch (err) {
+    log('Error rendering artwork thumbnail', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to render thumbnail' });
+  }
+});
 
-    if (!['upi', 'paytm', 'cod'].includes(paymentMethod || '')) {
-      return res.status(400).json({ error: 'Invalid payment method' });
+app.get('/api/artwork/:fileId/preview.png', async (req, res) => {
+  try {
+    const fileId = uploadFileId(req.params.fileId);
+    if (!fileId) {
+      return res.status(404).json({ error: 'Upload not found' });
+    }
+    const product = loadProducts().find((p) => p.id === req.query.product_id);
+    const printSize = product?.dimensions?.[req.query.size];
+    if (!parsePrintSize(printSize)) {
+      return res.status(400).json({ error: 'product_id and size must name a poster size' });
     }
+    const record = uploadRecord(fileId);
+    if (unprintableReason(record)) {
+      return res.status(422).json({ error: unprintableReason(record) });
+    }
+    res.sendFile(await artworkPreview(record, printSize, req.ip), { maxAge: '1d' });
+  } catch (err) {
+    log('Error rendering artwork preview', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to render preview' });
+  }
+});
+
+app.post('/api/orders', validateBody('order'), async (req, res) => {
+  try {
+    const {
+      customer,
+      shippingAddress,
+      paymentMethod,
+      items = [],
+      notes,
+      couponCode,
+      saveAddress,
+    } = req.body || {};
 
     const offers = loadOffers();
-    const totals = calculateCartTotals(items, offers);
+    const totals = calculateCartTotals(items, offers, {
+      couponCode,
+      customerEmail: customer.email,
+      paymentMethod,
+      shippingState: shippingAddress.state,
+      pincode: shippingAddress.pincode,
+    });
+    if (totals.couponError) {
+      return res.status(400).json({ error: totals.couponError });
+    }
+    if (!totals.shippingQuote.serviceable) {
+      return res.status(400).json({ error: totals.shippingQuote.reason });
+    }
+    if (paymentMethod === 'cod' && !totals.shippingQuote.cod_available) {
+      return res
+        .status(400)
+        .json({ error: 'Cash on delivery is not available for this order' });
+    }
+
+    const artwork = checkOrderArtwork(totals.items);
+    if (artwork.error) {
+      return res.status(400).json({ error: artwork.error });
+    }
+    totals.items.forEach((item, index) => {
+      if (artwork.lines[index]) {
+        item.artwork = artwork.lines[index];
+      }
+    });
 
     const orderId = `ORD-${Date.now()}-${Math.random().toString(36).substring(2, 7).toUpperCase()}`;
 
     const newOrder = {
       id: orderId,
+      customer_id: req.customer ? req.customer.id : null,
       customer: {
         name: `${customer.firstName} ${customer.lastName}`.trim(),
         email: customer.email,
@@ -656,57 +5244,102 @@ app.post('/api/orders', async (req, res) => {
         pincode: shippingAddress.pincode,
       },
       items: totals.items,
-      offers_applied: totals.offers.map((o) => ({ id: o.id, label: o.label, type: o.type })),
+      offers_applied: summarizeAppliedOffers(totals.offers),
+      coupon: totals.coupon,
       subtotal: totals.subtotal,
       discount: totals.discount,
       shipping: totals.shipping,
+      shipping_quote: totals.shippingQuote,
       total: totals.total,
+      tax: totals.tax,
       currency: 'INR',
       payment_method: paymentMethod,
-      payment_status: paymentMethod === 'cod' ? 'cod' : 'pending',
+      payment_status: 'pending',
       status: 'pending',
       notes: notes || '',
+      history: [
+        historyEntry({
+          actor: req.customer ? `customer:${req.customer.id}` : 'customer',
+          from: null,
+          to: 'pending',
+          note: 'Order placed',
+        }),
+      ],
       created_at: new Date().toISOString(),
       updated_at: new Date().toISOString(),
     };
 
-    const orders = loadOrders();
-    orders.push(newOrder);
-    if (!saveOrders(orders)) {
-      return res.status(500).json({ error: 'Unable to save order' });
+    // Checking stock, saving the order and reserving happen under the reservations lock
+    // so two concurrent orders cannot both claim the last unit.
+    const unavailable = storage.withLock('reservations', () => {
+      const availability = checkStockAvailability(newOrder.items);
+      if (availability.unavailable.length > 0) {
+        return availability.unavailable;
+      }
+      for (const item of newOrder.items) {
+        if (availability.backordered.some((b) => b.sku === item.sku)) {
+          item.backordered = true;
+        }
+      }
+      mutateOrders((orders) => {
+        orders.push(newOrder);
+      });
+      reserveOrderStock(newOrder);
+      return [];
+    });
+    if (unavailable.length > 0) {
+      return res.status(409).json({ error: 'Some items are out of stock', unavailable });
     }
 
-    const customers = loadCustomers();
-    if (!customers.find((c) => c.email === customer.email)) {
-      customers.push({
-        id: uuidv4(),
-        name: newOrder.customer.name,
-        email: customer.email,
-        phone: customer.phone,
-        created_at: new Date().toISOString(),
+    recordCouponRedemption(newOrder);
+    linkOrderUploads(newOrder);
+    if (paymentMethod === 'cod') {
+      commitOrderStock(newOrder);
+      processPrintFiles();
+    }
+
+    if (req.customer) {
+      if (saveAddress) {
+        saveCustomerAddress(req.customer.id, shippingAddress);
+      }
+    } else {
+      mutateCustomers((customers) => {
+        if (!customers.find((c) => c.email === customer.email)) {
+          customers.push({
+            id: uuidv4(),
+            name: newOrder.customer.name,
+            email: customer.email,
+            phone: customer.phone,
+            created_at: new Date().toISOString(),
+          });
+        }
       });
-      saveCustomers(customers);
     }
 
     const paymentPayload = {};
-
-    if (paymentMethod === 'upi') {
-      paymentPayload.upi = await generateUpiPayload(newOrder);
-    } else if (paymentMethod === 'paytm') {
-      try {
-        paymentPayload.paytm = await createPaytmTransaction({
-          orderId,
-          amount: newOrder.total,
-          customerId: customer.email,
-        });
-      } catch (err) {
-        log('Paytm transaction error', err.message || err);
-        return res.status(502).json({ error: err.message || 'Unable to initiate Paytm payment' });
-      }
+    try {
+      paymentPayload[paymentMethod] = await initiatePayment(newOrder);
+    } catch (err) {
+      // Nothing was charged. The order fails and gives back its stock and coupon straight
+      // away instead of holding them until the reservation expires; the customer can retry
+      // from POST /api/orders/:id/payment.
+      log('Error initiating payment', paymentMethod, err.message || err);
+      const failed = failOrderPayment(newOrder.id, {
+        note: `Payment could not be started: ${err.message || err}`,
+        reason: 'payment_init_failed',
+      });
+      return res.status(502).json({
+        error: err.message || 'Unable to initiate payment',
+        order: publicOrder(failed),
+      });
     }
 
+    const cancelToken = newOrder.customer_id ? null : orderCancelToken(newOrder);
+    enqueueEmail('order_placed', newOrder, { cancelToken });
+
     res.status(201).json({
-      order: newOrder,
+      order: publicOrder(newOrder),
+      ...(cancelToken ? { cancel_token: cancelToken } : {}),
       payment: paymentPayload,
       message: 'Order created successfully',
     });
@@ -722,22 +5355,38 @@ app.get('/api/orders/:id', (req, res) => {
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
-    res.json({ order });
+    res.json({ order: publicOrder(order) });
   } catch (err) {
     log('Error fetching order', err.message || err);
     res.status(500).json({ error: 'Unable to fetch order' });
   }
 });
 
-app.get('/api/orders', requireAdmin, (req, res) => {
+app.get('/api/orders', requireAdmin('orders:read'), (req, res) => {
   try {
-    const { status, limit = 50, offset = 0 } = req.query;
+    const { status, payment_status, payment_method, search, limit = 50, offset = 0 } = req.query;
     let orders = loadOrders();
     if (status) {
       orders = orders.filter((order) => order.status === status);
     }
+    if (payment_status) {
+      orders = orders.filter((order) => order.payment_status === payment_status);
+    }
+    if (payment_method) {
+      orders = orders.filter((order) => order.payment_method === payment_method);
+    }
+    if (search) {
+      const term = String(search).toLowerCase();
+      orders = orders.filter((order) =>
+        [order.id, order.customer?.name, order.customer?.email, order.customer?.phone].some(
+          (value) => String(value || '').toLowerCase().includes(term)
+        )
+      );
+    }
     orders.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-    const paginated = orders.slice(Number(offset), Number(offset) + Number(limit));
+    const paginated = orders
+      .slice(Number(offset), Number(offset) + Number(limit))
+      .map((order) => ({ ...order, next_statuses: staffTransitions(order.status) }));
     res.json({ orders: paginated, total: orders.length });
   } catch (err) {
     log('Error fetching orders', err.message || err);
@@ -745,546 +5394,789 @@ app.get('/api/orders', requireAdmin, (req, res) => {
   }
 });
 
-app.put('/api/orders/:id', requireAdmin, (req, res) => {
+// Revenue, best sellers, payment mix, offer cost and repeat customers over `from`..`to`
+// (YYYY-MM-DD, inclusive; the last 30 days by default), grouped by `group_by`
+function salesReportFromQuery(query) {
+  const range = resolveRange({
+    from: query.from,
+    to: query.to,
+    groupBy: query.group_by || 'day',
+    utcOffsetMinutes: REPORT_UTC_OFFSET_MINUTES,
+  });
+  if (range.error) {
+    throw Object.assign(new Error(range.error), { status: 400 });
+  }
+  return buildSalesReport(loadOrders(), { ...range, utcOffsetMinutes: REPORT_UTC_OFFSET_MINUTES });
+}
+
+app.get('/api/reports/sales', requireAdmin('reports'), (req, res) => {
   try {
-    const updates = req.body || {};
-    const order = updateOrder(req.params.id, (current) => ({
-      ...current,
-      ...updates,
-      updated_at: new Date().toISOString(),
-    }));
-    res.json({ order });
+    res.json({ report: salesReportFromQuery(req.query) });
   } catch (err) {
-    log('Error updating order', err.message || err);
-    res.status(500).json({ error: err.message || 'Unable to update order' });
+    log('Error building sales report', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to build report' });
   }
 });
 
-app.post('/payments/upi/confirm', (req, res) => {
+// One table of the report as CSV: `section` is revenue (default), products,
+// payment_methods or offers
+app.get('/api/reports/sales.csv', requireAdmin('reports'), (req, res) => {
   try {
-    const { orderId, transactionId, amount } = req.body || {};
-    if (!orderId || !transactionId) {
-      return res.status(400).json({ error: 'Missing orderId or transactionId' });
+    const section = req.query.section || 'revenue';
+    if (!CSV_COLUMNS[section]) {
+      return res
+        .status(400)
+        .json({ error: `section must be one of ${Object.keys(CSV_COLUMNS).join(', ')}` });
     }
-    const order = updateOrder(orderId, (current) => ({
-      ...current,
-      payment_status: 'paid',
-      status: 'confirmed',
-      upi_transaction_id: transactionId,
-      paid_amount: amount || current.total,
-      updated_at: new Date().toISOString(),
-    }));
-    res.json({ success: true, order });
+    const report = salesReportFromQuery(req.query);
+    const filename = `sales-${section}-${report.range.from}-to-${report.range.to}.csv`;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(salesReportCsv(report, section));
+  } catch (err) {
+    log('Error exporting sales report', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to build report' });
+  }
+});
+
+// UPI payments customers reported that still need to be matched against a statement
+app.get('/api/payments/review', requireAdmin('payments'), (req, res) => {
+  try {
+    const orders = loadOrders()
+      .filter((o) => o.payment_status === 'payment_review')
+      .map((o) => ({
+        order_id: o.id,
+        utr: o.payment_reference,
+        total: o.total,
+        customer: o.customer,
+        created_at: o.created_at,
+        updated_at: o.updated_at,
+      }));
+    res.json({ orders, total: orders.length });
+  } catch (err) {
+    log('Error fetching payments under review', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch payments under review' });
+  }
+});
+
+// Queued and sent customer emails, newest first. Filter with ?status= and ?order_id=.
+app.get('/api/notifications/outbox', requireAdmin('notifications'), (req, res) => {
+  try {
+    const { status, order_id: orderId, limit = 50 } = req.query;
+    const messages = loadList('email_outbox', 'messages')
+      .filter((m) => (!status || m.status === status) && (!orderId || m.order_id === orderId))
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    res.json({
+      messages: messages.slice(0, Number(limit)).map(({ html, text, ...message }) => message),
+      total: messages.length,
+    });
+  } catch (err) {
+    log('Error fetching email outbox', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch email outbox' });
+  }
+});
+
+app.get('/api/newsletter/confirm', (req, res) => {
+  try {
+    const subscriber = applySubscriberToken(req.query.token, 'confirm');
+    if (!subscriber) {
+      return newsletterPage(
+        res,
+        400,
+        'Link expired',
+        'This confirmation link is invalid or has expired. Please sign up again.'
+      );
+    }
+    if (subscriber.status !== 'confirmed') {
+      return newsletterPage(
+        res,
+        409,
+        'Not subscribed',
+        'You unsubscribed from this address. Sign up again to get the newsletter.'
+      );
+    }
+    log('Newsletter subscription confirmed', subscriber.email);
+    newsletterPage(res, 200, 'You are subscribed!', 'Thanks for confirming your email.');
+  } catch (err) {
+    log('Error confirming subscription', err.message || err);
+    newsletterPage(res, 500, 'Something went wrong', 'Please try the link again later.');
+  }
+});
+
+app.get('/api/newsletter/unsubscribe', (req, res) => {
+  try {
+    const subscriber = applySubscriberToken(req.query.token, 'unsubscribe');
+    if (!subscriber) {
+      return newsletterPage(res, 400, 'Link expired', 'This unsubscribe link is invalid.');
+    }
+    log('Newsletter unsubscribe', subscriber.email);
+    newsletterPage(
+      res,
+      200,
+      'You are unsubscribed',
+      `${subscriber.email} will not receive our newsletter any more.`
+    );
+  } catch (err) {
+    log('Error unsubscribing', err.message || err);
+    newsletterPage(res, 500, 'Something went wrong', 'Please try the link again later.');
+  }
+});
+
+app.get('/api/newsletter/subscribers', requireAdmin('newsletter'), (req, res) => {
+  try {
+    const { status, limit = 100, offset = 0 } = req.query;
+    const subscribers = loadList('subscribers', 'subscribers')
+      .filter((s) => !status || s.status === status)
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    res.json({
+      subscribers: subscribers.slice(Number(offset), Number(offset) + Number(limit)),
+      total: subscribers.length,
+    });
   } catch (err) {
-    log('Error confirming UPI payment', err.message || err);
-    res.status(500).json({ error: err.message || 'Unable to confirm payment' });
+    log('Error fetching subscribers', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch subscribers' });
   }
 });
 
-app.post('/payments/paytm/create', async (req, res) => {
+app.get('/api/newsletter/subscribers/export', requireAdmin('newsletter'), (req, res) => {
   try {
-    const { orderId, amount, customerId } = req.body || {};
-    if (!orderId || !amount || !customerId) {
-      return res.status(400).json({ error: 'Missing required payment information' });
-    }
-    const payload = await createPaytmTransaction({ orderId, amount, customerId });
-    res.json(payload);
+    const { status } = req.query;
+    const columns = ['email', 'status', 'source', 'created_at', 'confirmed_at', 'unsubscribed_at'];
+    const rows = loadList('subscribers', 'subscribers')
+      .filter((s) => !status || s.status === status)
+      .map((s) => columns.map((column) => csvCell(s[column])).join(','));
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', 'attachment; filename="subscribers.csv"');
+    res.send([columns.join(','), ...rows].join('\n') + '\n');
   } catch (err) {
-    log('Error creating Paytm transaction', err.message || err);
-    res.status(500).json({ error: err.message || 'Unable to initiate Paytm payment' });
+    log('Error exporting subscribers', err.message || err);
+    res.status(500).json({ error: 'Unable to export subscribers' });
   }
 });
 
-app.post('/payments/paytm/webhook', (req, res) => {
+// Campaigns with their delivery counts from the outbox
+app.get('/api/newsletter/campaigns', requireAdmin('newsletter'), (req, res) => {
   try {
-    const payload = req.body || {};
-    const body = payload.body || payload;
-    const head = payload.head || {};
-    const signature =
-      req.headers['x-checksum'] ||
-      req.headers['x-paytm-signature'] ||
-      head.signature ||
-      payload.signature;
-
-    if (!signature || !PAYTM_MERCHANT_KEY) {
-      log('Missing Paytm signature or merchant key');
-      return res.status(400).json({ error: 'Invalid signature' });
-    }
-
-    const isValid = PaytmChecksum.verifySignature(
-      JSON.stringify(body),
-      PAYTM_MERCHANT_KEY,
-      signature
+    const messages = loadList('email_outbox', 'messages').filter(
+      (m) => m.event === 'newsletter_campaign'
     );
+    const campaigns = loadList('newsletter_campaigns', 'campaigns')
+      .map((campaign) => {
+        const delivery = { pending: 0, sent: 0, failed: 0, skipped: 0 };
+        for (const message of messages) {
+          if (message.campaign_id === campaign.id) {
+            delivery[message.status] = (delivery[message.status] || 0) + 1;
+          }
+        }
+        return { ...campaign, delivery };
+      })
+      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    res.json({ campaigns });
+  } catch (err) {
+    log('Error fetching campaigns', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch campaigns' });
+  }
+});
 
-    if (!isValid) {
-      log('Invalid Paytm signature', body?.orderId);
-      return res.status(400).json({ error: 'Invalid signature' });
+// Payment status of an order. `?refresh=1` asks the gateway instead of trusting our copy.
+app.get('/api/orders/:id/payment', async (req, res) => {
+  try {
+    const order = loadOrders().find((o) => o.id === req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
     }
-
-    const { orderId, resultInfo = {}, txnAmount, txnId } = body;
-    if (!orderId) {
-      return res.status(400).json({ error: 'Missing orderId' });
+    if (req.query.refresh && order.payment_status !== 'paid') {
+      const provider = payments.get(order.payment_method);
+      const result = await provider.queryStatus(order, findPaymentRecord(order.id));
+      applyPaymentResult(order.id, result, { action: 'query', actor: provider.name });
     }
-
-    const order = updateOrder(orderId, (current) => {
-      const statusMap = {
-        TXN_SUCCESS: 'confirmed',
-        TXN_FAILURE: 'failed',
-        PENDING: 'pending',
-      };
-      const paymentStatus =
-        resultInfo.resultStatus === 'TXN_SUCCESS' ? 'paid' : resultInfo.resultStatus?.toLowerCase();
-      return {
-        ...current,
-        status: statusMap[resultInfo.resultStatus] || current.status,
-        payment_status: paymentStatus || current.payment_status,
-        paytm_transaction_id: txnId,
-        paid_amount: txnAmount?.value || current.paid_amount,
-        updated_at: new Date().toISOString(),
-        paytm_response: body,
-      };
+    const current = loadOrders().find((o) => o.id === req.params.id);
+    res.json({
+      payment_status: current.payment_status,
+      payment: publicPaymentRecord(findPaymentRecord(current.id)),
     });
-
-    res.json({ success: true, order });
   } catch (err) {
-    log('Error processing Paytm webhook', err.message || err);
-    res.status(500).json({ error: 'Unable to process webhook' });
-  }
-});
-
-app.get('/', (req, res) => {
-  res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
-});
-
-app.get('*', (req, res) => {
-  if (req.path.startsWith('/api') || req.path.startsWith('/payments')) {
-    return res.status(404).json({ error: 'Not found' });
+    log('Error fetching payment status', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to fetch payment status' });
   }
-  res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
 });
 
-// PUT /api/products/:id - Update product (admin only)
-app.put('/api/products/:id', requireAdmin, (req, res) => {
+app.get('/api/orders/:id/history', requireAdmin('orders:read'), (req, res) => {
   try {
-    const { id } = req.params;
-    const updateData = req.body;
-
-    const products = loadProducts();
-    const productIndex = products.findIndex(p => p.id === id);
-
-    if (productIndex === -1) {
-      return res.status(404).json({ error: 'Product not found' });
-    }
-
-    // Update product while preserving some fields
-    const updatedProduct = {
-      ...products[productIndex],
-      ...updateData,
-      id, // Ensure ID doesn't change
-      updated_at: new Date().toISOString()
-    };
-
-    products[productIndex] = updatedProduct;
-    const saved = saveProducts(products);
-
-    if (!saved) {
-      return res.status(500).json({ error: 'Unable to update product' });
+    const order = loadOrders().find((o) => o.id === req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
     }
-
-    log('Updated product', id, updatedProduct.title);
-    res.json({ product: updatedProduct });
+    res.json({ order_id: order.id, status: order.status, history: order.history || [] });
   } catch (err) {
-    log('Error updating product', err.message || err);
-    res.status(500).json({ error: 'Unable to update product' });
+    log('Error fetching order history', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch order history' });
   }
 });
 
-// DELETE /api/products/:id - Delete product (admin only)
-app.delete('/api/products/:id', requireAdmin, (req, res) => {
+// GST tax invoice as a PDF. The invoice number is assigned when the order is paid (or
+// here, for orders paid before invoices existed).
+app.get('/api/orders/:id/invoice.pdf', (req, res) => {
   try {
-    const { id } = req.params;
-
-    const products = loadProducts();
-    const productIndex = products.findIndex(p => p.id === id);
-
-    if (productIndex === -1) {
-      return res.status(404).json({ error: 'Product not found' });
+    let order = loadOrders().find((o) => o.id === req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
     }
-
-    const deletedProduct = products[productIndex];
-    products.splice(productIndex, 1);
-
-    const saved = saveProducts(products);
-    if (!saved) {
-      return res.status(500).json({ error: 'Unable to delete product' });
+    if (!order.invoice) {
+      issueInvoice(order.id);
+      order = loadOrders().find((o) => o.id === req.params.id);
     }
-
-    log('Deleted product', id, deletedProduct.title);
-    res.json({ message: 'Product deleted successfully', deletedProduct });
+    const pdf = renderOrderInvoice(order);
+    const filename = `${order.invoice.number.replace(/\//g, '-')}.pdf`;
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.send(pdf);
   } catch (err) {
-    log('Error deleting product', err.message || err);
-    res.status(500).json({ error: 'Unable to delete product' });
+    log('Error generating invoice', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to generate invoice' });
   }
 });
 
-// === CART API ENDPOINTS ===
-
-// POST /api/cart - Save cart to session
-app.post('/api/cart', (req, res) => {
-  try {
-    const { cart } = req.body;
-
-    if (!Array.isArray(cart)) {
-      return res.status(400).json({ error: 'Cart must be an array' });
-    }
-
-    // Validate cart items
-    for (const item of cart) {
-      if (!item.product_id || !item.size || !item.quantity || !item.price) {
-        return res.status(400).json({ error: 'Invalid cart item structure' });
+// Print-ready PDF of an order line with custom artwork; `line` counts from 1
+app.get(
+  '/api/orders/:id/items/:line/print.pdf',
+  requireAdmin('orders:read'),
+  async (req, res) => {
+    try {
+      const order = loadOrders().find((o) => o.id === req.params.id);
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      const index = Number(req.params.line) - 1;
+      const item = order.items[index];
+      if (!item || !item.artwork) {
+        return res.status(404).json({ error: 'This order line has no custom artwork' });
       }
+      const name = printFileName(order.id, index);
+      if (!item.print_file || !fs.existsSync(path.join(PRINTS_DIR, name))) {
+        const printFile = await renderPrintFile(order, index);
+        updateOrder(
+          order.id,
+          (o) => ({
+            ...o,
+            items: o.items.map((line, i) =>
+              i === index ? { ...line, print_file: printFile } : line
+            ),
+          }),
+          { actor: adminActor(req), note: `Print file for line ${index + 1} regenerated` }
+        );
+      }
+      res.set('Content-Type', 'application/pdf');
+      res.set('Content-Disposition', `attachment; filename="${name}"`);
+      res.sendFile(path.join(PRINTS_DIR, name));
+    } catch (err) {
+      log('Error fetching print file', err.message || err);
+      res.status(err.status || 500).json({ error: err.message || 'Unable to fetch print file' });
     }
+  }
+);
 
-    // Store cart in session (for simplicity, using session-like storage)
-    // In production, you'd use proper session storage
-    const sessionId = req.headers['x-session-id'] || 'default';
-    const cartFile = path.join(DATA_DIR, `cart_${sessionId}.json`);
-
-    fs.writeFileSync(cartFile, JSON.stringify({ cart, updated_at: new Date().toISOString() }, null, 2));
-
-    res.json({ success: true, message: 'Cart saved successfully' });
+// Ships an order: `{ courier?, packages?: [{ items: [{ sku, quantity }] }] }`.
+// Without packages everything not yet shipped goes in one package.
+app.post('/api/orders/:id/shipments', requireAdmin('shipments'), async (req, res) => {
+  try {
+    const { courier, packages } = req.body || {};
+    const result = await createShipments(
+      req.params.id,
+      { courier, packages },
+      { actor: adminActor(req) }
+    );
+    res.status(201).json({ order: result.order, shipments: result.shipments });
   } catch (err) {
-    log('Error saving cart', err.message || err);
-    res.status(500).json({ error: 'Unable to save cart' });
+    log('Error creating shipment', req.params.id, err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to create shipment' });
   }
 });
 
-// GET /api/cart - Retrieve cart from session
-app.get('/api/cart', (req, res) => {
+app.get('/api/orders/:id/shipments', requireAdmin('orders:read'), (req, res) => {
   try {
-    const sessionId = req.headers['x-session-id'] || 'default';
-    const cartFile = path.join(DATA_DIR, `cart_${sessionId}.json`);
-
-    if (!fs.existsSync(cartFile)) {
-      return res.json({ cart: [] });
-    }
-
-    const cartData = JSON.parse(fs.readFileSync(cartFile, 'utf8'));
-    res.json(cartData);
+    const shipments = loadShipments().filter((s) => s.order_id === req.params.id);
+    res.json({ order_id: req.params.id, shipments });
   } catch (err) {
-    log('Error retrieving cart', err.message || err);
-    res.status(500).json({ error: 'Unable to retrieve cart' });
+    log('Error fetching shipments', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch shipments' });
   }
 });
 
-// DELETE /api/cart - Clear cart
-app.delete('/api/cart', (req, res) => {
+// Public tracking: the order's packages and a timeline of everything that happened to it.
+app.get('/api/orders/:id/tracking', (req, res) => {
   try {
-    const sessionId = req.headers['x-session-id'] || 'default';
-    const cartFile = path.join(DATA_DIR, `cart_${sessionId}.json`);
-
-    if (fs.existsSync(cartFile)) {
-      fs.unlinkSync(cartFile);
+    const order = loadOrders().find((o) => o.id === req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
     }
-
-    res.json({ success: true, message: 'Cart cleared successfully' });
+    const shipments = loadShipments().filter(
+      (s) => s.order_id === order.id && s.status !== 'cancelled'
+    );
+    res.json({
+      order_id: order.id,
+      status: order.status,
+      estimated_delivery: order.shipping_quote?.delivery || null,
+      shipments: shipments.map(publicShipment),
+      timeline: trackingTimeline(order, shipments),
+    });
   } catch (err) {
-    log('Error clearing cart', err.message || err);
-    res.status(500).json({ error: 'Unable to clear cart' });
+    log('Error fetching tracking', err.message || err);
+    res.status(500).json({ error: 'Unable to fetch tracking' });
   }
 });
 
-// === ORDER MANAGEMENT API ENDPOINTS ===
-
-// POST /api/orders - Create new order
-app.post('/api/orders', async (req, res) => {
+app.get('/api/shipments/:id/label.pdf', requireAdmin('shipments'), async (req, res) => {
   try {
-    const { customer, shippingAddress, paymentMethod, items, subtotal, shipping, total } = req.body;
-
-    // Validation
-    if (!customer || !shippingAddress || !paymentMethod || !items || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'Missing required order information' });
+    const shipment = loadShipments().find((s) => s.id === req.params.id);
+    if (!shipment) {
+      return res.status(404).json({ error: 'Shipment not found' });
     }
+    const order = loadOrders().find((o) => o.id === shipment.order_id);
+    const label = await couriers.get(shipment.courier).label(shipment, order);
+    res.set('Content-Type', label.contentType);
+    res.set('Content-Disposition', `inline; filename="${shipment.awb}.pdf"`);
+    res.send(label.body);
+  } catch (err) {
+    log('Error fetching label', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to fetch label' });
+  }
+});
 
-    // Validate customer information
-    if (!customer.firstName || !customer.lastName || !customer.email || !customer.phone) {
-      return res.status(400).json({ error: 'Missing required customer information' });
-    }
+// Asks the courier for the latest scans instead of waiting for the next poll.
+app.post('/api/shipments/:id/refresh', requireAdmin('shipments'), async (req, res) => {
+  try {
+    const shipment = await refreshShipment(req.params.id);
+    res.json({ shipment });
+  } catch (err) {
+    log('Error refreshing shipment', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to refresh shipment' });
+  }
+});
 
-    // Validate shipping address
-    if (!shippingAddress.line1 || !shippingAddress.city || !shippingAddress.state || !shippingAddress.pincode) {
-      return res.status(400).json({ error: 'Missing required shipping information' });
-    }
+app.put(
+  '/api/orders/:id',
+  requireAdmin('orders:write'),
+  validateBody('orderUpdate'),
+  async (req, res) => {
+    try {
+      const { note, ...updates } = req.body || {};
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          error: `Nothing to update. Editable fields: ${ORDER_EDITABLE_FIELDS.join(', ')}`,
+        });
+      }
+      if (ORDER_SYSTEM_STATUSES.includes(updates.status)) {
+        return res.status(400).json({
+          error: `Orders become ${updates.status} through POST /api/orders/:id/refunds`,
+        });
+      }
+      if (updates.shipping_address !== undefined) {
+        updates.shipping_address = normalizeAddress(updates.shipping_address);
+        if (!isCompleteAddress(updates.shipping_address)) {
+          return res.status(400).json({ error: 'Missing required shipping information' });
+        }
+      }
 
-    // Validate payment method
-    if (!['razorpay', 'bank_transfer'].includes(paymentMethod)) {
-      return res.status(400).json({ error: 'Invalid payment method' });
+      let previousStatus;
+      let cashCollected = false;
+      let order = updateOrder(
+        req.params.id,
+        (current) => {
+          previousStatus = current.status;
+          if (updates.status !== undefined && !canTransitionOrder(current.status, updates.status)) {
+            const allowed = staffTransitions(current.status);
+            const err = new Error(
+              `Cannot change order status from ${current.status} to ${updates.status}` +
+                (allowed.length ? ` (allowed: ${allowed.join(', ')})` : '')
+            );
+            err.status = 409;
+            throw err;
+          }
+          cashCollected = collectsCashOnDelivery(current, updates.status);
+          const payment = cashCollected
+            ? { payment_status: 'paid', paid_amount: current.total }
+            : {};
+          return { ...current, ...updates, ...payment, updated_at: new Date().toISOString() };
+        },
+        { actor: adminActor(req), note }
+      );
+      if (order.status === 'cancelled' && previousStatus !== 'cancelled') {
+        releaseOrderStock(order.id, 'order_cancelled');
+        returnOrderStock(order.id, null, 'order_cancelled');
+        releaseCouponRedemption(order.id, 'order_cancelled');
+      }
+      if (cashCollected) {
+        recordCashCollection(order);
+      }
+      // Cancelling a paid order refunds what is left, as a customer cancellation does
+      let refund = null;
+      if (
+        order.status === 'cancelled' &&
+        previousStatus !== 'cancelled' &&
+        ['paid', 'partially_refunded'].includes(order.payment_status)
+      ) {
+        try {
+          ({ order, refund } = await refundOrder(
+            order.id,
+            { reason: note || 'Order cancelled by staff' },
+            { actor: adminActor(req) }
+          ));
+        } catch (err) {
+          // The order stays cancelled; staff retry the refund from the refunds endpoint.
+          log('Error refunding cancelled order', order.id, err.message || err);
+          return res.json({ order, refund: null, refund_error: err.message });
+        }
+      }
+      res.json({ order, refund });
+    } catch (err) {
+      log('Error updating order', err.message || err);
+      const status = err.status || (err.message === 'Order not found' ? 404 : 500);
+      res.status(status).json({ error: err.message || 'Unable to update order' });
     }
+  }
+);
 
-    const orders = loadOrders();
-    const orderId = 'ORD-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5).toUpperCase();
-
-    const newOrder = {
-      id: orderId,
-      customer: {
-        name: `${customer.firstName} ${customer.lastName}`,
-        email: customer.email,
-        phone: customer.phone
-      },
-      items: items.map(item => ({
-        product_id: item.product_id,
-        title: item.title,
-        size: item.size,
-        quantity: item.quantity,
-        price: item.price
-      })),
-      subtotal: Number(subtotal) || 0,
-      shipping: Number(shipping) || 0,
-      total: Number(total) || 0,
-      currency: 'INR',
-      status: paymentMethod === 'bank_transfer' ? 'pending' : 'pending',
-      payment_method: paymentMethod,
-      payment_status: paymentMethod === 'bank_transfer' ? 'pending' : 'pending',
-      shipping_address: {
-        line1: shippingAddress.line1,
-        line2: shippingAddress.line2 || '',
-        city: shippingAddress.city,
-        state: shippingAddress.state,
-        pincode: shippingAddress.pincode
-      },
-      created_at: new Date().toISOString(),
-      updated_at: new Date().toISOString()
-    };
-
-    // Add Razorpay order ID for online payments
-    if (paymentMethod === 'razorpay') {
-      // In a real implementation, you would create a Razorpay order here
-      // For now, we'll generate a mock order ID
-      newOrder.razorpayOrderId = 'order_' + Date.now();
+// Customers cancel their own order until it ships. Whatever was paid is refunded in full
+// and the items go back into stock.
+app.post('/api/orders/:id/cancel', async (req, res) => {
+  try {
+    const order = loadOrders().find((o) => o.id === req.params.id);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
     }
-
-    orders.push(newOrder);
-    const saved = saveOrders(orders);
-
-    if (!saved) {
-      return res.status(500).json({ error: 'Unable to save order' });
+    if (!customerOwnsOrder(req, order)) {
+      return res.status(403).json({ error: 'You cannot cancel this order' });
     }
 
-    // Update product stock
-    try {
-      const products = loadProducts();
-      let stockUpdated = false;
-
-      items.forEach(orderItem => {
-        const productIndex = products.findIndex(p => p.id === orderItem.product_id);
-        if (productIndex >= 0) {
-          const product = products[productIndex];
-          if (product.stock && product.stock[orderItem.size] !== undefined) {
-            product.stock[orderItem.size] -= orderItem.quantity;
-            if (product.stock[orderItem.size] < 0) {
-              product.stock[orderItem.size] = 0;
-            }
-            stockUpdated = true;
-          }
+    // Checked under the orders lock, against the order as it is now: a payment or a staff
+    // change may have landed since it was loaded above.
+    const reason = String(req.body?.reason || '').trim();
+    let updated = updateOrder(
+      order.id,
+      (current) => {
+        if (current.status === 'cancelled' || !canTransitionOrder(current.status, 'cancelled')) {
+          throw Object.assign(
+            new Error(`Order is ${current.status} and can no longer be cancelled`),
+            { status: 409 }
+          );
         }
-      });
+        return {
+          ...current,
+          status: 'cancelled',
+          cancellation_reason: reason,
+          cancelled_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        };
+      },
+      {
+        actor: req.customer ? `customer:${req.customer.id}` : 'customer',
+        note: reason || 'Cancelled by customer',
+      }
+    );
+    releaseOrderStock(order.id, 'order_cancelled');
+    returnOrderStock(order.id, null, 'order_cancelled');
+    releaseCouponRedemption(order.id, 'order_cancelled');
 
-      if (stockUpdated) {
-        saveProducts(products);
+    let refund = null;
+    if (['paid', 'partially_refunded'].includes(updated.payment_status)) {
+      try {
+        ({ order: updated, refund } = await refundOrder(
+          order.id,
+          { reason: reason || 'Order cancelled by customer' },
+          { actor: 'system' }
+        ));
+      } catch (err) {
+        // The order stays cancelled; staff retry the refund from the admin API.
+        log('Error refunding cancelled order', order.id, err.message || err);
+        return res.json({ order: publicOrder(updated), refund: null, refund_error: err.message });
       }
-    } catch (stockError) {
-      log('Warning: Could not update product stock', stockError.message || stockError);
     }
-
-    log('New order created', orderId, customer.email, 'Total:', newOrder.total);
-
-    res.status(201).json({
-      order: newOrder,
-      message: 'Order created successfully'
-    });
-
+    res.json({ order: publicOrder(updated), refund });
   } catch (err) {
-    log('Error creating order', err.message || err);
-    res.status(500).json({ error: 'Unable to create order' });
+    log('Error cancelling order', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to cancel order' });
   }
 });
 
-// GET /api/orders/:id - Retrieve order details
-app.get('/api/orders/:id', (req, res) => {
+// Full or partial refunds. Body: { items?: [{ sku, quantity }], amount?,
+// reason?, restock? }; with neither items nor amount everything left is refunded.
+app.post('/api/orders/:id/refunds', requireAdmin('refunds'), async (req, res) => {
   try {
-    const { id } = req.params;
-    const orders = loadOrders();
-    const order = orders.find(o => o.id === id);
-
-    if (!order) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
-
-    res.json({ order });
+    const { items, amount, reason, restock } = req.body || {};
+    const { order, refund } = await refundOrder(
+      req.params.id,
+      { items, amount, reason, restock: restock !== false },
+      { actor: adminActor(req) }
+    );
+    res.status(201).json({ refund, order });
   } catch (err) {
-    log('Error fetching order', err.message || err);
-    res.status(500).json({ error: 'Unable to fetch order' });
+    log('Error refunding order', req.params.id, err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to refund order' });
   }
 });
 
-// GET /api/orders - Get all orders (admin only)
-app.get('/api/orders', requireAdmin, (req, res) => {
+// Puts a failed email back in the queue
+app.post('/api/notifications/outbox/:id/retry', requireAdmin('notifications'), (req, res) => {
   try {
-    const { status, limit = 50, offset = 0 } = req.query;
-    let orders = loadOrders();
-
-    // Apply filters
-    if (status) {
-      orders = orders.filter(order => order.status === status);
+    const existing = loadList('email_outbox', 'messages').find((m) => m.id === req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Message not found' });
     }
-
-    // Sort by created date (newest first)
-    orders.sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-
-    // Apply pagination
-    const paginatedOrders = orders.slice(Number(offset), Number(offset) + Number(limit));
-
-    res.json({
-      orders: paginatedOrders,
-      total: orders.length,
-      filters: { status, limit, offset }
+    if (existing.status !== 'failed') {
+      return res
+        .status(409)
+        .json({ error: `Only failed messages can be retried (this one is ${existing.status})` });
+    }
+    const message = mutateList('email_outbox', 'messages', (messages) => {
+      const stored = messages.find((m) => m.id === req.params.id);
+      Object.assign(stored, {
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date().toISOString(),
+        updated_at: new Date().toISOString(),
+      });
+      return stored;
     });
+    setImmediate(processEmailOutbox);
+    const { html, text, ...summary } = message;
+    res.json({ message: summary });
   } catch (err) {
-    log('Error fetching orders', err.message || err);
-    res.status(500).json({ error: 'Unable to fetch orders' });
+    log('Error retrying email', err.message || err);
+    res.status(500).json({ error: 'Unable to retry email' });
   }
 });
 
-// PUT /api/orders/:id - Update order status (admin only)
-app.put('/api/orders/:id', requireAdmin, (req, res) => {
-  try {
-    const { id } = req.params;
-    const { status, payment_status, tracking_number, notes } = req.body;
+app.get('/', (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+});
 
-    const orders = loadOrders();
-    const orderIndex = orders.findIndex(o => o.id === id);
+app.get(['/login', '/account'], (req, res) => {
+  res.sendFile(path.join(PUBLIC_DIR, 'account.html'));
+});
 
-    if (orderIndex === -1) {
-      return res.status(404).json({ error: 'Order not found' });
-    }
+app.get('*', (req, res) => {
+  if (req.path.startsWith('/api') || req.path.startsWith('/payments')) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+  res.sendFile(path.join(PUBLIC_DIR, 'index.html'));
+});
 
-    const order = orders[orderIndex];
+// === PAYMENT PROCESSING ENDPOINTS ===
+// Every gateway goes through the same three routes; the order's payment_method picks the
+// provider. The older per-gateway URLs are kept as aliases for existing clients.
+
+// The older initiate URLs each belonged to one gateway
+const LEGACY_INITIATE_PROVIDERS = {
+  '/api/payment/initiate': 'razorpay',
+  '/payments/paytm/create': 'paytm',
+};
+
+// Start (or retry) payment for an order
+app.post(
+  ['/api/orders/:id/payment', ...Object.keys(LEGACY_INITIATE_PROVIDERS)],
+  async (req, res) => {
+    try {
+      checkProviderConfigured(payments.get(LEGACY_INITIATE_PROVIDERS[req.path]));
+      const orderId = req.params.id || req.body?.orderId;
+      if (!orderId) {
+        return res.status(400).json({ error: 'Missing required payment information' });
+      }
+      const order = loadOrders().find((o) => o.id === orderId);
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
+      if (order.payment_status === 'paid') {
+        return res.status(409).json({ error: 'Order is already paid' });
+      }
+      if (!['pending', 'failed'].includes(order.status)) {
+        return res
+          .status(409)
+          .json({ error: `Order is ${order.status} and can no longer be paid` });
+      }
 
-    // Update allowed fields
-    if (status && ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'].includes(status)) {
-      order.status = status;
+      const payment = await initiatePayment(order);
+      res.json({ provider: order.payment_method, ...payment });
+    } catch (err) {
+      log('Error initiating payment', err.message || err);
+      res.status(err.status || 502).json({ error: err.message || 'Unable to initiate payment' });
     }
+  }
+);
 
-    if (payment_status && ['pending', 'paid', 'failed', 'refunded'].includes(payment_status)) {
-      order.payment_status = payment_status;
-    }
+// Confirm a payment with the data the browser got back from the gateway
+app.post(
+  ['/api/orders/:id/payment/verify', '/api/payment/verify', '/payments/upi/confirm'],
+  async (req, res) => {
+    try {
+      const params = req.body || {};
+      const orderId = req.params.id || params.orderId;
+      if (!orderId) {
+        return res.status(400).json({ error: 'Missing orderId' });
+      }
+      const order = loadOrders().find((o) => o.id === orderId);
+      if (!order) {
+        return res.status(404).json({ error: 'Order not found' });
+      }
 
-    if (tracking_number) {
-      order.tracking_number = tracking_number;
-    }
+      const provider = payments.get(order.payment_method);
+      const result = await provider.verify(order, params, findPaymentRecord(order.id));
+      let updated = applyPaymentResult(order.id, result, {
+        action: 'verify',
+        actor: provider.name,
+      });
+      if (updated.payment_status === 'payment_review') {
+        const earlier = loadStatementEntries().filter((e) => e.utr === result.reference);
+        if (earlier.length > 0) {
+          reconcileUpiClaims(earlier, 'Matched an earlier bank statement');
+          updated = loadOrders().find((o) => o.id === order.id);
+        }
+      }
 
-    if (notes) {
-      order.admin_notes = notes;
+      log('Payment verified', order.id, provider.name, result.status);
+      res.json({ success: true, order: publicOrder(updated) });
+    } catch (err) {
+      log('Error verifying payment', err.message || err);
+      res.status(err.status || 500).json({ error: err.message || 'Unable to verify payment' });
     }
+  }
+);
+
+// Import a bank/UPI statement (CSV as multipart `file` or JSON `{ csv, filename }`) and
+// settle the UPI claims it proves
+app.post(
+  '/api/payments/upi/statements',
+  requireAdmin('payments'),
+  statementUpload.single('file'),
+  (req, res) => {
+    try {
+      const csv = req.file ? req.file.buffer.toString('utf8') : req.body?.csv;
+      if (!csv) {
+        return res.status(400).json({ error: 'Missing statement file' });
+      }
+      const filename = req.file?.originalname || req.body?.filename || 'statement.csv';
+      const { entries, errors } = parseStatement(csv);
+      if (entries.length === 0) {
+        return res.status(400).json({ error: 'No credit entries found in statement', errors });
+      }
 
-    order.updated_at = new Date().toISOString();
-
-    orders[orderIndex] = order;
-    const saved = saveOrders(orders);
+      const statement = {
+        id: uuidv4(),
+        filename,
+        imported_at: new Date().toISOString(),
+        entries,
+        errors,
+      };
+      mutateList('upi_statements', 'statements', (statements) => {
+        statements.push(statement);
+      });
 
-    if (!saved) {
-      return res.status(500).json({ error: 'Unable to update order' });
+      const report = reconcileUpiClaims(entries, `Matched bank statement ${filename}`);
+      log('Imported UPI statement', filename, {
+        entries: entries.length,
+        matched: report.matched.length,
+      });
+      res
+        .status(201)
+        .json({ statement_id: statement.id, entries: entries.length, errors, ...report });
+    } catch (err) {
+      log('Error importing UPI statement', err.message || err);
+      res.status(500).json({ error: 'Unable to import statement' });
     }
-
-    log('Order updated', id, 'Status:', status || 'unchanged');
-
-    res.json({ order });
-  } catch (err) {
-    log('Error updating order', err.message || err);
-    res.status(500).json({ error: 'Unable to update order' });
   }
-});
-
-// === PAYMENT PROCESSING ENDPOINTS ===
+);
 
-// POST /api/payment/initiate - Initiate payment (Razorpay)
-app.post('/api/payment/initiate', async (req, res) => {
+// Reject a UPI claim that no statement backs up; the order's stock is released
+app.post('/api/payments/upi/:orderId/reject', requireAdmin('payments'), (req, res) => {
   try {
-    const { orderId, amount, currency = 'INR' } = req.body;
-
-    if (!orderId || !amount) {
-      return res.status(400).json({ error: 'Missing required payment information' });
+    const order = loadOrders().find((o) => o.id === req.params.orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
     }
-
-    // In a real implementation, you would integrate with Razorpay API
-    // For now, we'll return a mock order ID
-    const razorpayOrderId = 'order_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
-
-    res.json({
-      razorpayOrderId,
-      amount: Number(amount),
-      currency,
-      key: process.env.RAZORPAY_KEY_ID || 'rzp_test_1DP5mmOlF5G5ag'
-    });
-
+    if (order.payment_status !== 'payment_review') {
+      return res.status(409).json({ error: 'Order has no UPI payment under review' });
+    }
+    const updated = applyPaymentResult(
+      order.id,
+      {
+        status: 'failed',
+        reference: order.payment_reference,
+        note: req.body?.reason || 'UPI payment not found in bank statement',
+      },
+      { action: 'reject', actor: adminActor(req) }
+    );
+    res.json({ order: updated });
   } catch (err) {
-    log('Error initiating payment', err.message || err);
-    res.status(500).json({ error: 'Unable to initiate payment' });
+    log('Error rejecting UPI payment', err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to reject payment' });
   }
 });
 
-// POST /api/payment/verify - Verify payment completion
-app.post('/api/payment/verify', (req, res) => {
+// Gateway notifications, e.g. /payments/paytm/webhook and /payments/razorpay/webhook
+app.post('/payments/:provider/webhook', async (req, res) => {
   try {
-    const { orderId, razorpay_payment_id, razorpay_order_id, razorpay_signature } = req.body;
-
-    if (!orderId || !razorpay_payment_id || !razorpay_order_id || !razorpay_signature) {
-      return res.status(400).json({ error: 'Missing required payment verification data' });
+    const provider = payments.get(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: 'Not found' });
     }
 
-    // In a real implementation, you would verify the Razorpay signature
-    // For now, we'll simulate successful verification
-
-    const orders = loadOrders();
-    const orderIndex = orders.findIndex(o => o.id === orderId);
-
-    if (orderIndex === -1) {
-      return res.status(404).json({ error: 'Order not found' });
+    const result = await provider.handleWebhook({
+      headers: req.headers,
+      body: req.body || {},
+      rawBody: req.rawBody,
+    });
+    if (!result) {
+      return res.json({ success: true, ignored: true });
     }
 
-    const order = orders[orderIndex];
-    order.payment_status = 'paid';
-    order.status = 'confirmed';
-    order.payment_id = razorpay_payment_id;
-    order.updated_at = new Date().toISOString();
-
-    orders[orderIndex] = order;
-    const saved = saveOrders(orders);
-
-    if (!saved) {
-      return res.status(500).json({ error: 'Unable to update order payment status' });
+    const orderId =
+      result.orderId ||
+      loadPaymentAttempts().find(
+        (r) => result.gatewayOrderId && r.gateway_order_id === result.gatewayOrderId
+      )?.order_id;
+    if (!orderId || !loadOrders().some((o) => o.id === orderId)) {
+      // Acknowledge so the gateway stops retrying events for orders we do not know.
+      log('Webhook for unknown order', provider.name, orderId || result.gatewayOrderId);
+      return res.json({ success: true, ignored: true });
     }
 
-    log('Payment verified', orderId, 'Payment ID:', razorpay_payment_id);
-
-    res.json({
-      success: true,
-      order,
-      message: 'Payment verified successfully'
-    });
-
+    applyPaymentResult(orderId, result, { action: 'webhook', actor: provider.name });
+    res.json({ success: true });
   } catch (err) {
-    log('Error verifying payment', err.message || err);
-    res.status(500).json({ error: 'Unable to verify payment' });
+    log('Error processing payment webhook', req.params.provider, err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to process webhook' });
   }
 });
 
-// Serve kapoor.html for root explicitly (so visiting / shows the page)
-app.get('/', (req, res) => {
-  res.sendFile(path.join(__dirname, 'kapoor.html'));
+// Courier scan notifications, e.g. /couriers/fake/webhook
+app.post('/couriers/:courier/webhook', async (req, res) => {
+  try {
+    const courier = couriers.get(req.params.courier);
+    if (!courier) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    const result = await courier.handleWebhook({
+      headers: req.headers,
+      body: req.body || {},
+      rawBody: req.rawBody,
+    });
+    const shipment =
+      result && loadShipments().find((s) => s.courier === courier.name && s.awb === result.awb);
+    if (!shipment) {
+      // Acknowledge so the courier stops retrying events for packages we do not know.
+      return res.json({ success: true, ignored: true });
+    }
+    recordTracking(shipment.id, result.events, { actor: courier.name });
+    res.json({ success: true });
+  } catch (err) {
+    log('Error processing courier webhook', req.params.courier, err.message || err);
+    res.status(err.status || 500).json({ error: err.message || 'Unable to process webhook' });
+  }
 });
 
 app.listen(PORT, () => {
   log(`Server listening on http://localhost:${PORT}`);
+  if (!BOOTSTRAP_KEY_ENABLED) {
+    log('Warning: ADMIN_API_KEY is not set, so only admin users can sign in');
+  }
 });
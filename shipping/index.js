@@ -0,0 +1,28 @@
+const {
+  DEFAULT_RATE_CARD,
+  isValidPincode,
+  parseDimensions,
+  findZone,
+  measureParcel,
+  quoteShipping,
+} = require('./rates');
+
+// Shipping quotes:
+//
+//   quoteShipping({ rateCard, items, pincode?, paymentMethod?, orderValue?, now? })
+//       -> { serviceable: false, reason } or
+//          { serviceable: true, estimated, zone, parcel, rate, cod_available, cod_fee,
+//            charge, delivery: { min_days, max_days, estimated_from, estimated_to } }
+//
+// `items` are { quantity, dimensions, weight_grams? }; items without a weight weigh as
+// much as their paper. The rate card lives in data/shipping_rates.json;
+// server.js decides how quotes combine with offers and whether an order may be placed.
+
+module.exports = {
+  DEFAULT_RATE_CARD,
+  isValidPincode,
+  parseDimensions,
+  findZone,
+  measureParcel,
+  quoteShipping,
+};
@@ -0,0 +1,203 @@
+// Shipping charges from a rate card. Prints ship rolled in a tube, so the parcel is priced
+// on the larger of its actual and volumetric weight, in slabs, at the rate of the zone the
+// destination pincode falls in.
+
+const CUBIC_CM_PER_CUBIC_INCH = 16.387;
+const GRAMS_PER_SQ_INCH_PER_GSM = 0.00064516;
+
+// Used when the prices are shown before the customer has entered a pincode, and as the
+// seed for data/shipping_rates.json.
+const DEFAULT_RATE_CARD = {
+  origin_pincode: '400001',
+  processing_days: 1,
+  paper_gsm: 250,
+  packaging_weight_grams: 150,
+  tube: { extra_length_in: 2, diameter_in: 3, large_diameter_in: 4, large_from_items: 10 },
+  volumetric_divisor: 5000,
+  slab_grams: 500,
+  default_item_dimensions: '12x18 inches',
+  default_zone: 'national',
+  cod: { fee: 35, percent: 2, max_order_value: 5000 },
+  zones: [
+    {
+      id: 'local',
+      label: 'Mumbai & Thane',
+      prefixes: ['400', '401', '421'],
+      first_slab: 40,
+      additional_slab: 15,
+      days: [1, 2],
+      cod: true,
+    },
+    {
+      id: 'regional',
+      label: 'West India',
+      prefixes: ['4', '36', '37', '38', '39'],
+      first_slab: 55,
+      additional_slab: 20,
+      days: [2, 4],
+      cod: true,
+    },
+    {
+      id: 'metro',
+      label: 'Metro cities',
+      prefixes: ['110', '500', '560', '600', '700'],
+      first_slab: 65,
+      additional_slab: 25,
+      days: [2, 4],
+      cod: true,
+    },
+    {
+      id: 'national',
+      label: 'Rest of India',
+      prefixes: ['1', '2', '3', '5', '6', '7', '8'],
+      first_slab: 79,
+      additional_slab: 30,
+      days: [3, 6],
+      cod: true,
+    },
+    {
+      id: 'remote',
+      label: 'North East, J&K and islands',
+      prefixes: ['18', '19', '78', '79', '744', '682559'],
+      first_slab: 119,
+      additional_slab: 45,
+      days: [6, 10],
+      cod: false,
+    },
+  ],
+  unserviceable_prefixes: ['9'],
+};
+
+function isValidPincode(pincode) {
+  return /^[1-9]\d{5}$/.test(String(pincode || ''));
+}
+
+// "8x12 inches" -> { width: 8, height: 12 }
+function parseDimensions(text) {
+  const match = String(text || '').match(/(\d+(?:\.\d+)?)\s*[x×]\s*(\d+(?:\.\d+)?)/i);
+  return match ? { width: Number(match[1]), height: Number(match[2]) } : null;
+}
+
+// The longest matching prefix wins, so '400' (local) beats '4' (regional).
+function findZone(rateCard, pincode) {
+  let best = null;
+  for (const zone of rateCard.zones) {
+    for (const prefix of zone.prefixes) {
+      if (String(pincode).startsWith(prefix) && (!best || prefix.length > best.prefix.length)) {
+        best = { zone, prefix };
+      }
+    }
+  }
+  return best ? best.zone : null;
+}
+
+// `items` are { quantity, dimensions, weight_grams? } with dimensions like "8x12 inches".
+// All prints go rolled together in one tube as long as the largest print; an item's
+// weight_grams (a framed print) replaces the weight of its paper.
+function measureParcel(rateCard, items) {
+  let longest = 0;
+  let count = 0;
+  let paperGrams = 0;
+  for (const item of items) {
+    const size =
+      parseDimensions(item.dimensions) || parseDimensions(rateCard.default_item_dimensions);
+    const quantity = Number(item.quantity || 1);
+    longest = Math.max(longest, size.width, size.height);
+    count += quantity;
+    const gramsPerPrint =
+      Number(item.weight_grams) > 0
+        ? Number(item.weight_grams)
+        : size.width * size.height * rateCard.paper_gsm * GRAMS_PER_SQ_INCH_PER_GSM;
+    paperGrams += gramsPerPrint * quantity;
+  }
+  const { tube } = rateCard;
+  const length = longest + tube.extra_length_in;
+  const diameter = count >= tube.large_from_items ? tube.large_diameter_in : tube.diameter_in;
+  const actual = Math.round(paperGrams + rateCard.packaging_weight_grams);
+  const volumetric = Math.round(
+    ((length * diameter * diameter * CUBIC_CM_PER_CUBIC_INCH) / rateCard.volumetric_divisor) * 1000
+  );
+  const slabs = Math.ceil(Math.max(actual, volumetric) / rateCard.slab_grams);
+  return {
+    length_in: length,
+    diameter_in: diameter,
+    actual_weight_grams: actual,
+    volumetric_weight_grams: volumetric,
+    chargeable_weight_grams: slabs * rateCard.slab_grams,
+  };
+}
+
+// Adds working days (Sundays off) to a date; returns YYYY-MM-DD.
+function addWorkingDays(date, days) {
+  const result = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  let left = days;
+  while (left > 0) {
+    result.setUTCDate(result.getUTCDate() + 1);
+    if (result.getUTCDay() !== 0) {
+      left -= 1;
+    }
+  }
+  return result.toISOString().slice(0, 10);
+}
+
+// Prices a shipment. Without a pincode the rate card's default zone is used and the quote
+// is marked `estimated`. `orderValue` is what the COD fee percentage applies to.
+function quoteShipping({
+  rateCard = DEFAULT_RATE_CARD,
+  items,
+  pincode,
+  paymentMethod,
+  orderValue = 0,
+  now = new Date(),
+}) {
+  const code = pincode ? String(pincode).trim() : '';
+  if (code && !isValidPincode(code)) {
+    return { pincode: code, serviceable: false, reason: 'Enter a valid 6-digit PIN code' };
+  }
+  let zone = null;
+  if (!code) {
+    zone = rateCard.zones.find((z) => z.id === rateCard.default_zone);
+  } else if (!rateCard.unserviceable_prefixes.some((prefix) => code.startsWith(prefix))) {
+    zone = findZone(rateCard, code);
+  }
+  if (!zone) {
+    return { pincode: code, serviceable: false, reason: `We do not deliver to ${code} yet` };
+  }
+
+  const parcel = measureParcel(rateCard, items);
+  const slabs = parcel.chargeable_weight_grams / rateCard.slab_grams;
+  const rate = zone.first_slab + Math.max(slabs - 1, 0) * zone.additional_slab;
+  const codAvailable = zone.cod !== false && orderValue <= rateCard.cod.max_order_value;
+  const codFee =
+    paymentMethod === 'cod'
+      ? Math.max(rateCard.cod.fee, Math.ceil((orderValue * rateCard.cod.percent) / 100))
+      : 0;
+
+  const [minDays, maxDays] = zone.days;
+  return {
+    pincode: code || null,
+    serviceable: true,
+    estimated: !code,
+    zone: { id: zone.id, label: zone.label },
+    parcel,
+    rate,
+    cod_available: codAvailable,
+    cod_fee: codFee,
+    charge: rate + codFee,
+    delivery: {
+      min_days: rateCard.processing_days + minDays,
+      max_days: rateCard.processing_days + maxDays,
+      estimated_from: addWorkingDays(now, rateCard.processing_days + minDays),
+      estimated_to: addWorkingDays(now, rateCard.processing_days + maxDays),
+    },
+  };
+}
+
+module.exports = {
+  DEFAULT_RATE_CARD,
+  isValidPincode,
+  parseDimensions,
+  findZone,
+  measureParcel,
+  quoteShipping,
+};
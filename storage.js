@@ -0,0 +1,274 @@
+const fs = require('fs');
+const path = require('path');
+
+// Repository layer behind every data/*.json collection. A collection is a named JSON
+// document (e.g. `orders` -> { orders: [...] }). Two backends are available:
+//   - json:   one file per collection, written via temp file + rename so a crash never
+//             leaves a half-written file, guarded by a per-collection lock file
+//   - sqlite: one row per collection in an embedded SQLite database (better-sqlite3)
+// Select the backend with STORAGE_BACKEND=json|sqlite.
+
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 10;
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+function assertCollectionName(collection) {
+  if (!/^[a-zA-Z0-9_\-]+$/.test(String(collection))) {
+    throw new Error(`Invalid collection name: ${collection}`);
+  }
+}
+
+function createJsonBackend({ dataDir, log }) {
+  const filePath = (collection) => path.join(dataDir, `${collection}.json`);
+
+  function acquireLock(collection) {
+    const lockPath = `${filePath(collection)}.lock`;
+    const startedAt = Date.now();
+    for (;;) {
+      try {
+        const fd = fs.openSync(lockPath, 'wx');
+        fs.writeSync(fd, String(process.pid));
+        fs.closeSync(fd);
+        return lockPath;
+      } catch (err) {
+        if (err.code !== 'EEXIST') {
+          throw err;
+        }
+        try {
+          if (Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS) {
+            log('Removing stale lock', lockPath);
+            fs.unlinkSync(lockPath);
+            continue;
+          }
+        } catch (statErr) {
+          /* lock released between open and stat */
+        }
+        if (Date.now() - startedAt > LOCK_TIMEOUT_MS) {
+          throw new Error(`Timed out waiting for lock on ${collection}`);
+        }
+        sleepSync(LOCK_RETRY_MS);
+      }
+    }
+  }
+
+  return {
+    name: 'json',
+
+    read(collection, fallback, { strict = false } = {}) {
+      const file = filePath(collection);
+      try {
+        if (!fs.existsSync(file)) {
+          return fallback;
+        }
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+      } catch (err) {
+        log('Error reading JSON', file, err.message || err);
+        if (strict) {
+          throw new Error(`Unable to read collection ${collection}: ${err.message || err}`);
+        }
+        return fallback;
+      }
+    },
+
+    write(collection, data) {
+      const file = filePath(collection);
+      const tmpFile = `${file}.${process.pid}.tmp`;
+      const fd = fs.openSync(tmpFile, 'w');
+      try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tmpFile, file);
+    },
+
+    exists(collection) {
+      return fs.existsSync(filePath(collection));
+    },
+
+    remove(collection) {
+      const file = filePath(collection);
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    },
+
+    transaction(collection, fn) {
+      const lockPath = acquireLock(collection);
+      try {
+        return fn();
+      } finally {
+        fs.rmSync(lockPath, { force: true });
+      }
+    },
+  };
+}
+
+function createSqliteBackend({ sqlitePath, log }) {
+  let Database;
+  try {
+    Database = require('better-sqlite3');
+  } catch (err) {
+    throw new Error('STORAGE_BACKEND=sqlite requires the optional "better-sqlite3" package');
+  }
+
+  const db = new Database(sqlitePath);
+  db.pragma('journal_mode = WAL');
+  db.pragma('busy_timeout = 5000');
+  db.exec(`CREATE TABLE IF NOT EXISTS collections (
+    name TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+
+  const selectStmt = db.prepare('SELECT data FROM collections WHERE name = ?');
+  const upsertStmt = db.prepare(
+    `INSERT INTO collections (name, data, updated_at) VALUES (?, ?, ?)
+     ON CONFLICT(name) DO UPDATE SET data = excluded.data, updated_at = excluded.updated_at`
+  );
+  const deleteStmt = db.prepare('DELETE FROM collections WHERE name = ?');
+
+  log('Using SQLite storage', sqlitePath);
+
+  return {
+    name: 'sqlite',
+
+    read(collection, fallback, { strict = false } = {}) {
+      const row = selectStmt.get(collection);
+      if (!row) {
+        return fallback;
+      }
+      try {
+        return JSON.parse(row.data);
+      } catch (err) {
+        log('Error parsing SQLite collection', collection, err.message || err);
+        if (strict) {
+          throw new Error(`Unable to read collection ${collection}: ${err.message || err}`);
+        }
+        return fallback;
+      }
+    },
+
+    write(collection, data) {
+      upsertStmt.run(collection, JSON.stringify(data), new Date().toISOString());
+    },
+
+    exists(collection) {
+      return Boolean(selectStmt.get(collection));
+    },
+
+    remove(collection) {
+      deleteStmt.run(collection);
+    },
+
+    transaction(collection, fn) {
+      return db.transaction(fn).immediate();
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+function createStorage({
+  dataDir,
+  backend = process.env.STORAGE_BACKEND || 'json',
+  sqlitePath = process.env.SQLITE_PATH || path.join(dataDir, 'store.sqlite'),
+  log = () => {},
+} = {}) {
+  let impl;
+  if (backend === 'sqlite') {
+    impl = createSqliteBackend({ sqlitePath, log });
+  } else if (backend === 'json') {
+    impl = createJsonBackend({ dataDir, log });
+  } else {
+    throw new Error(`Unknown STORAGE_BACKEND: ${backend}`);
+  }
+
+  // Locks are re-entrant so an update on one collection can call helpers that
+  // take the same lock again.
+  const held = new Map();
+
+  function withLock(collection, fn) {
+    assertCollectionName(collection);
+    if (held.get(collection)) {
+      return fn();
+    }
+    return impl.transaction(collection, () => {
+      held.set(collection, true);
+      try {
+        return fn();
+      } finally {
+        held.delete(collection);
+      }
+    });
+  }
+
+  return {
+    backend: impl.name,
+
+    // A collection that is missing reads as `fallback`. One that cannot be parsed does too,
+    // except under its lock: whatever is read there is about to be written back, and
+    // writing the fallback would wipe the collection.
+    read(collection, fallback) {
+      assertCollectionName(collection);
+      return impl.read(collection, fallback, { strict: held.has(collection) });
+    },
+
+    write(collection, data) {
+      assertCollectionName(collection);
+      try {
+        withLock(collection, () => impl.write(collection, data));
+        return true;
+      } catch (err) {
+        log('Error writing collection', collection, err.message || err);
+        return false;
+      }
+    },
+
+    // Read-modify-write under the collection lock. The mutator changes `data` in place;
+    // whatever it returns is handed back to the caller. Nothing is written if it throws,
+    // or if the stored collection cannot be parsed.
+    update(collection, fallback, mutator) {
+      return withLock(collection, () => {
+        const data = impl.read(collection, fallback, { strict: true });
+        const result = mutator(data);
+        impl.write(collection, data);
+        return result;
+      });
+    },
+
+    exists(collection) {
+      assertCollectionName(collection);
+      return impl.exists(collection);
+    },
+
+    ensure(collection, initialValue) {
+      assertCollectionName(collection);
+      if (!impl.exists(collection)) {
+        withLock(collection, () => impl.write(collection, initialValue));
+      }
+    },
+
+    remove(collection) {
+      assertCollectionName(collection);
+      withLock(collection, () => impl.remove(collection));
+    },
+
+    withLock,
+
+    close() {
+      if (impl.close) {
+        impl.close();
+      }
+    },
+  };
+}
+
+module.exports = { createStorage };
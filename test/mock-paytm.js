@@ -0,0 +1,194 @@
+// Minimal stand-in for the Paytm All-in-One API, used to exercise checkout, status checks
+// and refunds without network access. Start the store with
+//   PAYTM_MID=mock_mid PAYTM_MERCHANT_KEY=mockmerchantkey1 PAYTM_API_BASE=http://localhost:4011
+// and run this file (or let test/test-api.js start it). Every request must carry a
+// signature made with the merchant key.
+//
+//   POST /theia/api/v1/initiateTransaction - start a transaction, returns a txnToken
+//   POST /v3/order/status       - the transaction of an order
+//   POST /refund/apply          - refund a successful transaction (full or partial)
+//   POST /mock/orders/:id/pay   - mock only: simulate the customer paying. Body
+//                                 { outcome: 'success' | 'failure' }. Sends the matching
+//                                 signed webhook.
+//   POST /mock/refund-outcome   - mock only: { status: 'TXN_SUCCESS' | 'PENDING' |
+//                                 'TXN_FAILURE' } answers the next refunds with that status
+//   POST /mock/initiate-outcome - mock only: { status: 'S' | 'F' } answers the next
+//                                 initiateTransaction calls with that status
+
+const http = require('http');
+const crypto = require('crypto');
+const PaytmChecksum = require('paytmchecksum');
+
+function randomId(prefix) {
+  return `${prefix}${crypto.randomBytes(6).toString('hex').toUpperCase()}`;
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (d) => (body += d));
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (err) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+function send(res, status, json) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(json));
+}
+
+function resultInfo(resultStatus, resultMsg, resultCode = '01') {
+  return { resultStatus, resultCode, resultMsg };
+}
+
+async function postWebhook(url, merchantKey, body) {
+  const signature = await PaytmChecksum.generateSignature(JSON.stringify(body), merchantKey);
+  const payload = JSON.stringify({ head: { signature }, body });
+  return new Promise((resolve) => {
+    const req = http.request(
+      url,
+      { method: 'POST', headers: { 'Content-Type': 'application/json' } },
+      (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      }
+    );
+    req.on('error', () => resolve(0));
+    req.end(payload);
+  });
+}
+
+function createMockPaytm({ mid, merchantKey, webhookUrl }) {
+  // orderId -> { orderId, amount, status, txnId, refunded }
+  const transactions = new Map();
+  let refundOutcome = 'TXN_SUCCESS';
+  let initiateOutcome = 'S';
+
+  function transactionBody(txn) {
+    const statuses = { success: 'TXN_SUCCESS', failure: 'TXN_FAILURE', created: 'PENDING' };
+    return {
+      orderId: txn.orderId,
+      txnId: txn.txnId,
+      txnAmount: txn.amount,
+      resultInfo: resultInfo(statuses[txn.status], `Transaction ${txn.status}`),
+    };
+  }
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    const payload = await readJson(req);
+
+    if (parts[0] === 'mock') {
+      if (req.method === 'POST' && parts[1] === 'refund-outcome') {
+        refundOutcome = payload?.status || 'TXN_SUCCESS';
+        return send(res, 200, { status: refundOutcome });
+      }
+      if (req.method === 'POST' && parts[1] === 'initiate-outcome') {
+        initiateOutcome = payload?.status || 'S';
+        return send(res, 200, { status: initiateOutcome });
+      }
+      const txn = transactions.get(parts[2]);
+      if (req.method !== 'POST' || parts[1] !== 'orders' || parts[3] !== 'pay' || !txn) {
+        return send(res, 404, { error: 'Not found' });
+      }
+      txn.status = payload?.outcome === 'failure' ? 'failure' : 'success';
+      txn.txnId = randomId('TXN');
+      const webhookStatus = webhookUrl
+        ? await postWebhook(webhookUrl, merchantKey, transactionBody(txn))
+        : null;
+      return send(res, 200, {
+        txnId: txn.txnId,
+        status: txn.status,
+        webhook_status: webhookStatus,
+      });
+    }
+
+    const body = payload?.body;
+    const signature = payload?.head?.signature;
+    if (
+      req.method !== 'POST' ||
+      !body ||
+      !signature ||
+      !PaytmChecksum.verifySignature(JSON.stringify(body), merchantKey, signature)
+    ) {
+      return send(res, 401, { body: { resultInfo: resultInfo('F', 'Checksum mismatch', '330') } });
+    }
+    if (body.mid !== mid) {
+      return send(res, 200, { body: { resultInfo: resultInfo('F', 'Invalid mid', '334') } });
+    }
+
+    if (url.pathname === '/theia/api/v1/initiateTransaction') {
+      if (initiateOutcome !== 'S') {
+        return send(res, 200, {
+          body: { resultInfo: resultInfo(initiateOutcome, 'System error', '501') },
+        });
+      }
+      transactions.set(body.orderId, {
+        orderId: body.orderId,
+        amount: body.txnAmount?.value,
+        status: 'created',
+        txnId: null,
+        refunded: 0,
+      });
+      return send(res, 200, {
+        body: { resultInfo: resultInfo('S', 'Success', '0000'), txnToken: randomId('TOKEN') },
+      });
+    }
+
+    const txn = transactions.get(body.orderId);
+    if (!txn) {
+      return send(res, 200, { body: { resultInfo: resultInfo('TXN_FAILURE', 'Invalid order') } });
+    }
+
+    if (url.pathname === '/v3/order/status') {
+      return send(res, 200, { body: transactionBody(txn) });
+    }
+
+    if (url.pathname === '/refund/apply') {
+      const amount = Number(body.refundAmount);
+      const refundable = Number(txn.amount) - txn.refunded;
+      if (txn.status !== 'success' || body.txnId !== txn.txnId || !(amount <= refundable)) {
+        return send(res, 200, {
+          body: { resultInfo: resultInfo('TXN_FAILURE', 'Refund amount is not valid', '617') },
+        });
+      }
+      if (refundOutcome === 'TXN_FAILURE') {
+        return send(res, 200, {
+          body: { resultInfo: resultInfo('TXN_FAILURE', 'Refund failed at the bank', '501') },
+        });
+      }
+      txn.refunded += amount;
+      return send(res, 200, {
+        body: {
+          orderId: txn.orderId,
+          txnId: txn.txnId,
+          refId: body.refId,
+          refundId: randomId('RFND'),
+          refundAmount: body.refundAmount,
+          resultInfo: resultInfo(refundOutcome, 'Refund request accepted', '601'),
+        },
+      });
+    }
+
+    return send(res, 404, { error: 'Not found' });
+  });
+}
+
+module.exports = { createMockPaytm };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_PAYTM_PORT || 4011);
+  createMockPaytm({
+    mid: process.env.PAYTM_MID || 'mock_mid',
+    merchantKey: process.env.PAYTM_MERCHANT_KEY || 'mockmerchantkey1',
+    webhookUrl:
+      process.env.PAYTM_WEBHOOK_URL ||
+      `http://localhost:${process.env.PORT || 3000}/payments/paytm/webhook`,
+  }).listen(port, () => console.log(`Mock Paytm listening on http://localhost:${port}`));
+}
@@ -0,0 +1,201 @@
+// Minimal stand-in for the Razorpay Orders API, used to exercise the payment flow end to end
+// without network access. Start the store with
+//   RAZORPAY_KEY_ID=rzp_test_mock RAZORPAY_KEY_SECRET=mock_key_secret \
+//   RAZORPAY_WEBHOOK_SECRET=mock_webhook_secret RAZORPAY_API_BASE=http://localhost:4010/v1
+// and run this file (or let test/test-api.js start it).
+//
+//   POST /v1/orders          - create an order (Basic auth with key id/secret)
+//   GET  /v1/orders/:id      - fetch an order
+//   GET  /v1/orders/:id/payments - payments made against an order
+//   POST /v1/payments/:id/refund - refund a captured payment (full or partial)
+//   POST /v1/orders/:id/pay  - mock only: simulate the customer paying through Checkout.
+//                              Body { outcome: 'captured' | 'failed' }. Sends the matching
+//                              signed webhook and returns what Checkout hands the browser.
+
+const http = require('http');
+const crypto = require('crypto');
+
+function randomId(prefix) {
+  return `${prefix}_${crypto.randomBytes(7).toString('hex')}`;
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (d) => (body += d));
+    req.on('end', () => {
+      try {
+        resolve(body ? JSON.parse(body) : {});
+      } catch (err) {
+        resolve(null);
+      }
+    });
+  });
+}
+
+function send(res, status, json) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(json));
+}
+
+function sendError(res, status, description) {
+  send(res, status, { error: { code: 'BAD_REQUEST_ERROR', description } });
+}
+
+function postWebhook(url, secret, event) {
+  const body = JSON.stringify(event);
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  return new Promise((resolve) => {
+    const req = http.request(
+      url,
+      {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'X-Razorpay-Signature': signature },
+      },
+      (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      }
+    );
+    req.on('error', () => resolve(0));
+    req.end(body);
+  });
+}
+
+function createMockRazorpay({ keyId, keySecret, webhookSecret, webhookUrl }) {
+  const orders = new Map();
+  const payments = new Map();
+  const expectedAuth = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+
+  return http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const parts = url.pathname.split('/').filter(Boolean);
+    const isMockPay = req.method === 'POST' && parts[3] === 'pay';
+    if (parts[0] !== 'v1' || !['orders', 'payments'].includes(parts[1])) {
+      return sendError(res, 404, 'The requested URL was not found on the server.');
+    }
+    if (!isMockPay && req.headers.authorization !== expectedAuth) {
+      return sendError(res, 401, 'Authentication failed');
+    }
+
+    if (parts[1] === 'payments') {
+      const payment = payments.get(parts[2]);
+      if (!payment) {
+        return sendError(res, 400, 'The id provided does not exist');
+      }
+      if (req.method === 'POST' && parts[3] === 'refund') {
+        const body = (await readJson(req)) || {};
+        const amount = body.amount || payment.amount - payment.amount_refunded;
+        if (payment.status !== 'captured' || amount > payment.amount - payment.amount_refunded) {
+          return sendError(res, 400, 'The refund amount provided is greater than amount captured');
+        }
+        payment.amount_refunded += amount;
+        return send(res, 200, {
+          id: randomId('rfnd'),
+          entity: 'refund',
+          amount,
+          currency: payment.currency,
+          payment_id: payment.id,
+          notes: body.notes || {},
+          status: 'processed',
+        });
+      }
+      return sendError(res, 404, 'The requested URL was not found on the server.');
+    }
+
+    if (req.method === 'POST' && parts.length === 2) {
+      const body = await readJson(req);
+      if (!body || !Number.isInteger(body.amount) || body.amount < 100) {
+        return sendError(res, 400, 'The amount must be atleast INR 1.00');
+      }
+      const order = {
+        id: randomId('order'),
+        entity: 'order',
+        amount: body.amount,
+        amount_paid: 0,
+        amount_due: body.amount,
+        currency: body.currency || 'INR',
+        receipt: body.receipt || null,
+        notes: body.notes || {},
+        status: 'created',
+        attempts: 0,
+        created_at: Math.floor(Date.now() / 1000),
+      };
+      orders.set(order.id, order);
+      return send(res, 200, order);
+    }
+
+    const order = orders.get(parts[2]);
+    if (!order) {
+      return sendError(res, 400, 'The id provided does not exist');
+    }
+
+    if (req.method === 'GET' && parts.length === 3) {
+      return send(res, 200, order);
+    }
+
+    if (req.method === 'GET' && parts[3] === 'payments') {
+      const items = [...payments.values()].filter((p) => p.order_id === order.id);
+      return send(res, 200, { entity: 'collection', count: items.length, items });
+    }
+
+    if (req.method === 'POST' && parts[3] === 'pay') {
+      const { outcome = 'captured' } = (await readJson(req)) || {};
+      const payment = {
+        id: randomId('pay'),
+        entity: 'payment',
+        amount: order.amount,
+        currency: order.currency,
+        status: outcome === 'failed' ? 'failed' : 'captured',
+        order_id: order.id,
+        notes: order.notes,
+        amount_refunded: 0,
+        error_description: outcome === 'failed' ? 'Payment was declined by the bank' : null,
+      };
+      payments.set(payment.id, payment);
+      order.attempts += 1;
+      if (payment.status === 'captured') {
+        order.status = 'paid';
+        order.amount_paid = order.amount;
+        order.amount_due = 0;
+      }
+
+      let webhookStatus = null;
+      if (webhookUrl && webhookSecret) {
+        webhookStatus = await postWebhook(webhookUrl, webhookSecret, {
+          entity: 'event',
+          event: `payment.${payment.status}`,
+          payload: { payment: { entity: payment } },
+          created_at: Math.floor(Date.now() / 1000),
+        });
+      }
+
+      return send(res, 200, {
+        razorpay_payment_id: payment.id,
+        razorpay_order_id: order.id,
+        razorpay_signature: crypto
+          .createHmac('sha256', keySecret)
+          .update(`${order.id}|${payment.id}`)
+          .digest('hex'),
+        status: payment.status,
+        webhook_status: webhookStatus,
+      });
+    }
+
+    return sendError(res, 404, 'The requested URL was not found on the server.');
+  });
+}
+
+module.exports = { createMockRazorpay };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_RAZORPAY_PORT || 4010);
+  createMockRazorpay({
+    keyId: process.env.RAZORPAY_KEY_ID || 'rzp_test_mock',
+    keySecret: process.env.RAZORPAY_KEY_SECRET || 'mock_key_secret',
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || 'mock_webhook_secret',
+    webhookUrl:
+      process.env.RAZORPAY_WEBHOOK_URL ||
+      `http://localhost:${process.env.PORT || 3000}/payments/razorpay/webhook`,
+  }).listen(port, () => console.log(`Mock Razorpay listening on http://localhost:${port}/v1`));
+}
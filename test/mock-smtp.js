@@ -0,0 +1,110 @@
+// Local SMTP sink: accepts every message and keeps it in memory (and prints it when run on
+// its own), so order emails can be checked without a real mail server. Start the store with
+//   SMTP_HOST=localhost SMTP_PORT=2525
+// and run this file (or let test/test-api.js start it).
+
+const net = require('net');
+
+function decodePart(raw, contentType) {
+  const start = raw.indexOf(`Content-Type: ${contentType}`);
+  if (start === -1) {
+    return '';
+  }
+  const body = raw.slice(raw.indexOf('\r\n\r\n', start) + 4, raw.indexOf('\r\n--', start));
+  return Buffer.from(body.replace(/\s+/g, ''), 'base64').toString('utf8');
+}
+
+function parseMessage(raw) {
+  const headerEnd = raw.indexOf('\r\n\r\n');
+  const headers = {};
+  for (const line of raw.slice(0, headerEnd).split('\r\n')) {
+    const idx = line.indexOf(':');
+    if (idx > -1) {
+      headers[line.slice(0, idx).toLowerCase()] = line.slice(idx + 1).trim();
+    }
+  }
+  return {
+    headers,
+    subject: headers.subject || '',
+    text: decodePart(raw, 'text/plain'),
+    html: decodePart(raw, 'text/html'),
+    raw,
+  };
+}
+
+function createMockSmtp({ onMessage = () => {} } = {}) {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = '';
+    let envelope = { from: null, to: [] };
+    let data = null;
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+    reply('220 mock-smtp ready');
+
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let idx;
+      while ((idx = buffer.indexOf('\r\n')) !== -1) {
+        const line = buffer.slice(0, idx);
+        buffer = buffer.slice(idx + 2);
+
+        if (data !== null) {
+          if (line === '.') {
+            const message = {
+              from: envelope.from,
+              to: envelope.to,
+              ...parseMessage(data.join('\r\n')),
+            };
+            messages.push(message);
+            onMessage(message);
+            data = null;
+            envelope = { from: null, to: [] };
+            reply('250 OK queued');
+          } else {
+            data.push(line.startsWith('..') ? line.slice(1) : line);
+          }
+          continue;
+        }
+
+        const verb = line.split(' ')[0].toUpperCase();
+        if (verb === 'EHLO' || verb === 'HELO') {
+          socket.write('250-mock-smtp\r\n250-AUTH PLAIN\r\n250 8BITMIME\r\n');
+        } else if (verb === 'AUTH') {
+          reply('235 Authentication successful');
+        } else if (verb === 'MAIL') {
+          envelope.from = (line.match(/<([^>]*)>/) || [])[1] || '';
+          reply('250 OK');
+        } else if (verb === 'RCPT') {
+          envelope.to.push((line.match(/<([^>]*)>/) || [])[1] || '');
+          reply('250 OK');
+        } else if (verb === 'DATA') {
+          data = [];
+          reply('354 End data with <CR><LF>.<CR><LF>');
+        } else if (verb === 'RSET' || verb === 'NOOP') {
+          reply('250 OK');
+        } else if (verb === 'QUIT') {
+          reply('221 Bye');
+          socket.end();
+        } else {
+          reply('502 Command not implemented');
+        }
+      }
+    });
+    socket.on('error', () => {});
+  });
+
+  server.messages = messages;
+  return server;
+}
+
+module.exports = { createMockSmtp };
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_SMTP_PORT || 2525);
+  createMockSmtp({
+    onMessage: (message) =>
+      console.log(`\n--- ${message.to.join(', ')}: ${message.subject}\n${message.text}`),
+  }).listen(port, () => console.log(`Mock SMTP listening on localhost:${port}`));
+}
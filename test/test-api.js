@@ -1,5 +1,12 @@
 const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
 const assert = require('assert');
+const { createMockRazorpay } = require('./mock-razorpay');
+const { createMockPaytm } = require('./mock-paytm');
+const { createMockSmtp } = require('./mock-smtp');
+const { createStorage } = require('../storage');
 
 function get(path) {
   return new Promise((resolve, reject) => {
@@ -16,7 +23,7 @@ function request(opts, body) {
     const req = http.request(opts, (res) => {
       let b = '';
       res.on('data', d => b += d);
-      res.on('end', () => resolve({ statusCode: res.statusCode, body: b }));
+      res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body: b }));
     });
     req.on('error', reject);
     if (body) req.write(body);
@@ -24,36 +31,808 @@ function request(opts, body) {
   });
 }
 
+async function waitFor(check, attempts = 30) {
+  for (let i = 0; i < attempts; i++) {
+    const result = await check();
+    if (result) return result;
+    await new Promise(resolve => setTimeout(resolve, 100));
+  }
+  return null;
+}
+
 (async () => {
   try {
-    console.log('Testing /api/list');
-    const r1 = await get('/api/list');
+    // Order emails go to test/mock-smtp.js when the server runs with SMTP_HOST=localhost
+    // SMTP_PORT=2525; without SMTP_HOST they are only logged.
+    const smtp = createMockSmtp();
+    await new Promise(resolve => smtp.listen(Number(process.env.MOCK_SMTP_PORT || 2525), resolve));
+
+    console.log('Testing product list');
+    const r1 = await get('/api/products');
     assert.equal(r1.statusCode, 200);
     const json1 = JSON.parse(r1.body);
-    assert.ok(Array.isArray(json1.list));
+    assert.ok(Array.isArray(json1.products));
+    assert.equal(json1.total, json1.products.length);
 
-    console.log('Testing /api/search?key=7');
-    const r2 = await get('/api/search?key=7');
+    console.log('Testing product lookup');
+    const r2 = await get('/api/products/polaroid-abstract-007');
     assert.equal(r2.statusCode, 200);
-    const json2 = JSON.parse(r2.body);
-    assert.strictEqual(typeof json2.index, 'number');
+    assert.equal(JSON.parse(r2.body).product.id, 'polaroid-abstract-007');
+    assert.equal((await get('/api/products/no-such-product')).statusCode, 404);
 
     // Test add
-    console.log('Testing add poster');
+    console.log('Testing add product');
   const ADMIN_KEY = process.env.ADMIN_API_KEY || 'change-me';
-  const add = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/posters', method: 'POST', headers: { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY } }, JSON.stringify({ key: 12345 }));
-    assert.equal(add.statusCode, 200);
+  const add = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/products', method: 'POST', headers: { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY } }, JSON.stringify({ id: 'poster-test-12345', title: 'Test Poster', type: 'poster', price: { M: 100, L: 200, XL: 300 } }));
+    assert.equal(add.statusCode, 201);
     const addJson = JSON.parse(add.body);
-    assert.ok(Array.isArray(addJson.list));
-    assert.ok(addJson.list.includes(12345));
+    assert.equal(addJson.product.id, 'poster-test-12345');
+    assert.ok(JSON.parse((await get('/api/products')).body).products.some(p => p.id === 'poster-test-12345'));
+    const addAgain = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/products', method: 'POST', headers: { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY } }, JSON.stringify({ id: 'poster-test-12345', title: 'Test Poster', type: 'poster', price: { M: 100 } }));
+    assert.equal(addAgain.statusCode, 400);
+    const stockSet = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/products/poster-test-12345', method: 'PUT', headers: { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY } }, JSON.stringify({ stock: { M: 4, L: 6, XL: 8 } }));
+    assert.deepEqual(JSON.parse(stockSet.body).product.stock, { M: 4, L: 6, XL: 8 });
+    const priceOnly = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/products/poster-test-12345', method: 'PUT', headers: { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY } }, JSON.stringify({ price: { M: 349 }, stock: { L: 0 } }));
+    const priceOnlyJson = JSON.parse(priceOnly.body).product;
+    assert.deepEqual(priceOnlyJson.price, { M: 349, L: 200, XL: 300 });
+    assert.deepEqual(priceOnlyJson.stock, { M: 4, L: 0, XL: 8 });
+    assert.deepEqual(priceOnlyJson.variants.map(v => v.sku), ['POSTER-TEST-12345-M', 'POSTER-TEST-12345-L', 'POSTER-TEST-12345-XL']);
 
     // Test delete
-    console.log('Testing delete poster');
-  const del = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/posters?key=12345', method: 'DELETE', headers: { 'x-api-key': ADMIN_KEY } });
+    console.log('Testing delete product');
+  const del = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/products/poster-test-12345', method: 'DELETE', headers: { 'x-api-key': ADMIN_KEY } });
     assert.equal(del.statusCode, 200);
-    const delJson = JSON.parse(del.body);
-    assert.ok(Array.isArray(delJson.list));
-    assert.ok(!delJson.list.includes(12345));
+    assert.equal(JSON.parse(del.body).deletedProduct.id, 'poster-test-12345');
+    assert.equal((await get('/api/products/poster-test-12345')).statusCode, 404);
+
+    console.log('Testing legacy poster endpoints');
+    const legacyList = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/list', method: 'GET' });
+    assert.equal(legacyList.headers.deprecation, 'true');
+    assert.ok(legacyList.headers.link.includes('</api/products>'));
+    assert.ok(JSON.parse(legacyList.body).list.some(p => p.id === 'poster-nature-001'));
+    const legacyKey = JSON.parse((await get('/api/search?key=7')).body);
+    assert.deepEqual([legacyKey.matched_by, legacyKey.products[0].id], ['legacy_key', 'polaroid-abstract-007']);
+    const bySku = JSON.parse((await get('/api/search?key=poster-street-002-xl')).body);
+    assert.deepEqual([bySku.matched_by, bySku.products[0].id], ['sku', 'poster-street-002']);
+    const byKeyword = JSON.parse((await get('/api/search?key=sunset')).body);
+    assert.deepEqual([byKeyword.matched_by, byKeyword.products[0].id], ['keyword', 'poster-nature-001']);
+    assert.equal(JSON.parse((await get('/api/search?key=9')).body).index, -1);
+    const mapPoster = (body) => request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/posters', method: 'POST', headers: { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY } }, JSON.stringify(body));
+    assert.equal((await mapPoster({ key: 12, product_id: 'no-such-product' })).statusCode, 400);
+    const mapped = await mapPoster({ key: 12, product_id: 'poster-street-006' });
+    assert.ok(!JSON.parse(mapped.body).unmatched.includes(12));
+    const byMappedKey = JSON.parse((await get('/api/search?key=12')).body);
+    assert.deepEqual([byMappedKey.matched_by, byMappedKey.products[0].id], ['legacy_key', 'poster-street-006']);
+    const legacyAdd = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/posters', method: 'POST', headers: { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY } }, JSON.stringify({ key: 12345 }));
+    assert.equal(legacyAdd.statusCode, 400);
+    const legacyInvalid = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/posters', method: 'POST', headers: { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY } }, JSON.stringify({ title: 'Legacy', type: 'poster', category: 'bogus', price: '499' }));
+    assert.equal(legacyInvalid.statusCode, 400);
+    assert.deepEqual(JSON.parse(legacyInvalid.body).errors.map(e => e.field).sort(), ['category', 'price']);
+    const legacyDelete = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/posters?key=12345', method: 'DELETE', headers: { 'x-api-key': ADMIN_KEY } });
+    assert.equal(legacyDelete.statusCode, 404);
+
+    // Test coupons
+    console.log('Testing apply coupon');
+    const couponItems = [{ product_id: 'poster-nature-001', size: 'L', quantity: 1 }];
+    const coupon = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/cart/coupon', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ code: 'nature20', items: couponItems }));
+    assert.equal(coupon.statusCode, 200);
+    const couponJson = JSON.parse(coupon.body);
+    assert.equal(couponJson.coupon.code, 'NATURE20');
+    assert.equal(couponJson.discount, 100);
+    assert.equal(couponJson.total, couponJson.subtotal - couponJson.discount + couponJson.shipping);
+
+    console.log('Testing invalid coupon');
+    const badCoupon = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/cart/coupon', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ code: 'NOPE', items: couponItems }));
+    assert.equal(badCoupon.statusCode, 400);
+
+    // Test offer selection
+    console.log('Testing offer engine');
+    const quote = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/cart/totals', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ items: [{ product_id: 'poster-nature-001', size: 'XL', quantity: 3 }], paymentMethod: 'upi' }));
+    assert.equal(quote.statusCode, 200);
+    const quoteJson = JSON.parse(quote.body);
+    const appliedIds = quoteJson.offers_applied.map(o => o.id);
+    assert.ok(appliedIds.includes('bulk-discount'));
+    assert.ok(!appliedIds.includes('welcome-discount'));
+    assert.equal(quoteJson.shipping, 0);
+    assert.ok(quoteJson.offer_explanation.some(o => o.id === 'welcome-discount' && !o.applied && o.reason));
+
+    // Test offer editing through the admin API
+    console.log('Testing offer admin endpoints');
+    const offerHeaders = { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY };
+    const badOffer = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/offers', method: 'POST', headers: offerHeaders }, JSON.stringify({ label: 'Broken', type: 'percentage', value: 150 }));
+    assert.equal(badOffer.statusCode, 400);
+    const newOffer = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/offers', method: 'POST', headers: offerHeaders }, JSON.stringify({ id: 'test-offer', label: 'Test offer', type: 'flat', value: 50, active: false }));
+    assert.equal(newOffer.statusCode, 201);
+    assert.ok(!JSON.parse((await get('/api/offers')).body).offers.some(o => o.id === 'test-offer'));
+    const allOffers = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/offers/all', method: 'GET', headers: { 'x-api-key': ADMIN_KEY } });
+    assert.equal(JSON.parse(allOffers.body).offers.find(o => o.id === 'test-offer').live, false);
+    const activated = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/offers/test-offer', method: 'PUT', headers: offerHeaders }, JSON.stringify({ active: true }));
+    assert.equal(JSON.parse(activated.body).offer.active, true);
+    const removedOffer = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/offers/test-offer', method: 'DELETE', headers: { 'x-api-key': ADMIN_KEY } });
+    assert.equal(removedOffer.statusCode, 200);
+
+    // Test GST: prices include tax, split CGST/SGST within the seller's state, IGST outside it
+    console.log('Testing GST breakdown');
+    assert.ok(quoteJson.tax.intra_state);
+    assert.ok(quoteJson.tax.cgst > 0 && quoteJson.tax.igst === 0);
+    assert.equal(Math.round((quoteJson.tax.taxable_value + quoteJson.tax.total_tax) * 100) / 100, quoteJson.total);
+    const interState = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/cart/totals', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }], state: 'Karnataka' }));
+    const interTax = JSON.parse(interState.body).tax;
+    assert.equal(interTax.place_of_supply, '29');
+    assert.equal(interTax.cgst, 0);
+    assert.ok(interTax.igst > 0);
+
+    // Test shipping: zone by pincode, parcel size from product dimensions, serviceability
+    console.log('Testing shipping quotes');
+    const shipQuote = (body) => request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/shipping/quote', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify(body));
+    const smallParcel = JSON.parse((await shipQuote({ pincode: '400001', items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] })).body).quote;
+    const largeParcel = JSON.parse((await shipQuote({ pincode: '400001', items: [{ product_id: 'poster-nature-001', size: 'XL', quantity: 1 }] })).body).quote;
+    assert.equal(smallParcel.zone.id, 'local');
+    assert.ok(largeParcel.rate > smallParcel.rate);
+    assert.ok(smallParcel.delivery.estimated_from <= smallParcel.delivery.estimated_to);
+    const remote = JSON.parse((await shipQuote({ pincode: '781001', items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] })).body).quote;
+    assert.equal(remote.cod_available, false);
+    const nowhere = JSON.parse((await shipQuote({ pincode: '999999', items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] })).body).quote;
+    assert.equal(nowhere.serviceable, false);
+    const cartShipping = JSON.parse((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/cart/totals', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }], pincode: '400001', paymentMethod: 'upi' }))).body);
+    assert.equal(cartShipping.shipping, smallParcel.rate);
+
+    // Offers are picked by what the whole set saves, not one stacking group at a time: the
+    // second free-shipping offer would waive nothing, so its group uses the flat discount
+    console.log('Testing offer combinations');
+    assert.ok(smallParcel.rate > 25);
+    const comboOffers = [
+      { id: 'combo-shipping-a', label: 'Free shipping A', type: 'free_shipping', priority: 5, stacking_group: 'combo-a' },
+      { id: 'combo-flat-a', label: 'Flat 25 A', type: 'flat', value: 25, priority: 1, stacking_group: 'combo-a' },
+      { id: 'combo-shipping-b', label: 'Free shipping B', type: 'free_shipping', priority: 5, stacking_group: 'combo-b' }
+    ];
+    for (const offer of comboOffers) {
+      assert.equal((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/offers', method: 'POST', headers: offerHeaders }, JSON.stringify(offer))).statusCode, 201);
+    }
+    const combo = JSON.parse((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/cart/totals', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }], pincode: '400001', paymentMethod: 'upi' }))).body);
+    assert.deepEqual(combo.offers_applied.map(o => o.id).sort(), ['combo-flat-a', 'combo-shipping-b']);
+    assert.equal(combo.discount, 25);
+    assert.equal(combo.shipping, 0);
+    assert.ok(combo.offer_explanation.find(o => o.id === 'combo-shipping-a').reason.includes('Flat 25 A'));
+    for (const offer of comboOffers) {
+      await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/offers/${offer.id}`, method: 'DELETE', headers: { 'x-api-key': ADMIN_KEY } });
+    }
+
+    // Test product search
+    console.log('Testing product search, facets, sorting and pagination');
+    const typo = JSON.parse((await get('/api/products?q=mountians')).body);
+    assert.equal(typo.products[0].id, 'poster-nature-001');
+    const stemmed = JSON.parse((await get('/api/products?q=street%20photographs')).body);
+    assert.equal(stemmed.products[0].id, 'poster-street-002');
+    assert.equal(JSON.parse((await get('/api/products?q=zzzqx')).body).total, 0);
+    const natureSearch = JSON.parse((await get('/api/products?category=nature')).body);
+    assert.ok(natureSearch.products.every(p => p.category === 'nature'));
+    assert.equal(natureSearch.facets.category.find(f => f.value === 'street').count, 2);
+    assert.ok(natureSearch.facets.price.some(f => f.value === '250-500' && f.count === natureSearch.total));
+    const cheap = JSON.parse((await get('/api/products?maxPrice=250')).body);
+    assert.ok(cheap.total > 0 && cheap.products.every(p => p.type === 'polaroid'));
+    const everything = JSON.parse((await get('/api/products?sort=price_asc')).body);
+    const paged = [];
+    let pageCursor = '';
+    do {
+      const searchPage = JSON.parse((await get(`/api/products?sort=price_asc&limit=3${pageCursor ? `&cursor=${pageCursor}` : ''}`)).body);
+      assert.ok(searchPage.products.length <= 3);
+      paged.push(...searchPage.products.map(p => p.id));
+      pageCursor = searchPage.next_cursor;
+    } while (pageCursor);
+    assert.deepEqual(paged, everything.products.map(p => p.id));
+    const fromPrices = everything.products.map(p => Math.min(...Object.values(p.price)));
+    assert.deepEqual(fromPrices, [...fromPrices].sort((a, b) => a - b));
+    const newestFirst = JSON.parse((await get('/api/products?sort=newest&limit=2')).body);
+    assert.equal((await get(`/api/products?sort=price_asc&cursor=${newestFirst.next_cursor}`)).statusCode, 400);
+    assert.equal((await get('/api/products?sort=cheapest')).statusCode, 400);
+    assert.equal((await get('/api/products?limit=0')).statusCode, 400);
+    assert.equal((await get('/api/products?q[]=nature')).statusCode, 400);
+    assert.equal((await get('/api/products?limit=2&limit=3')).statusCode, 400);
+
+    // Test variants: SKUs with their own price, stock and weight
+    console.log('Testing product variants and SKUs');
+    const variantTotals = (items) => request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/cart/totals', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ items, pincode: '400001' }));
+    const bySize = JSON.parse((await variantTotals([{ sku: 'poster-nature-001-l', quantity: 1 }])).body);
+    assert.deepEqual([bySize.items[0].product_id, bySize.items[0].sku, bySize.items[0].unit_price], ['poster-nature-001', 'POSTER-NATURE-001-L', 499]);
+    assert.equal((await variantTotals([{ sku: 'POSTER-NATURE-001-M-SHINY', quantity: 1 }])).statusCode, 400);
+    const variantAuth = { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY };
+    const variantProduct = { id: 'poster-variant-test', title: 'Variant Test', type: 'poster', options: [{ name: 'finish', values: ['matte', 'glossy'] }, { name: 'size', values: ['M', 'L'] }], variants: [{ options: { size: 'M', finish: 'matte' }, price: 300, stock: 4 }, { options: { size: 'M', finish: 'glossy' }, price: 350, stock: 2 }, { options: { size: 'L', finish: 'glossy' }, price: 550, stock: 1, weight_grams: 1400 }] };
+    const addVariant = (body) => request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/products', method: 'POST', headers: variantAuth }, JSON.stringify(body));
+    const variantCreated = await addVariant(variantProduct);
+    assert.equal(variantCreated.statusCode, 201);
+    const variantJson = JSON.parse(variantCreated.body).product;
+    assert.deepEqual(variantJson.options.map(o => o.name), ['size', 'finish']);
+    assert.deepEqual([variantJson.price, variantJson.stock], [{ M: 300, L: 550 }, { M: 6, L: 1 }]);
+    assert.equal(variantJson.variants[2].sku, 'POSTER-VARIANT-TEST-L-GLOSSY');
+    const framed = JSON.parse((await variantTotals([{ sku: 'poster-variant-test-l-glossy', quantity: 1 }])).body);
+    assert.deepEqual([framed.items[0].sku, framed.items[0].unit_price, framed.items[0].variant_label], ['POSTER-VARIANT-TEST-L-GLOSSY', 550, 'L · Glossy']);
+    assert.ok(framed.shipping_quote.chargeable_weight_grams > bySize.shipping_quote.chargeable_weight_grams);
+    const rolled = JSON.parse((await variantTotals([{ product_id: 'poster-variant-test', size: 'M', quantity: 1 }])).body);
+    assert.equal(rolled.items[0].sku, 'POSTER-VARIANT-TEST-M-MATTE');
+    const glossy = JSON.parse((await variantTotals([{ product_id: 'poster-variant-test', size: 'M', options: { finish: 'glossy' }, quantity: 1 }])).body);
+    assert.deepEqual([glossy.items[0].sku, glossy.items[0].unit_price], ['POSTER-VARIANT-TEST-M-GLOSSY', 350]);
+    assert.equal((await addVariant({ ...variantProduct, id: 'poster-variant-copy', variants: [{ sku: 'POSTER-NATURE-001-M', options: { size: 'M', finish: 'matte' }, price: 1 }] })).statusCode, 400);
+    assert.equal((await addVariant({ ...variantProduct, id: 'poster-variant-bad', variants: [{ options: { size: 'S', finish: 'matte' }, price: 1 }] })).statusCode, 400);
+    const variantPath = '/api/products/poster-variant-test';
+    const stockBySize = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: variantPath, method: 'PUT', headers: variantAuth }, JSON.stringify({ stock: { M: 10 } }));
+    assert.equal(stockBySize.statusCode, 400);
+    const restocked = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: variantPath, method: 'PUT', headers: variantAuth }, JSON.stringify({ variants: variantProduct.variants.map(v => ({ ...v, stock: 5 })) }));
+    assert.deepEqual(JSON.parse(restocked.body).product.stock, { M: 10, L: 5 });
+    const variantOrder = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ customer: { firstName: 'Test', lastName: 'User', email: 'variants@example.com', phone: '9999999999' }, shippingAddress: { line1: '1 Test Street', city: 'Mumbai', state: 'Maharashtra', pincode: '400001' }, paymentMethod: 'cod', items: [{ sku: 'POSTER-VARIANT-TEST-M-GLOSSY', quantity: 2 }] }));
+    assert.equal(variantOrder.statusCode, 201);
+    assert.equal(JSON.parse(variantOrder.body).order.items[0].sku, 'POSTER-VARIANT-TEST-M-GLOSSY');
+    const variantInventory = JSON.parse((await get(variantPath)).body).product.inventory;
+    assert.deepEqual([variantInventory['POSTER-VARIANT-TEST-M-GLOSSY'].stock, variantInventory['POSTER-VARIANT-TEST-M-MATTE'].stock], [3, 5]);
+    await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: variantPath, method: 'DELETE', headers: variantAuth });
+
+    console.log('Testing catalog import and export');
+    const exportedCsv = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/products/export?format=csv', method: 'GET', headers: { 'x-api-key': ADMIN_KEY } });
+    assert.equal(exportedCsv.statusCode, 200);
+    assert.ok(exportedCsv.body.startsWith('id,type,title,description,category,tags,images,'));
+    assert.ok(exportedCsv.body.includes(',POSTER-NATURE-001-L,L,'));
+    const importCatalog = (body, query = '') => request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/products/import${query}`, method: 'POST', headers: variantAuth }, JSON.stringify(body));
+    const roundTrip = JSON.parse((await importCatalog({ csv: exportedCsv.body, dry_run: true })).body);
+    assert.deepEqual([roundTrip.errors, roundTrip.created], [[], []]);
+    assert.ok(roundTrip.updated.includes('poster-nature-001'));
+    const importCsv = ['id,type,title,images,size,finish,price,stock', 'poster-import-test,poster,Import Test,str.jpg,M,matte,300,4', ',,,,L,matte,500,2', 'poster-import-test,,,,L,glossy,abc,1', 'poster-import-test,,,,L,glossy,550,1'].join('\n');
+    const dryImport = JSON.parse((await importCatalog({ csv: importCsv }, '?dry_run=true')).body);
+    assert.equal(dryImport.dry_run, true);
+    assert.deepEqual(dryImport.errors.map(e => [e.row, e.field]), [[3, 'id'], [4, 'price']]);
+    assert.equal((await get('/api/products/poster-import-test')).statusCode, 404);
+    const rejectedImport = await importCatalog({ csv: importCsv });
+    assert.equal(rejectedImport.statusCode, 400);
+    assert.equal(JSON.parse(rejectedImport.body).errors.length, 2);
+    assert.equal((await get('/api/products/poster-import-test')).statusCode, 404);
+    const goodCsv = importCsv.split('\n').filter((line, i) => i !== 2 && i !== 3).join('\n');
+    const imported = JSON.parse((await importCatalog({ csv: goodCsv })).body);
+    assert.deepEqual([imported.created, imported.errors, imported.warnings], [['poster-import-test'], [], []]);
+    const importedProduct = JSON.parse((await get('/api/products/poster-import-test')).body).product;
+    assert.deepEqual(importedProduct.images, ['images/str.jpg']);
+    assert.deepEqual([importedProduct.price, importedProduct.stock], [{ M: 300, L: 550 }, { M: 4, L: 1 }]);
+    const exportedJson = JSON.parse((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/products/export?format=json', method: 'GET', headers: { 'x-api-key': ADMIN_KEY } })).body);
+    const renamed = exportedJson.products.filter(p => p.id === 'poster-import-test').map(p => ({ ...p, title: 'Import Renamed' }));
+    const jsonImport = JSON.parse((await importCatalog({ products: renamed })).body);
+    assert.deepEqual(jsonImport.updated, ['poster-import-test']);
+    assert.equal(JSON.parse((await get('/api/products/poster-import-test')).body).product.title, 'Import Renamed');
+    const takenSku = await importCatalog({ products: [{ id: 'poster-import-copy', title: 'Copy', type: 'poster', variants: [{ sku: 'POSTER-IMPORT-TEST-M-MATTE', options: { size: 'M' }, price: 1 }], options: [{ name: 'size', values: ['M'] }] }] });
+    assert.equal(takenSku.statusCode, 400);
+    assert.equal(JSON.parse(takenSku.body).errors[0].field, 'sku');
+    await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/products/poster-import-test', method: 'DELETE', headers: variantAuth });
+
+    console.log('Testing schema validation of write payloads');
+    const fieldsOf = (response) => JSON.parse(response.body).errors.map(e => e.field);
+    const typoProduct = await addVariant({ id: 'poster-schema-test', title: 'Schema Test', type: 'poster', category: 'Nature', price: '499' });
+    assert.equal(typoProduct.statusCode, 400);
+    assert.deepEqual(fieldsOf(typoProduct), ['category', 'price']);
+    const schemaPath = '/api/products/poster-nature-001';
+    const typoUpdate = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: schemaPath, method: 'PUT', headers: variantAuth }, JSON.stringify({ titel: 'Typo', featured: 'yes' }));
+    assert.equal(typoUpdate.statusCode, 400);
+    assert.deepEqual(JSON.parse(typoUpdate.body).errors, [{ field: 'titel', error: 'is not a known field' }, { field: 'featured', error: 'must be true or false' }]);
+    assert.equal(JSON.parse((await get(schemaPath)).body).product.titel, undefined);
+    const stringQuantity = await variantTotals([{ sku: 'POSTER-NATURE-001-M', quantity: '2' }]);
+    assert.equal(stringQuantity.statusCode, 400);
+    assert.deepEqual(fieldsOf(stringQuantity), ['items[0].quantity']);
+    const badOrder = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ customer: { firstName: 'Test', lastName: 'User', email: 'not-an-email', phone: '9999999999' }, shippingAddress: { line1: '1 Test Street', city: 'Mumbai', state: 'Maharashtra', pincode: '400001' }, paymentMethod: 'bitcoin', items: [{ sku: 'POSTER-NATURE-001-M-MATTE-UNFRAMED', quantity: 0 }] }));
+    assert.equal(badOrder.statusCode, 400);
+    assert.deepEqual(fieldsOf(badOrder), ['customer.email', 'paymentMethod', 'items[0].quantity']);
+    const badConditions = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/offers', method: 'POST', headers: variantAuth }, JSON.stringify({ label: 'Typo', type: 'flat', value: 50, conditions: { minSubtotl: 500 } }));
+    assert.deepEqual([badConditions.statusCode, fieldsOf(badConditions)], [400, ['conditions.minSubtotl']]);
+    const schemaImport = JSON.parse((await importCatalog({ csv: 'id,type,title,category,size,price\nposter-schema-test,poster,Schema Test,Nature,M,300\n' }, '?dry_run=true')).body);
+    assert.deepEqual(schemaImport.errors.map(e => [e.row, e.field]), [[2, 'category']]);
+    const dataCheck = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/admin/data-check', method: 'GET', headers: { 'x-api-key': ADMIN_KEY } });
+    assert.equal(dataCheck.statusCode, 200);
+    const dataReport = JSON.parse(dataCheck.body);
+    assert.ok(dataReport.products.checked > 0);
+    assert.deepEqual([dataReport.products.invalid, dataReport.offers.invalid], [[], []]);
+
+    // Test inventory
+    console.log('Testing product inventory');
+    const prod = await get('/api/products/poster-nature-001');
+    assert.equal(prod.statusCode, 200);
+    const inventory = JSON.parse(prod.body).product.inventory;
+    const defaultSku = 'POSTER-NATURE-001-M';
+    assert.strictEqual(typeof inventory[defaultSku].available, 'number');
+    assert.strictEqual(typeof inventory[defaultSku].reserved, 'number');
+    assert.deepEqual(inventory[defaultSku].options, { size: 'M' });
+
+    console.log('Testing out of stock order');
+    const orderBody = {
+      customer: { firstName: 'Test', lastName: 'User', email: 'test@example.com', phone: '9999999999' },
+      shippingAddress: { line1: '1 Test Street', city: 'Mumbai', state: 'Maharashtra', pincode: '400001' },
+      paymentMethod: 'upi',
+      items: [{ product_id: 'poster-nature-001', size: 'M', quantity: inventory[defaultSku].available + 1 }]
+    };
+    const oos = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify(orderBody));
+    assert.equal(oos.statusCode, 409);
+    assert.ok(Array.isArray(JSON.parse(oos.body).unavailable));
+
+    // Test order lifecycle
+    console.log('Testing order status transitions and history');
+    const placed = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] }));
+    assert.equal(placed.statusCode, 201);
+    assert.equal(JSON.parse(placed.body).order.shipping, cartShipping.shipping);
+    const unserviceable = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, shippingAddress: { ...orderBody.shippingAddress, pincode: '999999' }, items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] }));
+    assert.equal(unserviceable.statusCode, 400);
+    const orderId = JSON.parse(placed.body).order.id;
+    const orderPath = `/api/orders/${orderId}`;
+    const adminJson = { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY };
+    const badField = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: orderPath, method: 'PUT', headers: adminJson }, JSON.stringify({ total: 1 }));
+    assert.equal(badField.statusCode, 400);
+    const skipAhead = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: orderPath, method: 'PUT', headers: adminJson }, JSON.stringify({ status: 'delivered' }));
+    assert.equal(skipAhead.statusCode, 409);
+    const cancel = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: orderPath, method: 'PUT', headers: adminJson }, JSON.stringify({ status: 'cancelled', note: 'Test cleanup' }));
+    assert.equal(cancel.statusCode, 200);
+    const history = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `${orderPath}/history`, method: 'GET', headers: { 'x-api-key': ADMIN_KEY } });
+    assert.equal(history.statusCode, 200);
+    const entries = JSON.parse(history.body).history;
+    assert.equal(entries.length, 2);
+    assert.deepEqual(entries[1].changes.status, { from: 'pending', to: 'cancelled' });
+    assert.equal(entries[1].actor, 'admin');
+
+    // A coupon is used while its order stands and free again once the order is cancelled
+    console.log('Testing coupon release on cancellation');
+    const couponEmail = `coupon-${Date.now()}@example.com`;
+    const couponOrderItems = [{ product_id: 'poster-nature-001', size: 'L', quantity: 2 }];
+    const tryPoster100 = () => request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/cart/coupon', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ code: 'POSTER100', items: couponOrderItems, email: couponEmail }));
+    const couponOrder = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, customer: { ...orderBody.customer, email: couponEmail }, paymentMethod: 'cod', couponCode: 'POSTER100', items: couponOrderItems }));
+    assert.equal(couponOrder.statusCode, 201);
+    assert.equal(JSON.parse(couponOrder.body).order.coupon.code, 'POSTER100');
+    assert.equal((await tryPoster100()).statusCode, 400);
+    await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/orders/${JSON.parse(couponOrder.body).order.id}`, method: 'PUT', headers: adminJson }, JSON.stringify({ status: 'cancelled' }));
+    assert.equal((await tryPoster100()).statusCode, 200);
+
+    // Test the admin dashboard's order filters and stock warnings
+    console.log('Testing admin dashboard endpoints');
+    const dashboard = await get('/admin/');
+    assert.equal(dashboard.statusCode, 200);
+    assert.ok(dashboard.body.includes('/admin/admin.js'));
+    const found = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/orders?search=${orderId}&status=cancelled`, method: 'GET', headers: { 'x-api-key': ADMIN_KEY } });
+    const foundOrders = JSON.parse(found.body).orders;
+    assert.equal(foundOrders.length, 1);
+    assert.deepEqual(foundOrders[0].next_statuses, []);
+    const markRefunded = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/orders/${orderId}`, method: 'PUT', headers: adminJson }, JSON.stringify({ status: 'refunded' }));
+    assert.equal(markRefunded.statusCode, 400);
+    assert.equal(JSON.parse((await get(`/api/orders/${orderId}`)).body).order.status, 'cancelled');
+    assert.equal((await get('/api/inventory/low-stock')).statusCode, 401);
+    const lowStock = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/inventory/low-stock', method: 'GET', headers: { 'x-api-key': ADMIN_KEY } });
+    assert.ok(JSON.parse(lowStock.body).items.every(item => item.available <= JSON.parse(lowStock.body).threshold));
+
+    // Test named admin users: roles limit routes, keys are scoped, writes are audited
+    console.log('Testing admin users, roles and audit log');
+    const staffEmail = `packer-${Date.now()}@example.com`;
+    const staff = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/admin/users', method: 'POST', headers: adminJson }, JSON.stringify({ email: staffEmail, name: 'Packer', role: 'fulfilment', password: 'packing-secret' }));
+    assert.equal(staff.statusCode, 201);
+    const staffId = JSON.parse(staff.body).user.id;
+    const staffBadLogin = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/admin/login', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ email: staffEmail, password: 'wrong-password' }));
+    assert.equal(staffBadLogin.statusCode, 401);
+    const staffLogin = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/admin/login', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ email: staffEmail, password: 'packing-secret' }));
+    const staffAuth = { 'Content-Type': 'application/json', Authorization: `Bearer ${JSON.parse(staffLogin.body).token}` };
+    const staffMe = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/admin/me', method: 'GET', headers: staffAuth });
+    assert.equal(JSON.parse(staffMe.body).user.role, 'fulfilment');
+    const forbidden = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/products', method: 'POST', headers: staffAuth }, JSON.stringify({ title: 'Nope', type: 'poster', price: { M: 1 } }));
+    assert.equal(forbidden.statusCode, 403);
+    const noted = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: orderPath, method: 'PUT', headers: staffAuth }, JSON.stringify({ notes: 'Checked by packer' }));
+    assert.equal(noted.statusCode, 200);
+    assert.equal(JSON.parse(noted.body).order.history.slice(-1)[0].actor, `admin:${staffEmail}`);
+    const tooWide = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/admin/api-keys', method: 'POST', headers: adminJson }, JSON.stringify({ user_id: staffId, permissions: ['catalog'] }));
+    assert.equal(tooWide.statusCode, 400);
+    const scoped = JSON.parse((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/admin/api-keys', method: 'POST', headers: adminJson }, JSON.stringify({ user_id: staffId, permissions: ['orders:read'] }))).body);
+    const keyHeaders = { 'Content-Type': 'application/json', 'x-api-key': scoped.key };
+    assert.equal((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders?limit=1', method: 'GET', headers: keyHeaders })).statusCode, 200);
+    assert.equal((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: orderPath, method: 'PUT', headers: keyHeaders }, JSON.stringify({ notes: 'x' }))).statusCode, 403);
+    await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/admin/api-keys/${scoped.api_key.id}`, method: 'DELETE', headers: adminJson });
+    assert.equal((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders?limit=1', method: 'GET', headers: keyHeaders })).statusCode, 401);
+    const audit = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/admin/audit?user_id=${staffId}`, method: 'GET', headers: adminJson });
+    const auditEntries = JSON.parse(audit.body).entries;
+    assert.ok(auditEntries.some(e => e.action === 'request' && e.method === 'PUT' && e.path === orderPath && e.status === 200 && e.email === staffEmail));
+    assert.ok(auditEntries.some(e => e.action === 'forbidden' && e.path === '/api/products'));
+    assert.ok(auditEntries.some(e => e.action === 'login_failed'));
+    await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/admin/logout', method: 'POST', headers: staffAuth });
+    assert.equal((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/admin/me', method: 'GET', headers: staffAuth })).statusCode, 401);
+
+    // Test UPI claims only settle once matched against a bank statement
+    console.log('Testing UPI payment review and statement reconciliation');
+    const upiOrder = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] }));
+    const upiJson = JSON.parse(upiOrder.body).order;
+    const utr = String(Date.now()).slice(-12);
+    const claim = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/payments/upi/confirm', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ orderId: upiJson.id, transactionId: utr }));
+    assert.equal(claim.statusCode, 200);
+    assert.equal(JSON.parse(claim.body).order.payment_status, 'payment_review');
+    assert.equal(JSON.parse(claim.body).order.status, 'pending');
+    const statementPath = '/api/payments/upi/statements';
+    const shortPaid = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: statementPath, method: 'POST', headers: adminJson }, JSON.stringify({ csv: `Date,UTR No,Credit\n01/10/2026,${utr},1.00\n` }));
+    assert.equal(shortPaid.statusCode, 201);
+    assert.equal(JSON.parse(shortPaid.body).amount_mismatch.length, 1);
+    const statement = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: statementPath, method: 'POST', headers: adminJson }, JSON.stringify({ csv: `Date,UTR No,Credit\n01/10/2026,${utr},${upiJson.total}\n` }));
+    assert.equal(JSON.parse(statement.body).matched.length, 1);
+    const settled = await get(`/api/orders/${upiJson.id}`);
+    assert.equal(JSON.parse(settled.body).order.payment_status, 'paid');
+
+    console.log('Testing invoice PDF');
+    assert.equal((await get(`${orderPath}/invoice.pdf`)).statusCode, 409);
+    const invoice = await get(`/api/orders/${upiJson.id}/invoice.pdf`);
+    assert.equal(invoice.statusCode, 200);
+    assert.ok(invoice.body.startsWith('%PDF-'));
+    assert.match(JSON.parse(settled.body).order.invoice.number, /^INV\/\d{4}-\d{2}\/\d{6}$/);
+
+    // Test refunds and customer cancellation
+    console.log('Testing partial refund and cancellation of a paid order');
+    const partial = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/orders/${upiJson.id}/refunds`, method: 'POST', headers: adminJson }, JSON.stringify({ amount: 10, reason: 'Frame damaged' }));
+    assert.equal(partial.statusCode, 201);
+    const partialJson = JSON.parse(partial.body);
+    assert.equal(partialJson.refund.status, 'manual');
+    assert.equal(partialJson.order.payment_status, 'partially_refunded');
+    assert.equal(partialJson.order.net_paid, upiJson.total - 10);
+    const cancelPath = `/api/orders/${upiJson.id}/cancel`;
+    const stranger = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: cancelPath, method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ email: 'someone@example.com' }));
+    assert.equal(stranger.statusCode, 403);
+    const emailOnly = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: cancelPath, method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ email: orderBody.customer.email }));
+    assert.equal(emailOnly.statusCode, 403);
+    const cancelToken = JSON.parse(upiOrder.body).cancel_token;
+    assert.ok(cancelToken);
+    const forgedToken = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: cancelPath, method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ token: `${cancelToken.slice(0, -2)}xx` }));
+    assert.equal(forgedToken.statusCode, 403);
+    const stockBefore = JSON.parse((await get('/api/products/poster-nature-001')).body).product.stock.M;
+    const cancelled = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: cancelPath, method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ token: cancelToken, reason: 'Ordered by mistake' }));
+    assert.equal(cancelled.statusCode, 200);
+    const cancelledJson = JSON.parse(cancelled.body);
+    assert.equal(cancelledJson.order.status, 'refunded');
+    assert.equal(cancelledJson.order.payment_status, 'refunded');
+    const cancelledAgain = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: cancelPath, method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ token: cancelToken }));
+    assert.equal(cancelledAgain.statusCode, 409);
+    assert.equal(JSON.parse(cancelledAgain.body).error, 'Order is refunded and can no longer be cancelled');
+    assert.equal(cancelledJson.refund.amount, upiJson.total - 10);
+    const stockAfter = JSON.parse((await get('/api/products/poster-nature-001')).body).product.stock.M;
+    assert.equal(stockAfter, stockBefore + 1);
+    const staffCancelled = JSON.parse((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] }))).body).order;
+    const staffUtr = String(Date.now() + 1).slice(-12);
+    await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/payments/upi/confirm', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ orderId: staffCancelled.id, transactionId: staffUtr }));
+    await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: statementPath, method: 'POST', headers: adminJson }, JSON.stringify({ csv: `Date,UTR No,Credit\n01/10/2026,${staffUtr},${staffCancelled.total}\n` }));
+    const staffCancel = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/orders/${staffCancelled.id}`, method: 'PUT', headers: adminJson }, JSON.stringify({ status: 'cancelled', note: 'Out of print' }));
+    assert.equal(staffCancel.statusCode, 200);
+    const staffCancelJson = JSON.parse(staffCancel.body);
+    assert.deepEqual([staffCancelJson.refund.status, staffCancelJson.refund.amount], ['manual', staffCancelled.total]);
+    assert.equal(staffCancelJson.order.payment_status, 'refunded');
+
+    // Test shipments: a COD order split into two packages, delivered through fake courier webhooks
+    console.log('Testing split shipments and tracking');
+    const shippedOrder = JSON.parse((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, paymentMethod: 'cod', items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 2 }] }))).body).order;
+    const shippedPath = `/api/orders/${shippedOrder.id}`;
+    const earlyShipment = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `${shippedPath}/shipments`, method: 'POST', headers: adminJson }, JSON.stringify({}));
+    assert.equal(earlyShipment.statusCode, 409);
+    await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: shippedPath, method: 'PUT', headers: adminJson }, JSON.stringify({ status: 'confirmed' }));
+    const onePackage = { items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] };
+    const tooMany = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `${shippedPath}/shipments`, method: 'POST', headers: adminJson }, JSON.stringify({ packages: [onePackage, onePackage, onePackage] }));
+    assert.equal(tooMany.statusCode, 400);
+    const booked = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `${shippedPath}/shipments`, method: 'POST', headers: adminJson }, JSON.stringify({ courier: 'fake', packages: [onePackage, onePackage] }));
+    assert.equal(booked.statusCode, 201);
+    const bookedJson = JSON.parse(booked.body);
+    assert.equal(bookedJson.shipments.length, 2);
+    assert.equal(bookedJson.order.status, 'shipped');
+    const label = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/shipments/${bookedJson.shipments[0].id}/label.pdf`, method: 'GET', headers: { 'x-api-key': ADMIN_KEY } });
+    assert.ok(label.body.startsWith('%PDF-'));
+    // Without FAKE_COURIER_SECRET the server keeps a random one in data/secrets.json
+    const courierSecret = process.env.FAKE_COURIER_SECRET || JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'data', 'secrets.json'), 'utf8')).FAKE_COURIER_SECRET;
+    const scan = (awb, status) => {
+      const payload = JSON.stringify({ awb, status, location: 'Mumbai' });
+      const signature = crypto.createHmac('sha256', courierSecret).update(payload).digest('hex');
+      return request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/couriers/fake/webhook', method: 'POST', headers: { 'Content-Type': 'application/json', 'x-fake-courier-signature': signature } }, payload);
+    };
+    const forged = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/couriers/fake/webhook', method: 'POST', headers: { 'Content-Type': 'application/json', 'x-fake-courier-signature': 'nope' } }, JSON.stringify({ awb: bookedJson.shipments[0].awb, status: 'delivered' }));
+    assert.equal(forged.statusCode, 400);
+    assert.equal((await scan(bookedJson.shipments[0].awb, 'delivered')).statusCode, 200);
+    let tracking = JSON.parse((await get(`${shippedPath}/tracking`)).body);
+    assert.equal(tracking.status, 'shipped');
+    assert.ok(tracking.timeline.some(e => e.status === 'delivered' && e.awb === bookedJson.shipments[0].awb));
+    await scan(bookedJson.shipments[1].awb, 'delivered');
+    tracking = JSON.parse((await get(`${shippedPath}/tracking`)).body);
+    assert.equal(tracking.status, 'delivered');
+    assert.equal(JSON.parse((await get(shippedPath)).body).order.payment_status, 'paid');
+
+    // Test sales reports over the orders placed so far
+    console.log('Testing sales reports');
+    const reportHeaders = { 'x-api-key': ADMIN_KEY };
+    const badRange = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/reports/sales?group_by=year', method: 'GET', headers: reportHeaders });
+    assert.equal(badRange.statusCode, 400);
+    const sales = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/reports/sales?group_by=month', method: 'GET', headers: reportHeaders });
+    assert.equal(sales.statusCode, 200);
+    const report = JSON.parse(sales.body).report;
+    assert.ok(report.summary.orders_paid >= 1 && report.summary.orders_placed >= report.summary.orders_paid);
+    assert.ok(Math.abs(report.summary.gross_revenue - report.revenue.reduce((sum, row) => sum + row.gross_revenue, 0)) < 0.01);
+    assert.ok(report.payment_methods.some(m => m.payment_method === 'cod'));
+    assert.ok(report.products.find(p => p.product_id === 'poster-nature-001' && p.size === 'M').units >= 2);
+    const salesCsv = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/reports/sales.csv?section=products', method: 'GET', headers: reportHeaders });
+    assert.ok(salesCsv.headers['content-type'].startsWith('text/csv'));
+    assert.ok(salesCsv.body.startsWith('product_id,sku,title,variant,units,refunded_units,revenue\n'));
+
+    // Test custom artwork: a 1080x1920 photo prints well enough on M (8x12) but not on L
+    console.log('Testing custom artwork print checks');
+    const boundary = '----trizoverse-artwork';
+    const photo = fs.readFileSync(path.join(__dirname, '..', 'images', 'pols4.jpg'));
+    const uploadBody = Buffer.concat([Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="photo.jpg"\r\nContent-Type: image/jpeg\r\n\r\n`), photo, Buffer.from(`\r\n--${boundary}--\r\n`)]);
+    const uploaded = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/uploads', method: 'POST', headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': uploadBody.length, 'x-session-id': `artwork-${Date.now()}` } }, uploadBody);
+    assert.equal(uploaded.statusCode, 201);
+    const { fileId, fileUrl } = JSON.parse(uploaded.body);
+    const artworkCheck = await get(`/api/artwork/${fileId}?product_id=poster-street-002`);
+    assert.equal(artworkCheck.statusCode, 200);
+    const artworkJson = JSON.parse(artworkCheck.body);
+    assert.deepEqual([artworkJson.artwork.format, artworkJson.artwork.width, artworkJson.artwork.height], ['jpeg', 1080, 1920]);
+    assert.deepEqual(artworkJson.sizes.map(s => [s.size, s.status]), [['M', 'warn'], ['L', 'block'], ['XL', 'block']]);
+    assert.equal(artworkJson.sizes[0].effective_dpi, 135);
+    const thumbnail = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: artworkJson.artwork.thumbnail_url, method: 'GET' });
+    assert.equal(thumbnail.headers['content-type'], 'image/png');
+    assert.ok(thumbnail.headers['cache-control'].includes('max-age=86400'));
+    const cropPreview = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: artworkJson.sizes[0].preview_url, method: 'GET' });
+    assert.equal(cropPreview.headers['content-type'], 'image/png');
+    assert.equal((await get(`/api/artwork/${fileId}/preview.png?product_id=poster-street-002&size=XXL`)).statusCode, 400);
+    assert.equal((await get('/api/artwork/..%2Fdata%2Forders.json')).statusCode, 404);
+    const tooLarge = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, paymentMethod: 'cod', items: [{ product_id: 'poster-street-002', size: 'L', quantity: 1, custom_artwork: fileUrl }] }));
+    assert.equal(tooLarge.statusCode, 400);
+    assert.ok(JSON.parse(tooLarge.body).error.includes('Too low resolution'));
+    const notUploaded = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, paymentMethod: 'cod', items: [{ product_id: 'poster-street-002', size: 'M', quantity: 1, custom_artwork: 'https://example.com/photo.jpg' }] }));
+    assert.equal(notUploaded.statusCode, 400);
+    const artworkOrder = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, paymentMethod: 'cod', items: [{ product_id: 'poster-street-002', size: 'M', quantity: 1, custom_artwork: fileUrl }] }));
+    assert.equal(artworkOrder.statusCode, 201);
+    const artworkLine = JSON.parse(artworkOrder.body).order.items[0];
+    assert.equal(artworkLine.artwork.status, 'warn');
+    assert.ok(artworkLine.artwork.warning.includes('135 DPI'));
+    assert.equal(artworkLine.print_file, undefined);
+    const artworkOrderId = JSON.parse(artworkOrder.body).order.id;
+    const printedLine = await waitFor(async () => JSON.parse((await get(`/api/orders/${artworkOrderId}`)).body).order.items[0].print_file, 100);
+    assert.equal(printedLine.print_size, '8x12 inches');
+    const printPath = `/api/orders/${artworkOrderId}/items/1/print.pdf`;
+    assert.equal((await get(printPath)).statusCode, 401);
+    const printFile = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: printPath, method: 'GET', headers: { 'x-api-key': ADMIN_KEY } });
+    assert.equal(printFile.statusCode, 200);
+    assert.equal(printFile.headers['content-type'], 'application/pdf');
+    assert.ok(printFile.body.startsWith('%PDF-') && printFile.body.includes('/TrimBox'));
+
+    console.log('Testing upload validation, metadata stripping, quotas and cleanup');
+    const sendUpload = (sessionId, filename, contentType, content) => {
+      const multipart = Buffer.concat([Buffer.from(`--${boundary}\r\nContent-Disposition: form-data; name="file"; filename="${filename}"\r\nContent-Type: ${contentType}\r\n\r\n`), content, Buffer.from(`\r\n--${boundary}--\r\n`)]);
+      return request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/uploads', method: 'POST', headers: { 'Content-Type': `multipart/form-data; boundary=${boundary}`, 'Content-Length': multipart.length, 'x-session-id': sessionId } }, multipart);
+    };
+    const uploadSession = `uploads-${Date.now()}`;
+    const disguised = await sendUpload(uploadSession, 'photo.jpg', 'image/jpeg', Buffer.from('<?php echo "not an image"; ?>'));
+    assert.equal(disguised.statusCode, 400);
+    assert.ok(JSON.parse(disguised.body).error.includes('JPEG, PNG and WEBP'));
+    // EXIF block with a camera make and "rotate 90°" (orientation 6)
+    const tiff = Buffer.alloc(48);
+    tiff.write('MM', 0, 'latin1'); tiff.writeUInt16BE(42, 2); tiff.writeUInt32BE(8, 4); tiff.writeUInt16BE(2, 8);
+    tiff.writeUInt16BE(0x010f, 10); tiff.writeUInt16BE(2, 12); tiff.writeUInt32BE(10, 14); tiff.writeUInt32BE(38, 18);
+    tiff.writeUInt16BE(0x0112, 22); tiff.writeUInt16BE(3, 24); tiff.writeUInt32BE(1, 26); tiff.writeUInt16BE(6, 30);
+    tiff.write('SecretCam\0', 38, 'latin1');
+    const exifSegment = Buffer.concat([Buffer.from([0xff, 0xe1, 0, 2 + 6 + tiff.length]), Buffer.from('Exif\0\0', 'latin1'), tiff]);
+    const rotated = await sendUpload(uploadSession, 'rotated.png', 'image/png', Buffer.concat([photo.subarray(0, 2), exifSegment, photo.subarray(2)]));
+    assert.equal(rotated.statusCode, 201);
+    const rotatedJson = JSON.parse(rotated.body);
+    assert.deepEqual([rotatedJson.mimeType, rotatedJson.width, rotatedJson.height], ['image/jpeg', 1920, 1080]);
+    assert.ok(rotatedJson.fileId.endsWith('.jpg'));
+    const storedUpload = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: rotatedJson.fileUrl, method: 'GET' });
+    assert.equal(storedUpload.statusCode, 200);
+    assert.ok(!storedUpload.body.includes('SecretCam'));
+    const rotatedCheck = JSON.parse((await get(`/api/artwork/${rotatedJson.fileId}?product_id=poster-street-002`)).body);
+    assert.deepEqual([rotatedCheck.artwork.width, rotatedCheck.artwork.height], [1920, 1080]);
+    assert.ok(rotatedCheck.sizes.every(s => s.orientation === 'landscape'));
+    const cartSession = `upload-cart-${Date.now()}`;
+    await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/cart', method: 'POST', headers: { 'Content-Type': 'application/json', 'x-session-id': cartSession } }, JSON.stringify({ cart: [{ product_id: 'poster-street-002', size: 'M', quantity: 1, custom_artwork: rotatedJson.fileUrl }] }));
+    for (const badSession of [null, 'short', 'a/../../orders']) {
+      const badCart = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/cart', method: 'POST', headers: { 'Content-Type': 'application/json', ...(badSession ? { 'x-session-id': badSession } : {}) } }, JSON.stringify({ cart: [] }));
+      assert.equal(badCart.statusCode, 400);
+    }
+    const uploadList = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/uploads', method: 'GET', headers: { 'x-api-key': ADMIN_KEY } });
+    assert.equal(uploadList.statusCode, 200);
+    const uploadRecords = JSON.parse(uploadList.body).uploads;
+    assert.deepEqual(uploadRecords.find(u => u.file_id === rotatedJson.fileId).carts, [`cart_anon_${cartSession}`]);
+    assert.deepEqual(uploadRecords.find(u => u.file_id === fileId).order_ids, [JSON.parse(artworkOrder.body).order.id]);
+    const pixel = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+    const quotaSession = `quota-${Date.now()}`;
+    // The quota is per IP: the photo and its rotated copy above count as two of the 20
+    for (let i = 2; i < 20; i += 1) {
+      assert.equal((await sendUpload(quotaSession, 'pixel.png', 'image/png', pixel)).statusCode, 201);
+    }
+    assert.equal((await sendUpload(quotaSession, 'pixel.png', 'image/png', pixel)).statusCode, 429);
+    assert.equal((await sendUpload(`${quotaSession}-other`, 'pixel.png', 'image/png', pixel)).statusCode, 429);
+    const gcWithoutKey = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/uploads/gc', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ max_age_hours: 0 }));
+    assert.equal(gcWithoutKey.statusCode, 401);
+    const uploadGc = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/uploads/gc', method: 'POST', headers: { 'Content-Type': 'application/json', 'x-api-key': ADMIN_KEY } }, JSON.stringify({ max_age_hours: 0 }));
+    assert.equal(uploadGc.statusCode, 200);
+    assert.ok(JSON.parse(uploadGc.body).removed.includes(rotatedJson.fileId));
+    assert.equal((await get(`/api/artwork/${rotatedJson.fileId}`)).statusCode, 404);
+    assert.equal((await get(`/api/artwork/${fileId}`)).statusCode, 200);
+
+    // Test Razorpay against test/mock-razorpay.js. The server must be started with
+    // RAZORPAY_API_BASE=http://localhost:4010/v1 and the mock credentials below.
+    const probe = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/payment/initiate', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ orderId: 'missing' }));
+    if (probe.statusCode === 503) {
+      console.log('Skipping Razorpay tests (server has no RAZORPAY_* configuration)');
+    } else {
+      console.log('Testing Razorpay payment flow');
+      const mock = createMockRazorpay({
+        keyId: process.env.RAZORPAY_KEY_ID || 'rzp_test_mock',
+        keySecret: process.env.RAZORPAY_KEY_SECRET || 'mock_key_secret',
+        webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET || 'mock_webhook_secret',
+        webhookUrl: `http://localhost:${process.env.PORT || 4000}/payments/razorpay/webhook`
+      });
+      await new Promise(resolve => mock.listen(Number(process.env.MOCK_RAZORPAY_PORT || 4010), resolve));
+      const rzpOrder = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, paymentMethod: 'razorpay', items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] }));
+      assert.equal(rzpOrder.statusCode, 201);
+      const rzpJson = JSON.parse(rzpOrder.body);
+      const gatewayOrderId = rzpJson.payment.razorpay.razorpayOrderId;
+      const verifyPath = '/api/payment/verify';
+      const forged = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: verifyPath, method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ orderId: rzpJson.order.id, razorpay_order_id: gatewayOrderId, razorpay_payment_id: 'pay_forged', razorpay_signature: 'deadbeef' }));
+      assert.equal(forged.statusCode, 400);
+      const badWebhook = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/payments/razorpay/webhook', method: 'POST', headers: { 'Content-Type': 'application/json', 'X-Razorpay-Signature': 'deadbeef' } }, JSON.stringify({ event: 'payment.captured', payload: {} }));
+      assert.equal(badWebhook.statusCode, 400);
+      const paid = await request({ hostname: 'localhost', port: Number(process.env.MOCK_RAZORPAY_PORT || 4010), path: `/v1/orders/${gatewayOrderId}/pay`, method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ outcome: 'captured' }));
+      const checkout = JSON.parse(paid.body);
+      assert.equal(checkout.webhook_status, 200);
+      const verified = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: verifyPath, method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ orderId: rzpJson.order.id, ...checkout }));
+      assert.equal(verified.statusCode, 200);
+      assert.equal(JSON.parse(verified.body).order.payment_status, 'paid');
+      const paymentRecord = await get(`/api/orders/${rzpJson.order.id}/payment`);
+      const paymentJson = JSON.parse(paymentRecord.body);
+      assert.equal(paymentJson.payment.provider, 'razorpay');
+      assert.deepEqual(paymentJson.payment.attempts.map(a => a.action), ['initiate', 'webhook', 'verify']);
+      const lineRefund = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/orders/${rzpJson.order.id}/refunds`, method: 'POST', headers: adminJson }, JSON.stringify({ items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] }));
+      assert.equal(lineRefund.statusCode, 201);
+      const lineRefundJson = JSON.parse(lineRefund.body);
+      assert.equal(lineRefundJson.refund.status, 'refunded');
+      assert.ok(lineRefundJson.refund.reference.startsWith('rfnd_'));
+      assert.equal(lineRefundJson.order.status, 'refunded');
+      mock.close();
+    }
+
+    // Test Paytm refunds against test/mock-paytm.js. The server must be started with
+    // PAYTM_API_BASE=http://localhost:4011 and the mock credentials below.
+    const paytmMock = createMockPaytm({
+      mid: process.env.PAYTM_MID || 'mock_mid',
+      merchantKey: process.env.PAYTM_MERCHANT_KEY || 'mockmerchantkey1',
+      webhookUrl: `http://localhost:${process.env.PORT || 4000}/payments/paytm/webhook`
+    });
+    await new Promise(resolve => paytmMock.listen(Number(process.env.MOCK_PAYTM_PORT || 4011), resolve));
+    const paytmOrder = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, paymentMethod: 'paytm', items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] }));
+    assert.equal(paytmOrder.statusCode, 201);
+    const paytmJson = JSON.parse(paytmOrder.body);
+    if (paytmJson.payment.paytm.mode === 'mock') {
+      console.log('Skipping Paytm tests (server has no PAYTM_* configuration)');
+    } else {
+      console.log('Testing Paytm payment and refunds');
+      const paytmId = paytmJson.order.id;
+      const paytmMockCall = (mockPath, body) => request({ hostname: 'localhost', port: Number(process.env.MOCK_PAYTM_PORT || 4011), path: mockPath, method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify(body));
+      const paid = JSON.parse((await paytmMockCall(`/mock/orders/${paytmId}/pay`, { outcome: 'success' })).body);
+      assert.equal(paid.webhook_status, 200);
+      assert.equal(JSON.parse((await get(`/api/orders/${paytmId}`)).body).order.payment_status, 'paid');
+      const paytmRefund = (amount) => request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/orders/${paytmId}/refunds`, method: 'POST', headers: adminJson }, JSON.stringify({ amount, reason: 'Test refund' }));
+      const refunded = JSON.parse((await paytmRefund(10)).body);
+      assert.equal(refunded.refund.status, 'refunded');
+      assert.ok(refunded.refund.reference.startsWith('RFND'));
+      await paytmMockCall('/mock/refund-outcome', { status: 'PENDING' });
+      const pendingRefund = JSON.parse((await paytmRefund(5)).body);
+      assert.equal(pendingRefund.refund.status, 'pending');
+      await paytmMockCall('/mock/refund-outcome', { status: 'TXN_FAILURE' });
+      const failedRefund = await paytmRefund(5);
+      assert.equal(failedRefund.statusCode, 502);
+      assert.ok(JSON.parse(failedRefund.body).error.includes('Refund failed at the bank'));
+      assert.equal(JSON.parse((await get(`/api/orders/${paytmId}`)).body).order.net_paid, paytmJson.order.total - 15);
+
+      // A payment that cannot be started fails the order and frees its stock at once
+      const lastUnits = [{ product_id: 'polaroid-portrait-004', size: 'XL', quantity: 8 }];
+      // ...and its coupon, so the customer can use it on the next try
+      const unstartedEmail = `unstarted-${Date.now()}@example.com`;
+      const placePaytm = () => request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, customer: { ...orderBody.customer, email: unstartedEmail }, paymentMethod: 'paytm', couponCode: 'POSTER100', items: lastUnits }));
+      await paytmMockCall('/mock/initiate-outcome', { status: 'F' });
+      const unstarted = await placePaytm();
+      assert.equal(unstarted.statusCode, 502);
+      assert.equal(JSON.parse(unstarted.body).order.status, 'failed');
+      assert.equal(JSON.parse(unstarted.body).order.payment_status, 'failed');
+      assert.equal(JSON.parse(unstarted.body).order.coupon.code, 'POSTER100');
+      const couponAgain = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/cart/coupon', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ code: 'POSTER100', items: lastUnits, email: unstartedEmail }));
+      assert.equal(couponAgain.statusCode, 200);
+      await paytmMockCall('/mock/initiate-outcome', { status: 'S' });
+      const started = await placePaytm();
+      assert.equal(started.statusCode, 201);
+      await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/orders/${JSON.parse(started.body).order.id}`, method: 'PUT', headers: adminJson }, JSON.stringify({ status: 'cancelled' }));
+    }
+    paytmMock.close();
+
+    // Test order emails
+    console.log('Testing order email notifications');
+    const codOrder = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, paymentMethod: 'cod', items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] }));
+    const codId = JSON.parse(codOrder.body).order.id;
+    await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/orders/${codId}`, method: 'PUT', headers: adminJson }, JSON.stringify({ status: 'cancelled' }));
+    let outbox = [];
+    for (let i = 0; i < 30 && !(outbox.length === 2 && outbox.every(m => m.status === 'sent')); i++) {
+      await new Promise(resolve => setTimeout(resolve, 100));
+      outbox = JSON.parse((await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/notifications/outbox?order_id=${codId}`, method: 'GET', headers: { 'x-api-key': ADMIN_KEY } })).body).messages;
+    }
+    assert.deepEqual(outbox.map(m => m.event).sort(), ['order_cancelled', 'order_placed']);
+    assert.ok(outbox.every(m => m.status === 'sent' && m.to === orderBody.customer.email));
+    if (outbox[0].transport === 'smtp') {
+      const mails = smtp.messages.filter(m => m.subject.includes(codId));
+      assert.equal(mails.length, 2);
+      assert.deepEqual(mails[0].to, [orderBody.customer.email]);
+      assert.ok(mails.some(m => m.text.includes('Thanks for your order!') && m.html.includes('<h2>')));
+    }
+
+    console.log('Testing newsletter double opt-in and campaigns');
+    const subscriberEmail = `news-${Date.now()}@example.com`;
+    const signup = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/subscribe', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ email: subscriberEmail, source: '/products.html' }));
+    assert.equal(signup.statusCode, 200);
+    const pending = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/newsletter/subscribers?status=pending', method: 'GET', headers: { 'x-api-key': ADMIN_KEY } });
+    const subscriber = JSON.parse(pending.body).subscribers.find(s => s.email === subscriberEmail);
+    assert.equal(subscriber.source, '/products.html');
+    const forgedConfirm = await get('/api/newsletter/confirm?token=forged.token');
+    assert.equal(forgedConfirm.statusCode, 400);
+    if (outbox[0].transport === 'smtp') {
+      const confirmMail = await waitFor(() => smtp.messages.find(m => m.to.includes(subscriberEmail)));
+      const confirmUrl = new URL(confirmMail.text.match(/http\S+\/api\/newsletter\/confirm\?token=\S+/)[0]);
+      const confirmed = await get(confirmUrl.pathname + confirmUrl.search);
+      assert.equal(confirmed.statusCode, 200);
+      const campaign = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/newsletter/campaigns', method: 'POST', headers: adminJson }, JSON.stringify({ subject: `New drops ${subscriberEmail}`, html: '<p>Hello {{email}}</p>' }));
+      assert.equal(campaign.statusCode, 201);
+      const campaignId = JSON.parse(campaign.body).campaign.id;
+      const sent = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: `/api/newsletter/campaigns/${campaignId}/send`, method: 'POST', headers: adminJson }, '{}');
+      assert.equal(sent.statusCode, 200);
+      const campaignMail = await waitFor(() => smtp.messages.find(m => m.to.includes(subscriberEmail) && m.subject.startsWith('New drops')));
+      assert.ok(campaignMail.text.includes(`Hello ${subscriberEmail}`));
+      const unsubscribeUrl = new URL(campaignMail.headers['list-unsubscribe'].slice(1, -1));
+      const unsubscribed = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: unsubscribeUrl.pathname + unsubscribeUrl.search, method: 'POST', headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }, 'List-Unsubscribe=One-Click');
+      assert.equal(JSON.parse(unsubscribed.body).status, 'unsubscribed');
+    }
+
+    // Test customer accounts
+    console.log('Testing customer registration and session');
+    const email = `account-${Date.now()}@example.com`;
+    const guestOrder = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/orders', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ ...orderBody, customer: { ...orderBody.customer, email }, paymentMethod: 'cod', items: [{ product_id: 'poster-nature-001', size: 'M', quantity: 1 }] }));
+    const guestOrderId = JSON.parse(guestOrder.body).order.id;
+    const register = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/auth/register', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ firstName: 'Test', email, password: 'correct-horse' }));
+    assert.equal(register.statusCode, 201);
+    assert.ok(!JSON.parse(register.body).customer.password_hash);
+    const cookie = register.headers['set-cookie'][0].split(';')[0];
+    const me = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/me/orders', method: 'GET', headers: { cookie } });
+    assert.equal(me.statusCode, 200);
+    assert.ok(!JSON.parse(me.body).orders.some(o => o.id === guestOrderId));
+    assert.equal((await get('/api/auth/verify-email?token=forged')).statusCode, 400);
+    if (outbox[0].transport === 'smtp') {
+      const verifyMail = await waitFor(() => smtp.messages.find(m => m.to.includes(email) && m.text.includes('/api/auth/verify-email')));
+      const verifyUrl = new URL(verifyMail.text.match(/http\S+\/api\/auth\/verify-email\?token=\S+/)[0]);
+      assert.equal((await get(verifyUrl.pathname + verifyUrl.search)).statusCode, 200);
+      const verifiedOrders = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/me/orders', method: 'GET', headers: { cookie } });
+      assert.ok(JSON.parse(verifiedOrders.body).orders.some(o => o.id === guestOrderId));
+    }
+    const badLogin = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/auth/login', method: 'POST', headers: { 'Content-Type': 'application/json' } }, JSON.stringify({ email, password: 'wrong-password' }));
+    assert.equal(badLogin.statusCode, 401);
+    const anonymous = await get('/api/me');
+    assert.equal(anonymous.statusCode, 401);
+    const badCookie = await request({ hostname: 'localhost', port: process.env.PORT || 4000, path: '/api/me', method: 'GET', headers: { cookie: `_ga=%E0%A4%A; ${cookie}` } });
+    assert.equal(badCookie.statusCode, 200);
+    smtp.close();
+
+    // A collection that cannot be parsed reads as the fallback but is never overwritten
+    console.log('Testing unreadable collections');
+    for (const backend of ['json', 'sqlite']) {
+      const dataDir = fs.mkdtempSync(path.join(require('os').tmpdir(), 'storage-test-'));
+      const storage = createStorage({ dataDir, backend });
+      storage.write('orders', { orders: [] });
+      if (backend === 'json') {
+        fs.writeFileSync(path.join(dataDir, 'orders.json'), '{"orders": [');
+      } else {
+        const Database = require('better-sqlite3');
+        const db = new Database(path.join(dataDir, 'store.sqlite'));
+        db.prepare('UPDATE collections SET data = ? WHERE name = ?').run('{"orders": [', 'orders');
+        db.close();
+      }
+      assert.deepEqual(storage.read('orders', { orders: [] }), { orders: [] });
+      assert.throws(() => storage.update('orders', { orders: [] }, (data) => data.orders.push({ id: 'lost' })), /Unable to read collection orders/);
+      assert.throws(() => storage.withLock('orders', () => storage.read('orders', { orders: [] })), /Unable to read collection orders/);
+      storage.close();
+      if (backend === 'json') {
+        assert.equal(fs.readFileSync(path.join(dataDir, 'orders.json'), 'utf8'), '{"orders": [');
+      }
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    }
 
     console.log('All tests passed');
     process.exit(0);
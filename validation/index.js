@@ -0,0 +1,16 @@
+const { validate, describeError } = require('./schema');
+const { createSchemas } = require('./schemas');
+
+// Declarative checks of what the API is sent and what it has stored:
+//
+//   createSchemas(config) -> { product, cartItem, cartQuote, cart, order, orderUpdate, offer,
+//                        storedProduct, storedOrder, storedOffer }; `config` gives the
+//                        lists that come from settings (categories, payment methods, ...)
+//   validate(schema, value, { partial })
+//                        -> [{ field, error }] ('variants[0].price', 'must be a number'),
+//                        empty when valid; `partial` lets updates leave out required keys
+//   describeError(error) 'variants[0].price must be a number'
+//
+// See schema.js for the keywords a schema may use.
+
+module.exports = { createSchemas, validate, describeError };
@@ -0,0 +1,183 @@
+// A small checker for JSON-Schema-like descriptions of request bodies and stored records. A
+// schema is a plain object:
+//
+//   type          'string', 'number', 'integer', 'boolean', 'object' or 'array' (or a list)
+//   nullable      null is allowed as well
+//   enum          the allowed values
+//   minimum, maximum, exclusiveMinimum                  for numbers
+//   minLength, maxLength, pattern, format               for strings; format is 'date-time'
+//                                                       or 'email'
+//   items, minItems, maxItems                           for arrays
+//   properties, required, additionalProperties          for objects; additionalProperties is
+//                                                       false (no other keys) or a schema for
+//                                                       the values of other keys
+//   additionalError  what to say about keys additionalProperties: false turns away
+//   oneRequired   an object needs at least one of these keys
+//   checks        [(value) -> { field?, error } | null], rules across fields, run when the
+//                 rest of the value is valid
+//
+// Undefined values count as missing. Errors are { field, error } with paths like
+// 'variants[0].price'.
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  object: 'an object',
+  array: 'a list',
+};
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasType(type, value) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    case 'object':
+      return isPlainObject(value);
+    case 'array':
+      return Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+function fieldPath(path, key) {
+  if (typeof key === 'number') {
+    return `${path}[${key}]`;
+  }
+  return path && key ? `${path}.${key}` : path || key;
+}
+
+function checkNumber(schema, value) {
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    return `must be ${schema.minimum} or more`;
+  }
+  if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+    return `must be more than ${schema.exclusiveMinimum}`;
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    return `must be ${schema.maximum} or less`;
+  }
+  return null;
+}
+
+function checkString(schema, value) {
+  if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    return schema.minLength === 1
+      ? 'must not be empty'
+      : `must be at least ${schema.minLength} characters`;
+  }
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return `must be at most ${schema.maxLength} characters`;
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    return schema.patternError || 'is not in the expected format';
+  }
+  if (schema.format === 'date-time' && Number.isNaN(Date.parse(value))) {
+    return 'must be a date';
+  }
+  if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+    return 'must be an email address';
+  }
+  return null;
+}
+
+function checkObject(schema, value, path, errors, partial) {
+  const properties = schema.properties || {};
+  if (!partial) {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: fieldPath(path, key), error: 'is required' });
+      }
+    }
+    if (schema.oneRequired && schema.oneRequired.every((key) => value[key] === undefined)) {
+      errors.push({ field: path, error: `needs ${schema.oneRequired.join(' or ')}` });
+    }
+  }
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) {
+      continue;
+    }
+    if (properties[key]) {
+      checkValue(properties[key], item, fieldPath(path, key), errors);
+    } else if (schema.additionalProperties === false) {
+      const error = schema.additionalError || 'is not a known field';
+      errors.push({ field: fieldPath(path, key), error });
+    } else if (isPlainObject(schema.additionalProperties)) {
+      checkValue(schema.additionalProperties, item, fieldPath(path, key), errors);
+    }
+  }
+}
+
+function checkValue(schema, value, path, errors, partial = false) {
+  const fail = (error) => errors.push({ field: path, error });
+  if (value === null) {
+    if (!schema.nullable) {
+      fail('must not be null');
+    }
+    return;
+  }
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((type) => hasType(type, value))) {
+    fail(`must be ${types.map((type) => TYPE_NAMES[type]).join(' or ')}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.join(', ')}`);
+    return;
+  }
+  const before = errors.length;
+  if (typeof value === 'number') {
+    const error = checkNumber(schema, value);
+    if (error) {
+      fail(error);
+    }
+  } else if (typeof value === 'string') {
+    const error = checkString(schema, value);
+    if (error) {
+      fail(error);
+    }
+  } else if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(schema.minItems === 1 ? 'must not be empty' : `needs ${schema.minItems} or more items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`may have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => checkValue(schema.items, item, fieldPath(path, i), errors));
+    }
+  } else if (isPlainObject(value)) {
+    checkObject(schema, value, path, errors, partial);
+  }
+  if (errors.length === before) {
+    for (const check of schema.checks || []) {
+      const result = check(value);
+      if (result) {
+        errors.push({ field: fieldPath(path, result.field || ''), error: result.error });
+      }
+    }
+  }
+}
+
+// `value` against `schema` -> [{ field, error }], empty when it is valid. With `partial` the
+// top-level required keys may be left out (updates).
+function validate(schema, value, { partial = false } = {}) {
+  const errors = [];
+  checkValue(schema, value, '', errors, partial);
+  return errors;
+}
+
+// { field: 'price.M', error: 'must be a number' } -> 'price.M must be a number'
+function describeError({ field, error }) {
+  return field ? `${field} ${error}` : error;
+}
+
+module.exports = { validate, describeError };
@@ -0,0 +1,272 @@
+const { OPTION_AXES } = require('../catalog');
+
+// The shapes the API accepts and stores. Lists that come from configuration are passed in:
+//
+//   { productTypes, categories, gstRates, offerTypes, orderStatuses, paymentMethods,
+//     paymentStatuses }
+
+const ID_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]*$/;
+const HSN_PATTERN = /^\d{4}(\d{2})?(\d{2})?$/;
+
+const text = { type: 'string' };
+const filled = { type: 'string', minLength: 1 };
+const title = { type: 'string', minLength: 1, maxLength: 200 };
+const date = { type: 'string', format: 'date-time' };
+const amount = { type: 'number', minimum: 0 };
+const price = { type: 'number', exclusiveMinimum: 0 };
+const count = { type: 'integer', minimum: 0 };
+const flag = { type: 'boolean' };
+const id = {
+  type: 'string',
+  pattern: ID_PATTERN,
+  patternError: 'may only use letters, digits, dashes and underscores',
+};
+const nullable = (schema) => ({ ...schema, nullable: true });
+const list = (items, more = {}) => ({ type: 'array', items, ...more });
+
+// { size: 'M', finish: 'matte' }: values for the option axes only
+const chosenOptions = {
+  type: 'object',
+  properties: Object.fromEntries(OPTION_AXES.map((axis) => [axis, filled])),
+  additionalProperties: false,
+};
+
+function createSchemas(config) {
+  const variant = {
+    type: 'object',
+    properties: {
+      sku: {
+        type: 'string',
+        pattern: SKU_PATTERN,
+        patternError: 'may only use letters, digits and dashes',
+      },
+      options: chosenOptions,
+      price,
+      stock: count,
+      weight_grams: nullable({ type: 'number', exclusiveMinimum: 0 }),
+    },
+    required: ['options', 'price'],
+    additionalProperties: false,
+  };
+
+  // Create payloads; updates are checked with `partial`. Products in the old shape give
+  // `price` (and `stock`) by size instead of variants.
+  const product = {
+    type: 'object',
+    properties: {
+      id,
+      type: { type: 'string', enum: config.productTypes },
+      title,
+      description: { type: 'string', maxLength: 5000 },
+      category: { type: 'string', enum: config.categories },
+      tags: list(filled),
+      images: list(filled),
+      featured: flag,
+      allow_backorder: flag,
+      hsn_code: {
+        type: 'string',
+        pattern: HSN_PATTERN,
+        patternError: 'must be a 4, 6 or 8 digit HSN code',
+      },
+      gst_rate: { type: 'number', enum: config.gstRates },
+      materials: text,
+      dimensions: { type: 'object', additionalProperties: filled },
+      price: { type: 'object', additionalProperties: price },
+      stock: { type: 'object', additionalProperties: count },
+      options: list({
+        type: 'object',
+        properties: {
+          name: { type: 'string', enum: OPTION_AXES },
+          values: list(filled, { minItems: 1 }),
+        },
+        required: ['name', 'values'],
+        additionalProperties: false,
+      }),
+      variants: list(variant, { minItems: 1 }),
+      created_at: date,
+      updated_at: date,
+    },
+    required: ['title', 'type'],
+    oneRequired: ['variants', 'price'],
+    additionalProperties: false,
+  };
+
+  // A cart or order line. Carts saved by the browser also carry what the page shows (title,
+  // price, variant_label, ...), so other keys are let through.
+  const cartItem = {
+    type: 'object',
+    properties: {
+      product_id: filled,
+      sku: filled,
+      size: filled,
+      options: chosenOptions,
+      quantity: { type: 'integer', minimum: 1 },
+      custom_artwork: nullable(text),
+    },
+    oneRequired: ['product_id', 'sku'],
+  };
+
+  const address = {
+    type: 'object',
+    properties: {
+      line1: filled,
+      line2: text,
+      city: filled,
+      state: filled,
+      pincode: { type: ['string', 'integer'] },
+    },
+    required: ['line1', 'city', 'state', 'pincode'],
+  };
+
+  const order = {
+    type: 'object',
+    properties: {
+      customer: {
+        type: 'object',
+        properties: {
+          firstName: filled,
+          lastName: filled,
+          email: { type: 'string', format: 'email' },
+          phone: filled,
+        },
+        required: ['firstName', 'lastName', 'email', 'phone'],
+      },
+      shippingAddress: address,
+      paymentMethod: { type: 'string', enum: config.paymentMethods },
+      items: list(cartItem, { minItems: 1 }),
+      notes: { type: 'string', maxLength: 1000 },
+      couponCode: nullable(text),
+      saveAddress: flag,
+      // The totals the checkout page showed; the server works them out again
+      subtotal: amount,
+      shipping: amount,
+      total: amount,
+      currency: text,
+    },
+    required: ['customer', 'shippingAddress', 'paymentMethod', 'items'],
+    additionalProperties: false,
+  };
+
+  const orderUpdate = {
+    type: 'object',
+    properties: {
+      status: { type: 'string', enum: config.orderStatuses },
+      notes: text,
+      tracking_number: text,
+      shipping_address: address,
+      note: text,
+    },
+    additionalProperties: false,
+    additionalError: 'cannot be edited',
+  };
+
+  const offer = {
+    type: 'object',
+    properties: {
+      id,
+      label: title,
+      type: { type: 'string', enum: config.offerTypes },
+      value: amount,
+      priority: amount,
+      max_discount: nullable(amount),
+      active: flag,
+      exclusive: flag,
+      stacking_group: nullable(text),
+      starts_at: nullable(date),
+      ends_at: nullable(date),
+      conditions: {
+        type: 'object',
+        properties: {
+          minSubtotal: amount,
+          buy: { type: 'integer', minimum: 1 },
+          get: { type: 'integer', minimum: 1 },
+          productIds: list(filled),
+          categories: list(filled),
+          types: list({ type: 'string', enum: config.productTypes }),
+          sizes: list(filled),
+          paymentMethods: list(filled),
+        },
+        additionalProperties: false,
+      },
+      created_at: date,
+      updated_at: date,
+    },
+    required: ['label', 'type'],
+    additionalProperties: false,
+    checks: [
+      (o) =>
+        o.type === 'percentage' && !(o.value > 0 && o.value <= 100)
+          ? { field: 'value', error: 'must be a percentage between 0 and 100' }
+          : null,
+      (o) =>
+        o.starts_at && o.ends_at && Date.parse(o.ends_at) <= Date.parse(o.starts_at)
+          ? { field: 'ends_at', error: 'must be after starts_at' }
+          : null,
+      (o) =>
+        o.type === 'buy_x_get_y' && !(o.conditions && o.conditions.buy && o.conditions.get)
+          ? { field: 'conditions', error: 'needs buy and get for buy_x_get_y offers' }
+          : null,
+    ],
+  };
+
+  // Records as stored, checked at startup. Orders gather many fields over their life; only
+  // the ones totals, stock and reports rely on are checked.
+  const storedProduct = {
+    ...product,
+    required: ['id', 'type', 'title', 'price', 'stock', 'options', 'variants', 'created_at'],
+    oneRequired: null,
+  };
+  const storedOrder = {
+    type: 'object',
+    properties: {
+      id: filled,
+      status: { type: 'string', enum: config.orderStatuses },
+      payment_status: { type: 'string', enum: config.paymentStatuses },
+      payment_method: text,
+      items: list(
+        {
+          type: 'object',
+          properties: {
+            product_id: filled,
+            sku: filled,
+            quantity: { type: 'integer', minimum: 1 },
+            unit_price: amount,
+            line_total: amount,
+          },
+          required: ['product_id', 'quantity', 'unit_price'],
+        },
+        { minItems: 1 }
+      ),
+      subtotal: amount,
+      discount: amount,
+      shipping: amount,
+      total: amount,
+      created_at: date,
+      updated_at: date,
+    },
+    required: ['id', 'status', 'payment_status', 'items', 'total', 'created_at'],
+  };
+  const storedOffer = { ...offer, required: ['id', 'label', 'type'] };
+
+  return {
+    product,
+    cartItem,
+    // Bodies that price a cart: /api/cart/totals, /api/shipping/quote, /api/cart/coupon
+    cartQuote: { type: 'object', properties: { items: list(cartItem) } },
+    cart: {
+      type: 'object',
+      properties: { cart: list(cartItem), coupon: nullable(text) },
+      required: ['cart'],
+      additionalProperties: false,
+    },
+    order,
+    orderUpdate,
+    offer,
+    storedProduct,
+    storedOrder,
+    storedOffer,
+  };
+}
+
+module.exports = { createSchemas };